@@ -73,6 +73,7 @@ $wgResourceModules += array(
 	'ext.visualEditor.es' => $wgVisualEditorResourceTemplate + array(
 		'scripts' => array(
 			'es/es.js',
+			'es/es.AnnotationRegistry.js',
 			'es/es.Html.js',
 			'es/es.Position.js',
 			'es/es.Range.js',
@@ -89,44 +90,68 @@ $wgResourceModules += array(
 			'es/bases/es.DocumentViewLeafNode.js',
 			'es/bases/es.Inspector.js',
 			'es/bases/es.Tool.js',
+			'es/bases/es.TemplateProvider.js',
+			'es/bases/es.StorageAdapter.js',
+			'es/storage/es.MemoryStorageAdapter.js',
+			'es/storage/es.LocalStorageAdapter.js',
 			'es/models/es.DocumentModel.js',
+			'es/models/es.BlockquoteModel.js',
+			'es/models/es.CommentModel.js',
+			'es/models/es.DivModel.js',
 			'es/models/es.HeadingModel.js',
+			'es/models/es.HorizontalRuleModel.js',
+			'es/models/es.ImageModel.js',
 			'es/models/es.ListItemModel.js',
 			'es/models/es.ListModel.js',
 			'es/models/es.ParagraphModel.js',
+			'es/models/es.ParameterModel.js',
 			'es/models/es.PreModel.js',
 			'es/models/es.SurfaceModel.js',
 			'es/models/es.TableCellModel.js',
 			'es/models/es.TableModel.js',
 			'es/models/es.TableRowModel.js',
 			'es/models/es.TransactionModel.js',
+			'es/models/es.TransclusionModel.js',
 			'es/serializers/es.AnnotationSerializer.js',
 			'es/serializers/es.HtmlSerializer.js',
 			'es/serializers/es.JsonSerializer.js',
+			'es/serializers/es.MarkdownSerializer.js',
 			'es/serializers/es.WikitextSerializer.js',
 			'es/inspectors/es.LinkInspector.js',
+			'es/inspectors/es.ImageInspector.js',
+			'es/inspectors/es.TemplateInspector.js',
 			'es/tools/es.ButtonTool.js',
 			'es/tools/es.AnnotationButtonTool.js',
+			'es/tools/es.BlockquoteButtonTool.js',
 			'es/tools/es.ClearButtonTool.js',
 			'es/tools/es.HistoryButtonTool.js',
 			'es/tools/es.ListButtonTool.js',
 			'es/tools/es.IndentationButtonTool.js',
 			'es/tools/es.DropdownTool.js',
 			'es/tools/es.FormatDropdownTool.js',
+			'es/tools/es.TableDropdownTool.js',
+			'es/tools/es.ImageButtonTool.js',
 			'es/views/es.ContextView.js',
 			'es/views/es.ContentView.js',
 			'es/views/es.DocumentView.js',
+			'es/views/es.BlockquoteView.js',
+			'es/views/es.CommentView.js',
+			'es/views/es.DivView.js',
 			'es/views/es.HeadingView.js',
+			'es/views/es.HorizontalRuleView.js',
+			'es/views/es.ImageView.js',
 			'es/views/es.ListItemView.js',
 			'es/views/es.ListView.js',
 			'es/views/es.MenuView.js',
 			'es/views/es.ParagraphView.js',
+			'es/views/es.ParameterView.js',
 			'es/views/es.PreView.js',
 			'es/views/es.SurfaceView.js',
 			'es/views/es.TableCellView.js',
 			'es/views/es.TableRowView.js',
 			'es/views/es.TableView.js',
 			'es/views/es.ToolbarView.js',
+			'es/views/es.TransclusionView.js',
 			
 		),
 		'styles' => array(
@@ -79,6 +79,7 @@ include( '../modules/sandbox/base.php' );
 		<!-- EditSurface -->
 		<script src="../modules/jquery/jquery.js"></script>
 		<script src="../modules/es/es.js"></script>
+		<script src="../modules/es/es.AnnotationRegistry.js"></script>
 		<script src="../modules/es/es.Html.js"></script>
 		<script src="../modules/es/es.Position.js"></script>
 		<script src="../modules/es/es.Range.js"></script>
@@ -88,6 +89,7 @@ include( '../modules/sandbox/base.php' );
 		<script src="../modules/es/serializers/es.AnnotationSerializer.js"></script>
 		<script src="../modules/es/serializers/es.HtmlSerializer.js"></script>
 		<script src="../modules/es/serializers/es.JsonSerializer.js"></script>
+		<script src="../modules/es/serializers/es.MarkdownSerializer.js"></script>
 		<script src="../modules/es/serializers/es.WikitextSerializer.js"></script>
 
 		<!-- Bases -->
@@ -103,6 +105,12 @@ include( '../modules/sandbox/base.php' );
 		<script src="../modules/es/bases/es.DocumentViewLeafNode.js"></script>
 		<script src="../modules/es/bases/es.Inspector.js"></script>
 		<script src="../modules/es/bases/es.Tool.js"></script>
+		<script src="../modules/es/bases/es.TemplateProvider.js"></script>
+		<script src="../modules/es/bases/es.StorageAdapter.js"></script>
+
+		<!-- Storage -->
+		<script src="../modules/es/storage/es.MemoryStorageAdapter.js"></script>
+		<script src="../modules/es/storage/es.LocalStorageAdapter.js"></script>
 
 		<!-- Models -->
 		<script src="../modules/es/models/es.SurfaceModel.js"></script>
@@ -115,10 +123,19 @@ include( '../modules/sandbox/base.php' );
 		<script src="../modules/es/models/es.TableRowModel.js"></script>
 		<script src="../modules/es/models/es.TableCellModel.js"></script>
 		<script src="../modules/es/models/es.HeadingModel.js"></script>
+		<script src="../modules/es/models/es.ImageModel.js"></script>
+		<script src="../modules/es/models/es.HorizontalRuleModel.js"></script>
+		<script src="../modules/es/models/es.CommentModel.js"></script>
+		<script src="../modules/es/models/es.TransclusionModel.js"></script>
+		<script src="../modules/es/models/es.ParameterModel.js"></script>
+		<script src="../modules/es/models/es.BlockquoteModel.js"></script>
+		<script src="../modules/es/models/es.DivModel.js"></script>
 		<script src="../modules/es/models/es.TransactionModel.js"></script>
 
 		<!-- Inspectors -->
 		<script src="../modules/es/inspectors/es.LinkInspector.js"></script>
+		<script src="../modules/es/inspectors/es.ImageInspector.js"></script>
+		<script src="../modules/es/inspectors/es.TemplateInspector.js"></script>
 
 		<!-- Tools -->
 		<script src="../modules/es/tools/es.ButtonTool.js"></script>
@@ -129,6 +146,9 @@ include( '../modules/sandbox/base.php' );
 		<script src="../modules/es/tools/es.IndentationButtonTool.js"></script>
 		<script src="../modules/es/tools/es.DropdownTool.js"></script>
 		<script src="../modules/es/tools/es.FormatDropdownTool.js"></script>
+		<script src="../modules/es/tools/es.TableDropdownTool.js"></script>
+		<script src="../modules/es/tools/es.ImageButtonTool.js"></script>
+		<script src="../modules/es/tools/es.BlockquoteButtonTool.js"></script>
 
 		<!-- Views -->
 		<script src="../modules/es/views/es.SurfaceView.js"></script>
@@ -145,6 +165,13 @@ include( '../modules/sandbox/base.php' );
 		<script src="../modules/es/views/es.TableRowView.js"></script>
 		<script src="../modules/es/views/es.TableCellView.js"></script>
 		<script src="../modules/es/views/es.HeadingView.js"></script>
+		<script src="../modules/es/views/es.ImageView.js"></script>
+		<script src="../modules/es/views/es.HorizontalRuleView.js"></script>
+		<script src="../modules/es/views/es.CommentView.js"></script>
+		<script src="../modules/es/views/es.TransclusionView.js"></script>
+		<script src="../modules/es/views/es.ParameterView.js"></script>
+		<script src="../modules/es/views/es.BlockquoteView.js"></script>
+		<script src="../modules/es/views/es.DivView.js"></script>
 
 		<!-- Demo -->
 		<script src="../modules/sandbox/sandbox.js"></script>
@@ -35,6 +35,9 @@ es.DocumentModelBranchNode = function( type, element, contents ) {
  */
 es.DocumentModelBranchNode.prototype.getPlainObject = function() {
 	var obj = { 'type': this.type };
+	if ( this.element && this.element.id !== undefined ) {
+		obj.id = this.element.id;
+	}
 	if ( this.element && this.element.attributes ) {
 		obj.attributes = es.copyObject( this.element.attributes );
 	}
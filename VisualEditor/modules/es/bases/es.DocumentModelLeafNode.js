@@ -31,6 +31,9 @@ es.DocumentModelLeafNode = function( type, element, length ) {
  */
 es.DocumentModelLeafNode.prototype.getPlainObject = function() {
 	var obj = { 'type': this.type };
+	if ( this.element && this.element.id !== undefined ) {
+		obj.id = this.element.id;
+	}
 	if ( this.element && this.element.attributes ) {
 		obj.attributes = es.copyObject( this.element.attributes );
 	}
@@ -190,6 +190,20 @@ es.DocumentModelNode.prototype.getElement = function() {
 	return this.element;
 };
 
+/**
+ * Gets the id of the element.
+ * 
+ * Elements are given ids when a document is created from them and when a transaction inserts them,
+ * @see {es.DocumentModel.prototype.prepareIds}. Ids are stored in the element data, so they are
+ * kept while the node tree is rebuilt and when the document is serialized.
+ * 
+ * @method
+ * @returns {String|null} Id of element, or null if the node has no element or it has no id
+ */
+es.DocumentModelNode.prototype.getId = function() {
+	return this.element && this.element.id !== undefined ? this.element.id : null;
+};
+
 /**
  * Gets the symbolic element type name.
  * 
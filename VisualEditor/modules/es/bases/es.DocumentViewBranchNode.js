@@ -212,6 +212,42 @@ es.DocumentViewBranchNode.prototype.clearSelection = function() {
 	}
 };
 
+/**
+ * Draws a marker's highlight around a given range of content.
+ * 
+ * Empty ranges are not drawn.
+ * 
+ * @method
+ * @param {String} name Symbolic name of marker
+ * @param {es.Range} range Range of content to draw highlight around
+ * @param {String} [type] Symbolic name of the kind of marker
+ */
+es.DocumentViewBranchNode.prototype.drawMarker = function( name, range, type ) {
+	var selectedNodes = !range || range.getLength() ? this.selectNodes( range, true ) : [];
+	for ( var i = 0; i < this.children.length; i++ ) {
+		if ( selectedNodes.length && this.children[i] === selectedNodes[0].node ) {
+			for ( var j = 0; j < selectedNodes.length; j++ ) {
+				selectedNodes[j].node.drawMarker( name, selectedNodes[j].range, type );
+			}
+			i += selectedNodes.length - 1;
+		} else {
+			this.children[i].clearMarker( name );
+		}
+	}
+};
+
+/**
+ * Clears a marker's highlight.
+ * 
+ * @method
+ * @param {String} name Symbolic name of marker
+ */
+es.DocumentViewBranchNode.prototype.clearMarker = function( name ) {
+	for ( var i = 0; i < this.children.length; i++ ) {
+		this.children[i].clearMarker( name );
+	}
+};
+
 /**
  * Gets the nearest offset of a rendered position.
  * 
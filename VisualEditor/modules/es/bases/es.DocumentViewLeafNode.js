@@ -52,6 +52,28 @@ es.DocumentViewLeafNode.prototype.clearSelection = function() {
 	this.contentView.clearSelection();
 };
 
+/**
+ * Draws a marker's highlight around a given range of content.
+ * 
+ * @method
+ * @param {String} name Symbolic name of marker
+ * @param {es.Range} range Range of content to draw highlight around
+ * @param {String} [type] Symbolic name of the kind of marker
+ */
+es.DocumentViewLeafNode.prototype.drawMarker = function( name, range, type ) {
+	this.contentView.drawMarker( name, range, type );
+};
+
+/**
+ * Clears a marker's highlight.
+ * 
+ * @method
+ * @param {String} name Symbolic name of marker
+ */
+es.DocumentViewLeafNode.prototype.clearMarker = function( name ) {
+	this.contentView.clearMarker( name );
+};
+
 /**
  * Gets the nearest offset of a rendered position.
  * 
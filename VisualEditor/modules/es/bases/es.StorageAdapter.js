@@ -0,0 +1,54 @@
+/**
+ * Creates an es.StorageAdapter object.
+ * 
+ * Storage adapters keep string values under keys, such as serialized surfaces which are restored
+ * when a page is loaded again, @see {es.SurfaceModel.prototype.store}. This one doesn't keep
+ * anything, subclasses store values somewhere instead. Methods take callbacks, so values can also
+ * be stored asynchronously, such as on a server.
+ * 
+ * @class
+ * @constructor
+ */
+es.StorageAdapter = function() {
+	// Stateless, subclasses may keep things like a prefix for keys or a connection here
+};
+
+/* Methods */
+
+/**
+ * Gets a stored value.
+ * 
+ * @method
+ * @param {String} key Key the value is stored under
+ * @param {Function} callback Function to call with the value, or null if nothing is stored
+ */
+es.StorageAdapter.prototype.get = function( key, callback ) {
+	callback( null );
+};
+
+/**
+ * Stores a value, replacing any value already stored under the same key.
+ * 
+ * @method
+ * @param {String} key Key to store the value under
+ * @param {String} value Value to store
+ * @param {Function} [callback] Function to call with true if the value was stored, or false if not
+ */
+es.StorageAdapter.prototype.set = function( key, value, callback ) {
+	if ( callback ) {
+		callback( false );
+	}
+};
+
+/**
+ * Removes a stored value.
+ * 
+ * @method
+ * @param {String} key Key the value is stored under
+ * @param {Function} [callback] Function to call when the value has been removed
+ */
+es.StorageAdapter.prototype.remove = function( key, callback ) {
+	if ( callback ) {
+		callback();
+	}
+};
@@ -0,0 +1,38 @@
+/**
+ * Creates an es.TemplateProvider object.
+ * 
+ * Template providers supply information about templates which can only be found on the wiki, such
+ * as which parameters a template takes and what it looks like when rendered. This one doesn't know
+ * anything about templates, subclasses can get this information from a server instead.
+ * 
+ * @class
+ * @constructor
+ */
+es.TemplateProvider = function() {
+	// Stateless, subclasses may keep things like the URL of an API or a cache here
+};
+
+/* Methods */
+
+/**
+ * Gets a description of the parameters a template takes.
+ * 
+ * @method
+ * @param {String} title Title of the template
+ * @param {Function} callback Function to call with a list of parameter descriptions, each with a
+ * name and optionally a label, a description and a required property
+ */
+es.TemplateProvider.prototype.getParameters = function( title, callback ) {
+	callback( [] );
+};
+
+/**
+ * Gets a rendered preview of a template.
+ * 
+ * @method
+ * @param {Object} data Data of an object/template annotation, with a title and parameters
+ * @param {Function} callback Function to call with the HTML of the preview
+ */
+es.TemplateProvider.prototype.getPreview = function( data, callback ) {
+	callback( es.Html.escapeText( es.WikitextSerializer.getTemplateCall( data ) ) );
+};
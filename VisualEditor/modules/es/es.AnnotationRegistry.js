@@ -0,0 +1,574 @@
+/**
+ * Static registry of annotation types.
+ * 
+ * Each annotation type is declared here once, along with everything needed to render it in the
+ * editor, serialize it to HTML, wikitext and Markdown, recognize it when importing HTML and offer
+ * it in the toolbar. Consumers look types up in this registry rather than keeping tables of their
+ * own, so adding support for an annotation only takes a call to es.AnnotationRegistry.register.
+ * 
+ * @static
+ * @property {Object} types Annotation type definitions, keyed by type
+ * @property {String[]} order Annotation types, in the order they were registered
+ */
+es.AnnotationRegistry = {
+	'types': {},
+	'order': []
+};
+
+/* Static Methods */
+
+/**
+ * Registers an annotation type.
+ * 
+ * Definitions may contain any of the following properties, leaving out a property means the
+ * annotation is not supported by the consumer of that property:
+ *     view: Object with open and close properties, each either a string or a function which
+ *         accepts a data argument, rendering the annotation within content views
+ *     html: Serialization to HTML, @see {es.AnnotationRegistry.serialize} for details
+ *     wikitext: Serialization to wikitext, @see {es.AnnotationRegistry.serialize} for details
+ *     markdown: Serialization to Markdown, the MarkdownSerializer uses html for types without it
+ *     import: Object with a tags property, a list of HTML element names the type is imported
+ *         from, an optional test property, a function which accepts an element and returns true
+ *         if the element is of this type, and an optional data property, a function which accepts
+ *         data taken from the element's properties and returns annotation data
+ *     tool: Object with name and title properties, and optional data and inspector properties,
+ *         describing a toolbar button which applies the annotation
+ * 
+ * HTML elements are matched against types in the order they were registered, so a type with an
+ * import test must be registered before any other type which is imported from the same elements.
+ * 
+ * @static
+ * @method
+ * @param {String} type Annotation type, such as "textStyle/bold"
+ * @param {Object} definition Annotation type definition
+ * @throws 'Invalid annotation type error. Annotation type is already registered.'
+ */
+es.AnnotationRegistry.register = function( type, definition ) {
+	if ( type in es.AnnotationRegistry.types ) {
+		throw 'Invalid annotation type error. Annotation type is already registered.';
+	}
+	es.AnnotationRegistry.types[type] = definition;
+	es.AnnotationRegistry.order.push( type );
+};
+
+/**
+ * Gets the definition of an annotation type.
+ * 
+ * @static
+ * @method
+ * @param {String} type Annotation type
+ * @returns {Object|null} Annotation type definition, or null if the type is not registered
+ */
+es.AnnotationRegistry.get = function( type ) {
+	return es.AnnotationRegistry.types.hasOwnProperty( type ) ?
+		es.AnnotationRegistry.types[type] : null;
+};
+
+/**
+ * Gets a list of annotation types which have a given property in their definitions.
+ * 
+ * @static
+ * @method
+ * @param {String} property Name of definition property, such as "tool"
+ * @returns {String[]} Annotation types, in the order they were registered
+ */
+es.AnnotationRegistry.getTypesWith = function( property ) {
+	var types = [];
+	for ( var i = 0; i < es.AnnotationRegistry.order.length; i++ ) {
+		if ( property in es.AnnotationRegistry.types[es.AnnotationRegistry.order[i]] ) {
+			types.push( es.AnnotationRegistry.order[i] );
+		}
+	}
+	return types;
+};
+
+/**
+ * Gets the annotation type an HTML element is imported as.
+ * 
+ * @static
+ * @method
+ * @param {HTMLElement} element HTML element to get annotation type of
+ * @returns {String|undefined} Annotation type, or undefined if the element is not an annotation
+ */
+es.AnnotationRegistry.getTypeFromHtml = function( element ) {
+	var name = element.nodeName.toLowerCase(),
+		order = es.AnnotationRegistry.order,
+		definition;
+	for ( var i = 0; i < order.length; i++ ) {
+		definition = es.AnnotationRegistry.types[order[i]]['import'];
+		if (
+			definition &&
+			es.inArray( name, definition.tags ) !== -1 &&
+			( !definition.test || definition.test( element ) )
+		) {
+			return order[i];
+		}
+	}
+	return undefined;
+};
+
+/**
+ * Converts data taken from the properties of an HTML element into annotation data.
+ * 
+ * @static
+ * @method
+ * @param {String} type Annotation type, as returned by es.AnnotationRegistry.getTypeFromHtml
+ * @param {Object} data Data taken from the element's properties
+ * @returns {Object} Annotation data
+ */
+es.AnnotationRegistry.importData = function( type, data ) {
+	var definition = es.AnnotationRegistry.get( type );
+	return definition && definition['import'] && definition['import'].data ?
+		definition['import'].data( data ) : data;
+};
+
+/**
+ * Gets the color of a style attribute which sets nothing but a background color.
+ * 
+ * @static
+ * @method
+ * @param {String} [style] Value of a style attribute
+ * @returns {String|null} Background color, or null if style does anything else
+ */
+es.AnnotationRegistry.getHighlightColor = function( style ) {
+	var match = /^\s*background(?:-color)?\s*:\s*([^;]*?)\s*;?\s*$/i.exec( style || '' );
+	return match && match[1] ? match[1] : null;
+};
+
+/**
+ * Adds an annotation to an annotation serializer.
+ * 
+ * The html, wikitext and markdown properties of definitions describe serialization using one of:
+ *     tag: Name of tag to wrap the annotated text in, with an optional attributes property, either
+ *         an object or a function which accepts a data argument and returns an object
+ *     markup: Text to insert before and after the annotated text, either an array containing both
+ *         or a function which accepts a data argument and returns such an array
+ *     replace: Function which accepts a data argument and returns text to insert in place of the
+ *         annotated text, used for objects which are represented by placeholder characters
+ * 
+ * @static
+ * @method
+ * @param {es.AnnotationSerializer} serializer Annotation serializer to add annotation to
+ * @param {Object} annotation Annotation to add, with type, range and optional data properties
+ * @param {String} format Name of serialization format, "html", "wikitext" or "markdown"
+ * @returns {Boolean} Annotation was added, false if it is not supported in the format
+ */
+es.AnnotationRegistry.serialize = function( serializer, annotation, format ) {
+	var definition = es.AnnotationRegistry.get( annotation.type ),
+		data = annotation.data || {},
+		output,
+		markup;
+	if ( !definition || !definition[format] ) {
+		return false;
+	}
+	output = definition[format];
+	if ( output.tag ) {
+		serializer.addTags(
+			annotation.range,
+			output.tag,
+			typeof output.attributes === 'function' ? output.attributes( data ) : output.attributes
+		);
+	} else if ( output.markup ) {
+		markup = typeof output.markup === 'function' ? output.markup( data ) : output.markup;
+		serializer.add( annotation.range, markup[0], markup[1] );
+	} else if ( output.replace ) {
+		serializer.replace( annotation.range, output.replace( data ) );
+	} else {
+		return false;
+	}
+	return true;
+};
+
+/* Registration */
+
+es.AnnotationRegistry.register( 'textStyle/bold', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-bold">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'b' },
+	'wikitext': { 'markup': ["'''", "'''"] },
+	'markdown': { 'markup': ['**', '**'] },
+	'import': { 'tags': ['b'] },
+	'tool': { 'name': 'bold', 'title': 'Bold (ctrl/cmd + B)' }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/italic', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-italic">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'i' },
+	'wikitext': { 'markup': ["''", "''"] },
+	'markdown': { 'markup': ['*', '*'] },
+	'import': { 'tags': ['i'] },
+	'tool': { 'name': 'italic', 'title': 'Italic (ctrl/cmd + I)' }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/strong', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-strong">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'strong' },
+	'wikitext': { 'tag': 'strong' },
+	'markdown': { 'markup': ['**', '**'] },
+	'import': { 'tags': ['strong'] },
+	'tool': { 'name': 'strong', 'title': 'Strong (ctrl/cmd + B)' }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/emphasize', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-emphasize">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'em' },
+	'wikitext': { 'tag': 'em' },
+	'markdown': { 'markup': ['*', '*'] },
+	'import': { 'tags': ['em'] },
+	'tool': { 'name': 'em', 'title': 'Emphase (ctrl/cmd + I)' }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/delete', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-delete">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'del' },
+	'import': { 'tags': ['del'] },
+	'tool': { 'name': 'del', 'title': 'Del (ctrl/cmd + D)' }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/underline', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-underline">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'u' },
+	'wikitext': { 'tag': 'u' },
+	'import': { 'tags': ['u'] },
+	'tool': { 'name': 'underline', 'title': 'Underline (ctrl/cmd + U)' }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/strikethrough', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-strikethrough">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 's' },
+	'wikitext': { 'tag': 's' },
+	'import': { 'tags': ['s', 'strike'] },
+	'tool': { 'name': 'strikethrough', 'title': 'Strikethrough (ctrl/cmd + shift + X)' }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/code', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-code">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'code' },
+	'wikitext': { 'tag': 'code' },
+	'markdown': { 'markup': ['`', '`'] },
+	'import': { 'tags': ['code', 'tt'] },
+	'tool': { 'name': 'code', 'title': 'Code (ctrl/cmd + shift + M)' }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/highlight', {
+	'view': {
+		'open': function( data ) {
+			return '<span class="es-contentView-format-textStyle-highlight"' + ( data && data.color ?
+				' style="background-color: ' + es.Html.escapeText( data.color ) + '"' : '' ) + '>';
+		},
+		'close': '</span>'
+	},
+	'html': {
+		'tag': 'mark',
+		'attributes': function( data ) {
+			// Without a color, the browser's default highlight color is used
+			return data.color ?
+				{ 'style': 'background-color: ' + es.Html.escapeText( data.color ) } : {};
+		}
+	},
+	'wikitext': {
+		// Wikitext has no highlight markup, so the color is set with a style
+		'tag': 'span',
+		'attributes': function( data ) {
+			return { 'style': 'background-color: ' + es.Html.escapeText( data.color || 'yellow' ) };
+		}
+	},
+	'import': {
+		'tags': ['mark', 'span'],
+		'test': function( element ) {
+			// Highlights are written as spans with a background color in wikitext, spans styled in
+			// any other way are something else
+			return element.nodeName.toLowerCase() === 'mark' ||
+				es.AnnotationRegistry.getHighlightColor( element.getAttribute( 'style' ) ) !== null;
+		},
+		'data': function( data ) {
+			// Leave the color out if there is none, so the default highlight color is used
+			var color = es.AnnotationRegistry.getHighlightColor( data['html/style'] ),
+				out = es.extendObject( {}, data );
+			if ( color !== null ) {
+				out.color = color;
+				delete out['html/style'];
+			}
+			return out;
+		}
+	},
+	'tool': {
+		'name': 'highlight',
+		'title': 'Highlight (ctrl/cmd + shift + H)',
+		'data': { 'color': 'yellow' }
+	}
+} );
+
+es.AnnotationRegistry.register( 'textStyle/big', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-big">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'big' },
+	'wikitext': { 'tag': 'big' },
+	'import': { 'tags': ['big'] }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/small', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-small">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'small' },
+	'wikitext': { 'tag': 'small' },
+	'import': { 'tags': ['small'] }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/superScript', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-superScript">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'sup' },
+	'wikitext': { 'tag': 'sup' },
+	'import': { 'tags': ['sup'] }
+} );
+
+es.AnnotationRegistry.register( 'textStyle/subScript', {
+	'view': {
+		'open': '<span class="es-contentView-format-textStyle-subScript">',
+		'close': '</span>'
+	},
+	'html': { 'tag': 'sub' },
+	'wikitext': { 'tag': 'sub' },
+	'import': { 'tags': ['sub'] }
+} );
+
+// Spans which are not highlights are kept, but have no rendering or serialization
+es.AnnotationRegistry.register( 'textStyle/span', {
+	'import': { 'tags': ['span'] }
+} );
+
+es.AnnotationRegistry.register( 'link/external', {
+	'view': {
+		'open': function( data ) {
+			return '<span class="es-contentView-format-link" data-href="' + data.href + '">';
+		},
+		'close': '</span>'
+	},
+	'html': {
+		'tag': 'a',
+		'attributes': function( data ) {
+			return { 'href': data.href };
+		}
+	},
+	'wikitext': {
+		'markup': function( data ) {
+			return ['[' + data.href + ' ', ']'];
+		}
+	},
+	'markdown': {
+		'markup': function( data ) {
+			return ['[', '](' + es.MarkdownSerializer.getUrl( data.href ) + ')'];
+		}
+	},
+	'import': {
+		'tags': ['a'],
+		'test': function( element ) {
+			return element.getAttribute( 'data-type' ) === 'external';
+		},
+		'data': function( data ) {
+			// The URL is taken from the href property, which is imported as the link's title
+			var out = { 'href': data.title };
+			for ( var key in data ) {
+				if ( key !== 'title' && key !== 'type' ) {
+					out[key] = data[key];
+				}
+			}
+			return out;
+		}
+	}
+} );
+
+es.AnnotationRegistry.register( 'link/internal', {
+	'view': {
+		'open': function( data ) {
+			return '<span class="es-contentView-format-link" data-title="wiki/' + data.title + '">';
+		},
+		'close': '</span>'
+	},
+	'html': {
+		'tag': 'a',
+		'attributes': function( data ) {
+			return { 'href': '/wiki/' + data.title };
+		}
+	},
+	'wikitext': {
+		'markup': function( data ) {
+			return ['[[' + data.title + '|', ']]'];
+		}
+	},
+	'markdown': {
+		'markup': function( data ) {
+			return ['[', '](' + es.MarkdownSerializer.getUrl( '/wiki/' + data.title ) + ')'];
+		}
+	},
+	'import': {
+		'tags': ['a'],
+		'test': function( element ) {
+			return element.getAttribute( 'data-type' ) === 'internal';
+		}
+	},
+	'tool': {
+		'name': 'link',
+		'title': 'Link (ctrl/cmd + K)',
+		'data': { 'title': '' },
+		'inspector': 'link'
+	}
+} );
+
+es.AnnotationRegistry.register( 'link/hashlink', {
+	'import': {
+		'tags': ['a'],
+		'test': function( element ) {
+			return element.getAttribute( 'data-type' ) === 'hashlink';
+		}
+	}
+} );
+
+// Links of any other kind, such as bare URLs
+es.AnnotationRegistry.register( 'link/unknown', {
+	'import': { 'tags': ['a'] }
+} );
+
+es.AnnotationRegistry.register( 'object/template', {
+	'view': {
+		'open': function( data ) {
+			return '<span class="es-contentView-format-object">' + ( data.html !== undefined ?
+				data.html : es.Html.escapeText( '{{' + ( data.title || '' ) + '}}' ) );
+		},
+		'close': '</span>'
+	},
+	'html': {
+		'replace': function( data ) {
+			return data.html || '';
+		}
+	},
+	'wikitext': {
+		'replace': function( data ) {
+			return es.WikitextSerializer.getTemplateCall( data );
+		}
+	},
+	'import': {
+		'tags': ['template'],
+		'data': function( data ) {
+			// Turn the target and args the tokenizer gives templates into a title and an ordered
+			// list of parameters, positional ones having no name
+			var out = {
+					'title': data.target || '',
+					'parameters': []
+				},
+				args = data.args || {},
+				position = 1,
+				value,
+				key;
+			function isToken( token ) {
+				return typeof token !== 'string';
+			}
+			for ( key in args ) {
+				if ( $.isArray( args[key] ) && $.grep( args[key], isToken ).length ) {
+					// XXX: Only plain text arguments are supported so far, so the args are kept as
+					// they are and the template can't be edited
+					return es.extendObject( { 'title': out.title }, data );
+				}
+			}
+			for ( key in args ) {
+				value = $.isArray( args[key] ) ? args[key].join( '' ) : args[key];
+				if ( key === String( position ) ) {
+					out.parameters.push( { 'value': String( value ) } );
+					position++;
+				} else {
+					out.parameters.push( { 'name': key, 'value': String( value ) } );
+				}
+			}
+			for ( key in data ) {
+				if ( key !== 'target' && key !== 'args' ) {
+					out[key] = data[key];
+				}
+			}
+			return out;
+		}
+	},
+	'tool': {
+		'name': 'template',
+		'title': 'Template',
+		'inspector': 'template'
+	}
+} );
+
+es.AnnotationRegistry.register( 'object/hook', {
+	'view': {
+		'open': function( data ) {
+			return '<span class="es-contentView-format-object">' + data.html;
+		},
+		'close': '</span>'
+	},
+	'html': {
+		'markup': function( data ) {
+			return [data.html, ''];
+		}
+	},
+	'import': { 'tags': ['ref'] }
+} );
+
+es.AnnotationRegistry.register( 'object/image', {
+	'view': {
+		'open': function( data ) {
+			var $image = data.src ?
+				$( '<img>' ).attr( { 'src': data.src, 'alt': data.alt || '' } ) :
+				$( '<span class="es-contentView-format-object-placeholder"></span>' )
+					.text( data.title || '' );
+			$image.css( {
+				'width': data.width ? data.width + 'px' : '',
+				'height': data.height ? data.height + 'px' : ''
+			} );
+			return '<span class="es-contentView-format-object es-contentView-format-object-image">' +
+				$( '<div></div>' ).append( $image ).html();
+		},
+		'close': '</span>'
+	},
+	'html': {
+		'replace': function( data ) {
+			return es.Html.makeTag( 'img', es.HtmlSerializer.getImageAttributes( data ), false );
+		}
+	},
+	'wikitext': {
+		'replace': function( data ) {
+			return es.WikitextSerializer.getImageLink( data );
+		}
+	},
+	'import': { 'tags': ['img'] }
+} );
+
+// XXX: Includeonly sections are imported, but not yet rendered or serialized
+es.AnnotationRegistry.register( 'object/includeonly', {
+	'import': { 'tags': ['includeonly'] }
+} );
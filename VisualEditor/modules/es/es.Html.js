@@ -26,6 +26,33 @@ es.Html = {
 	'makeClosingTag': function( name ) {
 		return '</' + name + '>';
 	},
+	/**
+	 * Gets HTML attributes of a table cell, from its html/* attributes and the number of rows and
+	 * columns it spans.
+	 * 
+	 * @param {Object} attributes Attributes of a tableCell or tableHeading node
+	 * @returns {Object|null} HTML attributes, or null if there are none
+	 */
+	'getCellAttributes': function( attributes ) {
+		var htmlAttributes = {},
+			count = 0,
+			keys = ['colspan', 'rowspan'],
+			key,
+			i;
+		for ( key in attributes ) {
+			if ( key.indexOf( 'html/' ) === 0 ) {
+				htmlAttributes[key.substr( 5 )] = attributes[key];
+				count++;
+			}
+		}
+		for ( i = 0; i < keys.length; i++ ) {
+			if ( attributes && attributes[keys[i]] > 1 ) {
+				htmlAttributes[keys[i]] = attributes[keys[i]];
+				count++;
+			}
+		}
+		return count ? htmlAttributes : null;
+	},
 	'makeTag': function( name, attributes, value, escape ) {
 		if ( value === false ) {
 			return '<' + name + es.Html.makeAttributeList( attributes, true ) + ' />';
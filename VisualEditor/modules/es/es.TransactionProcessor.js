@@ -10,6 +10,7 @@ es.TransactionProcessor = function( model, transaction ) {
 	this.cursor = 0;
 	this.set = [];
 	this.clear = [];
+	this.rebuildAll = false;
 };
 
 /* Static Members */
@@ -74,18 +75,494 @@ es.TransactionProcessor.rollback = function( doc, transaction ) {
 	tp.process( 'rollback' );
 };
 
+/**
+ * Checks if a transaction can be processed against a document, without modifying the document.
+ * 
+ * @static
+ * @method
+ * @param {es.DocumentModel} doc Document model to check transaction against
+ * @param {es.TransactionModel} transaction Transaction to check
+ * @param {String} [method='commit'] Method to check, either "commit" or "rollback"
+ * @returns {Object|null} Error object describing why the transaction can not be processed, or null
+ * if it can be processed, @see {es.TransactionProcessor.createError}
+ */
+es.TransactionProcessor.verify = function( doc, transaction, method ) {
+	var tp = new es.TransactionProcessor( doc, transaction );
+	return tp.verify( method || 'commit' );
+};
+
+/**
+ * Creates an error object describing why a transaction could not be processed.
+ * 
+ * Error objects are thrown by commit and rollback and returned by verify. They have the following
+ * properties, and convert to their message when used as a string:
+ *     type: Symbolic name of problem, either "invalidOperation", "outOfBounds", "dataMismatch",
+ *         "invalidElement", "annotationStack", "invalidStructure" or "processingFailed"
+ *     message: Human readable description of problem
+ *     method: Method the transaction was being processed with, either "commit" or "rollback"
+ *     operation: Index of the operation that caused the problem, or null if not caused by one
+ *     offset: Offset in the document data the problem occurred at, or null if not at one
+ *     errors: List of validation errors for "invalidStructure" problems,
+ *         @see {es.DocumentModel.checkData}
+ *     cause: Exception thrown while processing for "processingFailed" problems
+ * 
+ * @static
+ * @method
+ * @param {String} type Symbolic name of problem
+ * @param {String} message Human readable description of problem
+ * @param {Object} [properties] Additional properties of error
+ * @returns {Object} Error object
+ */
+es.TransactionProcessor.createError = function( type, message, properties ) {
+	return es.extendObject( {
+		'type': type,
+		'message': message,
+		'method': null,
+		'operation': null,
+		'offset': null,
+		'errors': [],
+		'cause': null,
+		'toString': function() {
+			return this.message;
+		}
+	}, properties || {} );
+};
+
+/**
+ * Gets a copy of data which processing a transaction won't modify.
+ * 
+ * Processing changes annotations of content and attributes of elements in place, so those are
+ * copied, while annotation objects and attribute values are shared with data.
+ * 
+ * @static
+ * @method
+ * @param {Array} data Data to copy
+ * @returns {Array} Copy of data
+ */
+es.TransactionProcessor.copyData = function( data ) {
+	var copy = [],
+		item;
+	for ( var i = 0; i < data.length; i++ ) {
+		item = data[i];
+		if ( es.isArray( item ) ) {
+			item = item.slice( 0 );
+		} else if ( item.type !== undefined ) {
+			item = es.extendObject( {}, item );
+			if ( item.attributes ) {
+				item.attributes = es.extendObject( {}, item.attributes );
+			}
+		}
+		copy.push( item );
+	}
+	return copy;
+};
+
 /* Methods */
 
+/**
+ * Gets the range of the document data which processing the transaction changes.
+ * 
+ * Operations outside of this range only retain data, so data outside of it is left untouched.
+ * 
+ * @method
+ * @param {String} method Method to use, either "commit" or "rollback"
+ * @returns {es.Range} Affected range of the document data before processing
+ */
+es.TransactionProcessor.prototype.getAffectedRange = function( method ) {
+	var operations = this.transaction.getOperations(),
+		offset = 0,
+		start = null,
+		end = 0,
+		type;
+	for ( var i = 0; i < operations.length; i++ ) {
+		type = operations[i].type;
+		if ( method === 'rollback' && ( type === 'insert' || type === 'remove' ) ) {
+			type = type === 'insert' ? 'remove' : 'insert';
+		}
+		if ( type === 'retain' ) {
+			offset += operations[i].length;
+			continue;
+		}
+		if ( start === null ) {
+			start = offset;
+		}
+		if ( type === 'remove' ) {
+			offset += operations[i].data.length;
+		}
+		// Attribute changes apply to the element after the offset
+		end = Math.max( end, type === 'attribute' ? offset + 1 : offset );
+	}
+	start = Math.min( start === null ? 0 : start, this.model.data.length );
+	return new es.Range( start, Math.min( Math.max( start, end ), this.model.data.length ) );
+};
+
+/**
+ * Processes the transaction, leaving the document unchanged if it fails.
+ * 
+ * The transaction is verified before anything is changed. If processing fails anyway, the data in
+ * the range the transaction affects is restored and the model tree is rebuilt. Once processed,
+ * markers on the document are moved to follow the changes,
+ * @see {es.DocumentModel.prototype.translateMarkers}, and a change event is emitted on the
+ * document, @see {es.TransactionProcessor.prototype.getChanges}
+ * 
+ * @method
+ * @param {String} method Method to use, either "commit" or "rollback"
+ * @throws {Object} Error object if the transaction can't be processed,
+ * @see {es.TransactionProcessor.createError}
+ * @emits change (changes, method) on the document
+ */
 es.TransactionProcessor.prototype.process = function( method ) {
-	var operations = this.transaction.getOperations();
-	for ( var i = 0, length = operations.length; i < length; i++ ) {
-		var operation = operations[i];
-		if ( operation.type in es.TransactionProcessor.operationMap ) {
-			es.TransactionProcessor.operationMap[operation.type][method].call( this, operation );
-		} else {
-			throw 'Invalid operation error. Operation type is not supported: ' + operation.type;
+	var operations = this.transaction.getOperations(),
+		error = this.verify( method ),
+		length = this.model.data.length,
+		changes,
+		range,
+		snapshot,
+		i;
+	if ( error ) {
+		throw error;
+	}
+	changes = this.getChanges( method );
+	range = this.getAffectedRange( method );
+	snapshot = es.TransactionProcessor.copyData( this.model.data.slice( range.start, range.end ) );
+	try {
+		for ( i = 0; i < operations.length; i++ ) {
+			es.TransactionProcessor.operationMap[operations[i].type][method].call(
+				this, operations[i]
+			);
+		}
+		if ( this.rebuildAll ) {
+			this.rebuildNodes( this.model.data, [this.model] );
+		}
+	} catch ( e ) {
+		// Data outside of the affected range is unchanged, but the length of the range may not be
+		this.restore( range.start, range.getLength() + this.model.data.length - length, snapshot );
+		throw es.TransactionProcessor.createError(
+			'processingFailed',
+			'Transaction processing error. Document was restored after an exception: ' + e,
+			{ 'method': method, 'operation': i, 'offset': this.cursor, 'cause': e }
+		);
+	}
+	this.model.translateMarkers( this.transaction, method === 'rollback' );
+	this.model.emit( 'change', changes, method );
+};
+
+/**
+ * Gets a list of records describing the changes processing the transaction will make.
+ * 
+ * Must be called before the transaction is processed, since the previous values of attributes are
+ * read from the document. Offsets and ranges are in the document as it will be after processing.
+ * Each record is an object with a type property and other properties depending on the type:
+ *     insert: offset, data
+ *     remove: offset, data
+ *     attribute: offset, key, from, to (from and to are undefined if the attribute is not set)
+ *     annotation: method, annotation, range (method is either "set" or "clear")
+ * 
+ * @method
+ * @param {String} method Method to describe, either "commit" or "rollback"
+ * @returns {Object[]} List of change records, in document order
+ */
+es.TransactionProcessor.prototype.getChanges = function( method ) {
+	var operations = method === 'rollback' ?
+			this.transaction.getInverse().getOperations() : this.transaction.getOperations(),
+		changes = [],
+		active = { 'set': [], 'clear': [] },
+		starts = { 'set': [], 'clear': [] },
+		source = 0,
+		target = 0,
+		element,
+		index,
+		op;
+	for ( var i = 0; i < operations.length; i++ ) {
+		op = operations[i];
+		if ( op.type === 'retain' ) {
+			source += op.length;
+			target += op.length;
+		} else if ( op.type === 'insert' ) {
+			changes.push( { 'type': 'insert', 'offset': target, 'data': op.data } );
+			target += op.data.length;
+		} else if ( op.type === 'remove' ) {
+			changes.push( { 'type': 'remove', 'offset': target, 'data': op.data } );
+			source += op.data.length;
+		} else if ( op.type === 'attribute' ) {
+			element = this.model.data[source];
+			changes.push( {
+				'type': 'attribute',
+				'offset': target,
+				'key': op.key,
+				'from': element.attributes ? element.attributes[op.key] : undefined,
+				'to': op.method === 'set' ? op.value : undefined
+			} );
+		} else if ( op.type === 'annotate' ) {
+			if ( op.bias === 'start' ) {
+				active[op.method].push( op.annotation );
+				starts[op.method].push( target );
+			} else {
+				index = es.TransactionModel.getIndexOfAnnotationKey(
+					active[op.method], op.annotation
+				);
+				changes.push( {
+					'type': 'annotation',
+					'method': op.method,
+					'annotation': op.annotation,
+					'range': new es.Range( starts[op.method][index], target )
+				} );
+				active[op.method].splice( index, 1 );
+				starts[op.method].splice( index, 1 );
+			}
+		}
+	}
+	return changes;
+};
+
+/**
+ * Checks if the transaction can be processed, without modifying the document.
+ * 
+ * The effect of each operation is simulated on a copy of the affected range of the document data,
+ * checking that operations stay within the data, removed data matches the data being removed,
+ * attributes are only changed on openings and annotations are stopped after being started. If any
+ * element data is inserted or removed, the result is also checked against
+ * es.DocumentModel.nodeRules, @see {es.TransactionProcessor.prototype.checkStructure}
+ * 
+ * @method
+ * @param {String} method Method to check, either "commit" or "rollback"
+ * @returns {Object|null} Error object describing why the transaction can not be processed, or null
+ * if it can be processed, @see {es.TransactionProcessor.createError}
+ */
+es.TransactionProcessor.prototype.verify = function( method ) {
+	var operations = this.transaction.getOperations(),
+		range = this.getAffectedRange( method ),
+		length = this.model.data.length,
+		// The affected data, with an item on each side to check for structural offsets
+		windowStart = Math.max( 0, range.start - 1 ),
+		windowEnd = Math.min( length, range.end + 1 ),
+		data = this.model.data.slice( windowStart, windowEnd ),
+		cursor = 0,
+		active = { 'set': [], 'clear': [] },
+		structural = false,
+		op,
+		type,
+		target,
+		index,
+		errors,
+		i,
+		j;
+
+	function fail( type, message, properties ) {
+		return es.TransactionProcessor.createError(
+			type,
+			'Invalid transaction error. ' + message,
+			es.extendObject( { 'method': method, 'operation': i, 'offset': cursor }, properties )
+		);
+	}
+
+	function isSame( a, b ) {
+		if ( a.type !== undefined || b.type !== undefined ) {
+			return a.type === b.type;
 		}
+		return ( typeof a === 'string' ? a : a[0] ) === ( typeof b === 'string' ? b : b[0] );
 	}
+
+	function isStructuralOffset( offset ) {
+		return offset === 0 || offset === length ||
+			es.DocumentModel.isStructuralOffset( data, offset - windowStart );
+	}
+
+	for ( i = 0; i < operations.length; i++ ) {
+		op = operations[i];
+		if ( !( op.type in es.TransactionProcessor.operationMap ) ) {
+			return fail( 'invalidOperation', 'Operation type is not supported: ' + op.type );
+		}
+		type = op.type;
+		if ( method === 'rollback' && ( type === 'insert' || type === 'remove' ) ) {
+			type = type === 'insert' ? 'remove' : 'insert';
+		}
+		switch ( type ) {
+			case 'retain':
+				if ( cursor + op.length > length ) {
+					return fail( 'outOfBounds', 'Can not retain past the end of the document.' );
+				}
+				cursor += op.length;
+				break;
+			case 'insert':
+				if (
+					es.DocumentModel.containsElementData( op.data ) || isStructuralOffset( cursor )
+				) {
+					structural = true;
+				}
+				es.insertIntoArray( data, cursor - windowStart, op.data );
+				cursor += op.data.length;
+				length += op.data.length;
+				break;
+			case 'remove':
+				if ( cursor + op.data.length > length ) {
+					return fail( 'outOfBounds', 'Can not remove past the end of the document.' );
+				}
+				for ( j = 0; j < op.data.length; j++ ) {
+					if ( !isSame( data[cursor - windowStart + j], op.data[j] ) ) {
+						return fail(
+							'dataMismatch',
+							'Data being removed does not match the document.',
+							{ 'offset': cursor + j }
+						);
+					}
+				}
+				if ( es.DocumentModel.containsElementData( op.data ) ) {
+					structural = true;
+				}
+				data.splice( cursor - windowStart, op.data.length );
+				length -= op.data.length;
+				break;
+			case 'attribute':
+				if (
+					cursor >= length ||
+					data[cursor - windowStart].type === undefined ||
+					data[cursor - windowStart].type.charAt( 0 ) === '/'
+				) {
+					return fail(
+						'invalidElement', 'Can not change attributes of non-opening data.'
+					);
+				}
+				break;
+			case 'annotate':
+				target = ( op.method === 'set' ) !== ( method === 'rollback' ) ?
+					active.set : active.clear;
+				if ( op.bias === 'start' ) {
+					target.push( op.annotation );
+				} else {
+					index = es.TransactionModel.getIndexOfAnnotationKey( target, op.annotation );
+					if ( index === -1 ) {
+						return fail(
+							'annotationStack', 'Annotation is stopped without being started.'
+						);
+					}
+					target.splice( index, 1 );
+				}
+				break;
+		}
+	}
+	if ( structural ) {
+		errors = this.checkStructure(
+			range,
+			data.slice( range.start - windowStart, data.length - ( windowEnd - range.end ) )
+		);
+		if ( errors.length ) {
+			return fail(
+				'invalidStructure',
+				'Result would not follow node rules. ' + errors[0].message + ' at index ' +
+					errors[0].offset,
+				{ 'operation': null, 'offset': errors[0].offset, 'errors': errors }
+			);
+		}
+	}
+	return null;
+};
+
+/**
+ * Checks the structure of the document around a range against es.DocumentModel.nodeRules, as it
+ * would be after replacing the range.
+ * 
+ * Rather than the whole document, only the children of the closest node containing the range and
+ * any elements the replacement opens or closes are checked, and only those children which overlap
+ * the range. Problems are only reported if that part of the document currently has none.
+ * 
+ * @method
+ * @param {es.Range} range Range of document data being replaced
+ * @param {Array} replacement Data replacing the range
+ * @returns {Object[]} List of error objects, @see {es.DocumentModel.checkData}, with offsets in
+ * the document data as it would be after replacing the range
+ */
+es.TransactionProcessor.prototype.checkStructure = function( range, replacement ) {
+	var data = this.model.data,
+		chain = [{ 'node': this.model, 'offset': 0 }],
+		node = this.model,
+		start = range.start,
+		end = range.end,
+		lift,
+		context,
+		children,
+		offset,
+		childEnd,
+		errors,
+		i;
+
+	function getLowestDepth( items, from, to ) {
+		var depth = 0,
+			lowest = 0;
+		for ( var i = from; i < to; i++ ) {
+			if ( items[i].type !== undefined ) {
+				depth += items[i].type.charAt( 0 ) === '/' ? -1 : 1;
+				lowest = Math.min( lowest, depth );
+			}
+		}
+		return lowest;
+	}
+
+	// Find the nodes containing the start of the range
+	descend:
+	while ( node.hasChildren() ) {
+		children = node.getChildren();
+		offset = chain[chain.length - 1].offset;
+		for ( i = 0; i < children.length; i++ ) {
+			childEnd = offset + children[i].getElementLength();
+			if ( range.start > offset && range.start < childEnd ) {
+				node = children[i];
+				chain.push( { 'node': node, 'offset': offset + 1 } );
+				continue descend;
+			}
+			offset = childEnd;
+		}
+		break;
+	}
+	// Closings in the range or the replacement move the check to the nodes being closed
+	lift = -Math.min(
+		getLowestDepth( data, range.start, range.end ),
+		getLowestDepth( replacement, 0, replacement.length )
+	);
+	context = chain[Math.max( 0, chain.length - 1 - lift )];
+	// Extend the range to whole children of the node
+	if ( context.node.hasChildren() ) {
+		children = context.node.getChildren();
+		offset = context.offset;
+		for ( i = 0; i < children.length && offset < range.end; i++ ) {
+			childEnd = offset + children[i].getElementLength();
+			if ( offset < range.start && childEnd > range.start ) {
+				start = offset;
+			}
+			if ( childEnd > range.end ) {
+				end = childEnd;
+			}
+			offset = childEnd;
+		}
+	}
+	errors = es.DocumentModel.validateData(
+		data.slice( start, range.start ).concat( replacement, data.slice( range.end, end ) ),
+		context.node.type
+	);
+	if (
+		!errors.length ||
+		es.DocumentModel.validateData( data.slice( start, end ), context.node.type ).length
+	) {
+		return [];
+	}
+	for ( i = 0; i < errors.length; i++ ) {
+		errors[i].offset += start;
+	}
+	return errors;
+};
+
+/**
+ * Replaces part of the data of the document and rebuilds the model tree from it.
+ * 
+ * @method
+ * @param {Integer} offset Offset of data to replace
+ * @param {Integer} length Length of data to replace
+ * @param {Array} data Data to restore
+ */
+es.TransactionProcessor.prototype.restore = function( offset, length, data ) {
+	this.model.data.splice( offset, length );
+	es.insertIntoArray( this.model.data, offset, data );
+	this.rebuildNodes( this.model.data, [this.model] );
 };
 
 // TODO: document this. Various arguments are optional or nonoptional in different cases, that's confusing
@@ -250,8 +727,31 @@ es.TransactionProcessor.prototype.applyAnnotations = function( to, update ) {
 	}
 };
 
+/**
+ * Checks if the model tree can't be kept in sync while inserting or removing data.
+ * 
+ * Inserting or removing unbalanced data between nodes, such as the openings of elements being
+ * wrapped around existing nodes, changes the structure in ways the model tree can't be updated to
+ * node by node. Once this happens, the rest of the transaction only changes the linear data and
+ * the model tree is rebuilt after processing.
+ * 
+ * @method
+ * @param {Object} op Insert or remove operation about to be processed
+ * @returns {Boolean} Whether the operation should only change the linear data
+ */
+es.TransactionProcessor.prototype.isUnsyncable = function( op ) {
+	if (
+		!this.rebuildAll &&
+		es.DocumentModel.isStructuralOffset( this.model.data, this.cursor ) &&
+		!es.DocumentModel.isBalancedData( op.data )
+	) {
+		this.rebuildAll = true;
+	}
+	return this.rebuildAll;
+};
+
 es.TransactionProcessor.prototype.retain = function( op ) {
-	this.applyAnnotations( this.cursor + op.length, true );
+	this.applyAnnotations( this.cursor + op.length, !this.rebuildAll );
 	this.cursor += op.length;
 };
 
@@ -260,14 +760,24 @@ es.TransactionProcessor.prototype.insert = function( op ) {
 		index,
 		offset;
 
+	if ( this.isUnsyncable( op ) ) {
+		es.insertIntoArray( this.model.data, this.cursor, op.data );
+		this.applyAnnotations( this.cursor + op.data.length );
+		this.cursor += op.data.length;
+		return;
+	}
+
 	if ( es.DocumentModel.isStructuralOffset( this.model.data, this.cursor ) && this.cursor != this.model.data.length ) {
-		// FIXME: This fails when inserting something like </list><list> between 2 list items
-		// @see test #30 in es.TransactionProcessor.test.js
 		es.insertIntoArray( this.model.data, this.cursor, op.data );
 		this.applyAnnotations( this.cursor + op.data.length );
 		node = this.model.getNodeFromOffset( this.cursor );
-		offset = this.model.getOffsetFromNode( node );
+		// Content of nodes other than the document starts after their opening element
+		offset = this.model.getOffsetFromNode( node ) + ( node === this.model ? 0 : 1 );
 		index = node.getIndexFromOffset( this.cursor - offset );
+		if ( index === -1 ) {
+			// Inserting after the last child
+			index = node.getChildren().length;
+		}
 		this.rebuildNodes( op.data, null, node, index );
 	} else {
 		node = this.model.getNodeFromOffset( this.cursor );
@@ -303,6 +813,10 @@ es.TransactionProcessor.prototype.insert = function( op ) {
 };
 
 es.TransactionProcessor.prototype.remove = function( op ) {
+	if ( this.isUnsyncable( op ) ) {
+		this.model.data.splice( this.cursor, op.data.length );
+		return;
+	}
 	if ( es.DocumentModel.containsElementData( op.data ) ) {
 		// Figure out which nodes are covered by the removal
 		var ranges = this.model.selectNodes( new es.Range( this.cursor, this.cursor + op.data.length ) );
@@ -424,13 +938,16 @@ es.TransactionProcessor.prototype.attribute = function( op, invert ) {
 	if ( element.type === undefined ) {
 		throw 'Invalid element error. Can not set attributes on non-element data.';
 	}
-	if ( ( op.method === 'set' && !invert ) || ( op.method === 'clear' && invert ) ) {
+	if ( invert ) {
+		op = es.TransactionModel.getInverseAttributeOperation( op );
+	}
+	if ( op.method === 'set' ) {
 		// Automatically initialize attributes object
 		if ( !element.attributes ) {
 			element.attributes = {};
 		}
 		element.attributes[op.key] = op.value;
-	} else if ( ( op.method === 'clear' && !invert ) || ( op.method === 'set' && invert ) ) {
+	} else if ( op.method === 'clear' ) {
 		if ( element.attributes ) {
 			delete element.attributes[op.key];
 		}
@@ -444,12 +961,19 @@ es.TransactionProcessor.prototype.attribute = function( op, invert ) {
 			delete element.attributes;
 		}
 	} else {
-		throw 'Invalid method error. Can not operate attributes this way: ' + method;
+		throw 'Invalid method error. Can not operate attributes this way: ' + op.method;
+	}
+	if ( this.rebuildAll ) {
+		return;
 	}
 	var node = this.model.getNodeFromOffset( this.cursor + 1 );
-	node.traverseLeafNodes( function( leafNode ) {
-		leafNode.emit( 'update' );
-	} );
+	if ( node.hasChildren() ) {
+		node.traverseLeafNodes( function( leafNode ) {
+			leafNode.emit( 'update' );
+		} );
+	} else {
+		node.emit( 'update' );
+	}
 };
 
 es.TransactionProcessor.prototype.mark = function( op, invert ) {
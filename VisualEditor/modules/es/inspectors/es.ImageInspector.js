@@ -0,0 +1,177 @@
+/**
+ * Creates an es.ImageInspector object.
+ * 
+ * Edits the image the selection is in, which may be an image node or an image within content. If
+ * the selection isn't in an image, a new image node is inserted after the node it's in.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.Inspector}
+ * @param {es.ToolbarView} toolbar
+ * @param {es.ContextView} context
+ */
+es.ImageInspector = function( toolbar, context ) {
+	// Inheritance
+	es.Inspector.call( this, toolbar, context );
+
+	// Properties
+	this.$.prepend( '<div class="es-inspector-title">Edit image</div>' );
+	this.$titleInput = this.addField( 'File :' );
+	this.$captionInput = this.addField( 'Caption :' );
+	this.$altInput = this.addField( 'Alt text :' );
+	this.$widthInput = this.addField( 'Width :' );
+	this.$heightInput = this.addField( 'Height :' );
+	this.$alignInput = this.addField(
+		'Alignment :',
+		$( '<select></select>' ).append(
+			'<option value="">Default</option>' +
+			'<option value="left">Left</option>' +
+			'<option value="center">Center</option>' +
+			'<option value="right">Right</option>' +
+			'<option value="none">None</option>'
+		)
+	);
+	this.$formatInput = this.addField(
+		'Format :',
+		$( '<select></select>' ).append(
+			'<option value="">Default</option>' +
+			'<option value="thumb">Thumbnail</option>' +
+			'<option value="frame">Frame</option>' +
+			'<option value="frameless">Frameless</option>'
+		)
+	);
+	this.image = null;
+};
+
+/* Methods */
+
+/**
+ * Adds a labeled field to the form.
+ * 
+ * @method
+ * @param {String} label Text of the label
+ * @param {jQuery} [$input=$( '<input type="text">' )] Field to add
+ * @returns {jQuery} Field that was added
+ */
+es.ImageInspector.prototype.addField = function( label, $input ) {
+	$( '<label></label>' ).text( label ).appendTo( this.$form );
+	return ( $input || $( '<input type="text">' ) ).appendTo( this.$form );
+};
+
+/**
+ * Gets the image the selection is in.
+ * 
+ * @method
+ * @returns {Object|null} Object with an attributes property containing the attributes of the image,
+ * a caption property containing its caption and a range property containing the range of data it
+ * covers. Image nodes also have a node property, and images within content an annotation property.
+ * Null is returned if the selection isn't in an image.
+ */
+es.ImageInspector.prototype.getImage = function() {
+	var doc = this.context.getSurfaceView().getModel().getDocument(),
+		selection = this.context.getSurfaceView().currentSelection.clone(),
+		node = doc.getNodeFromOffset( selection.to ),
+		annotations,
+		offsets,
+		offset,
+		i;
+	selection.normalize();
+	offsets = [selection.start, selection.start - 1];
+	if ( node && node.getElementType() === 'image' ) {
+		offset = doc.getOffsetFromNode( node );
+		return {
+			'node': node,
+			'attributes': node.getElement().attributes || {},
+			'caption': node.getContentText(),
+			'range': new es.Range( offset, offset + node.getElementLength() )
+		};
+	}
+	for ( i = 0; i < offsets.length; i++ ) {
+		if ( offsets[i] >= 0 && es.isArray( doc.data[offsets[i]] ) ) {
+			annotations = es.DocumentModel.getMatchingAnnotations(
+				doc.data[offsets[i]], /object\/image/
+			);
+			if ( annotations.length ) {
+				return {
+					'annotation': annotations[0],
+					'attributes': annotations[0].data || {},
+					'caption': '',
+					'range': new es.Range( offsets[i], offsets[i] + 1 )
+				};
+			}
+		}
+	}
+	return null;
+};
+
+es.ImageInspector.prototype.onOpen = function() {
+	var attributes;
+	this.image = this.getImage();
+	attributes = this.image ? this.image.attributes : {};
+	this.$titleInput.val( attributes.title || '' );
+	this.$captionInput
+		.val( this.image ? this.image.caption : '' )
+		.toggle( !this.image || !this.image.annotation );
+	this.$captionInput.prev( 'label' ).toggle( !this.image || !this.image.annotation );
+	this.$altInput.val( attributes.alt || '' );
+	this.$widthInput.val( attributes.width || '' );
+	this.$heightInput.val( attributes.height || '' );
+	this.$alignInput.val( attributes.align || '' );
+	this.$formatInput.val( attributes.format || '' );
+	var _this = this;
+	setTimeout( function() {
+		_this.$titleInput.focus().select();
+	}, 0 );
+};
+
+es.ImageInspector.prototype.onClose = function( accept ) {
+	var surfaceModel = this.context.getSurfaceView().getModel(),
+		doc = surfaceModel.getDocument(),
+		image = this.image,
+		attributes = es.extendObject( {}, image ? image.attributes : {} ),
+		values = {
+			'title': this.$titleInput.val(),
+			'alt': this.$altInput.val(),
+			'width': parseInt( this.$widthInput.val(), 10 ),
+			'height': parseInt( this.$heightInput.val(), 10 ),
+			'align': this.$alignInput.val(),
+			'format': this.$formatInput.val()
+		},
+		caption = this.$captionInput.val(),
+		node,
+		key;
+	this.image = null;
+	if ( !accept || !values.title ) {
+		return;
+	}
+	for ( key in values ) {
+		if ( values[key] ) {
+			attributes[key] = values[key];
+		} else {
+			delete attributes[key];
+		}
+	}
+	if ( !image ) {
+		// Insert a new image after the node the selection is in
+		node = doc.getNodeFromOffset( this.context.getSurfaceView().currentSelection.to );
+		while ( node.getParent() && node.getParent() !== doc ) {
+			node = node.getParent();
+		}
+		surfaceModel.transact( doc.prepareInsertion(
+			node === doc ? doc.getContentLength() :
+				doc.getOffsetFromNode( node ) + node.getElementLength(),
+			es.ImageModel.getNewData( attributes, caption )
+		) );
+	} else if ( image.node ) {
+		surfaceModel.transact( image.node.prepareChange( attributes, caption ) );
+	} else {
+		surfaceModel.transact( doc.prepareAnnotationReplacement(
+			image.range, image.annotation, { 'type': 'object/image', 'data': attributes }
+		) );
+	}
+	surfaceModel.breakpoint();
+};
+
+/* Inheritance */
+
+es.extendClass( es.ImageInspector, es.Inspector );
@@ -0,0 +1,341 @@
+/**
+ * Creates an es.TemplateInspector object.
+ * 
+ * Edits the title and parameters of the template the selection is in. If the selection isn't in a
+ * template, a new one is inserted at the end of the selection. Templates are object/template
+ * annotations whose data has a title, a list of parameters each with a value and optionally a name,
+ * and the HTML of a rendered preview, which is given by the template provider.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.Inspector}
+ * @param {es.ToolbarView} toolbar
+ * @param {es.ContextView} context
+ */
+es.TemplateInspector = function( toolbar, context ) {
+	// Inheritance
+	es.Inspector.call( this, toolbar, context );
+
+	// Properties
+	this.$.prepend( '<div class="es-inspector-title">Edit template</div>' );
+	this.$titleLabel = $( '<label>Template :</label>' ).appendTo( this.$form );
+	this.$titleInput = $( '<input type="text">' ).appendTo( this.$form );
+	this.$parameters = $( '<div class="es-templateInspector-parameters"></div>' )
+		.appendTo( this.$form );
+	this.$addButton = $( '<div class="es-templateInspector-addButton">Add parameter</div>' )
+		.appendTo( this.$form );
+	this.$preview = $( '<div class="es-templateInspector-preview"></div>' ).appendTo( this.$ );
+	this.provider = es.TemplateInspector.provider;
+	this.template = null;
+
+	// Events
+	var _this = this;
+	this.$titleInput.change( function() {
+		_this.loadParameters();
+		_this.loadPreview();
+	} );
+	this.$parameters.delegate( 'input', 'change', function() {
+		_this.loadPreview();
+	} );
+	this.$parameters.delegate( '.es-templateInspector-removeButton', 'click', function() {
+		$( this ).closest( '.es-templateInspector-parameter' ).remove();
+		_this.loadPreview();
+	} );
+	this.$addButton.click( function() {
+		_this.addParameter( {} ).find( 'input:first' ).focus();
+	} );
+};
+
+/* Static Members */
+
+/**
+ * Template provider used by new template inspectors.
+ * 
+ * Replace this with an instance of a subclass of es.TemplateProvider to get parameter descriptions
+ * and previews from somewhere else.
+ * 
+ * @static
+ * @member
+ */
+es.TemplateInspector.provider = new es.TemplateProvider();
+
+/**
+ * Number of markers set so far, used to give each template waiting for its preview a marker name.
+ * 
+ * @static
+ * @member
+ */
+es.TemplateInspector.markerCount = 0;
+
+/* Static Methods */
+
+/**
+ * Checks if a template can be edited.
+ * 
+ * Templates imported with arguments containing more than plain text keep the arguments from the
+ * tokenizer instead of having a list of parameters, and can't be edited yet.
+ * 
+ * @static
+ * @method
+ * @param {Object} data Data of an object/template annotation
+ * @returns {Boolean} Template can be edited
+ */
+es.TemplateInspector.isEditable = function( data ) {
+	return data.args === undefined;
+};
+
+/**
+ * Gets the parameters to show for a template.
+ * 
+ * Parameters of the template are listed first, followed by parameters which are described by the
+ * template provider but aren't given yet, which are marked as documented and have empty values.
+ * 
+ * @static
+ * @method
+ * @param {Object[]} parameters Parameters of the template, each with a value and optionally a name
+ * @param {Object[]} descriptions Parameter descriptions from a template provider
+ * @returns {Object[]} List of parameters, each with a name, value, label, description, required
+ * and documented property
+ */
+es.TemplateInspector.getParameterList = function( parameters, descriptions ) {
+	var list = [],
+		names = {},
+		position = 0,
+		description,
+		name,
+		key,
+		i;
+	for ( i = 0; i < descriptions.length; i++ ) {
+		names[descriptions[i].name] = descriptions[i];
+	}
+	for ( i = 0; i < parameters.length; i++ ) {
+		name = parameters[i].name || '';
+		// Positional parameters are described by their position
+		key = name || String( ++position );
+		description = key in names ? names[key] : {};
+		list.push( {
+			'name': name,
+			'value': parameters[i].value || '',
+			'label': description.label || '',
+			'description': description.description || '',
+			'required': !!description.required,
+			'documented': false
+		} );
+		delete names[key];
+	}
+	for ( i = 0; i < descriptions.length; i++ ) {
+		if ( descriptions[i].name in names ) {
+			list.push( {
+				'name': descriptions[i].name,
+				'value': '',
+				'label': descriptions[i].label || '',
+				'description': descriptions[i].description || '',
+				'required': !!descriptions[i].required,
+				'documented': true
+			} );
+		}
+	}
+	return list;
+};
+
+/**
+ * Creates an object/template annotation, getting a rendered preview from a template provider.
+ * 
+ * @static
+ * @method
+ * @param {Object} data Template data, with a title and parameters
+ * @param {es.TemplateProvider} provider Template provider to get the preview from
+ * @param {Function} callback Function to call with the annotation
+ */
+es.TemplateInspector.getAnnotation = function( data, provider, callback ) {
+	provider.getPreview( data, function( html ) {
+		var annotation = {
+			'type': 'object/template',
+			'data': {
+				'title': data.title,
+				'parameters': es.extendObject( true, [], data.parameters || [] ),
+				'html': html || ''
+			}
+		};
+		annotation.hash = es.DocumentModel.getHash( annotation );
+		callback( annotation );
+	} );
+};
+
+/* Methods */
+
+/**
+ * Gets the template the selection is in.
+ * 
+ * @method
+ * @returns {Object|null} Object with an annotation property containing the template's annotation
+ * and a range property containing the range of content it covers, or null if the selection isn't in
+ * a template
+ */
+es.TemplateInspector.prototype.getTemplate = function() {
+	var doc = this.context.getSurfaceView().getModel().getDocument(),
+		selection = this.context.getSurfaceView().currentSelection.clone(),
+		annotations,
+		range;
+	selection.normalize();
+	if ( !es.isArray( doc.data[selection.start] ) ) {
+		return null;
+	}
+	annotations = es.DocumentModel.getMatchingAnnotations(
+		doc.data[selection.start], /object\/template/
+	);
+	if ( !annotations.length ) {
+		return null;
+	}
+	range = doc.getAnnotationBoundaries( selection.start, annotations[0] );
+	return { 'annotation': annotations[0], 'range': range };
+};
+
+/**
+ * Adds a parameter to the form.
+ * 
+ * @method
+ * @param {Object} parameter Parameter to add, @see {es.TemplateInspector.getParameterList}
+ * @returns {jQuery} Row of the form the parameter was added in
+ */
+es.TemplateInspector.prototype.addParameter = function( parameter ) {
+	var $row = $( '<div class="es-templateInspector-parameter"></div>' )
+		.data( 'documented', !!parameter.documented )
+		.toggleClass( 'es-templateInspector-parameter-required', !!parameter.required )
+		.attr( 'title', parameter.description || '' );
+	$( '<input type="text" class="es-templateInspector-name">' )
+		.val( parameter.name || '' )
+		.attr( 'placeholder', parameter.label || 'Unnamed' )
+		.appendTo( $row );
+	$( '<input type="text" class="es-templateInspector-value">' )
+		.val( parameter.value || '' )
+		.appendTo( $row );
+	$( '<div class="es-templateInspector-removeButton"></div>' ).appendTo( $row );
+	return $row.appendTo( this.$parameters );
+};
+
+/**
+ * Gets the parameters in the form.
+ * 
+ * Empty parameters are skipped, as are documented parameters which weren't given a value.
+ * 
+ * @method
+ * @returns {Object[]} List of parameters, each with a value and, unless positional, a name
+ */
+es.TemplateInspector.prototype.getParameters = function() {
+	var parameters = [];
+	this.$parameters.find( '.es-templateInspector-parameter' ).each( function() {
+		var $row = $( this ),
+			name = $.trim( $row.find( '.es-templateInspector-name' ).val() ),
+			value = $row.find( '.es-templateInspector-value' ).val();
+		if ( value || ( name && !$row.data( 'documented' ) ) ) {
+			parameters.push( name ? { 'name': name, 'value': value } : { 'value': value } );
+		}
+	} );
+	return parameters;
+};
+
+/**
+ * Adds the parameters the template provider describes for the template to the form.
+ * 
+ * @method
+ */
+es.TemplateInspector.prototype.loadParameters = function() {
+	var title = this.$titleInput.val(),
+		_this = this;
+	this.$parameters.find( '.es-templateInspector-parameter' ).filter( function() {
+		return $( this ).data( 'documented' ) &&
+			!$( this ).find( '.es-templateInspector-value' ).val();
+	} ).remove();
+	this.provider.getParameters( title, function( descriptions ) {
+		var list = es.TemplateInspector.getParameterList( _this.getParameters(), descriptions );
+		if ( _this.$titleInput.val() !== title ) {
+			// The title was changed again while waiting
+			return;
+		}
+		_this.$parameters.empty();
+		for ( var i = 0; i < list.length; i++ ) {
+			_this.addParameter( list[i] );
+		}
+	} );
+};
+
+/**
+ * Shows a rendered preview of the template in the form.
+ * 
+ * @method
+ */
+es.TemplateInspector.prototype.loadPreview = function() {
+	var data = { 'title': this.$titleInput.val(), 'parameters': this.getParameters() },
+		_this = this;
+	if ( !data.title ) {
+		this.$preview.empty();
+		return;
+	}
+	this.provider.getPreview( data, function( html ) {
+		if ( _this.$titleInput.val() === data.title ) {
+			_this.$preview.html( html || '' );
+		}
+	} );
+};
+
+es.TemplateInspector.prototype.onOpen = function() {
+	var data;
+	this.template = this.getTemplate();
+	data = this.template ? this.template.annotation.data || {} : {};
+	this.$acceptButton.toggleClass(
+		'es-inspector-button-disabled', !es.TemplateInspector.isEditable( data )
+	);
+	this.$titleInput.val( data.title || '' );
+	this.$parameters.empty();
+	this.$preview.html( data.html || '' );
+	for ( var i = 0; data.parameters && i < data.parameters.length; i++ ) {
+		this.addParameter( data.parameters[i] );
+	}
+	this.loadParameters();
+	var _this = this;
+	setTimeout( function() {
+		_this.$titleInput.focus().select();
+	}, 0 );
+};
+
+es.TemplateInspector.prototype.onClose = function( accept ) {
+	var surfaceModel = this.context.getSurfaceView().getModel(),
+		doc = surfaceModel.getDocument(),
+		selection = this.context.getSurfaceView().currentSelection.clone(),
+		template = this.template,
+		data = { 'title': $.trim( this.$titleInput.val() ), 'parameters': this.getParameters() },
+		marker = 'template-' + ( es.TemplateInspector.markerCount++ );
+	selection.normalize();
+	this.template = null;
+	if (
+		!accept || !data.title ||
+		( template && !es.TemplateInspector.isEditable( template.annotation.data || {} ) )
+	) {
+		return;
+	}
+	// The document can change while the preview is loading, so the range to write to is kept as a
+	// marker, which follows those changes
+	doc.setMarker( marker, template ? template.range : new es.Range( selection.end ), 'template' );
+	es.TemplateInspector.getAnnotation( data, this.provider, function( annotation ) {
+		var range = doc.getMarker( marker );
+		doc.removeMarker( marker );
+		if ( template ) {
+			if ( !range.getLength() ) {
+				// The template was removed in the meantime
+				return;
+			}
+			surfaceModel.transact(
+				doc.prepareAnnotationReplacement( range, template.annotation, annotation )
+			);
+		} else {
+			// Insert a placeholder character carrying the new template
+			surfaceModel.transact( doc.prepareInsertion( range.end, [[' ', annotation]] ) );
+		}
+		surfaceModel.breakpoint();
+	} );
+};
+
+/* Inheritance */
+
+es.extendClass( es.TemplateInspector, es.Inspector );
@@ -0,0 +1,38 @@
+/**
+ * Creates an es.BlockquoteModel object.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentModelBranchNode}
+ * @param {Object} element Document data element of this node
+ * @param {es.DocumentModelNode[]} contents List of child nodes to initially add
+ */
+es.BlockquoteModel = function( element, contents ) {
+	// Inheritance
+	es.DocumentModelBranchNode.call( this, 'blockquote', element, contents );
+};
+
+/* Methods */
+
+/**
+ * Creates a blockquote view for this model.
+ * 
+ * @method
+ * @returns {es.BlockquoteView}
+ */
+es.BlockquoteModel.prototype.createView = function() {
+	return new es.BlockquoteView( this );
+};
+
+/* Registration */
+
+es.DocumentModel.nodeModels.blockquote = es.BlockquoteModel;
+
+es.DocumentModel.nodeRules.blockquote = {
+	'parents': null,
+	'children': null
+};
+
+/* Inheritance */
+
+es.extendClass( es.BlockquoteModel, es.DocumentModelBranchNode );
@@ -0,0 +1,43 @@
+/**
+ * Creates an es.CommentModel object.
+ * 
+ * The text of the comment is kept in the text attribute of its element.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentModelLeafNode}
+ * @param {Object} element Document data element of this node
+ * @param {Integer} length Length of document data element
+ */
+es.CommentModel = function( element, length ) {
+	// Inheritance
+	es.DocumentModelLeafNode.call( this, 'comment', element, length );
+};
+
+/* Methods */
+
+/**
+ * Creates a comment view for this model.
+ * 
+ * @method
+ * @returns {es.CommentView}
+ */
+es.CommentModel.prototype.createView = function() {
+	return new es.CommentView( this );
+};
+
+/* Registration */
+
+es.DocumentModel.nodeModels.comment = es.CommentModel;
+
+es.DocumentModel.nodeRules.comment = {
+	'parents': null,
+	'children': [],
+	'atomic': true
+};
+
+es.DocumentModel.nodeProperties.comment = ['text'];
+
+/* Inheritance */
+
+es.extendClass( es.CommentModel, es.DocumentModelLeafNode );
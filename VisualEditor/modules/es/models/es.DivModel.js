@@ -0,0 +1,42 @@
+/**
+ * Creates an es.DivModel object.
+ * 
+ * Divs are generic containers, for content which is grouped in the source document but has no
+ * meaning of its own to the editor. They keep the attributes of the element they came from as
+ * html/* attributes.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentModelBranchNode}
+ * @param {Object} element Document data element of this node
+ * @param {es.DocumentModelNode[]} contents List of child nodes to initially add
+ */
+es.DivModel = function( element, contents ) {
+	// Inheritance
+	es.DocumentModelBranchNode.call( this, 'div', element, contents );
+};
+
+/* Methods */
+
+/**
+ * Creates a div view for this model.
+ * 
+ * @method
+ * @returns {es.DivView}
+ */
+es.DivModel.prototype.createView = function() {
+	return new es.DivView( this );
+};
+
+/* Registration */
+
+es.DocumentModel.nodeModels.div = es.DivModel;
+
+es.DocumentModel.nodeRules.div = {
+	'parents': null,
+	'children': null
+};
+
+/* Inheritance */
+
+es.extendClass( es.DivModel, es.DocumentModelBranchNode );
@@ -7,7 +7,9 @@
  * @class
  * @constructor
  * @extends {es.DocumentModelBranchNode}
- * @param {Array} data Model data to initialize with, such as data from es.DocumentModel.getData()
+ * @param {Array} data Model data to initialize with, such as data from es.DocumentModel.getData(),
+ * elements in which are given ids if they don't have unique ones already, and which is replaced
+ * with a repaired copy if it doesn't follow the nesting rules, @see {es.DocumentModel.checkData}
  * @param {Object} attributes Document attributes
  */
 es.DocumentModel = function( data, attributes ) {
@@ -16,7 +18,14 @@ es.DocumentModel = function( data, attributes ) {
 
 	// Properties
 	this.data = es.isArray( data ) ? data : [];
+	var check = es.DocumentModel.checkData( this.data );
+	if ( check.errors.length ) {
+		this.data = check.data;
+	}
 	this.attributes = es.isPlainObject( attributes ) ? attributes : {};
+	this.markers = {};
+	this.idCounter = 0;
+	this.assignIds( this.data, {} );
 
 	// Auto-generate model tree
 	var nodes = es.DocumentModel.createNodesFromData( this.data );
@@ -39,6 +48,8 @@ es.DocumentModel.nodeModels = {};
  *     parents and children properties may contain one of two possible values:
  *         {Array} List symbolic names of allowed element types (if empty, none will be allowed)
  *         {Null} Any element type is allowed (as long as the other element also allows it)
+ *     atomic property is optional, if true the element must have no content and offsets inside it
+ *     can't be selected, so it can only be inserted or removed as a whole
  * 
  * @example Paragraph rules
  *     {
@@ -68,6 +79,17 @@ es.DocumentModel.nodeRules = {
 	}
 };
 
+/**
+ * Mapping of symbolic names and lists of properties kept in element attributes.
+ * 
+ * In older WikiDom, nodes of some types have these properties on the node itself rather than in
+ * its attributes, such as the text of a comment. Plain objects in either form can be loaded.
+ * 
+ * @example Comment properties
+ *     ['text']
+ */
+es.DocumentModel.nodeProperties = {};
+
 /* Static Methods */
 
 /*
@@ -384,11 +406,23 @@ es.DocumentModel.flattenPlainObjectContentNode = function( obj ) {
  */
 es.DocumentModel.flattenPlainObjectElementNode = function( obj ) {
 	var i,
+		properties,
 		data = [],
 		element = { 'type': obj.type };
+	if ( obj.id !== undefined ) {
+		element.id = obj.id;
+	}
 	if ( es.isPlainObject( obj.attributes ) ) {
 		element.attributes = es.copyObject( obj.attributes );
 	}
+	properties = es.DocumentModel.nodeProperties[obj.type] || [];
+	for ( i = 0; i < properties.length; i++ ) {
+		if ( obj[properties[i]] !== undefined && !( element.attributes &&
+				element.attributes[properties[i]] !== undefined ) ) {
+			element.attributes = element.attributes || {};
+			element.attributes[properties[i]] = obj[properties[i]];
+		}
+	}
 	// Open element
 	data.push( element );
 	if ( es.isPlainObject( obj.content ) ) {
@@ -406,6 +440,22 @@ es.DocumentModel.flattenPlainObjectElementNode = function( obj ) {
 	return data;
 };
 
+/**
+ * Gets a property of a plain node object, such as the text of a comment.
+ * 
+ * Properties listed in es.DocumentModel.nodeProperties are kept in the attributes of the node, but
+ * are looked for on the node itself if the attributes don't have them.
+ * 
+ * @static
+ * @method
+ * @param {Object} obj Plain node object to get property of
+ * @param {String} key Name of property, such as "name" for a parameter
+ * @returns {Mixed} Value of property, or undefined if the node has no such property
+ */
+es.DocumentModel.getNodeProperty = function( obj, key ) {
+	return obj.attributes && obj.attributes[key] !== undefined ? obj.attributes[key] : obj[key];
+};
+
 /**
  * Get a plain object representation of content data.
  * 
@@ -560,6 +610,48 @@ es.DocumentModel.isStructuralOffset = function( data, offset ) {
 	return false;
 };
 
+/**
+ * Checks if an offset within given data is inside an atomic element.
+ * 
+ * @example Atomic offsets:
+ *      <paragraph> a b c </paragraph> <comment> </comment> <paragraph> d </paragraph>
+ *                                              ^
+ * 
+ * @static
+ * @method
+ * @param {Array} data Data to evaluate offset within
+ * @param {Integer} offset Offset to check
+ * @returns {Boolean} Whether offset is inside an atomic element or not
+ */
+es.DocumentModel.isAtomicOffset = function( data, offset ) {
+	var element = data[offset - 1];
+	return offset > 0 && offset < data.length &&
+		element.type !== undefined && element.type in es.DocumentModel.nodeRules &&
+		!!es.DocumentModel.nodeRules[element.type].atomic &&
+		data[offset].type === '/' + element.type;
+};
+
+/**
+ * Checks if every element opened within data is also closed within it, and the other way around.
+ * 
+ * @static
+ * @method
+ * @param {Array} data Data to check
+ * @returns {Boolean} If elements in data are balanced
+ */
+es.DocumentModel.isBalancedData = function( data ) {
+	var depth = 0;
+	for ( var i = 0; i < data.length; i++ ) {
+		if ( data[i].type !== undefined ) {
+			depth += data[i].type.charAt( 0 ) === '/' ? -1 : 1;
+			if ( depth < 0 ) {
+				return false;
+			}
+		}
+	}
+	return depth === 0;
+};
+
 /**
  * Checks if elements are present within data.
  * 
@@ -577,218 +669,911 @@ es.DocumentModel.containsElementData = function( data ) {
 	return false;
 };
 
-/* Methods */
-
 /**
- * Creates a document view for this model.
+ * Checks if an element type is allowed to be a child of another element type.
  * 
+ * @static
  * @method
- * @returns {es.DocumentView}
+ * @param {String} parentType Symbolic name of parent element type
+ * @param {String} childType Symbolic name of child element type
+ * @returns {Boolean} Child type is registered and allowed in the parent type
  */
-es.DocumentModel.prototype.createView = function() {
-	return new es.DocumentView( this );
+es.DocumentModel.isAllowedChild = function( parentType, childType ) {
+	var parentRules = es.DocumentModel.nodeRules[parentType],
+		childRules = es.DocumentModel.nodeRules[childType];
+	return !!parentRules && !!childRules && childType in es.DocumentModel.nodeModels &&
+		( parentRules.children === null || es.inArray( childType, parentRules.children ) !== -1 ) &&
+		( childRules.parents === null || es.inArray( parentType, childRules.parents ) !== -1 );
 };
 
 /**
- * Gets copy of the document data.
+ * Checks if an element type can contain content data.
  * 
+ * Element types which don't allow any child elements, such as paragraphs, contain content.
+ * 
+ * @static
  * @method
- * @param {es.Range} [range] Range of data to get, all data will be given by default
- * @param {Boolean} [deep=false] Whether to return a deep copy (WARNING! This may be very slow)
- * @returns {Array} Copy of document data
+ * @param {String} type Symbolic name of element type
+ * @returns {Boolean} Element type can contain content data
  */
-es.DocumentModel.prototype.getData = function( range, deep ) {
-	var start = 0,
-		end;
-	if ( range !== undefined ) {
-		range.normalize();
-		start = Math.max( 0, Math.min( this.data.length, range.start ) );
-		end = Math.max( 0, Math.min( this.data.length, range.end ) );
-	}
-	// Work around IE bug: arr.slice( 0, undefined ) returns [] while arr.slice( 0 ) behaves
-	// correctly
-	var data = end === undefined ? this.data.slice( start ) : this.data.slice( start, end );
-	return deep ? es.copyArray( data ) : data;
+es.DocumentModel.isContentType = function( type ) {
+	var rules = es.DocumentModel.nodeRules[type];
+	return !!rules && es.isArray( rules.children ) && rules.children.length === 0;
 };
 
 /**
- * Gets the element object of a node.
+ * Gets the shortest list of element types a child must be wrapped in to be allowed in a parent.
  * 
+ * @static
  * @method
- * @param {es.DocumentModelNode} node Node to get element object for
- * @returns {Object|null} Element object
+ * @param {String} parentType Symbolic name of parent element type
+ * @param {String} childType Symbolic name of child element type
+ * @returns {String[]|null} Symbolic names of wrapping element types, outermost first, an empty
+ * array if the child is allowed in the parent as is or null if no wrapping makes it allowed
  */
-es.DocumentModel.prototype.getElementFromNode = function( node ) {
-	var offset = this.getOffsetFromNode( node );
-	if ( offset !== false ) {
-		return this.data[offset];
+es.DocumentModel.getWrapping = function( parentType, childType ) {
+	var queue = [[]],
+		seen = {},
+		wrapping,
+		outer,
+		type;
+	while ( queue.length ) {
+		wrapping = queue.shift();
+		outer = wrapping.length ? wrapping[wrapping.length - 1] : parentType;
+		if ( es.DocumentModel.isAllowedChild( outer, childType ) ) {
+			return wrapping;
+		}
+		for ( type in es.DocumentModel.nodeRules ) {
+			if ( !seen[type] && es.DocumentModel.isAllowedChild( outer, type ) ) {
+				seen[type] = true;
+				queue.push( wrapping.concat( [type] ) );
+			}
+		}
 	}
 	return null;
 };
 
 /**
- * Gets the element data of a node.
+ * Checks data against the nesting rules in es.DocumentModel.nodeRules and repairs it.
+ * 
+ * Problems are repaired by removing closings which have no matching opening, adding missing
+ * closings, wrapping elements and content in elements which make them allowed where they are and
+ * unwrapping elements which can not be made allowed. Content which can not be wrapped is removed.
  * 
+ * Each problem is described by an error object with the following properties:
+ *     type: Symbolic name of problem, either "unknownElement", "unexpectedClosing",
+ *         "unclosedElement", "invalidNesting" or "invalidContent"
+ *     offset: Offset of problematic element or content in data
+ *     message: Human readable description of problem
+ * 
+ * @static
  * @method
- * @param {es.DocumentModelNode} node Node to get element data for
+ * @param {Array} data Data to check
+ * @param {String} [parentType='document'] Symbolic name of element type data will be a child of
+ * @returns {Object} Object with an errors property containing a list of error objects, empty if
+ * data is valid, and a data property containing a repaired copy of data
  */
-es.DocumentModel.prototype.getElementDataFromNode = function( node ) {
-	var length = node.getElementLength();
-	var offset = this.getOffsetFromNode( node );
-	if ( offset !== -1 ) {
-		return this.data.slice( offset, offset + length );
+es.DocumentModel.checkData = function( data, parentType ) {
+	var errors = [],
+		result = [],
+		root = { 'type': parentType || 'document', 'children': [] },
+		stack = [root],
+		node,
+		type,
+		i,
+		j;
+
+	function addError( type, offset, message ) {
+		errors.push( { 'type': type, 'offset': offset, 'message': message } );
 	}
-	return null;
-};
 
-/**
- * Gets the content data of a node.
- * 
- * @method
- * @param {es.DocumentModelNode} node Node to get content data for
- * @returns {Array|null} List of content and elements inside node or null if node is not found
- */
-es.DocumentModel.prototype.getContentDataFromNode = function( node, range ) {
-	var length = node.getContentLength();
-	if ( range ) {
-		range.normalize();
-		if ( range.start < 0 ) {
-			throw 'Invalid range error. Range can not start before node start: ' + range.start;
+	function getChildWrapping( parentType, child ) {
+		var wrapping;
+		if ( child.content ) {
+			if ( es.DocumentModel.isContentType( parentType ) ) {
+				return [];
+			}
+			wrapping = es.DocumentModel.getWrapping( parentType, 'paragraph' );
+			return wrapping && wrapping.concat( ['paragraph'] );
 		}
-		if ( range.end > length ) {
-			throw 'Invalid range error. Range can not end after node end: ' + range.end;
+		return es.DocumentModel.getWrapping( parentType, child.type );
+	}
+
+	function write( parentType, children ) {
+		var i,
+			j,
+			k,
+			child,
+			wrapping;
+		for ( i = 0; i < children.length; i = j ) {
+			child = children[i];
+			wrapping = getChildWrapping( parentType, child );
+			j = i + 1;
+			if ( wrapping === null ) {
+				if ( child.content ) {
+					addError(
+						'invalidContent', child.offset, 'Content is not allowed in ' + parentType
+					);
+				} else {
+					if ( child.type in es.DocumentModel.nodeRules &&
+						child.type in es.DocumentModel.nodeModels ) {
+						addError(
+							'invalidNesting',
+							child.offset,
+							'Element ' + child.type + ' is not allowed in ' + parentType
+						);
+					}
+					write( parentType, child.children );
+				}
+			} else if ( wrapping.length ) {
+				// Wrap all following siblings which need the same wrapping together
+				while (
+					j < children.length &&
+					es.compareArrays( getChildWrapping( parentType, children[j] ) || [], wrapping )
+				) {
+					j++;
+				}
+				for ( k = i; k < j; k++ ) {
+					addError(
+						children[k].content ? 'invalidContent' : 'invalidNesting',
+						children[k].offset,
+						( children[k].content ?
+							'Content is' : 'Element ' + children[k].type + ' is' ) +
+							' not allowed in ' + parentType + ' without being wrapped in ' +
+							wrapping.join( ', ' )
+					);
+				}
+				for ( k = 0; k < wrapping.length; k++ ) {
+					result.push( { 'type': wrapping[k] } );
+				}
+				write( wrapping[wrapping.length - 1], children.slice( i, j ) );
+				for ( k = wrapping.length - 1; k >= 0; k-- ) {
+					result.push( { 'type': '/' + wrapping[k] } );
+				}
+			} else if ( child.content ) {
+				es.insertIntoArray( result, result.length, child.content );
+			} else {
+				result.push( child.element );
+				write( child.type, child.children );
+				result.push( child.closing || { 'type': '/' + child.type } );
+			}
 		}
-	} else {
-		range = {
-			'start': 0,
-			'end': length
-		};
 	}
-	var offset = this.getOffsetFromNode( node );
-	if ( offset !== -1 ) {
-		if ( node.type !== 'document' ) {
-			offset++;
+
+	// Build a tree from the data, balancing openings and closings
+	for ( i = 0; i < data.length; i++ ) {
+		node = stack[stack.length - 1];
+		if ( data[i].type === undefined ) {
+			if ( node.children.length && node.children[node.children.length - 1].content ) {
+				node.children[node.children.length - 1].content.push( data[i] );
+			} else {
+				node.children.push( { 'content': [data[i]], 'offset': i } );
+			}
+		} else if ( data[i].type.charAt( 0 ) !== '/' ) {
+			type = data[i].type;
+			if ( !( type in es.DocumentModel.nodeRules && type in es.DocumentModel.nodeModels ) ) {
+				addError( 'unknownElement', i, 'Element type ' + type + ' is not registered' );
+			}
+			node.children.push( {
+				'type': type, 'element': data[i], 'children': [], 'offset': i
+			} );
+			stack.push( node.children[node.children.length - 1] );
+		} else {
+			type = data[i].type.substr( 1 );
+			for ( j = stack.length - 1; j > 0 && stack[j].type !== type; j-- ) {}
+			if ( j === 0 ) {
+				addError(
+					'unexpectedClosing', i, 'Closing ' + data[i].type + ' has no matching opening'
+				);
+				continue;
+			}
+			while ( stack.length > j + 1 ) {
+				node = stack.pop();
+				addError(
+					'unclosedElement', node.offset, 'Element ' + node.type + ' is not closed'
+				);
+			}
+			stack.pop().closing = data[i];
 		}
-		return this.data.slice( offset + range.start, offset + range.end );
 	}
-	return null;
+	while ( stack.length > 1 ) {
+		node = stack.pop();
+		addError( 'unclosedElement', node.offset, 'Element ' + node.type + ' is not closed' );
+	}
+
+	write( root.type, root.children );
+	return { 'errors': errors, 'data': result };
 };
 
 /**
- * Gets the range of content surrounding a given offset that's covered by a given annotation.
+ * Validates data against the nesting rules in es.DocumentModel.nodeRules.
  * 
+ * @static
  * @method
- * @param {Integer} offset Offset to begin looking forward and backward from
- * @param {Object} annotation Annotation to test for coverage with
- * @returns {es.Range|null} Range of content covered by annotation, or null if offset is not covered
+ * @param {Array} data Data to validate
+ * @param {String} [parentType='document'] Symbolic name of element type data will be a child of
+ * @returns {Object[]} List of error objects, empty if data is valid
+ * @see {es.DocumentModel.checkData}
  */
-es.DocumentModel.prototype.getAnnotationBoundaries = function( offset, annotation, typeOnly ) {
-	if ( annotation.hash === undefined ) {
-		annotation.hash = es.DocumentModel.getHash( annotation );
-	}
-	if ( es.DocumentModel.getIndexOfAnnotation( this.data[offset], annotation, typeOnly ) === -1 ) {
-		return null;
-	}
-	var start = offset,
-		end = offset,
-		item;
-	while ( start > 0 ) {
-		start--;
-		if ( es.DocumentModel.getIndexOfAnnotation( this.data[start], annotation, typeOnly ) === -1 ) {
-			start++;
-			break;
-		}
-	}
-	while ( end < this.data.length ) {
-		if ( es.DocumentModel.getIndexOfAnnotation( this.data[end], annotation, typeOnly ) === -1 ) {
-			break;
-		}
-		end++;
-	}
-	return new es.Range( start, end );
+es.DocumentModel.validateData = function( data, parentType ) {
+	return es.DocumentModel.checkData( data, parentType ).errors;
 };
 
 /**
- * Gets a list of annotations that a given offset is covered by.
+ * Gets a copy of data repaired to follow the nesting rules in es.DocumentModel.nodeRules.
  * 
+ * @static
  * @method
- * @param {Integer} offset Offset to get annotations for
- * @returns {Object[]} A copy of all annotation objects offset is covered by
+ * @param {Array} data Data to repair
+ * @param {String} [parentType='document'] Symbolic name of element type data will be a child of
+ * @returns {Array} Repaired copy of data
+ * @see {es.DocumentModel.checkData}
  */
-es.DocumentModel.prototype.getAnnotationsFromOffset = function( offset ) {
-	if ( es.isArray( this.data[offset] ) ) {
-		return es.copyArray( this.data[offset].slice( 1 ) );
-	}
-	return [];
+es.DocumentModel.repairData = function( data, parentType ) {
+	return es.DocumentModel.checkData( data, parentType ).data;
 };
 
 /**
- * Gets a list of annotations that a given range is covered by.
+ * Gets the shortest list of edits that turns one list of data into another.
+ * 
+ * Characters are considered the same if they are the same character, regardless of annotations,
+ * and elements are considered the same if they are of the same type, regardless of attributes.
+ * Differences in annotations and attributes are left for the caller to handle.
  * 
+ * This uses the O(ND) difference algorithm by Eugene W. Myers, in its linear space variant, so it's
+ * fast when the differences are small, even for large documents. Runs of removals or insertions
+ * are then moved to where they remove or insert whole nodes if possible, since the same edit can
+ * often be made in more than one place. Edits which would still split or join nodes are widened
+ * to remove and insert whole nodes, so the edits never join nodes of different types.
+ * 
+ * @static
  * @method
- * @param {es.Range} range Range to get annotations for
- * @returns {Object[]} A copy of all annotation objects offset is covered by
+ * @param {Array} from Data to start from
+ * @param {Array} to Data to end up with
+ * @returns {String[]} List of edits, each either "retain", "remove" or "insert", which consume
+ * items from from, from and to respectively
  */
-es.DocumentModel.prototype.getAnnotationsFromRange = function( range ) {
-	range.normalize();
-	var annotations = {
-			'full': [],
-			'partial': [],
-			'all': []
-		},
-		map = {},
-		elementsCount = 0;
-	for ( var i = range.start; i < range.end; i++ ) {
-		if ( es.DocumentModel.isElementData( this.data, i ) ) {
-			elementsCount++;
-			continue;
+es.DocumentModel.getDataEdits = function( from, to ) {
+	function isSame( a, b ) {
+		if ( a.type !== undefined || b.type !== undefined ) {
+			return a.type === b.type;
 		}
-		for ( var j = 1; j < this.data[i].length; j++ ) {
-			hash = this.data[i][j].hash;
-			if ( hash in map ) {
-				map[hash][1]++;
-			} else {
-				map[hash] = [this.data[i][j], 1];
+		return ( typeof a === 'string' ? a : a[0] ) === ( typeof b === 'string' ? b : b[0] );
+	}
+
+	/**
+	 * Finds the middle snake of the shortest edit path between ranges of from and to, which is
+	 * the run of matching items in the middle of the path
+	 */
+	function getMiddleSnake( x0, x1, y0, y1 ) {
+		var n = x1 - x0,
+			m = y1 - y0,
+			delta = n - m,
+			odd = delta % 2 !== 0,
+			forward = { '1': 0 },
+			backward = { '1': 0 },
+			d,
+			k,
+			x,
+			y,
+			startX,
+			startY;
+		for ( d = 0; d <= Math.ceil( ( n + m ) / 2 ); d++ ) {
+			for ( k = -d; k <= d; k += 2 ) {
+				x = ( k === -d || ( k !== d && forward[k - 1] < forward[k + 1] ) ) ?
+					forward[k + 1] : forward[k - 1] + 1;
+				y = x - k;
+				startX = x;
+				startY = y;
+				while ( x < n && y < m && isSame( from[x0 + x], to[y0 + y] ) ) {
+					x++;
+					y++;
+				}
+				forward[k] = x;
+				if (
+					odd && k >= delta - ( d - 1 ) && k <= delta + ( d - 1 ) &&
+					x + backward[delta - k] >= n
+				) {
+					return [x0 + startX, y0 + startY, x0 + x, y0 + y];
+				}
+			}
+			for ( k = -d; k <= d; k += 2 ) {
+				x = ( k === -d || ( k !== d && backward[k - 1] < backward[k + 1] ) ) ?
+					backward[k + 1] : backward[k - 1] + 1;
+				y = x - k;
+				startX = x;
+				startY = y;
+				while ( x < n && y < m && isSame( from[x1 - 1 - x], to[y1 - 1 - y] ) ) {
+					x++;
+					y++;
+				}
+				backward[k] = x;
+				if ( !odd && delta - k >= -d && delta - k <= d && x + forward[delta - k] >= n ) {
+					return [x1 - x, y1 - y, x1 - startX, y1 - startY];
+				}
 			}
 		}
+		throw 'Invalid data error. No edit path found.';
 	}
-	var length = range.getLength();
-	for ( var hash in map ) {
-		if ( map[hash][1] === length - elementsCount ) {
-			annotations.full.push( map[hash][0] );
+
+	/**
+	 * Adds the edits between ranges of from and to, splitting the ranges at the middle snake
+	 */
+	function pushEdits( x0, x1, y0, y1 ) {
+		var suffix = 0,
+			snake;
+		while ( x0 < x1 && y0 < y1 && isSame( from[x0], to[y0] ) ) {
+			middle.push( 'retain' );
+			x0++;
+			y0++;
+		}
+		while ( x1 > x0 && y1 > y0 && isSame( from[x1 - 1], to[y1 - 1] ) ) {
+			suffix++;
+			x1--;
+			y1--;
+		}
+		if ( x0 === x1 ) {
+			for ( ; y0 < y1; y0++ ) {
+				middle.push( 'insert' );
+			}
+		} else if ( y0 === y1 ) {
+			for ( ; x0 < x1; x0++ ) {
+				middle.push( 'remove' );
+			}
 		} else {
-			annotations.partial.push( map[hash][0] );
+			snake = getMiddleSnake( x0, x1, y0, y1 );
+			pushEdits( x0, snake[0], y0, snake[1] );
+			for ( var i = snake[0]; i < snake[2]; i++ ) {
+				middle.push( 'retain' );
+			}
+			pushEdits( snake[2], x1, snake[3], y1 );
+		}
+		for ( ; suffix > 0; suffix-- ) {
+			middle.push( 'retain' );
 		}
-		annotations.all.push( map[hash][0] );
 	}
-	return annotations;
-};
 
-/**
- * Gets the range of content surrounding a given offset that makes up a whole word.
- * 
- * @method
- * @param {Integer} offset Offset to begin looking forward and backward from
- * @returns {es.Range|null} Range of content making up a whole word or null if offset is not content
- */
-es.DocumentModel.prototype.getWordBoundaries = function( offset ) {
-	if ( es.DocumentModel.isStructuralOffset( this.data, offset ) ||
-		es.DocumentModel.isElementData( this.data, offset ) ) {
-		return null;
+	function isBalanced( data, start, end ) {
+		var depth = 0;
+		for ( var i = start; i < end && depth >= 0; i++ ) {
+			if ( data[i].type !== undefined ) {
+				depth += data[i].type.charAt( 0 ) === '/' ? -1 : 1;
+			}
+		}
+		return depth === 0;
 	}
 
-	var	offsetItem = typeof this.data[offset] === 'string' ?
-			this.data[offset] : this.data[offset][0],
-		regex = offsetItem.match( /\B/ ) ? /\b/ : /\B/,
-		start = offset,
-		end = offset,
-		item;
-	while ( start > 0 ) {
-		start--;
-		if ( typeof this.data[start] !== 'string' && !es.isArray( this.data[start] ) ) {
-			start++;
-			break;
-		}
+	/**
+	 * Gets the number of closings without an opening and openings without a closing in a range
+	 */
+	function getUnmatched( data, start, end ) {
+		var depth = 0,
+			min = 0;
+		for ( var i = start; i < end; i++ ) {
+			if ( data[i].type !== undefined ) {
+				depth += data[i].type.charAt( 0 ) === '/' ? -1 : 1;
+				min = Math.min( min, depth );
+			}
+		}
+		return { 'closings': -min, 'openings': depth - min };
+	}
+
+	var start = 0,
+		fromEnd = from.length,
+		toEnd = to.length,
+		edits = [],
+		middle = [],
+		x,
+		y,
+		i,
+		j,
+		k,
+		l,
+		type,
+		other,
+		data,
+		offset,
+		left,
+		right,
+		shift,
+		fromPositions,
+		toPositions,
+		fromUnmatched,
+		toUnmatched,
+		widened;
+	// Skip over what both have in common at the start and the end
+	while ( start < fromEnd && start < toEnd && isSame( from[start], to[start] ) ) {
+		start++;
+	}
+	while ( fromEnd > start && toEnd > start && isSame( from[fromEnd - 1], to[toEnd - 1] ) ) {
+		fromEnd--;
+		toEnd--;
+	}
+	// Find the edits in between
+	pushEdits( start, fromEnd, start, toEnd );
+	for ( i = 0; i < start; i++ ) {
+		edits.push( 'retain' );
+	}
+	edits = edits.concat( middle );
+	for ( i = fromEnd; i < from.length; i++ ) {
+		edits.push( 'retain' );
+	}
+	// Runs of only removals or only insertions can often be moved back and forth without changing
+	// their effect, so move them to where they contain whole nodes if possible
+	for ( i = 0, x = 0, y = 0; i < edits.length; i = j ) {
+		type = edits[i];
+		for ( j = i + 1; type !== 'retain' && edits[j] === type; j++ ) {}
+		if ( type === 'retain' ) {
+			x++;
+			y++;
+			continue;
+		}
+		data = type === 'remove' ? from : to;
+		other = type === 'remove' ? 'insert' : 'remove';
+		k = j - i;
+		shift = 0;
+		if ( edits[i - 1] !== other && edits[j] !== other ) {
+			offset = type === 'remove' ? x : y;
+			for ( left = 0; edits[i - left - 1] === 'retain' &&
+				isSame( data[offset - left - 1], data[offset - left + k - 1] ); left++ ) {}
+			for ( right = 0; edits[j + right] === 'retain' &&
+				isSame( data[offset + right], data[offset + right + k] ); right++ ) {}
+			for ( shift = -left; shift <= right; shift++ ) {
+				if ( isBalanced( data, offset + shift, offset + shift + k ) ) {
+					break;
+				}
+			}
+			if ( shift > right ) {
+				shift = 0;
+			}
+			for ( l = Math.min( i, i + shift ); l < Math.max( j, j + shift ); l++ ) {
+				edits[l] = l >= i + shift && l < j + shift ? type : 'retain';
+			}
+			x += shift;
+			y += shift;
+			j += shift;
+		}
+		x += type === 'remove' ? k : 0;
+		y += type === 'insert' ? k : 0;
+	}
+	// Runs which still split or merge nodes, such as one joining a paragraph and a heading, can't
+	// always be committed, so they are widened by removing and inserting the items retained around
+	// them again until both what they remove and what they insert are whole nodes
+	fromPositions = [0];
+	toPositions = [0];
+	for ( i = 0; i < edits.length; i++ ) {
+		fromPositions.push( fromPositions[i] + ( edits[i] === 'insert' ? 0 : 1 ) );
+		toPositions.push( toPositions[i] + ( edits[i] === 'remove' ? 0 : 1 ) );
+	}
+	for ( i = 0; i < edits.length; i = j ) {
+		for ( j = i; j < edits.length && edits[j] !== 'retain'; j++ ) {}
+		if ( j === i ) {
+			j++;
+			continue;
+		}
+		while ( true ) {
+			fromUnmatched = getUnmatched( from, fromPositions[i], fromPositions[j] );
+			toUnmatched = getUnmatched( to, toPositions[i], toPositions[j] );
+			left = i > 0 && ( fromUnmatched.closings > 0 || toUnmatched.closings > 0 );
+			right = j < edits.length && ( fromUnmatched.openings > 0 || toUnmatched.openings > 0 );
+			if ( !left && !right ) {
+				break;
+			}
+			// Content doesn't change the balance, so it's passed over in one go
+			while ( left ) {
+				edits[--i] = 'replace';
+				for ( ; i > 0 && edits[i - 1] !== 'retain'; i-- ) {}
+				left = i > 0 && from[fromPositions[i] - 1].type === undefined;
+			}
+			while ( right ) {
+				edits[j++] = 'replace';
+				for ( ; j < edits.length && edits[j] !== 'retain'; j++ ) {}
+				right = j < edits.length && from[fromPositions[j]].type === undefined;
+			}
+		}
+	}
+	// Replaced items are removed and inserted again along with the rest of their run
+	for ( i = 0, widened = []; i < edits.length; i = j ) {
+		for ( j = i; j < edits.length && edits[j] !== 'retain'; j++ ) {}
+		if ( j === i ) {
+			widened.push( edits[j++] );
+		} else if ( es.inArray( 'replace', edits.slice( i, j ) ) === -1 ) {
+			widened = widened.concat( edits.slice( i, j ) );
+		} else {
+			for ( l = fromPositions[i]; l < fromPositions[j]; l++ ) {
+				widened.push( 'remove' );
+			}
+			for ( l = toPositions[i]; l < toPositions[j]; l++ ) {
+				widened.push( 'insert' );
+			}
+		}
+	}
+	return widened;
+};
+
+/**
+ * Creates a transaction that turns one list of data into another.
+ * 
+ * The transaction retains as much data as possible, changing attributes of elements and
+ * annotations of characters that are kept instead of removing and inserting them again.
+ * 
+ * @static
+ * @method
+ * @param {Array} from Data to start from, such as the result of es.DocumentModel.getData
+ * @param {Array} to Data to end up with, in the same format
+ * @returns {es.TransactionModel} Transaction that turns from into to when committed
+ */
+es.DocumentModel.getDiff = function( from, to ) {
+	var tx = new es.TransactionModel(),
+		edits = es.DocumentModel.getDataEdits( from, to ),
+		started = { 'set': [], 'clear': [] },
+		none = { 'set': [], 'clear': [] },
+		removal = [],
+		insertion = [],
+		fromOffset = 0,
+		toOffset = 0,
+		fromItem,
+		toItem,
+		i;
+
+	function flush() {
+		es.TransactionModel.syncAnnotating( tx, started, none );
+		if ( removal.length ) {
+			tx.pushRemove( es.copyArray( removal ) );
+			removal = [];
+		}
+		if ( insertion.length ) {
+			tx.pushInsert( es.copyArray( insertion ) );
+			insertion = [];
+		}
+	}
+
+	function getAnnotations( item ) {
+		return es.isArray( item ) ? item.slice( 1 ) : [];
+	}
+
+	function getMissing( annotations, other ) {
+		var missing = [];
+		for ( var i = 0; i < annotations.length; i++ ) {
+			if ( es.TransactionModel.getIndexOfAnnotationKey( other, annotations[i] ) === -1 ) {
+				missing.push( annotations[i] );
+			}
+		}
+		return missing;
+	}
+
+	function pushAttributeChanges( fromAttributes, toAttributes ) {
+		var key;
+		fromAttributes = fromAttributes || {};
+		toAttributes = toAttributes || {};
+		for ( key in fromAttributes ) {
+			if ( !( key in toAttributes ) ) {
+				tx.pushChangeElementAttribute( 'clear', key, fromAttributes[key] );
+			}
+		}
+		for ( key in toAttributes ) {
+			if (
+				!( key in fromAttributes ) ||
+				es.DocumentModel.getHash( fromAttributes[key] ) !==
+					es.DocumentModel.getHash( toAttributes[key] )
+			) {
+				tx.pushChangeElementAttribute(
+					'set', key, toAttributes[key], fromAttributes[key]
+				);
+			}
+		}
+	}
+
+	for ( i = 0; i < edits.length; i++ ) {
+		if ( edits[i] === 'remove' ) {
+			removal.push( from[fromOffset++] );
+		} else if ( edits[i] === 'insert' ) {
+			insertion.push( to[toOffset++] );
+		} else {
+			if ( removal.length || insertion.length ) {
+				flush();
+			}
+			fromItem = from[fromOffset++];
+			toItem = to[toOffset++];
+			if ( fromItem.type !== undefined ) {
+				es.TransactionModel.syncAnnotating( tx, started, none );
+				pushAttributeChanges( fromItem.attributes, toItem.attributes );
+			} else {
+				es.TransactionModel.syncAnnotating( tx, started, {
+					'set': getMissing( getAnnotations( toItem ), getAnnotations( fromItem ) ),
+					'clear': getMissing( getAnnotations( fromItem ), getAnnotations( toItem ) )
+				} );
+			}
+			tx.pushRetain( 1 );
+		}
+	}
+	flush();
+	return tx;
+};
+
+/**
+ * Gets the ranges of the nodes within a range of data.
+ * 
+ * @static
+ * @method
+ * @param {Array} data Data to get node ranges from
+ * @param {es.Range} range Range of data covering one or more whole sibling nodes
+ * @returns {es.Range[]} Ranges of each node, including their openings and closings
+ * @throws 'Invalid range error' if the range does not start and end between sibling nodes
+ */
+es.DocumentModel.getNodeRanges = function( data, range ) {
+	var ranges = [],
+		depth = 0,
+		start = range.start;
+	if ( range.start < 0 || range.end > data.length || range.start >= range.end ) {
+		throw 'Invalid range error. Range must cover one or more nodes.';
+	}
+	for ( var i = range.start; i < range.end; i++ ) {
+		if ( data[i].type === undefined ) {
+			if ( depth === 0 ) {
+				throw 'Invalid range error. Range must start and end between nodes.';
+			}
+		} else if ( data[i].type.charAt( 0 ) === '/' ) {
+			if ( --depth < 0 ) {
+				throw 'Invalid range error. Range must start and end between nodes.';
+			}
+			if ( depth === 0 ) {
+				ranges.push( new es.Range( start, i + 1 ) );
+			}
+		} else if ( depth++ === 0 ) {
+			start = i;
+		}
+	}
+	if ( depth !== 0 ) {
+		throw 'Invalid range error. Range must start and end between nodes.';
+	}
+	return ranges;
+};
+
+/**
+ * Gets copies of opening elements, to be inserted as new elements.
+ * 
+ * @static
+ * @method
+ * @param {Object[]} elements Opening elements to copy
+ * @returns {Object[]} Deep copies of elements
+ */
+es.DocumentModel.copyElements = function( elements ) {
+	var copies = [];
+	for ( var i = 0; i < elements.length; i++ ) {
+		copies.push( es.extendObject( true, {}, elements[i] ) );
+	}
+	return copies;
+};
+
+/**
+ * Gets the closings of a list of nested opening elements.
+ * 
+ * @static
+ * @method
+ * @param {Object[]} elements Opening elements, outermost first
+ * @returns {Object[]} Closing elements, innermost first
+ */
+es.DocumentModel.getClosingElements = function( elements ) {
+	var closings = [];
+	for ( var i = elements.length - 1; i >= 0; i-- ) {
+		closings.push( { 'type': '/' + elements[i].type } );
+	}
+	return closings;
+};
+
+/* Methods */
+
+/**
+ * Creates a document view for this model.
+ * 
+ * @method
+ * @returns {es.DocumentView}
+ */
+es.DocumentModel.prototype.createView = function() {
+	return new es.DocumentView( this );
+};
+
+/**
+ * Gets copy of the document data.
+ * 
+ * @method
+ * @param {es.Range} [range] Range of data to get, all data will be given by default
+ * @param {Boolean} [deep=false] Whether to return a deep copy (WARNING! This may be very slow)
+ * @returns {Array} Copy of document data
+ */
+es.DocumentModel.prototype.getData = function( range, deep ) {
+	var start = 0,
+		end;
+	if ( range !== undefined ) {
+		range.normalize();
+		start = Math.max( 0, Math.min( this.data.length, range.start ) );
+		end = Math.max( 0, Math.min( this.data.length, range.end ) );
+	}
+	// Work around IE bug: arr.slice( 0, undefined ) returns [] while arr.slice( 0 ) behaves
+	// correctly
+	var data = end === undefined ? this.data.slice( start ) : this.data.slice( start, end );
+	return deep ? es.copyArray( data ) : data;
+};
+
+/**
+ * Gets the element object of a node.
+ * 
+ * @method
+ * @param {es.DocumentModelNode} node Node to get element object for
+ * @returns {Object|null} Element object
+ */
+es.DocumentModel.prototype.getElementFromNode = function( node ) {
+	var offset = this.getOffsetFromNode( node );
+	if ( offset !== false ) {
+		return this.data[offset];
+	}
+	return null;
+};
+
+/**
+ * Gets the element data of a node.
+ * 
+ * @method
+ * @param {es.DocumentModelNode} node Node to get element data for
+ */
+es.DocumentModel.prototype.getElementDataFromNode = function( node ) {
+	var length = node.getElementLength();
+	var offset = this.getOffsetFromNode( node );
+	if ( offset !== -1 ) {
+		return this.data.slice( offset, offset + length );
+	}
+	return null;
+};
+
+/**
+ * Gets the content data of a node.
+ * 
+ * @method
+ * @param {es.DocumentModelNode} node Node to get content data for
+ * @returns {Array|null} List of content and elements inside node or null if node is not found
+ */
+es.DocumentModel.prototype.getContentDataFromNode = function( node, range ) {
+	var length = node.getContentLength();
+	if ( range ) {
+		range.normalize();
+		if ( range.start < 0 ) {
+			throw 'Invalid range error. Range can not start before node start: ' + range.start;
+		}
+		if ( range.end > length ) {
+			throw 'Invalid range error. Range can not end after node end: ' + range.end;
+		}
+	} else {
+		range = {
+			'start': 0,
+			'end': length
+		};
+	}
+	var offset = this.getOffsetFromNode( node );
+	if ( offset !== -1 ) {
+		if ( node.type !== 'document' ) {
+			offset++;
+		}
+		return this.data.slice( offset + range.start, offset + range.end );
+	}
+	return null;
+};
+
+/**
+ * Gets the range of content surrounding a given offset that's covered by a given annotation.
+ * 
+ * @method
+ * @param {Integer} offset Offset to begin looking forward and backward from
+ * @param {Object} annotation Annotation to test for coverage with
+ * @returns {es.Range|null} Range of content covered by annotation, or null if offset is not covered
+ */
+es.DocumentModel.prototype.getAnnotationBoundaries = function( offset, annotation, typeOnly ) {
+	if ( annotation.hash === undefined ) {
+		annotation.hash = es.DocumentModel.getHash( annotation );
+	}
+	if ( es.DocumentModel.getIndexOfAnnotation( this.data[offset], annotation, typeOnly ) === -1 ) {
+		return null;
+	}
+	var start = offset,
+		end = offset,
+		item;
+	while ( start > 0 ) {
+		start--;
+		if ( es.DocumentModel.getIndexOfAnnotation( this.data[start], annotation, typeOnly ) === -1 ) {
+			start++;
+			break;
+		}
+	}
+	while ( end < this.data.length ) {
+		if ( es.DocumentModel.getIndexOfAnnotation( this.data[end], annotation, typeOnly ) === -1 ) {
+			break;
+		}
+		end++;
+	}
+	return new es.Range( start, end );
+};
+
+/**
+ * Gets a list of annotations that a given offset is covered by.
+ * 
+ * @method
+ * @param {Integer} offset Offset to get annotations for
+ * @returns {Object[]} A copy of all annotation objects offset is covered by
+ */
+es.DocumentModel.prototype.getAnnotationsFromOffset = function( offset ) {
+	if ( es.isArray( this.data[offset] ) ) {
+		return es.copyArray( this.data[offset].slice( 1 ) );
+	}
+	return [];
+};
+
+/**
+ * Gets a list of annotations that a given range is covered by.
+ * 
+ * @method
+ * @param {es.Range} range Range to get annotations for
+ * @returns {Object[]} A copy of all annotation objects offset is covered by
+ */
+es.DocumentModel.prototype.getAnnotationsFromRange = function( range ) {
+	range.normalize();
+	var annotations = {
+			'full': [],
+			'partial': [],
+			'all': []
+		},
+		map = {},
+		elementsCount = 0;
+	for ( var i = range.start; i < range.end; i++ ) {
+		if ( es.DocumentModel.isElementData( this.data, i ) ) {
+			elementsCount++;
+			continue;
+		}
+		for ( var j = 1; j < this.data[i].length; j++ ) {
+			hash = this.data[i][j].hash;
+			if ( hash in map ) {
+				map[hash][1]++;
+			} else {
+				map[hash] = [this.data[i][j], 1];
+			}
+		}
+	}
+	var length = range.getLength();
+	for ( var hash in map ) {
+		if ( map[hash][1] === length - elementsCount ) {
+			annotations.full.push( map[hash][0] );
+		} else {
+			annotations.partial.push( map[hash][0] );
+		}
+		annotations.all.push( map[hash][0] );
+	}
+	return annotations;
+};
+
+/**
+ * Gets the range of content surrounding a given offset that makes up a whole word.
+ * 
+ * @method
+ * @param {Integer} offset Offset to begin looking forward and backward from
+ * @returns {es.Range|null} Range of content making up a whole word or null if offset is not content
+ */
+es.DocumentModel.prototype.getWordBoundaries = function( offset ) {
+	if ( es.DocumentModel.isStructuralOffset( this.data, offset ) ||
+		es.DocumentModel.isElementData( this.data, offset ) ) {
+		return null;
+	}
+
+	var	offsetItem = typeof this.data[offset] === 'string' ?
+			this.data[offset] : this.data[offset][0],
+		regex = offsetItem.match( /\B/ ) ? /\b/ : /\B/,
+		start = offset,
+		end = offset,
+		item;
+	while ( start > 0 ) {
+		start--;
+		if ( typeof this.data[start] !== 'string' && !es.isArray( this.data[start] ) ) {
+			start++;
+			break;
+		}
 		item = typeof this.data[start] === 'string' ? this.data[start] : this.data[start][0];
 		if ( item.match( regex ) ) {
 			start++;
@@ -825,7 +1610,10 @@ es.DocumentModel.prototype.getRelativeContentOffset = function( offset, distance
 		steps = 0;
 	distance = Math.abs( distance );
 	while ( i > 0 && i < this.data.length ) {
-		if ( !es.DocumentModel.isStructuralOffset( this.data, i ) ) {
+		if (
+			!es.DocumentModel.isStructuralOffset( this.data, i ) &&
+			!es.DocumentModel.isAtomicOffset( this.data, i )
+		) {
 			steps++;
 			offset = i;
 			if ( distance === steps ) {
@@ -834,7 +1622,24 @@ es.DocumentModel.prototype.getRelativeContentOffset = function( offset, distance
 		}
 		i += direction;
 	}
-	return offset;
+	return offset;
+};
+
+/**
+ * Gets the closest content offset to an offset inside an atomic element.
+ * 
+ * @method
+ * @param {Integer} offset Offset to start from
+ * @returns {Integer} Offset after the atomic element, or before it if there's no content after it,
+ * or the given offset if it's not inside an atomic element
+ */
+es.DocumentModel.prototype.getNonAtomicOffset = function( offset ) {
+	var after;
+	if ( !es.DocumentModel.isAtomicOffset( this.data, offset ) ) {
+		return offset;
+	}
+	after = this.getRelativeContentOffset( offset, 1 );
+	return after !== offset ? after : this.getRelativeContentOffset( offset, -1 );
 };
 
 /**
@@ -897,10 +1702,30 @@ es.DocumentModel.prototype.prepareInsertion = function( offset, data ) {
 		return workingData || data;
 	}
 	
+	/**
+	 * Gets the type of the element the data at an offset is a child of
+	 * @return {String} Symbolic name of element type, "document" if not inside an element
+	 */
+	function getParentType( data, offset ) {
+		for ( var i = offset - 1, depth = 0; i >= 0; i-- ) {
+			if ( data[i].type !== undefined ) {
+				if ( data[i].type.charAt( 0 ) === '/' ) {
+					depth++;
+				} else if ( depth === 0 ) {
+					return data[i].type;
+				} else {
+					depth--;
+				}
+			}
+		}
+		return 'document';
+	}
+
 	var tx = new es.TransactionModel(),
 		insertedData = data, // may be cloned and modified
 		isStructuralLoc,
-		wrappingElementType;
+		wrappingElementType,
+		errors;
 		
 	if ( offset < 0 || offset > this.data.length ) {
 		throw 'Offset ' + offset + ' out of bounds [0..' + this.data.length + ']';
@@ -918,8 +1743,19 @@ es.DocumentModel.prototype.prepareInsertion = function( offset, data ) {
 		if ( insertedData[0].type !== undefined && insertedData[0].type.charAt( 0 ) != '/' ) {
 			// insertedData starts with an opening, so this is really intended to insert structure
 			// Balance it to make it sane, if it's not already
-			// TODO we need an actual validator and check that the insertion is really valid
 			insertedData = balance( insertedData );
+			// Reject structure which isn't allowed where it's being inserted
+			errors = es.DocumentModel.validateData(
+				insertedData,
+				getParentType(
+					this.data,
+					isStructuralLoc ?
+						offset : this.getOffsetFromNode( this.getNodeFromOffset( offset ) )
+				)
+			);
+			if ( errors.length ) {
+				throw 'Invalid data error. ' + errors[0].message + ' at index ' + errors[0].offset;
+			}
 			if ( !isStructuralLoc ) {
 				// We're inserting structure at a content location,
 				// so we need to split up the wrapping element
@@ -1161,14 +1997,56 @@ es.DocumentModel.prototype.prepareContentAnnotation = function( range, method, a
 	return tx;
 };
 
+/**
+ * Generates a transaction which replaces an annotation on content within a range with another.
+ * 
+ * Other annotations of the content are kept, and content which isn't covered by the annotation is
+ * left as it is.
+ * 
+ * @method
+ * @param {es.Range} range Range of content to replace the annotation within
+ * @param {Object} from Annotation to replace
+ * @param {Object} to Annotation to replace it with
+ * @returns {es.TransactionModel}
+ */
+es.DocumentModel.prototype.prepareAnnotationReplacement = function( range, from, to ) {
+	var data = this.getData( range ),
+		index,
+		i;
+	if ( from.hash === undefined ) {
+		from.hash = es.DocumentModel.getHash( from );
+	}
+	to = es.extendObject( true, {}, to );
+	delete to.hash;
+	to.hash = es.DocumentModel.getHash( to );
+	for ( i = 0; i < data.length; i++ ) {
+		if ( es.isArray( data[i] ) ) {
+			index = es.DocumentModel.getIndexOfAnnotation( data[i], from );
+			if ( index !== -1 ) {
+				data[i] = data[i].slice( 0 );
+				data[i].splice( index, 1, to );
+			}
+		}
+	}
+	return this.prepareDiff( data, range );
+};
+
 /**
  * Generates a transaction which changes attributes on an element at a given offset.
  * 
+ * The current value of the attribute is stored in the transaction, so rolling it back restores
+ * that value.
+ * 
  * @method
+ * @param {Integer} offset Offset of the opening element
+ * @param {String} method Method to use, either "set" or "clear"
+ * @param {String} key Name of attribute to change
+ * @param {Mixed} [value] Value to set attribute to
  * @returns {es.TransactionModel}
  */
 es.DocumentModel.prototype.prepareElementAttributeChange = function( offset, method, key, value ) {
-	var tx = new es.TransactionModel();
+	var tx = new es.TransactionModel(),
+		current;
 	if ( offset ) {
 		tx.pushRetain( offset );
 	}
@@ -1178,7 +2056,12 @@ es.DocumentModel.prototype.prepareElementAttributeChange = function( offset, met
 	if ( this.data[offset].type[0] === '/' ) {
 		throw 'Invalid element offset error. Can not set attributes on closing element.';
 	}
-	tx.pushChangeElementAttribute( method, key, value );
+	current = this.data[offset].attributes ? this.data[offset].attributes[key] : undefined;
+	if ( method === 'set' ) {
+		tx.pushChangeElementAttribute( 'set', key, value, current );
+	} else {
+		tx.pushChangeElementAttribute( method, key, current );
+	}
 	if ( offset < this.data.length ) {
 		tx.pushRetain( this.data.length - offset );
 	}
@@ -1186,6 +2069,282 @@ es.DocumentModel.prototype.prepareElementAttributeChange = function( offset, met
 	return tx;
 };
 
+/**
+ * Generates a transaction which turns the content data, or a range of it, into other data.
+ * 
+ * @method
+ * @param {Array} data Data to end up with
+ * @param {es.Range} [range] Range of content data to replace with data, defaults to all of it
+ * @returns {es.TransactionModel}
+ * @see {es.DocumentModel.getDiff}
+ */
+es.DocumentModel.prototype.prepareDiff = function( data, range ) {
+	if ( range ) {
+		range.normalize();
+		data = this.data.slice( 0, range.start ).concat( data, this.data.slice( range.end ) );
+	}
+	return es.DocumentModel.getDiff( this.data, data );
+};
+
+/**
+ * Generates a transaction which wraps nodes in new elements.
+ * 
+ * Content and elements within the range are retained, so their annotations and attributes are
+ * kept.
+ * 
+ * @example Turning two paragraphs into a bullet list
+ *     doc.prepareWrap(
+ *         range, [{ 'type': 'list' }],
+ *         [{ 'type': 'listItem', 'attributes': { 'styles': ['bullet'] } }]
+ *     );
+ * 
+ * @method
+ * @param {es.Range} range Range of data covering one or more whole sibling nodes
+ * @param {Object[]} [wrapOuter] Opening elements to wrap around all nodes, outermost first
+ * @param {Object[]} [wrapEach] Opening elements to wrap around each node, outermost first
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid range error' if the range does not cover whole sibling nodes
+ */
+es.DocumentModel.prototype.prepareWrap = function( range, wrapOuter, wrapEach ) {
+	var tx = new es.TransactionModel(),
+		nodes;
+	range.normalize();
+	nodes = es.DocumentModel.getNodeRanges( this.data, range );
+	wrapOuter = wrapOuter || [];
+	wrapEach = wrapEach || [];
+	if ( range.start > 0 ) {
+		tx.pushRetain( range.start );
+	}
+	if ( wrapOuter.length ) {
+		tx.pushInsert( es.DocumentModel.copyElements( wrapOuter ) );
+	}
+	for ( var i = 0; i < nodes.length; i++ ) {
+		if ( wrapEach.length ) {
+			tx.pushInsert( es.DocumentModel.copyElements( wrapEach ) );
+		}
+		tx.pushRetain( nodes[i].getLength() );
+		if ( wrapEach.length ) {
+			tx.pushInsert( es.DocumentModel.getClosingElements( wrapEach ) );
+		}
+	}
+	if ( wrapOuter.length ) {
+		tx.pushInsert( es.DocumentModel.getClosingElements( wrapOuter ) );
+	}
+	if ( range.end < this.data.length ) {
+		tx.pushRetain( this.data.length - range.end );
+	}
+	return tx;
+};
+
+/**
+ * Generates a transaction which removes elements around nodes, keeping what's inside them.
+ * 
+ * @example Turning a whole bullet list back into paragraphs, where range covers the list's items
+ *     doc.prepareUnwrap( range, ['list'], ['listItem'] );
+ * 
+ * @method
+ * @param {es.Range} range Range of data covering one or more whole sibling nodes
+ * @param {String[]} [unwrapOuter] Types of elements directly around all nodes to remove,
+ * outermost first
+ * @param {String[]} [unwrapEach] Types of elements to remove from each node, outermost first
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid range error' if the range does not cover whole sibling nodes or the elements
+ * to remove don't match unwrapOuter and unwrapEach
+ */
+es.DocumentModel.prototype.prepareUnwrap = function( range, unwrapOuter, unwrapEach ) {
+	var tx = new es.TransactionModel(),
+		outer,
+		each,
+		nodes,
+		opening,
+		i,
+		j;
+	range.normalize();
+	nodes = es.DocumentModel.getNodeRanges( this.data, range );
+	unwrapOuter = unwrapOuter || [];
+	unwrapEach = unwrapEach || [];
+	outer = unwrapOuter.length;
+	each = unwrapEach.length;
+	// Elements directly around a range of whole nodes always close directly after it
+	for ( i = 0; i < outer; i++ ) {
+		opening = this.data[range.start - outer + i];
+		if ( !opening || opening.type !== unwrapOuter[i] ) {
+			throw 'Invalid range error. Range is not wrapped in ' + unwrapOuter.join( ', ' ) + '.';
+		}
+	}
+	for ( i = 0; i < nodes.length; i++ ) {
+		for ( j = 0; j < each; j++ ) {
+			if (
+				this.data[nodes[i].start + j].type !== unwrapEach[j] ||
+				( j > 0 && es.DocumentModel.getNodeRanges(
+					this.data, new es.Range( nodes[i].start + j, nodes[i].end - j )
+				).length !== 1 )
+			) {
+				throw 'Invalid range error. Nodes in range are not each wrapped in ' +
+					unwrapEach.join( ', ' ) + '.';
+			}
+		}
+	}
+	if ( range.start - outer > 0 ) {
+		tx.pushRetain( range.start - outer );
+	}
+	if ( outer ) {
+		tx.pushRemove( this.data.slice( range.start - outer, range.start ) );
+	}
+	for ( i = 0; i < nodes.length; i++ ) {
+		if ( each ) {
+			tx.pushRemove( this.data.slice( nodes[i].start, nodes[i].start + each ) );
+			tx.pushRetain( nodes[i].getLength() - each * 2 );
+			tx.pushRemove( this.data.slice( nodes[i].end - each, nodes[i].end ) );
+		} else {
+			tx.pushRetain( nodes[i].getLength() );
+		}
+	}
+	if ( outer ) {
+		tx.pushRemove( this.data.slice( range.end, range.end + outer ) );
+	}
+	if ( range.end + outer < this.data.length ) {
+		tx.pushRetain( this.data.length - range.end - outer );
+	}
+	return tx;
+};
+
+/**
+ * Generates a transaction which moves nodes to another offset.
+ * 
+ * @method
+ * @param {es.Range} range Range of data covering one or more whole sibling nodes
+ * @param {Integer} offset Offset between nodes to move nodes to, outside of range
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid range error' if the range does not cover whole sibling nodes
+ * @throws 'Invalid offset error' if offset is inside the range or not between nodes
+ */
+es.DocumentModel.prototype.prepareMove = function( range, offset ) {
+	var tx = new es.TransactionModel(),
+		data;
+	range.normalize();
+	es.DocumentModel.getNodeRanges( this.data, range );
+	if ( offset > range.start && offset < range.end ) {
+		throw 'Invalid offset error. Nodes can not be moved into themselves.';
+	}
+	if (
+		offset < 0 || offset > this.data.length ||
+		!es.DocumentModel.isStructuralOffset( this.data, offset )
+	) {
+		throw 'Invalid offset error. Nodes can only be moved to between other nodes.';
+	}
+	data = this.data.slice( range.start, range.end );
+	if ( offset < range.start ) {
+		if ( offset > 0 ) {
+			tx.pushRetain( offset );
+		}
+		tx.pushInsert( data );
+		tx.pushRetain( range.start - offset );
+		tx.pushRemove( data );
+		if ( range.end < this.data.length ) {
+			tx.pushRetain( this.data.length - range.end );
+		}
+	} else if ( offset > range.end ) {
+		if ( range.start > 0 ) {
+			tx.pushRetain( range.start );
+		}
+		tx.pushRemove( data );
+		tx.pushRetain( offset - range.end );
+		tx.pushInsert( data );
+		if ( offset < this.data.length ) {
+			tx.pushRetain( this.data.length - offset );
+		}
+	} else {
+		// Moving nodes to where they already are
+		tx.pushRetain( this.data.length );
+	}
+	return tx;
+};
+
+/**
+ * Generates a transaction which splits elements at an offset.
+ * 
+ * The elements after the split are copies of the elements being split, including attributes. They
+ * are given new ids when committed, @see {es.DocumentModel.prototype.prepareIds}
+ * 
+ * @example Splitting a list item in two at an offset within its paragraph
+ *     doc.prepareSplit( offset, 2 );
+ * 
+ * @method
+ * @param {Integer} offset Offset to split at
+ * @param {Integer} [depth=1] Number of elements around offset to split, starting with innermost
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid offset error' if offset is not inside enough elements
+ */
+es.DocumentModel.prototype.prepareSplit = function( offset, depth ) {
+	var tx = new es.TransactionModel(),
+		openings = [],
+		level = 0;
+	depth = depth === undefined ? 1 : depth;
+	// Walk backwards collecting the elements offset is inside of, innermost first
+	for ( var i = offset - 1; i >= 0 && openings.length < depth; i-- ) {
+		if ( this.data[i].type !== undefined ) {
+			if ( this.data[i].type.charAt( 0 ) === '/' ) {
+				level++;
+			} else if ( level === 0 ) {
+				openings.unshift( this.data[i] );
+			} else {
+				level--;
+			}
+		}
+	}
+	if ( openings.length < depth || offset >= this.data.length ) {
+		throw 'Invalid offset error. Offset is not inside ' + depth + ' elements.';
+	}
+	tx.pushRetain( offset );
+	tx.pushInsert(
+		es.DocumentModel.getClosingElements( openings )
+			.concat( es.DocumentModel.copyElements( openings ) )
+	);
+	tx.pushRetain( this.data.length - offset );
+	return tx;
+};
+
+/**
+ * Generates a transaction which merges elements of the same type which meet at an offset.
+ * 
+ * The first of the merged elements is kept, including its attributes.
+ * 
+ * @example Merging two list items, each with a paragraph, into one list item with one paragraph
+ *     doc.prepareMerge( offset, 2 );
+ * 
+ * @method
+ * @param {Integer} offset Offset between the closing and opening of elements to merge
+ * @param {Integer} [depth=1] Number of pairs of elements to merge, starting with outermost
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid offset error' if offset is not between enough elements of the same type
+ */
+es.DocumentModel.prototype.prepareMerge = function( offset, depth ) {
+	var tx = new es.TransactionModel(),
+		closing,
+		opening;
+	depth = depth === undefined ? 1 : depth;
+	for ( var i = 0; i < depth; i++ ) {
+		closing = this.data[offset - 1 - i];
+		opening = this.data[offset + i];
+		if (
+			!closing || !opening || opening.type === undefined ||
+			closing.type !== '/' + opening.type
+		) {
+			throw 'Invalid offset error. Offset is not between ' + depth +
+				' pairs of elements of the same type.';
+		}
+	}
+	if ( offset - depth > 0 ) {
+		tx.pushRetain( offset - depth );
+	}
+	tx.pushRemove( this.data.slice( offset - depth, offset + depth ) );
+	if ( offset + depth < this.data.length ) {
+		tx.pushRetain( this.data.length - offset - depth );
+	}
+	return tx;
+};
+
 /**
  * Applies a transaction to the content data.
  * 
@@ -1193,6 +2352,7 @@ es.DocumentModel.prototype.prepareElementAttributeChange = function( offset, met
  * @param {es.TransactionModel}
  */
 es.DocumentModel.prototype.commit = function( transaction ) {
+	this.prepareIds( transaction );
 	es.TransactionProcessor.commit( this, transaction );
 };
 
@@ -1206,13 +2366,239 @@ es.DocumentModel.prototype.rollback = function( transaction ) {
 	es.TransactionProcessor.rollback( this, transaction );
 };
 
+/**
+ * Gets the ids of elements in the document.
+ * 
+ * @method
+ * @returns {Object} Mapping of element ids and offsets of the elements
+ */
+es.DocumentModel.prototype.getIds = function() {
+	var ids = {};
+	for ( var i = 0; i < this.data.length; i++ ) {
+		if ( this.data[i].type !== undefined && this.data[i].id !== undefined ) {
+			ids[this.data[i].id] = i;
+		}
+	}
+	return ids;
+};
+
+/**
+ * Generates an element id which is not used in the document.
+ * 
+ * @method
+ * @param {Object} [ids] Mapping of ids to avoid, defaults to the ids of elements in the document
+ * @returns {String} New element id
+ */
+es.DocumentModel.prototype.generateId = function( ids ) {
+	var id;
+	ids = ids || this.getIds();
+	do {
+		id = 'n' + ( ++this.idCounter );
+	} while ( id in ids );
+	return id;
+};
+
+/**
+ * Gives ids to elements in data which don't have one or which have an id that is already used.
+ * 
+ * @method
+ * @param {Array} data Data to give ids to, which is modified in place
+ * @param {Object} ids Mapping of ids that are already used, which new ids are added to
+ */
+es.DocumentModel.prototype.assignIds = function( data, ids ) {
+	for ( var i = 0; i < data.length; i++ ) {
+		if ( data[i].type !== undefined && data[i].type.charAt( 0 ) !== '/' ) {
+			if ( data[i].id === undefined || data[i].id in ids ) {
+				data[i].id = this.generateId( ids );
+			}
+			ids[data[i].id] = true;
+		}
+	}
+};
+
+/**
+ * Gives ids to elements a transaction will insert, before it's committed.
+ * 
+ * New elements are given ids, and so are copies of elements, such as the second half of a split
+ * paragraph, which would otherwise share their ids with the elements they were copied from.
+ * Elements the transaction moves keep their ids. The ids are written into the transaction, so
+ * they are recorded with it in the history and inserted again on redo.
+ * 
+ * @method
+ * @param {es.TransactionModel} transaction Transaction to give ids to
+ */
+es.DocumentModel.prototype.prepareIds = function( transaction ) {
+	var operations = transaction.getOperations(),
+		ids = null,
+		i,
+		j;
+	for ( i = 0; i < operations.length && !ids; i++ ) {
+		if ( operations[i].type === 'insert' ) {
+			for ( j = 0; j < operations[i].data.length && !ids; j++ ) {
+				if ( operations[i].data[j].type !== undefined ) {
+					ids = this.getIds();
+				}
+			}
+		}
+	}
+	if ( !ids ) {
+		// Content without elements doesn't need ids, so typing doesn't scan the whole document
+		return;
+	}
+	for ( i = 0; i < operations.length; i++ ) {
+		if ( operations[i].type === 'remove' ) {
+			for ( j = 0; j < operations[i].data.length; j++ ) {
+				delete ids[operations[i].data[j].id];
+			}
+		}
+	}
+	for ( i = 0; i < operations.length; i++ ) {
+		if ( operations[i].type === 'insert' ) {
+			this.assignIds( operations[i].data, ids );
+		}
+	}
+};
+
+/**
+ * Gets the node of the element with a given id.
+ * 
+ * @method
+ * @param {String} id Id of element to get node for
+ * @returns {es.DocumentModelNode|null} Node with the id, or null if no element has the id
+ */
+es.DocumentModel.prototype.getNodeFromId = function( id ) {
+	function find( node ) {
+		var children = node.getChildren(),
+			result;
+		for ( var i = 0; i < children.length; i++ ) {
+			if ( children[i].getElement() && children[i].getElement().id === id ) {
+				return children[i];
+			}
+			if ( children[i].hasChildren() && ( result = find( children[i] ) ) ) {
+				return result;
+			}
+		}
+		return null;
+	}
+	return find( this );
+};
+
+/**
+ * Sets a marker, which is a named range that follows the content it covers as the document changes.
+ * 
+ * Markers can be used to anchor things like comments, search results or the cursors of other users
+ * to the content. Setting a marker which already exists replaces it.
+ * 
+ * @method
+ * @param {String} name Symbolic name of marker
+ * @param {es.Range} range Range of content to mark
+ * @param {String} [type] Symbolic name of the kind of marker, used for rendering
+ * @emits markerUpdate (name, range, type)
+ */
+es.DocumentModel.prototype.setMarker = function( name, range, type ) {
+	this.markers[name] = { 'range': range.clone(), 'type': type || 'default' };
+	this.emit( 'markerUpdate', name, range.clone(), this.markers[name].type );
+};
+
+/**
+ * Gets the range of a marker.
+ * 
+ * @method
+ * @param {String} name Symbolic name of marker
+ * @returns {es.Range|null} Range of marker, or null if no marker has that name
+ */
+es.DocumentModel.prototype.getMarker = function( name ) {
+	return name in this.markers ? this.markers[name].range.clone() : null;
+};
+
+/**
+ * Gets all markers.
+ * 
+ * @method
+ * @returns {Object} Mapping of marker names and objects with range and type properties
+ */
+es.DocumentModel.prototype.getMarkers = function() {
+	var markers = {};
+	for ( var name in this.markers ) {
+		markers[name] = {
+			'range': this.markers[name].range.clone(),
+			'type': this.markers[name].type
+		};
+	}
+	return markers;
+};
+
+/**
+ * Removes a marker.
+ * 
+ * @method
+ * @param {String} name Symbolic name of marker
+ * @emits markerRemove (name)
+ */
+es.DocumentModel.prototype.removeMarker = function( name ) {
+	if ( name in this.markers ) {
+		delete this.markers[name];
+		this.emit( 'markerRemove', name );
+	}
+};
+
+/**
+ * Moves markers to follow the changes made by processing a transaction.
+ * 
+ * Content inserted at either end of a marker is not added to it. Markers which lose all of their
+ * content are kept as empty ranges, and remember the range they had before. Rolling back the
+ * transaction which collapsed a marker gives it that range again, unless the marker has been moved
+ * by another transaction since.
+ * 
+ * @method
+ * @param {es.TransactionModel} transaction Transaction that was processed
+ * @param {Boolean} [reverse=false] Whether the transaction was rolled back
+ * @emits markerUpdate (name, range, type) for each marker that was moved
+ * @emits markerCollapse (name) for each marker that became empty
+ */
+es.DocumentModel.prototype.translateMarkers = function( transaction, reverse ) {
+	var marker,
+		range;
+	for ( var name in this.markers ) {
+		marker = this.markers[name];
+		if ( reverse && marker.collapse && marker.collapse.transaction === transaction ) {
+			range = marker.collapse.range.clone();
+		} else {
+			range = transaction.translateRange( marker.range, undefined, reverse );
+		}
+		if ( range.from !== marker.range.from || range.to !== marker.range.to ) {
+			if ( marker.range.getLength() && !range.getLength() ) {
+				marker.collapse = { 'transaction': transaction, 'range': marker.range };
+				this.emit( 'markerCollapse', name );
+			} else {
+				delete marker.collapse;
+			}
+			marker.range = range;
+			this.emit( 'markerUpdate', name, range.clone(), marker.type );
+		}
+	}
+};
+
+/**
+ * Generates a transaction which converts leaf nodes, such as paragraphs, to another type.
+ * 
+ * Only the elements of the nodes are replaced, their content is retained so its annotations are
+ * kept.
+ * 
+ * @method
+ * @param {es.Range} range Range within the first and last nodes to convert
+ * @param {String} type Symbolic name of element type to convert nodes to
+ * @param {Object} [attributes] Attributes of the converted elements
+ * @returns {es.TransactionModel}
+ */
 es.DocumentModel.prototype.prepareLeafConversion = function( range, type, attributes ) {
 	range.normalize();
 	var	startNode = this.getNodeFromOffset( range.start ),
 		endNode =  this.getNodeFromOffset( range.end ),
 		nodes = [],
 		nodeOffset,
-		txs = [];
+		offset = 0,
+		tx = new es.TransactionModel();
 
 	this.traverseLeafNodes( function( node ) {
 		nodes.push( node );
@@ -1225,19 +2611,24 @@ es.DocumentModel.prototype.prepareLeafConversion = function( range, type, attrib
 
 	for ( var i = 0; i < nodes.length; i++ ) {
 		nodeOffset = this.getOffsetFromNode( nodes[i], false );
-
-		txs.push( this.prepareRemoval(
-			new es.Range( nodeOffset, nodeOffset + nodes[i].getElementLength() )
-		) );
-		txs.push( this.prepareInsertion(
-			nodeOffset,
-			[ { 'type': type, 'attributes': attributes } ]
-				.concat( nodes[i].getContentData() )
-				.concat( [ { 'type': '/' + type } ] )
-		) );
+		if ( nodeOffset > offset ) {
+			tx.pushRetain( nodeOffset - offset );
+		}
+		tx.pushRemove( [this.data[nodeOffset]] );
+		tx.pushInsert(
+			es.DocumentModel.copyElements( [{ 'type': type, 'attributes': attributes }] )
+		);
+		if ( nodes[i].getContentLength() ) {
+			tx.pushRetain( nodes[i].getContentLength() );
+		}
+		offset = nodeOffset + nodes[i].getElementLength();
+		tx.pushRemove( [this.data[offset - 1]] );
+		tx.pushInsert( [{ 'type': '/' + type }] );
 	}
-
-	return txs;
+	if ( offset < this.data.length ) {
+		tx.pushRetain( this.data.length - offset );
+	}
+	return tx;
 };
 
 /* Inheritance */
@@ -0,0 +1,39 @@
+/**
+ * Creates an es.HorizontalRuleModel object.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentModelLeafNode}
+ * @param {Object} element Document data element of this node
+ * @param {Integer} length Length of document data element
+ */
+es.HorizontalRuleModel = function( element, length ) {
+	// Inheritance
+	es.DocumentModelLeafNode.call( this, 'horizontalRule', element, length );
+};
+
+/* Methods */
+
+/**
+ * Creates a horizontal rule view for this model.
+ * 
+ * @method
+ * @returns {es.HorizontalRuleView}
+ */
+es.HorizontalRuleModel.prototype.createView = function() {
+	return new es.HorizontalRuleView( this );
+};
+
+/* Registration */
+
+es.DocumentModel.nodeModels.horizontalRule = es.HorizontalRuleModel;
+
+es.DocumentModel.nodeRules.horizontalRule = {
+	'parents': null,
+	'children': [],
+	'atomic': true
+};
+
+/* Inheritance */
+
+es.extendClass( es.HorizontalRuleModel, es.DocumentModelLeafNode );
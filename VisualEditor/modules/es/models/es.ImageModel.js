@@ -0,0 +1,90 @@
+/**
+ * Creates an es.ImageModel object.
+ * 
+ * Images are leaf nodes whose content is their caption. Their element may have the following
+ * attributes:
+ *     title: Name of the file, such as "File:Example.jpg"
+ *     src: URL to show the image from, if it's not to be found by its title
+ *     alt: Alternative text
+ *     width: Width in pixels
+ *     height: Height in pixels
+ *     align: Alignment, either "left", "right", "center" or "none"
+ *     format: Frame to show the image in, either "thumb", "frame" or "frameless"
+ * 
+ * Images within content are annotations of type "object/image", with the same attributes as data.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentModelLeafNode}
+ * @param {Object} element Document data element of this node
+ * @param {Integer} length Length of document data element
+ */
+es.ImageModel = function( element, length ) {
+	// Inheritance
+	es.DocumentModelLeafNode.call( this, 'image', element, length );
+};
+
+/* Static Methods */
+
+/**
+ * Gets data for a new image.
+ * 
+ * @static
+ * @method
+ * @param {Object} attributes Attributes of the image, must include a title
+ * @param {String} [caption] Caption text
+ * @returns {Array} Image data
+ */
+es.ImageModel.getNewData = function( attributes, caption ) {
+	return [{ 'type': 'image', 'attributes': es.extendObject( {}, attributes ) }]
+		.concat( ( caption || '' ).split( '' ), [{ 'type': '/image' }] );
+};
+
+/* Methods */
+
+/**
+ * Creates an image view for this model.
+ * 
+ * @method
+ * @returns {es.ImageView}
+ */
+es.ImageModel.prototype.createView = function() {
+	return new es.ImageView( this );
+};
+
+/**
+ * Generates a transaction which changes the attributes and caption of the image.
+ * 
+ * The image is kept and its attributes are changed in place, so undoing the change gives the image
+ * back the attribute values it had before.
+ * 
+ * @method
+ * @param {Object} attributes Attributes to give the image, replacing all of its current ones
+ * @param {String} [caption] Caption text, if not given or the same as the current caption text the
+ * caption is kept as it is, including its annotations
+ * @returns {es.TransactionModel}
+ */
+es.ImageModel.prototype.prepareChange = function( attributes, caption ) {
+	var doc = this.getRoot(),
+		offset = doc.getOffsetFromNode( this ),
+		range = new es.Range( offset, offset + this.getElementLength() ),
+		element = es.extendObject( true, {}, this.getElement() ),
+		data;
+	element.attributes = es.extendObject( true, {}, attributes );
+	data = caption === undefined || caption === this.getContentText() ?
+		doc.getData( new es.Range( range.start + 1, range.end - 1 ) ) : caption.split( '' );
+	return doc.prepareDiff( [element].concat( data, [{ 'type': '/image' }] ), range );
+};
+
+/* Registration */
+
+es.DocumentModel.nodeModels.image = es.ImageModel;
+
+es.DocumentModel.nodeRules.image = {
+	'parents': null,
+	'children': []
+};
+
+/* Inheritance */
+
+es.extendClass( es.ImageModel, es.DocumentModelLeafNode );
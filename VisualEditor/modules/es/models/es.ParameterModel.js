@@ -0,0 +1,43 @@
+/**
+ * Creates an es.ParameterModel object.
+ * 
+ * Parameters are only found in the source of templates, their name is kept in the name attribute.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentModelLeafNode}
+ * @param {Object} element Document data element of this node
+ * @param {Integer} length Length of document data element
+ */
+es.ParameterModel = function( element, length ) {
+	// Inheritance
+	es.DocumentModelLeafNode.call( this, 'parameter', element, length );
+};
+
+/* Methods */
+
+/**
+ * Creates a template parameter view for this model.
+ * 
+ * @method
+ * @returns {es.ParameterView}
+ */
+es.ParameterModel.prototype.createView = function() {
+	return new es.ParameterView( this );
+};
+
+/* Registration */
+
+es.DocumentModel.nodeModels.parameter = es.ParameterModel;
+
+es.DocumentModel.nodeRules.parameter = {
+	'parents': null,
+	'children': [],
+	'atomic': true
+};
+
+es.DocumentModel.nodeProperties.parameter = ['name'];
+
+/* Inheritance */
+
+es.extendClass( es.ParameterModel, es.DocumentModelLeafNode );
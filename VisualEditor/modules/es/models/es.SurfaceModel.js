@@ -5,23 +5,194 @@
  * @constructor
  * @extends {es.EventEmitter}
  * @param {es.DocumentModel} doc Document model to create surface for
+ * @param {Object} options List of options
+ * @param {Boolean} options.squash Whether to compose the transactions of each history item into a
+ * single transaction when a breakpoint is reached
+ * @param {Boolean} options.journal Whether to record every change made to the document in a journal
+ * which can be replayed against the starting document, @see {es.SurfaceModel.prototype.getJournal}
+ * @param {Number} options.undoTimeout Milliseconds without changes after which a breakpoint is
+ * added to history, or 0 to only add breakpoints when the kind of edit changes or when asked to
+ * @param {Number} options.historyLimit Maximum number of history items to keep, or 0 for no limit
  */
-es.SurfaceModel = function( doc ) {
+es.SurfaceModel = function( doc, options ) {
 	// Inheritance
 	es.EventEmitter.call( this );
 
 	// Properties
 	this.doc = doc;
+	this.options = es.extendObject( {
+		'squash': false,
+		'journal': false,
+		'undoTimeout': 750,
+		'historyLimit': 100
+	}, options || {} );
 	this.selection = null;
+	this.journal = this.options.journal ? [] : null;
 
 	this.smallStack = [];
 	this.bigStack = [];
 	this.undoIndex = 0;
+	this.lastEdit = { 'kind': null, 'text': '', 'partial': false };
+	this.undoTimeout = null;
+	this.checkpoints = [];
+	this.savedCheckpoint = null;
+	this.historyTrimmed = false;
+};
+
+/* Static Members */
+
+/**
+ * Version of the format used by toJSON and newFromJSON.
+ * 
+ * Increase this whenever the format changes in a way older versions of newFromJSON can't read.
+ * 
+ * @static
+ * @member
+ */
+es.SurfaceModel.jsonVersion = 1;
+
+/* Static Methods */
+
+/**
+ * Creates a surface model from a plain object created by toJSON.
+ * 
+ * The document, history, checkpoints and selection are restored, so changes made before the surface
+ * was serialized can still be undone and redone.
+ * 
+ * @static
+ * @method
+ * @param {Object} obj Plain object to create new surface model from
+ * @param {Object} [options] List of options, @see {es.SurfaceModel}
+ * @returns {es.SurfaceModel} Surface model created from obj
+ * @throws 'Invalid object error' if obj is not a surface object of a supported version
+ */
+es.SurfaceModel.newFromJSON = function( obj, options ) {
+	function restoreRange( range ) {
+		return range ? new es.Range( range.from, range.to ) : null;
+	}
+
+	if ( !es.isPlainObject( obj ) || !es.isArray( obj.data ) || !es.isArray( obj.history ) ) {
+		throw 'Invalid object error. Object is not a valid surface object.';
+	}
+	if ( obj.version !== es.SurfaceModel.jsonVersion ) {
+		throw 'Invalid object error. Surface object version is not supported: ' + obj.version;
+	}
+	var surface = new es.SurfaceModel(
+			new es.DocumentModel( es.copyArray( obj.data ), es.copyObject( obj.attributes || {} ) ),
+			options
+		),
+		item,
+		stack,
+		items,
+		i,
+		j;
+	for ( i = 0; i < obj.history.length; i++ ) {
+		item = obj.history[i];
+		stack = [];
+		for ( j = 0; j < item.stack.length; j++ ) {
+			stack.push( es.TransactionModel.newFromJSON( item.stack[j] ) );
+		}
+		surface.bigStack.push( { 'stack': stack, 'selection': restoreRange( item.selection ) } );
+	}
+	surface.undoIndex = obj.undoIndex || 0;
+	surface.historyTrimmed = !!obj.historyTrimmed;
+	for ( i = 0; i < ( obj.checkpoints || [] ).length; i++ ) {
+		items = [];
+		for ( j = 0; j < obj.checkpoints[i].items.length; j++ ) {
+			items.push(
+				obj.checkpoints[i].items[j] === null ?
+					null : surface.bigStack[obj.checkpoints[i].items[j]]
+			);
+		}
+		surface.checkpoints.push( { 'name': obj.checkpoints[i].name, 'items': items } );
+	}
+	surface.savedCheckpoint = typeof obj.savedCheckpoint === 'string' ? obj.savedCheckpoint : null;
+	surface.selection = restoreRange( obj.selection );
+	return surface;
+};
+
+/**
+ * Creates a surface model from one stored using es.SurfaceModel.prototype.store.
+ * 
+ * @static
+ * @method
+ * @param {es.StorageAdapter} adapter Storage adapter the surface was stored with
+ * @param {String} key Key the surface was stored under
+ * @param {Function} callback Function to call with the new surface model, or null if nothing was
+ * stored under key or the stored value can't be read, in which case the error is given as a second
+ * argument, such as 'Invalid object error' for a surface of an unsupported version
+ * @param {Object} [options] List of options, @see {es.SurfaceModel}
+ */
+es.SurfaceModel.newFromStorage = function( adapter, key, callback, options ) {
+	adapter.get( key, function( value ) {
+		var surface = null;
+		if ( value !== null ) {
+			try {
+				surface = es.SurfaceModel.newFromJSON( JSON.parse( value ), options );
+			} catch ( e ) {
+				callback( null, e );
+				return;
+			}
+		}
+		callback( surface );
+	} );
+};
 
-	var _this = this;
-	setInterval( function () {
-		_this.breakpoint();
-	}, 750 );
+/**
+ * Gets the kind of edit a transaction makes, which decides how it's grouped in history.
+ * 
+ * @static
+ * @method
+ * @param {es.TransactionModel} transaction Transaction to get kind of edit of
+ * @returns {String} "insert" if it only inserts content, "remove" if it only removes data or
+ * "other" for anything else, such as changing structure, annotations or attributes
+ */
+es.SurfaceModel.getEditKind = function( transaction ) {
+	var operations = transaction.getOperations(),
+		kind = null,
+		operationKind;
+	for ( var i = 0; i < operations.length; i++ ) {
+		if ( operations[i].type === 'retain' ) {
+			continue;
+		}
+		if ( operations[i].type === 'insert' ) {
+			operationKind = es.DocumentModel.containsElementData( operations[i].data ) ?
+				'other' : 'insert';
+		} else if ( operations[i].type === 'remove' ) {
+			operationKind = 'remove';
+		} else {
+			operationKind = 'other';
+		}
+		if ( kind !== null && kind !== operationKind ) {
+			return 'other';
+		}
+		kind = operationKind;
+	}
+	return kind || 'other';
+};
+
+/**
+ * Gets the plain text of content inserted by a transaction.
+ * 
+ * @static
+ * @method
+ * @param {es.TransactionModel} transaction Transaction to get inserted text of
+ * @returns {String} Inserted characters, without annotations
+ */
+es.SurfaceModel.getInsertedText = function( transaction ) {
+	var operations = transaction.getOperations(),
+		text = '',
+		i,
+		j;
+	for ( i = 0; i < operations.length; i++ ) {
+		if ( operations[i].type === 'insert' ) {
+			for ( j = 0; j < operations[i].data.length; j++ ) {
+				text += typeof operations[i].data[j] === 'string' ?
+					operations[i].data[j] : operations[i].data[j][0];
+			}
+		}
+	}
+	return text;
 };
 
 /* Methods */
@@ -30,7 +201,29 @@ es.SurfaceModel.prototype.purgeHistory = function() {
 	this.selection = null;
 	this.smallStack = [];
 	this.bigStack = [];
-	this.undoIndex = 0;	
+	this.undoIndex = 0;
+	this.lastEdit = { 'kind': null, 'text': '', 'partial': false };
+	clearTimeout( this.undoTimeout );
+	this.undoTimeout = null;
+	this.checkpoints = [];
+	this.savedCheckpoint = null;
+	this.historyTrimmed = false;
+};
+
+/**
+ * Stops the surface from doing anything on its own, so it can be thrown away.
+ * 
+ * Pending changes stay in history, but no further breakpoints will be added by the undo timeout
+ * and all event listeners are removed.
+ * 
+ * @method
+ */
+es.SurfaceModel.prototype.destroy = function() {
+	clearTimeout( this.undoTimeout );
+	this.undoTimeout = null;
+	for ( var type in this.events ) {
+		this.removeAllListeners( type );
+	}
 };
 
 es.SurfaceModel.prototype.getHistory = function() {
@@ -72,6 +265,9 @@ es.SurfaceModel.prototype.getSelection = function() {
  * @param {Boolean} isManual Whether this selection was the result of a user action, and thus should be recorded in history...?
  */
 es.SurfaceModel.prototype.select = function( selection, isManual ) {
+	// Offsets inside atomic elements such as comments can't be selected
+	selection.from = this.doc.getNonAtomicOffset( selection.from );
+	selection.to = this.doc.getNonAtomicOffset( selection.to );
 	selection.normalize();
 	/*if (
 		( ! this.selection ) || ( ! this.selection.equals( selection ) )
@@ -88,6 +284,11 @@ es.SurfaceModel.prototype.select = function( selection, isManual ) {
 /**
  * Applies a series of transactions to the content data.
  * 
+ * Transactions are grouped into history items by what they do. Typing is kept together until a new
+ * word is started, deleting is kept together, and switching between typing and deleting or making
+ * any other kind of change, such as formatting, starts a new history item. A breakpoint is also
+ * added after the undo timeout passes without any changes.
+ * 
  * If committing multiple transactions which are the result of a single user action and need to be
  * part of a single history item, use the isPartial argument for all but the last one to avoid them being
  * split up into multple history items.
@@ -96,38 +297,161 @@ es.SurfaceModel.prototype.select = function( selection, isManual ) {
  * @param {es.TransactionModel} transactions Tranasction to apply to the document
  * @param {boolean} isPartial whether this transaction is part of a larger logical grouping of transactions 
  *					(such as when replacing - delete, then insert)
+ * @throws {Object} Error object if the transaction can't be committed,
+ * @see {es.TransactionProcessor.createError}
  */
-es.SurfaceModel.prototype.transact = function( transaction ) {
+es.SurfaceModel.prototype.transact = function( transaction, isPartial ) {
+	var kind = es.SurfaceModel.getEditKind( transaction ),
+		text = kind === 'insert' ? es.SurfaceModel.getInsertedText( transaction ) : '',
+		selection = this.selection ? this.selection.clone() : null,
+		_this = this;
+	// Commit first, so a transaction which is rejected leaves the document and history untouched
+	this.doc.commit( transaction );
 	this.bigStack = this.bigStack.slice( 0, this.bigStack.length - this.undoIndex );
 	this.undoIndex = 0;
+	if (
+		!this.lastEdit.partial && (
+			kind === 'other' ||
+			kind !== this.lastEdit.kind ||
+			// Typing a word after whitespace starts a new word
+			( kind === 'insert' && /\s$/.test( this.lastEdit.text ) && /^\S/.test( text ) )
+		)
+	) {
+		this.breakpoint( selection );
+	}
+	this.lastEdit = { 'kind': kind, 'text': text, 'partial': !!isPartial };
 	this.smallStack.push( transaction );
-	this.doc.commit( transaction );
+	this.record( 'commit', transaction );
+	if ( this.selection ) {
+		this.selection = transaction.translateRange( this.selection );
+	}
+	if ( this.options.undoTimeout ) {
+		clearTimeout( this.undoTimeout );
+		this.undoTimeout = setTimeout( function() {
+			_this.breakpoint();
+		}, this.options.undoTimeout );
+	}
 	this.emit( 'transact', transaction );
 };
 
+/**
+ * Applies a transaction which was made somewhere else, such as by another user.
+ * 
+ * The selection and history are rebased on top of the transaction, so undo only reverts changes
+ * made through this surface. Changes which were undone can no longer be redone. If the history
+ * can't be rebased it is purged.
+ * 
+ * @method
+ * @param {es.TransactionModel} transaction Transaction to apply to the document
+ * @throws {Object} Error object if the transaction can't be committed,
+ * @see {es.TransactionProcessor.createError}
+ */
+es.SurfaceModel.prototype.receive = function( transaction ) {
+	var rebased = transaction,
+		stack,
+		item,
+		pair,
+		i,
+		j;
+	this.breakpoint();
+	this.doc.commit( transaction );
+	this.record( 'commit', transaction );
+	this.bigStack = this.bigStack.slice( 0, this.bigStack.length - this.undoIndex );
+	this.undoIndex = 0;
+	try {
+		// Walk back through history, turning the transaction into one which applies before each
+		// history item and each history item into one which can be undone after the transaction
+		for ( i = this.bigStack.length - 1; i >= 0; i-- ) {
+			item = this.bigStack[i];
+			if ( item.selection ) {
+				item.selection = rebased.translateRange( item.selection );
+			}
+			stack = item.stack.slice( 0 );
+			for ( j = stack.length - 1; j >= 0; j-- ) {
+				pair = es.TransactionModel.transform( rebased, stack[j].getInverse() );
+				rebased = pair[0];
+				stack[j] = pair[1].getInverse();
+			}
+			item.stack = stack;
+		}
+	} catch ( e ) {
+		this.bigStack = [];
+		this.historyTrimmed = true;
+	}
+	if ( this.selection ) {
+		this.select( transaction.translateRange( this.selection ) );
+	}
+};
+
+/**
+ * Ends the current history item, so changes made after this are undone separately.
+ * 
+ * The oldest history items are dropped once there are more than the history limit allows.
+ * 
+ * @method
+ * @param {es.Range} [selection] Selection to restore when the history item is undone, defaults to
+ * the current selection
+ */
 es.SurfaceModel.prototype.breakpoint = function( selection ) {
+	clearTimeout( this.undoTimeout );
+	this.undoTimeout = null;
+	this.lastEdit = { 'kind': null, 'text': '', 'partial': false };
 	if( this.smallStack.length > 0 ) {
 		this.bigStack.push( {
-			stack: this.smallStack,
-			selection: selection || this.selection.clone()
+			stack: this.options.squash ? this.squash( this.smallStack ) : this.smallStack,
+			selection: selection || ( this.selection ? this.selection.clone() : null )
 		} );
 		this.smallStack = [];
-	}};
+		if ( this.options.historyLimit && this.bigStack.length > this.options.historyLimit ) {
+			this.bigStack.splice( 0, this.bigStack.length - this.options.historyLimit );
+			this.historyTrimmed = true;
+		}
+	}
+};
+
+/**
+ * Composes a list of sequential transactions into as few transactions as possible.
+ * 
+ * Transactions which can't be composed with the ones before them are kept apart, other errors
+ * thrown while composing are not caught.
+ * 
+ * @method
+ * @param {es.TransactionModel[]} transactions Transactions to compose
+ * @returns {es.TransactionModel[]} Composed transactions
+ */
+es.SurfaceModel.prototype.squash = function( transactions ) {
+	var squashed = [transactions[0]];
+	for ( var i = 1; i < transactions.length; i++ ) {
+		try {
+			squashed[squashed.length - 1] = es.TransactionModel.compose(
+				squashed[squashed.length - 1], transactions[i]
+			);
+		} catch ( e ) {
+			if ( typeof e !== 'string' || e.indexOf( 'Composition error.' ) !== 0 ) {
+				throw e;
+			}
+			squashed.push( transactions[i] );
+		}
+	}
+	return squashed;
+};
 
 es.SurfaceModel.prototype.undo = function() {
 	this.breakpoint();
-	this.undoIndex++
+	this.undoIndex++;
 	if ( this.bigStack[this.bigStack.length - this.undoIndex] ) {
-		var diff = 0;
 		var item = this.bigStack[this.bigStack.length - this.undoIndex];
+		var selection = item.selection ? item.selection.clone() : null;
 		for( var i = item.stack.length - 1; i >= 0; i-- ) {
 			this.doc.rollback( item.stack[i] );
-			diff += item.stack[i].lengthDifference;
+			this.record( 'rollback', item.stack[i] );
+			if ( selection ) {
+				selection = item.stack[i].translateRange( selection, undefined, true );
+			}
+		}
+		if ( selection ) {
+			this.select( selection );
 		}
-		var selection = item.selection;
-		selection.from -= diff;
-		selection.to -= diff;
-		this.select( selection );
 	}
 };
 
@@ -135,22 +459,396 @@ es.SurfaceModel.prototype.redo = function() {
 	this.breakpoint();
 	if ( this.undoIndex > 0 ) {
 		if ( this.bigStack[this.bigStack.length - this.undoIndex] ) {
-			var diff = 0;
 			var item = this.bigStack[this.bigStack.length - this.undoIndex];
 			for( var i = 0; i < item.stack.length; i++ ) {
 				this.doc.commit( item.stack[i] );
-				diff += item.stack[i].lengthDifference;
+				this.record( 'commit', item.stack[i] );
+			}
+			if ( item.selection ) {
+				this.selection = null;
+				this.select( item.selection.clone() );
 			}
-			var selection = item.selection;
-			selection.from += diff;
-			selection.to += diff;
-			this.selection = null;
-			this.select( selection );
 		}
 		this.undoIndex--;
 	}
 };
 
+/**
+ * Reverts a single history item, leaving the changes made after it in place.
+ * 
+ * The inverse of the item's transactions is rebased over every transaction made after it, with the
+ * later changes winning any conflicts, and applied as a new history item, so reverting can itself
+ * be undone. Nothing is changed if the rebased inverse would remove data which was inserted later,
+ * such as content typed into a paragraph the item added, or can't be applied to the document.
+ * 
+ * @method
+ * @param {Integer} index Index of history item, @see {es.SurfaceModel.prototype.getHistory}
+ * @returns {Boolean} History item was reverted, false if it can no longer be cleanly reverted
+ * @throws 'Invalid history error' if there is no history item at index which is not undone
+ */
+es.SurfaceModel.prototype.revert = function( index ) {
+	var position,
+		inverses = [],
+		removed,
+		transaction,
+		scratch,
+		pair,
+		i,
+		j,
+		k;
+
+	function countRemoved( transactions ) {
+		var count = 0,
+			operations;
+		for ( var i = 0; i < transactions.length; i++ ) {
+			operations = transactions[i].getOperations();
+			for ( var j = 0; j < operations.length; j++ ) {
+				if ( operations[j].type === 'remove' ) {
+					count += operations[j].data.length;
+				}
+			}
+		}
+		return count;
+	}
+
+	this.breakpoint();
+	position = this.bigStack.length - this.undoIndex;
+	if ( !this.bigStack[index] || index >= position ) {
+		throw 'Invalid history error. There is no applied history item at index ' + index;
+	}
+	for ( i = this.bigStack[index].stack.length - 1; i >= 0; i-- ) {
+		inverses.push( this.bigStack[index].stack[i].getInverse() );
+	}
+	inverses = this.squash( inverses );
+	removed = countRemoved( inverses );
+	try {
+		// Rebase the inverse over each later transaction, in the order they were made
+		for ( i = index + 1; i < position; i++ ) {
+			for ( j = 0; j < this.bigStack[i].stack.length; j++ ) {
+				transaction = this.bigStack[i].stack[j];
+				for ( k = 0; k < inverses.length; k++ ) {
+					pair = es.TransactionModel.transform( transaction, inverses[k] );
+					transaction = pair[0];
+					inverses[k] = pair[1];
+				}
+			}
+		}
+		// Removing more than the item added would take later changes with it
+		if ( countRemoved( inverses ) > removed ) {
+			return false;
+		}
+		// Try the revert on a copy of the document first, so a failure leaves it untouched
+		scratch = new es.DocumentModel( this.doc.getData( undefined, true ) );
+		for ( i = 0; i < inverses.length; i++ ) {
+			scratch.commit( inverses[i] );
+		}
+	} catch ( e ) {
+		return false;
+	}
+	for ( i = 0; i < inverses.length; i++ ) {
+		this.transact( inverses[i], i < inverses.length - 1 );
+	}
+	this.breakpoint();
+	return true;
+};
+
+/**
+ * Gets the position of a history item in history.
+ * 
+ * @method
+ * @param {Object|null} item History item, or null for the start of history
+ * @returns {Integer} Number of history items up to and including the item, or -1 if the item is no
+ * longer in history
+ */
+es.SurfaceModel.prototype.getHistoryPosition = function( item ) {
+	if ( item === null ) {
+		return this.historyTrimmed ? -1 : 0;
+	}
+	var index = es.inArray( item, this.bigStack );
+	return index === -1 ? -1 : index + 1;
+};
+
+/**
+ * Gets a checkpoint by name.
+ * 
+ * @method
+ * @param {String} name Name of checkpoint
+ * @returns {Object|null} Checkpoint, or null if there is no checkpoint with that name
+ */
+es.SurfaceModel.prototype.getCheckpoint = function( name ) {
+	for ( var i = 0; i < this.checkpoints.length; i++ ) {
+		if ( this.checkpoints[i].name === name ) {
+			return this.checkpoints[i];
+		}
+	}
+	return null;
+};
+
+/**
+ * Gets the positions in history a checkpoint can be restored from.
+ * 
+ * A checkpoint is at more than one position once it has been restored, since restoring adds a
+ * history item which brings the document back to the same state.
+ * 
+ * @method
+ * @param {Object} checkpoint Checkpoint to get positions of
+ * @returns {Integer[]} Positions in history, @see {es.SurfaceModel.prototype.getHistoryPosition}
+ */
+es.SurfaceModel.prototype.getCheckpointPositions = function( checkpoint ) {
+	var positions = [],
+		position;
+	for ( var i = 0; i < checkpoint.items.length; i++ ) {
+		position = this.getHistoryPosition( checkpoint.items[i] );
+		if ( position !== -1 ) {
+			positions.push( position );
+		}
+	}
+	return positions;
+};
+
+/**
+ * Marks the current state of the document with a named checkpoint.
+ * 
+ * A breakpoint is added first, so the checkpoint doesn't include changes made after it. Creating a
+ * checkpoint with the name of an existing one replaces it.
+ * 
+ * @method
+ * @param {String} name Name of checkpoint
+ * @param {Boolean} [isSave] Whether the document was saved in this state, which makes this the
+ * checkpoint es.SurfaceModel.prototype.isDirty compares against
+ */
+es.SurfaceModel.prototype.createCheckpoint = function( name, isSave ) {
+	var checkpoint = this.getCheckpoint( name ),
+		position;
+	if ( checkpoint ) {
+		this.checkpoints.splice( es.inArray( checkpoint, this.checkpoints ), 1 );
+	}
+	this.breakpoint();
+	position = this.bigStack.length - this.undoIndex;
+	this.checkpoints.push( {
+		'name': name,
+		'items': [position ? this.bigStack[position - 1] : null]
+	} );
+	if ( isSave ) {
+		this.savedCheckpoint = name;
+	}
+};
+
+/**
+ * Gets the names of checkpoints which can be restored.
+ * 
+ * Checkpoints can no longer be restored once the history items they were created at are dropped,
+ * such as when history is over its limit or when changes are made after undoing past them.
+ * 
+ * @method
+ * @returns {String[]} Names of checkpoints, in the order they were created
+ */
+es.SurfaceModel.prototype.getCheckpoints = function() {
+	var names = [];
+	for ( var i = 0; i < this.checkpoints.length; i++ ) {
+		if ( this.getCheckpointPositions( this.checkpoints[i] ).length ) {
+			names.push( this.checkpoints[i].name );
+		}
+	}
+	return names;
+};
+
+/**
+ * Brings the document back to the state it was in when a checkpoint was created.
+ * 
+ * All the changes needed to get there, whether they are undoing history items or redoing ones
+ * which were undone, are made as a single history item, so restoring can itself be undone.
+ * 
+ * @method
+ * @param {String} name Name of checkpoint
+ * @throws 'Invalid checkpoint error' if there is no checkpoint with that name which can be restored
+ */
+es.SurfaceModel.prototype.restoreCheckpoint = function( name ) {
+	var checkpoint = this.getCheckpoint( name ),
+		positions = checkpoint ? this.getCheckpointPositions( checkpoint ) : [],
+		transactions = [],
+		position,
+		target,
+		item,
+		i,
+		j;
+	if ( !positions.length ) {
+		throw 'Invalid checkpoint error. Checkpoint can not be restored: ' + name;
+	}
+	this.breakpoint();
+	position = this.bigStack.length - this.undoIndex;
+	// Of the positions the checkpoint is at, go to the one closest to the current position
+	target = positions[0];
+	for ( i = 1; i < positions.length; i++ ) {
+		if ( Math.abs( positions[i] - position ) < Math.abs( target - position ) ) {
+			target = positions[i];
+		}
+	}
+	// Undo history items after the checkpoint
+	for ( i = position - 1; i >= target; i-- ) {
+		item = this.bigStack[i];
+		for ( j = item.stack.length - 1; j >= 0; j-- ) {
+			transactions.push( item.stack[j].getInverse() );
+		}
+	}
+	// Redo history items up to the checkpoint, which were undone
+	for ( i = position; i < target; i++ ) {
+		item = this.bigStack[i];
+		for ( j = 0; j < item.stack.length; j++ ) {
+			transactions.push( item.stack[j] );
+		}
+	}
+	if ( !transactions.length ) {
+		return;
+	}
+	transactions = this.squash( transactions );
+	for ( i = 0; i < transactions.length; i++ ) {
+		this.transact( transactions[i], i < transactions.length - 1 );
+	}
+	this.breakpoint();
+	checkpoint.items.push( this.bigStack[this.bigStack.length - 1] );
+};
+
+/**
+ * Checks whether the document has changed since it was saved.
+ * 
+ * The document is compared with the checkpoint which was last created as a save, or with the
+ * start of history if there is none.
+ * 
+ * @method
+ * @returns {Boolean} Document has been changed since it was saved
+ */
+es.SurfaceModel.prototype.isDirty = function() {
+	var checkpoint = this.savedCheckpoint === null ?
+			{ 'items': [null] } : this.getCheckpoint( this.savedCheckpoint );
+	if ( this.smallStack.length || !checkpoint ) {
+		return true;
+	}
+	return es.inArray(
+		this.bigStack.length - this.undoIndex, this.getCheckpointPositions( checkpoint )
+	) === -1;
+};
+
+/**
+ * Gets a plain object representation of the surface, suitable for JSON serialization.
+ * 
+ * The document data is included along with the history, including changes which were undone and
+ * changes which haven't reached a breakpoint yet, the checkpoints and the selection. This method is
+ * called by JSON.stringify, and the result can be turned back into a surface using
+ * es.SurfaceModel.newFromJSON.
+ * 
+ * @method
+ * @returns {Object} Plain object representation of the surface
+ */
+es.SurfaceModel.prototype.toJSON = function() {
+	var history = this.getHistory(),
+		checkpoints = [],
+		stack,
+		items,
+		index,
+		i,
+		j;
+
+	function convertRange( range ) {
+		return range ? { 'from': range.from, 'to': range.to } : null;
+	}
+
+	for ( i = 0; i < history.length; i++ ) {
+		stack = [];
+		for ( j = 0; j < history[i].stack.length; j++ ) {
+			stack.push( history[i].stack[j].toJSON() );
+		}
+		history[i] = { 'stack': stack, 'selection': convertRange( history[i].selection ) };
+	}
+	for ( i = 0; i < this.checkpoints.length; i++ ) {
+		items = [];
+		for ( j = 0; j < this.checkpoints[i].items.length; j++ ) {
+			index = this.checkpoints[i].items[j] === null ?
+				null : es.inArray( this.checkpoints[i].items[j], this.bigStack );
+			// History items which were dropped can't be restored anyway
+			if ( index !== -1 ) {
+				items.push( index );
+			}
+		}
+		checkpoints.push( { 'name': this.checkpoints[i].name, 'items': items } );
+	}
+	return {
+		'version': es.SurfaceModel.jsonVersion,
+		'data': this.doc.getData( undefined, true ),
+		'attributes': es.copyObject( this.doc.attributes ),
+		'history': history,
+		'undoIndex': this.undoIndex,
+		'historyTrimmed': this.historyTrimmed,
+		'checkpoints': checkpoints,
+		'savedCheckpoint': this.savedCheckpoint,
+		'selection': convertRange( this.selection )
+	};
+};
+
+/**
+ * Stores the document and its history, so the surface can be restored after the page is reloaded.
+ * 
+ * @method
+ * @param {es.StorageAdapter} adapter Storage adapter to store the surface with
+ * @param {String} key Key to store the surface under
+ * @param {Function} [callback] Function to call with true if the surface was stored, false if not
+ */
+es.SurfaceModel.prototype.store = function( adapter, key, callback ) {
+	adapter.set( key, JSON.stringify( this ), callback );
+};
+
+/**
+ * Adds an entry to the journal, if journaling is enabled.
+ * 
+ * @method
+ * @param {String} method Method the transaction was processed with, either "commit" or "rollback"
+ * @param {es.TransactionModel} transaction Transaction that was processed
+ */
+es.SurfaceModel.prototype.record = function( method, transaction ) {
+	if ( this.journal ) {
+		this.journal.push( { 'method': method, 'transaction': transaction.toJSON() } );
+	}
+};
+
+/**
+ * Gets the journal of changes made to the document.
+ * 
+ * Each entry is a plain object with a method property, either "commit" or "rollback", and a
+ * transaction property containing the transaction in the format of es.TransactionModel.toJSON.
+ * Undo and redo are recorded as the rollbacks and commits they cause, so replaying all entries in
+ * order against the starting document will always reproduce the current document.
+ * 
+ * @method
+ * @returns {Object[]|null} List of journal entries, or null if journaling is not enabled
+ */
+es.SurfaceModel.prototype.getJournal = function() {
+	return this.journal ? this.journal.slice( 0 ) : null;
+};
+
+/**
+ * Replays a journal against the document.
+ * 
+ * The document must be in the same state it was in when the journal was started. History is
+ * purged, since replayed changes can not be undone.
+ * 
+ * @method
+ * @param {Object[]} journal List of journal entries, @see {es.SurfaceModel.prototype.getJournal}
+ * @throws 'Invalid journal error' if an entry has an unknown method
+ */
+es.SurfaceModel.prototype.replay = function( journal ) {
+	var transaction;
+	this.purgeHistory();
+	for ( var i = 0; i < journal.length; i++ ) {
+		if ( journal[i].method !== 'commit' && journal[i].method !== 'rollback' ) {
+			throw 'Invalid journal error. Journal entry method is not supported: ' +
+				journal[i].method;
+		}
+		transaction = es.TransactionModel.newFromJSON( journal[i].transaction );
+		this.doc[journal[i].method]( transaction );
+		this.record( journal[i].method, transaction );
+	}
+};
+
 /* Inheritance */
 
 es.extendClass( es.SurfaceModel, es.EventEmitter );
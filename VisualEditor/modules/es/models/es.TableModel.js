@@ -1,6 +1,11 @@
 /**
  * Creates an es.TableModel object.
  * 
+ * Cells can span multiple rows and columns using rowspan and colspan attributes, and are header
+ * cells if their style attribute is "header". Methods which change the shape of the table work on
+ * a layout of the table, @see {es.TableModel.prototype.getLayout}, and each generate a single
+ * transaction.
+ * 
  * @class
  * @constructor
  * @extends {es.DocumentModelBranchNode}
@@ -12,6 +17,75 @@ es.TableModel = function( element, contents ) {
 	es.DocumentModelBranchNode.call( this, 'table', element, contents );
 };
 
+/* Static Methods */
+
+/**
+ * Gets data for a new table.
+ * 
+ * @static
+ * @method
+ * @param {Integer} rows Number of rows
+ * @param {Integer} columns Number of columns
+ * @returns {Array} Table data, with an empty paragraph in each cell
+ */
+es.TableModel.getNewData = function( rows, columns ) {
+	var data = [{ 'type': 'table' }],
+		i,
+		j;
+	for ( i = 0; i < rows; i++ ) {
+		data.push( { 'type': 'tableRow' } );
+		for ( j = 0; j < columns; j++ ) {
+			data.push(
+				{ 'type': 'tableCell' },
+				{ 'type': 'paragraph' },
+				{ 'type': '/paragraph' },
+				{ 'type': '/tableCell' }
+			);
+		}
+		data.push( { 'type': '/tableRow' } );
+	}
+	data.push( { 'type': '/table' } );
+	return data;
+};
+
+/**
+ * Gets an empty cell to add to a layout.
+ * 
+ * @static
+ * @method
+ * @param {Integer} row Index of row the cell starts in
+ * @param {Integer} column Index of column the cell starts in
+ * @returns {Object} Cell object, @see {es.TableModel.prototype.getLayout}
+ */
+es.TableModel.getNewCell = function( row, column ) {
+	return {
+		'row': row,
+		'column': column,
+		'rowspan': 1,
+		'colspan': 1,
+		'header': false,
+		'element': { 'type': 'tableCell' },
+		'content': [{ 'type': 'paragraph' }, { 'type': '/paragraph' }]
+	};
+};
+
+/**
+ * Gets the table cell an offset is in.
+ * 
+ * @static
+ * @method
+ * @param {es.DocumentModel} doc Document to look in
+ * @param {Integer} offset Offset to get table cell for
+ * @returns {es.TableCellModel|null} Innermost table cell containing the offset, or null if none
+ */
+es.TableModel.getCellFromOffset = function( doc, offset ) {
+	var node = doc.getNodeFromOffset( offset );
+	while ( node && node.getElementType() !== 'tableCell' ) {
+		node = node.getParent();
+	}
+	return node || null;
+};
+
 /* Methods */
 
 /**
@@ -24,6 +98,496 @@ es.TableModel.prototype.createView = function() {
 	return new es.TableView( this );
 };
 
+/**
+ * Gets the document this table is in.
+ * 
+ * @method
+ * @returns {es.DocumentModel} Document model
+ * @throws 'Invalid node error' if the table is not attached to a document
+ */
+es.TableModel.prototype.getDocument = function() {
+	var root = this.getRoot();
+	if ( !root || root.type !== 'document' ) {
+		throw 'Invalid node error. Table is not attached to a document.';
+	}
+	return root;
+};
+
+/**
+ * Gets a layout of the cells in the table.
+ * 
+ * Each cell is described by an object with the following properties:
+ *     row: Index of the row the cell starts in
+ *     column: Index of the column the cell starts in
+ *     rowspan: Number of rows the cell covers
+ *     colspan: Number of columns the cell covers
+ *     header: Whether the cell is a header cell
+ *     element: Opening element of the cell
+ *     content: Data within the cell
+ *     node: Model node of the cell, or undefined for cells added to the layout
+ * 
+ * @method
+ * @returns {Object} Layout object with a rows property containing a list of row elements, a cells
+ * property containing a list of cell objects, a columns property containing the number of columns
+ * and a grid property containing a list of rows, each a list of the cell objects covering each
+ * column
+ */
+es.TableModel.prototype.getLayout = function() {
+	function getSpan( cell, key ) {
+		return Math.max( parseInt( cell.getElementAttribute( key ), 10 ) || 1, 1 );
+	}
+
+	var doc = this.getDocument(),
+		offset = doc.getOffsetFromNode( this ) + 1,
+		layout = { 'rows': [], 'cells': [], 'columns': 0, 'grid': [] },
+		rows = this.getChildren(),
+		cells,
+		cell,
+		column,
+		i,
+		j,
+		k,
+		l;
+	for ( i = 0; i < rows.length; i++ ) {
+		layout.rows.push( rows[i].getElement() );
+		layout.grid[i] = layout.grid[i] || [];
+		cells = rows[i].getChildren();
+		column = 0;
+		// Skip over the row opening
+		offset++;
+		for ( j = 0; j < cells.length; j++ ) {
+			// Skip over columns covered by cells from rows above
+			while ( layout.grid[i][column] ) {
+				column++;
+			}
+			cell = {
+				'row': i,
+				'column': column,
+				'rowspan': getSpan( cells[j], 'rowspan' ),
+				'colspan': getSpan( cells[j], 'colspan' ),
+				'header': cells[j].getElementAttribute( 'style' ) === 'header',
+				'element': cells[j].getElement(),
+				'content': doc.data.slice( offset + 1, offset + cells[j].getElementLength() - 1 ),
+				'node': cells[j]
+			};
+			layout.cells.push( cell );
+			for ( k = i; k < i + cell.rowspan; k++ ) {
+				layout.grid[k] = layout.grid[k] || [];
+				for ( l = column; l < column + cell.colspan; l++ ) {
+					layout.grid[k][l] = cell;
+				}
+			}
+			column += cell.colspan;
+			layout.columns = Math.max( layout.columns, column );
+			offset += cells[j].getElementLength();
+		}
+		// Skip over the row closing
+		offset++;
+	}
+	return layout;
+};
+
+/**
+ * Gets the position of a cell in the table.
+ * 
+ * @method
+ * @param {es.TableCellModel} node Cell to get position of
+ * @returns {Object|null} Object with row and column properties, or null if the cell is not in the
+ * table
+ */
+es.TableModel.prototype.getCellPosition = function( node ) {
+	var cells = this.getLayout().cells;
+	for ( var i = 0; i < cells.length; i++ ) {
+		if ( cells[i].node === node ) {
+			return { 'row': cells[i].row, 'column': cells[i].column };
+		}
+	}
+	return null;
+};
+
+/**
+ * Gets the cell to move to from a cell when moving between cells with the keyboard.
+ * 
+ * Cells are in order of the rows they start in. Moving up or down stays in the column the cell
+ * starts in, and lands on whichever cell covers that column in the row above or below, so cells
+ * spanning several rows or columns are skipped over as a whole.
+ * 
+ * @method
+ * @param {es.TableCellModel} node Cell to move from
+ * @param {String} direction Direction to move in, either "next", "previous", "up" or "down"
+ * @returns {es.TableCellModel|null} Cell to move to, or null if there is no cell in that direction
+ * or node is not in the table
+ */
+es.TableModel.prototype.getAdjacentCell = function( node, direction ) {
+	var layout = this.getLayout(),
+		cell = null,
+		target,
+		row,
+		i;
+	for ( i = 0; i < layout.cells.length; i++ ) {
+		if ( layout.cells[i].node === node ) {
+			cell = layout.cells[i];
+			break;
+		}
+	}
+	if ( !cell ) {
+		return null;
+	}
+	switch ( direction ) {
+		case 'next':
+			target = layout.cells[i + 1];
+			break;
+		case 'previous':
+			target = layout.cells[i - 1];
+			break;
+		case 'up':
+		case 'down':
+			row = direction === 'up' ? cell.row - 1 : cell.row + cell.rowspan;
+			target = layout.grid[row] && layout.grid[row][cell.column];
+			break;
+	}
+	return target && target.node ? target.node : null;
+};
+
+/**
+ * Gets the offset the cursor should be put at to move it into a cell.
+ * 
+ * @method
+ * @param {es.TableCellModel} node Cell to move into
+ * @param {Boolean} [atEnd=false] Get the offset at the end of the cell rather than the start
+ * @returns {Integer} First or last content offset in the cell
+ */
+es.TableModel.prototype.getCellCursorOffset = function( node, atEnd ) {
+	var doc = this.getDocument(),
+		offset = doc.getOffsetFromNode( node );
+	return atEnd ?
+		doc.getRelativeContentOffset( offset + node.getElementLength(), -1 ) :
+		doc.getRelativeContentOffset( offset, 1 );
+};
+
+/**
+ * Generates a transaction which changes the table to match a layout.
+ * 
+ * Rows and cells are compared to the table as it is, so content which is kept is retained.
+ * 
+ * @method
+ * @param {Object} layout Layout to change the table to, @see {es.TableModel.prototype.getLayout}
+ * @returns {es.TransactionModel}
+ */
+es.TableModel.prototype.prepareLayout = function( layout ) {
+	var doc = this.getDocument(),
+		offset = doc.getOffsetFromNode( this ),
+		data = [es.extendObject( true, {}, this.getElement() )],
+		rows = [],
+		element,
+		cell,
+		i,
+		j;
+	for ( i = 0; i < layout.rows.length; i++ ) {
+		rows.push( [] );
+	}
+	for ( i = 0; i < layout.cells.length; i++ ) {
+		rows[layout.cells[i].row].push( layout.cells[i] );
+	}
+	for ( i = 0; i < rows.length; i++ ) {
+		rows[i].sort( function( a, b ) {
+			return a.column - b.column;
+		} );
+		data.push( es.extendObject( true, {}, layout.rows[i] ) );
+		for ( j = 0; j < rows[i].length; j++ ) {
+			cell = rows[i][j];
+			element = es.extendObject( true, {}, cell.element );
+			element.attributes = element.attributes || {};
+			delete element.attributes.rowspan;
+			delete element.attributes.colspan;
+			if ( element.attributes.style === 'header' ) {
+				delete element.attributes.style;
+			}
+			if ( cell.rowspan > 1 ) {
+				element.attributes.rowspan = cell.rowspan;
+			}
+			if ( cell.colspan > 1 ) {
+				element.attributes.colspan = cell.colspan;
+			}
+			if ( cell.header ) {
+				element.attributes.style = 'header';
+			}
+			if ( es.isEmptyObject( element.attributes ) ) {
+				delete element.attributes;
+			}
+			data = data.concat( [element], cell.content, [{ 'type': '/tableCell' }] );
+		}
+		data.push( { 'type': '/tableRow' } );
+	}
+	data.push( { 'type': '/table' } );
+	return doc.prepareDiff( data, new es.Range( offset, offset + this.getElementLength() ) );
+};
+
+/**
+ * Generates a transaction which inserts a row of empty cells.
+ * 
+ * Cells which span across the new row are made to cover it.
+ * 
+ * @method
+ * @param {Integer} index Index of row to insert the new row before, or the number of rows to
+ * insert it after the last row
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid index error' if index is out of range
+ */
+es.TableModel.prototype.prepareRowInsertion = function( index ) {
+	var layout = this.getLayout(),
+		covered = [],
+		cell,
+		i,
+		j;
+	if ( index < 0 || index > layout.rows.length ) {
+		throw 'Invalid index error. Row index is out of range: ' + index;
+	}
+	for ( i = 0; i < layout.cells.length; i++ ) {
+		cell = layout.cells[i];
+		if ( cell.row >= index ) {
+			cell.row++;
+		} else if ( cell.row + cell.rowspan > index ) {
+			cell.rowspan++;
+			for ( j = cell.column; j < cell.column + cell.colspan; j++ ) {
+				covered[j] = true;
+			}
+		}
+	}
+	layout.rows.splice( index, 0, { 'type': 'tableRow' } );
+	for ( i = 0; i < layout.columns; i++ ) {
+		if ( !covered[i] ) {
+			layout.cells.push( es.TableModel.getNewCell( index, i ) );
+		}
+	}
+	return this.prepareLayout( layout );
+};
+
+/**
+ * Generates a transaction which removes a row.
+ * 
+ * Cells which span across the row are made smaller, and cells which start in the row and span
+ * into the next row are moved to the next row.
+ * 
+ * @method
+ * @param {Integer} index Index of row to remove
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid index error' if index is out of range or the row is the only one
+ */
+es.TableModel.prototype.prepareRowRemoval = function( index ) {
+	var layout = this.getLayout(),
+		cells = [],
+		cell,
+		i;
+	if ( index < 0 || index >= layout.rows.length ) {
+		throw 'Invalid index error. Row index is out of range: ' + index;
+	}
+	if ( layout.rows.length === 1 ) {
+		throw 'Invalid index error. Can not remove the only row of a table.';
+	}
+	for ( i = 0; i < layout.cells.length; i++ ) {
+		cell = layout.cells[i];
+		if ( cell.row > index ) {
+			cell.row--;
+		} else if ( cell.row + cell.rowspan > index ) {
+			cell.rowspan--;
+		}
+		if ( cell.rowspan > 0 ) {
+			cells.push( cell );
+		}
+	}
+	layout.cells = cells;
+	layout.rows.splice( index, 1 );
+	return this.prepareLayout( layout );
+};
+
+/**
+ * Generates a transaction which inserts a column of empty cells.
+ * 
+ * Cells which span across the new column are made to cover it.
+ * 
+ * @method
+ * @param {Integer} index Index of column to insert the new column before, or the number of
+ * columns to insert it after the last column
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid index error' if index is out of range
+ */
+es.TableModel.prototype.prepareColumnInsertion = function( index ) {
+	var layout = this.getLayout(),
+		covered = [],
+		cell,
+		i,
+		j;
+	if ( index < 0 || index > layout.columns ) {
+		throw 'Invalid index error. Column index is out of range: ' + index;
+	}
+	for ( i = 0; i < layout.cells.length; i++ ) {
+		cell = layout.cells[i];
+		if ( cell.column >= index ) {
+			cell.column++;
+		} else if ( cell.column + cell.colspan > index ) {
+			cell.colspan++;
+			for ( j = cell.row; j < cell.row + cell.rowspan; j++ ) {
+				covered[j] = true;
+			}
+		}
+	}
+	for ( i = 0; i < layout.rows.length; i++ ) {
+		if ( !covered[i] ) {
+			layout.cells.push( es.TableModel.getNewCell( i, index ) );
+		}
+	}
+	return this.prepareLayout( layout );
+};
+
+/**
+ * Generates a transaction which removes a column.
+ * 
+ * Cells which span across the column are made smaller.
+ * 
+ * @method
+ * @param {Integer} index Index of column to remove
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid index error' if index is out of range or the column is the only one
+ */
+es.TableModel.prototype.prepareColumnRemoval = function( index ) {
+	var layout = this.getLayout(),
+		cells = [],
+		cell,
+		i;
+	if ( index < 0 || index >= layout.columns ) {
+		throw 'Invalid index error. Column index is out of range: ' + index;
+	}
+	if ( layout.columns === 1 ) {
+		throw 'Invalid index error. Can not remove the only column of a table.';
+	}
+	for ( i = 0; i < layout.cells.length; i++ ) {
+		cell = layout.cells[i];
+		if ( cell.column > index ) {
+			cell.column--;
+		} else if ( cell.column + cell.colspan > index ) {
+			cell.colspan--;
+		}
+		if ( cell.colspan > 0 ) {
+			cells.push( cell );
+		}
+	}
+	layout.cells = cells;
+	return this.prepareLayout( layout );
+};
+
+/**
+ * Generates a transaction which merges the cells in an area into a single cell.
+ * 
+ * The content of the merged cells is moved into the first cell, in reading order.
+ * 
+ * @method
+ * @param {Integer} row Index of first row of area
+ * @param {Integer} column Index of first column of area
+ * @param {Integer} rows Number of rows in area
+ * @param {Integer} columns Number of columns in area
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid area error' if the area is out of range or cuts through cells
+ */
+es.TableModel.prototype.prepareCellMerge = function( row, column, rows, columns ) {
+	var layout = this.getLayout(),
+		cells = [],
+		merged = [],
+		first,
+		cell,
+		i;
+	if (
+		row < 0 || column < 0 || rows < 1 || columns < 1 ||
+		row + rows > layout.rows.length || column + columns > layout.columns
+	) {
+		throw 'Invalid area error. Area is out of range.';
+	}
+	for ( i = 0; i < layout.cells.length; i++ ) {
+		cell = layout.cells[i];
+		if (
+			cell.row < row + rows && cell.row + cell.rowspan > row &&
+			cell.column < column + columns && cell.column + cell.colspan > column
+		) {
+			if (
+				cell.row < row || cell.row + cell.rowspan > row + rows ||
+				cell.column < column || cell.column + cell.colspan > column + columns
+			) {
+				throw 'Invalid area error. Cells can only be merged if they are entirely within ' +
+					'the area.';
+			}
+			merged.push( cell );
+		} else {
+			cells.push( cell );
+		}
+	}
+	merged.sort( function( a, b ) {
+		return a.row - b.row || a.column - b.column;
+	} );
+	first = merged[0];
+	if ( !first || first.row !== row || first.column !== column ) {
+		throw 'Invalid area error. Area has no cell in its first row and column.';
+	}
+	for ( i = 1; i < merged.length; i++ ) {
+		first.content = first.content.concat( merged[i].content );
+	}
+	first.rowspan = rows;
+	first.colspan = columns;
+	cells.push( first );
+	layout.cells = cells;
+	return this.prepareLayout( layout );
+};
+
+/**
+ * Generates a transaction which splits a cell which spans multiple rows or columns.
+ * 
+ * The content stays in the first cell, and empty cells are added for the rest of the area it
+ * covered.
+ * 
+ * @method
+ * @param {Integer} row Index of a row the cell covers
+ * @param {Integer} column Index of a column the cell covers
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid index error' if there is no cell at the position
+ */
+es.TableModel.prototype.prepareCellSplit = function( row, column ) {
+	var layout = this.getLayout(),
+		cell = layout.grid[row] && layout.grid[row][column],
+		i,
+		j;
+	if ( !cell ) {
+		throw 'Invalid index error. There is no cell at row ' + row + ', column ' + column;
+	}
+	for ( i = cell.row; i < cell.row + cell.rowspan; i++ ) {
+		for ( j = cell.column; j < cell.column + cell.colspan; j++ ) {
+			if ( i !== cell.row || j !== cell.column ) {
+				layout.cells.push( es.TableModel.getNewCell( i, j ) );
+			}
+		}
+	}
+	cell.rowspan = 1;
+	cell.colspan = 1;
+	return this.prepareLayout( layout );
+};
+
+/**
+ * Generates a transaction which turns a cell into a header cell, or back into a normal cell.
+ * 
+ * @method
+ * @param {Integer} row Index of a row the cell covers
+ * @param {Integer} column Index of a column the cell covers
+ * @returns {es.TransactionModel}
+ * @throws 'Invalid index error' if there is no cell at the position
+ */
+es.TableModel.prototype.prepareHeaderToggle = function( row, column ) {
+	var layout = this.getLayout(),
+		cell = layout.grid[row] && layout.grid[row][column];
+	if ( !cell ) {
+		throw 'Invalid index error. There is no cell at row ' + row + ', column ' + column;
+	}
+	cell.header = !cell.header;
+	return this.prepareLayout( layout );
+};
+
 /* Registration */
 
 es.DocumentModel.nodeModels.table = es.TableModel;
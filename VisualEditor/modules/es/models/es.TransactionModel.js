@@ -10,6 +10,834 @@ es.TransactionModel = function( operations ) {
 	this.lengthDifference = 0;
 };
 
+/* Static Members */
+
+/**
+ * Version of the format used by toJSON and newFromJSON.
+ * 
+ * Increase this whenever the format changes in a way older versions of newFromJSON can't read.
+ * 
+ * @static
+ * @member
+ */
+es.TransactionModel.jsonVersion = 1;
+
+/* Static Methods */
+
+/**
+ * Creates a transaction model from a plain object created by toJSON.
+ * 
+ * Annotation hashes, which are left out of the plain object, are generated again.
+ * 
+ * @static
+ * @method
+ * @param {Object} obj Plain object to create new transaction model from
+ * @returns {es.TransactionModel} Transaction model created from obj
+ * @throws 'Invalid object error' if obj is not a transaction object of a supported version
+ * @throws 'Invalid operation error' if obj contains an unsupported operation
+ */
+es.TransactionModel.newFromJSON = function( obj ) {
+	function restoreAnnotation( obj ) {
+		if ( typeof obj.pattern === 'string' ) {
+			return new RegExp( obj.pattern, obj.flags || '' );
+		}
+		var annotation = { 'type': obj.type };
+		if ( es.isPlainObject( obj.data ) ) {
+			annotation.data = es.copyObject( obj.data );
+		}
+		annotation.hash = es.DocumentModel.getHash( annotation );
+		return annotation;
+	}
+
+	function restoreValue( value ) {
+		return es.isArray( value ) ? es.copyArray( value ) :
+			( es.isPlainObject( value ) ? es.copyObject( value ) : value );
+	}
+
+	function restoreData( data ) {
+		var result = [],
+			i,
+			j;
+		for ( i = 0; i < data.length; i++ ) {
+			if ( es.isArray( data[i] ) ) {
+				result.push( [data[i][0]] );
+				for ( j = 1; j < data[i].length; j++ ) {
+					result[i].push( restoreAnnotation( data[i][j] ) );
+				}
+			} else if ( es.isPlainObject( data[i] ) ) {
+				result.push( es.copyObject( data[i] ) );
+			} else {
+				result.push( data[i] );
+			}
+		}
+		return result;
+	}
+
+	if ( !es.isPlainObject( obj ) || !es.isArray( obj.operations ) ) {
+		throw 'Invalid object error. Object is not a valid transaction object.';
+	}
+	if ( obj.version !== es.TransactionModel.jsonVersion ) {
+		throw 'Invalid object error. Transaction object version is not supported: ' + obj.version;
+	}
+	var transaction = new es.TransactionModel(),
+		op,
+		i;
+	for ( i = 0; i < obj.operations.length; i++ ) {
+		op = obj.operations[i];
+		if ( !es.isPlainObject( op ) || !( op.type in es.TransactionProcessor.operationMap ) ) {
+			throw 'Invalid operation error. Operation type is not supported: ' + ( op && op.type );
+		}
+		switch ( op.type ) {
+			case 'retain':
+				transaction.operations.push( { 'type': 'retain', 'length': op.length } );
+				break;
+			case 'insert':
+				transaction.operations.push( { 'type': 'insert', 'data': restoreData( op.data ) } );
+				transaction.lengthDifference += op.data.length;
+				break;
+			case 'remove':
+				transaction.operations.push( { 'type': 'remove', 'data': restoreData( op.data ) } );
+				transaction.lengthDifference -= op.data.length;
+				break;
+			case 'attribute':
+				transaction.pushChangeElementAttribute(
+					op.method, op.key, restoreValue( op.value ), restoreValue( op.from )
+				);
+				break;
+			case 'annotate':
+				transaction.operations.push( {
+					'type': 'annotate',
+					'method': op.method,
+					'bias': op.bias,
+					'annotation': restoreAnnotation( op.annotation )
+				} );
+				break;
+		}
+	}
+	return transaction;
+};
+
+/**
+ * Gets a key which identifies an annotation or a RegExp pattern matching annotation types.
+ * 
+ * @static
+ * @method
+ * @param {Object|RegExp} annotation Annotation object or pattern
+ * @returns {String} Key of annotation
+ */
+es.TransactionModel.getAnnotationKey = function( annotation ) {
+	if ( annotation instanceof RegExp ) {
+		return 'RegExp:' + annotation.toString();
+	}
+	if ( annotation.hash === undefined ) {
+		annotation.hash = es.DocumentModel.getHash( annotation );
+	}
+	return annotation.hash;
+};
+
+/**
+ * Gets the index of an annotation or pattern in a list, comparing keys instead of references.
+ * 
+ * @static
+ * @method
+ * @param {Array} annotations List of annotation objects and patterns to search through
+ * @param {Object|RegExp} annotation Annotation object or pattern to search for
+ * @returns {Integer} Index of annotation in annotations, or -1 if annotation was not found
+ */
+es.TransactionModel.getIndexOfAnnotationKey = function( annotations, annotation ) {
+	var key = es.TransactionModel.getAnnotationKey( annotation );
+	for ( var i = 0; i < annotations.length; i++ ) {
+		if ( es.TransactionModel.getAnnotationKey( annotations[i] ) === key ) {
+			return i;
+		}
+	}
+	return -1;
+};
+
+/**
+ * Gets a copy of a list of operations, moving attribute changes to the end of each run of
+ * operations that don't consume data.
+ * 
+ * Attribute changes always apply to the element at the offset of the next retain or remove
+ * operation, so moving them there doesn't change the effect of the operations.
+ * 
+ * @static
+ * @method
+ * @param {Object[]} operations List of operations to normalize
+ * @returns {Object[]} Normalized copy of operations
+ */
+es.TransactionModel.normalizeOperations = function( operations ) {
+	var result = [],
+		attributes = [],
+		op,
+		i;
+	for ( i = 0; i < operations.length; i++ ) {
+		if ( !( operations[i].type in es.TransactionProcessor.operationMap ) ) {
+			throw 'Invalid operation error. Operation type is not supported: ' +
+				operations[i].type;
+		}
+		op = es.extendObject( {}, operations[i] );
+		if ( op.data ) {
+			op.data = es.copyArray( op.data );
+		}
+		if ( op.type === 'attribute' ) {
+			attributes.push( op );
+		} else {
+			if ( op.type === 'retain' || op.type === 'remove' ) {
+				result = result.concat( attributes );
+				attributes = [];
+			}
+			result.push( op );
+		}
+	}
+	return result.concat( attributes );
+};
+
+/**
+ * Gets a copy of data with annotations set and cleared the same way es.TransactionProcessor does.
+ * 
+ * @static
+ * @method
+ * @param {Array} data Data to annotate
+ * @param {Object[]} set Annotations to set
+ * @param {Array} clear Annotations or patterns to clear
+ * @returns {Array} Annotated copy of data
+ */
+es.TransactionModel.applyAnnotationsToData = function( data, set, clear ) {
+	var i, j, k, matches, index;
+	data = es.copyArray( data );
+	for ( i = 0; i < data.length; i++ ) {
+		if ( data[i].type !== undefined ) {
+			continue;
+		}
+		for ( j = 0; j < set.length; j++ ) {
+			data[i] = es.isArray( data[i] ) ? data[i] : [data[i]];
+			data[i].push( set[j] );
+		}
+		for ( j = 0; j < clear.length && es.isArray( data[i] ); j++ ) {
+			if ( clear[j] instanceof RegExp ) {
+				matches = es.DocumentModel.getMatchingAnnotations( data[i], clear[j] );
+				for ( k = 0; k < matches.length; k++ ) {
+					data[i].splice( es.inArray( matches[k], data[i] ), 1 );
+				}
+			} else {
+				index = es.DocumentModel.getIndexOfAnnotation( data[i], clear[j] );
+				if ( index !== -1 ) {
+					data[i].splice( index, 1 );
+				}
+			}
+			if ( data[i].length === 1 ) {
+				data[i] = data[i][0];
+			}
+		}
+	}
+	return data;
+};
+
+/**
+ * Changes an attribute of element data the same way es.TransactionProcessor does.
+ * 
+ * This method modifies element in place.
+ * 
+ * @static
+ * @method
+ * @param {Object} element Element data to change
+ * @param {String} method Method to use, either "set" or "clear"
+ * @param {String} key Name of attribute to change
+ * @param {Mixed} value Value to set attribute to
+ */
+es.TransactionModel.applyAttributeChangeToElement = function( element, method, key, value ) {
+	if ( method === 'set' ) {
+		if ( !element.attributes ) {
+			element.attributes = {};
+		}
+		element.attributes[key] = value;
+	} else if ( element.attributes ) {
+		delete element.attributes[key];
+		if ( es.isEmptyObject( element.attributes ) ) {
+			delete element.attributes;
+		}
+	}
+};
+
+/**
+ * Gets an attribute operation which reverses the effect of another.
+ * 
+ * Setting an attribute which had a previous value is reversed by setting the previous value again,
+ * setting an attribute which wasn't set is reversed by clearing it and clearing an attribute is
+ * reversed by setting the value it had.
+ * 
+ * @static
+ * @method
+ * @param {Object} op Attribute operation to reverse
+ * @returns {Object} Attribute operation with the opposite effect
+ */
+es.TransactionModel.getInverseAttributeOperation = function( op ) {
+	var inverse = { 'type': 'attribute', 'key': op.key };
+	if ( op.method === 'set' && op.from !== undefined ) {
+		inverse.method = 'set';
+		inverse.value = op.from;
+		inverse.from = op.value;
+	} else {
+		inverse.method = op.method === 'set' ? 'clear' : 'set';
+		inverse.value = op.value;
+	}
+	return inverse;
+};
+
+/**
+ * Starts and stops annotating so that the annotations being set and cleared match a desired state.
+ * 
+ * No annotations should be set or cleared while inserting or removing data, because
+ * es.TransactionProcessor applies them to inserted data when committing and to removed data when
+ * rolling back.
+ * 
+ * @static
+ * @method
+ * @param {es.TransactionModel} transaction Transaction to push annotate operations to
+ * @param {Object} started Annotations currently being set and cleared, will be updated
+ * @param {Array} started.set Annotations being set
+ * @param {Array} started.clear Annotations or patterns being cleared
+ * @param {Object} desired Annotations that should be set and cleared, in the same format
+ */
+es.TransactionModel.syncAnnotating = function( transaction, started, desired ) {
+	var methods = ['set', 'clear'],
+		method,
+		list,
+		i,
+		j;
+	for ( i = 0; i < methods.length; i++ ) {
+		method = methods[i];
+		list = started[method];
+		for ( j = list.length - 1; j >= 0; j-- ) {
+			if ( es.TransactionModel.getIndexOfAnnotationKey( desired[method], list[j] ) === -1 ) {
+				transaction.pushStopAnnotating( method, list[j] );
+				list.splice( j, 1 );
+			}
+		}
+		for ( j = 0; j < desired[method].length; j++ ) {
+			if ( es.TransactionModel.getIndexOfAnnotationKey( list, desired[method][j] ) === -1 ) {
+				transaction.pushStartAnnotating( method, desired[method][j] );
+				list.push( desired[method][j] );
+			}
+		}
+	}
+};
+
+/**
+ * Transforms two concurrent transactions so that each can be applied after the other.
+ *
+ * Both transactions must have been prepared against the same document state. The result is a pair
+ * of transactions, a' and b', where a' applies the changes of a to a document b has already been
+ * committed to, and b' applies the changes of b to a document a has already been committed to.
+ * Committing a then b', or b then a', will produce the same document.
+ *
+ * Conflicts are resolved as follows:
+ *     1. When both transactions insert at the same offset, a's insertion is placed first
+ *     2. Data inserted inside a range the other transaction removes is removed as well
+ *     3. Data inserted by one transaction is not annotated by the other
+ *     4. When both transactions set or clear the same annotation on the same content, or change
+ *        the same attribute of the same element, a wins
+ *
+ * Concurrent structural changes which overlap, such as one transaction removing part of a node the
+ * other is merging into another node, are not repaired and may produce invalid data.
+ *
+ * @static
+ * @method
+ * @param {es.TransactionModel} a First transaction, which wins conflicts
+ * @param {es.TransactionModel} b Second transaction
+ * @returns {es.TransactionModel[]} Transformed transactions, a' and b'
+ */
+es.TransactionModel.transform = function( a, b ) {
+	/**
+	 * Creates the working state of one side of the transformation
+	 */
+	function newSide( transaction ) {
+		return {
+			// Normalized copy of operations
+			'operations': es.TransactionModel.normalizeOperations( transaction.getOperations() ),
+			// Index of the current operation
+			'index': 0,
+			// Amount of the current retain or remove operation which has already been processed
+			'offset': 0,
+			// Annotations being set and cleared by the original transaction
+			'set': [],
+			'clear': [],
+			// Annotations being set and cleared by the transformed transaction
+			'started': { 'set': [], 'clear': [] },
+			// Transformed transaction
+			'result': new es.TransactionModel()
+		};
+	}
+
+	function head( side ) {
+		return side.operations[side.index];
+	}
+
+	function remaining( side ) {
+		var op = head( side );
+		if ( op === undefined ) {
+			return Infinity;
+		}
+		return ( op.type === 'retain' ? op.length : op.data.length ) - side.offset;
+	}
+
+	function advance( side, length ) {
+		var op = head( side );
+		if ( op === undefined ) {
+			return;
+		}
+		if ( length === undefined || length >= remaining( side ) ) {
+			side.index++;
+			side.offset = 0;
+		} else {
+			side.offset += length;
+		}
+	}
+
+	function sync( side, desired ) {
+		es.TransactionModel.syncAnnotating( side.result, side.started, desired );
+	}
+
+	/**
+	 * Pushes a removal to a side's transformed transaction, without annotating it when rolling back
+	 */
+	function pushRemove( side, data ) {
+		sync( side, none );
+		side.result.pushRemove( data );
+	}
+
+	function isRemoving( side ) {
+		var op = head( side );
+		return op !== undefined && op.type === 'remove';
+	}
+
+	/**
+	 * Gets the annotations a side should apply to content the other side is also retaining,
+	 * leaving out those that conflict with the other side
+	 */
+	function getEffectiveAnnotations( side, other, wins ) {
+		var effective = { 'set': [], 'clear': [] },
+			i;
+		for ( i = 0; i < side.set.length; i++ ) {
+			if (
+				es.TransactionModel.getIndexOfAnnotationKey( other.set, side.set[i] ) === -1 &&
+				( wins || es.TransactionModel.getIndexOfAnnotationKey( other.clear, side.set[i] ) === -1 )
+			) {
+				effective.set.push( side.set[i] );
+			}
+		}
+		for ( i = 0; i < side.clear.length; i++ ) {
+			if (
+				es.TransactionModel.getIndexOfAnnotationKey( other.clear, side.clear[i] ) === -1 &&
+				( wins || es.TransactionModel.getIndexOfAnnotationKey( other.set, side.clear[i] ) === -1 )
+			) {
+				effective.clear.push( side.clear[i] );
+			}
+		}
+		return effective;
+	}
+
+	/**
+	 * Processes an insert or annotate operation at the head of a side
+	 */
+	function processContent( side, other ) {
+		var op = head( side ),
+			target,
+			index;
+		if ( op.type === 'annotate' ) {
+			target = side[op.method];
+			if ( op.bias === 'start' ) {
+				target.push( op.annotation );
+			} else {
+				index = es.TransactionModel.getIndexOfAnnotationKey( target, op.annotation );
+				if ( index === -1 ) {
+					throw 'Annotation stack error. Annotation is missing.';
+				}
+				target.splice( index, 1 );
+			}
+		} else if ( isRemoving( other ) && other.offset > 0 ) {
+			// Inserting inside a range the other side is removing, remove the insertion as well
+			pushRemove(
+				other, es.TransactionModel.applyAnnotationsToData( op.data, side.set, side.clear )
+			);
+		} else {
+			sync( side, side );
+			side.result.pushInsert( op.data );
+			sync( other, none );
+			other.result.pushRetain( op.data.length );
+		}
+		advance( side );
+	}
+
+	/**
+	 * Collects all attribute operations at the head of a side
+	 */
+	function takeAttributes( side ) {
+		var attributes = [];
+		while ( head( side ) && head( side ).type === 'attribute' ) {
+			attributes.push( head( side ) );
+			advance( side );
+		}
+		return attributes;
+	}
+
+	/**
+	 * Gets the attribute operation changing a given key, or null if there isn't one
+	 */
+	function findAttribute( attributes, key ) {
+		for ( var i = 0; i < attributes.length; i++ ) {
+			if ( attributes[i].key === key ) {
+				return attributes[i];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Processes attribute operations from one side, given those of the other side at the same offset
+	 */
+	function processAttributes( side, attributes, other, otherAttributes, wins ) {
+		var op, conflict, element, i;
+		for ( i = 0; i < attributes.length; i++ ) {
+			op = attributes[i];
+			conflict = findAttribute( otherAttributes, op.key );
+			if ( isRemoving( other ) ) {
+				// The other side is removing the element, so change the removed data instead
+				es.TransactionModel.applyAttributeChangeToElement(
+					head( other ).data[other.offset], op.method, op.key, op.value
+				);
+			} else if ( conflict && ( !wins || (
+				conflict.method === op.method &&
+				es.DocumentModel.getHash( [conflict.value] ) === es.DocumentModel.getHash( [op.value] )
+			) ) ) {
+				// The other side wins or is making the same change already
+				continue;
+			} else if ( conflict ) {
+				// The change is applied after the other side's, so it replaces that value instead
+				if ( op.method === 'set' ) {
+					side.result.pushChangeElementAttribute(
+						'set',
+						op.key,
+						op.value,
+						conflict.method === 'set' ? conflict.value : undefined
+					);
+				} else if ( conflict.method === 'set' ) {
+					side.result.pushChangeElementAttribute( 'clear', op.key, conflict.value );
+				}
+			} else {
+				side.result.pushChangeElementAttribute( op.method, op.key, op.value, op.from );
+			}
+		}
+	}
+
+	/**
+	 * Processes retain and remove operations at the heads of both sides
+	 */
+	function processData( a, b ) {
+		var length = Math.min( remaining( a ), remaining( b ) ),
+			aRemoving = isRemoving( a ),
+			bRemoving = isRemoving( b );
+		if ( aRemoving && !bRemoving ) {
+			pushRemove(
+				a,
+				es.TransactionModel.applyAnnotationsToData(
+					head( a ).data.slice( a.offset, a.offset + length ), b.set, b.clear
+				)
+			);
+		} else if ( bRemoving && !aRemoving ) {
+			pushRemove(
+				b,
+				es.TransactionModel.applyAnnotationsToData(
+					head( b ).data.slice( b.offset, b.offset + length ), a.set, a.clear
+				)
+			);
+		} else if ( !aRemoving && !bRemoving ) {
+			sync( a, getEffectiveAnnotations( a, b, true ) );
+			a.result.pushRetain( length );
+			sync( b, getEffectiveAnnotations( b, a, false ) );
+			b.result.pushRetain( length );
+		}
+		// When both sides remove the same data, there's nothing left to do for either of them
+		advance( a, length );
+		advance( b, length );
+	}
+
+	function isType( op, types ) {
+		return op !== undefined && es.inArray( op.type, types ) !== -1;
+	}
+
+	var sideA = newSide( a ),
+		sideB = newSide( b ),
+		none = { 'set': [], 'clear': [] },
+		aAttributes,
+		bAttributes,
+		aHead,
+		bHead;
+	while ( head( sideA ) || head( sideB ) ) {
+		aHead = head( sideA );
+		bHead = head( sideB );
+		if ( isType( aHead, ['insert', 'annotate'] ) ) {
+			processContent( sideA, sideB );
+		} else if ( isType( bHead, ['insert', 'annotate'] ) ) {
+			processContent( sideB, sideA );
+		} else if ( isType( aHead, ['attribute'] ) || isType( bHead, ['attribute'] ) ) {
+			aAttributes = takeAttributes( sideA );
+			bAttributes = takeAttributes( sideB );
+			processAttributes( sideA, aAttributes, sideB, bAttributes, true );
+			processAttributes( sideB, bAttributes, sideA, aAttributes, false );
+		} else {
+			processData( sideA, sideB );
+		}
+	}
+	sync( sideA, none );
+	sync( sideB, none );
+	return [sideA.result, sideB.result];
+};
+
+/**
+ * Composes two sequential transactions into a single transaction.
+ * 
+ * The second transaction must have been prepared against the document state the first transaction
+ * produces. Committing the result has the same effect as committing a and then b, and rolling it
+ * back has the same effect as rolling back b and then a.
+ * 
+ * Annotations cleared with a RegExp pattern can't always be combined with other changes to the
+ * same content, in which case an exception is thrown and the transactions should be kept apart.
+ * 
+ * @static
+ * @method
+ * @param {es.TransactionModel} a First transaction
+ * @param {es.TransactionModel} b Second transaction, to be applied after a
+ * @returns {es.TransactionModel} Composed transaction
+ */
+es.TransactionModel.compose = function( a, b ) {
+	function newSide( transaction ) {
+		return {
+			'operations': es.TransactionModel.normalizeOperations( transaction.getOperations() ),
+			'index': 0,
+			'offset': 0,
+			'set': [],
+			'clear': []
+		};
+	}
+
+	function head( side ) {
+		return side.operations[side.index];
+	}
+
+	function remaining( side ) {
+		var op = head( side );
+		if ( op === undefined ) {
+			return Infinity;
+		}
+		return ( op.type === 'retain' ? op.length : op.data.length ) - side.offset;
+	}
+
+	function advance( side, length ) {
+		if ( head( side ) === undefined ) {
+			return;
+		}
+		if ( length === undefined || length >= remaining( side ) ) {
+			side.index++;
+			side.offset = 0;
+		} else {
+			side.offset += length;
+		}
+	}
+
+	function isType( op, types ) {
+		return op !== undefined && es.inArray( op.type, types ) !== -1;
+	}
+
+	/**
+	 * Throws an exception if a RegExp pattern cleared by one side matches an annotation set by
+	 * the other, since es.TransactionProcessor always sets before it clears
+	 */
+	function checkPatterns( clear, set ) {
+		var i, j;
+		for ( i = 0; i < clear.length; i++ ) {
+			for ( j = 0; clear[i] instanceof RegExp && j < set.length; j++ ) {
+				if ( clear[i].test( set[j].type ) ) {
+					throw 'Composition error. Can not set an annotation matching a cleared pattern.';
+				}
+			}
+		}
+	}
+
+	/**
+	 * Gets the annotations to set and clear on content both sides are retaining, leaving out
+	 * those that cancel each other out
+	 */
+	function getCombinedAnnotations() {
+		var combined = { 'set': [], 'clear': [] },
+			i;
+		checkPatterns( sideA.clear, sideB.set );
+		for ( i = 0; i < sideA.set.length; i++ ) {
+			if ( es.TransactionModel.getIndexOfAnnotationKey( sideB.clear, sideA.set[i] ) === -1 ) {
+				combined.set.push( sideA.set[i] );
+			}
+		}
+		for ( i = 0; i < sideB.set.length; i++ ) {
+			if (
+				es.TransactionModel.getIndexOfAnnotationKey( sideA.clear, sideB.set[i] ) === -1 &&
+				es.TransactionModel.getIndexOfAnnotationKey( combined.set, sideB.set[i] ) === -1
+			) {
+				combined.set.push( sideB.set[i] );
+			}
+		}
+		for ( i = 0; i < sideA.clear.length; i++ ) {
+			if ( es.TransactionModel.getIndexOfAnnotationKey( sideB.set, sideA.clear[i] ) === -1 ) {
+				combined.clear.push( sideA.clear[i] );
+			}
+		}
+		for ( i = 0; i < sideB.clear.length; i++ ) {
+			if (
+				es.TransactionModel.getIndexOfAnnotationKey( sideA.set, sideB.clear[i] ) === -1 &&
+				es.TransactionModel.getIndexOfAnnotationKey( combined.clear, sideB.clear[i] ) === -1
+			) {
+				combined.clear.push( sideB.clear[i] );
+			}
+		}
+		return combined;
+	}
+
+	/**
+	 * Gets data as it was before the first side annotated it
+	 */
+	function getUnannotatedData( data ) {
+		for ( var i = 0; i < sideA.clear.length; i++ ) {
+			if ( sideA.clear[i] instanceof RegExp ) {
+				throw 'Composition error. Can not restore annotations cleared with a pattern.';
+			}
+		}
+		return es.TransactionModel.applyAnnotationsToData( data, sideA.clear, sideA.set );
+	}
+
+	function processAnnotate( side ) {
+		var op = head( side ),
+			target = side[op.method],
+			index;
+		if ( op.bias === 'start' ) {
+			target.push( op.annotation );
+		} else {
+			index = es.TransactionModel.getIndexOfAnnotationKey( target, op.annotation );
+			if ( index === -1 ) {
+				throw 'Annotation stack error. Annotation is missing.';
+			}
+			target.splice( index, 1 );
+		}
+		advance( side );
+	}
+
+	/**
+	 * Adds an attribute operation to the result, combining it with an earlier change of the same
+	 * attribute of the same element so the result can still be rolled back
+	 */
+	function pushAttribute( op ) {
+		var operations = result.getOperations(),
+			i = operations.length - 1,
+			earlier,
+			from;
+		while ( i >= 0 && operations[i].type === 'attribute' && operations[i].key !== op.key ) {
+			i--;
+		}
+		if ( i < 0 || operations[i].type !== 'attribute' ) {
+			result.pushChangeElementAttribute( op.method, op.key, op.value, op.from );
+			return;
+		}
+		earlier = operations.splice( i, 1 )[0];
+		// Value the attribute had before either change
+		from = earlier.method === 'set' ? earlier.from : earlier.value;
+		if ( op.method === 'set' ) {
+			result.pushChangeElementAttribute( 'set', op.key, op.value, from );
+		} else if ( from !== undefined ) {
+			result.pushChangeElementAttribute( 'clear', op.key, from );
+		}
+	}
+
+	var sideA = newSide( a ),
+		sideB = newSide( b ),
+		started = { 'set': [], 'clear': [] },
+		none = { 'set': [], 'clear': [] },
+		result = new es.TransactionModel(),
+		inverse,
+		aHead,
+		bHead,
+		data,
+		length;
+	while ( head( sideA ) || head( sideB ) ) {
+		aHead = head( sideA );
+		bHead = head( sideB );
+		if ( isType( aHead, ['annotate'] ) ) {
+			processAnnotate( sideA );
+		} else if ( isType( bHead, ['annotate'] ) ) {
+			processAnnotate( sideB );
+		} else if ( isType( aHead, ['remove'] ) ) {
+			// Removed data never reaches the second transaction
+			es.TransactionModel.syncAnnotating( result, started, none );
+			result.pushRemove( aHead.data );
+			advance( sideA );
+		} else if ( isType( bHead, ['insert'] ) ) {
+			es.TransactionModel.syncAnnotating( result, started, none );
+			result.pushInsert(
+				es.TransactionModel.applyAnnotationsToData( bHead.data, sideB.set, sideB.clear )
+			);
+			advance( sideB );
+		} else if ( isType( aHead, ['attribute'] ) ) {
+			if ( isType( bHead, ['remove'] ) ) {
+				// The element is being removed, so restore the attribute in the removed data
+				inverse = es.TransactionModel.getInverseAttributeOperation( aHead );
+				es.TransactionModel.applyAttributeChangeToElement(
+					bHead.data[sideB.offset], inverse.method, inverse.key, inverse.value
+				);
+			} else {
+				pushAttribute( aHead );
+			}
+			advance( sideA );
+		} else if ( isType( bHead, ['attribute'] ) ) {
+			if ( isType( aHead, ['insert'] ) ) {
+				// The element is being inserted, so change the inserted data instead
+				es.TransactionModel.applyAttributeChangeToElement(
+					aHead.data[sideA.offset], bHead.method, bHead.key, bHead.value
+				);
+			} else {
+				pushAttribute( bHead );
+			}
+			advance( sideB );
+		} else {
+			length = Math.min( remaining( sideA ), remaining( sideB ) );
+			if ( isType( aHead, ['insert'] ) ) {
+				if ( !isType( bHead, ['remove'] ) ) {
+					// Inserted data is annotated by both sides
+					data = es.TransactionModel.applyAnnotationsToData(
+						aHead.data.slice( sideA.offset, sideA.offset + length ),
+						sideA.set,
+						sideA.clear
+					);
+					es.TransactionModel.syncAnnotating( result, started, none );
+					result.pushInsert(
+						es.TransactionModel.applyAnnotationsToData( data, sideB.set, sideB.clear )
+					);
+				}
+				// Data inserted and then removed again is left out entirely
+			} else if ( isType( bHead, ['remove'] ) ) {
+				es.TransactionModel.syncAnnotating( result, started, none );
+				result.pushRemove(
+					getUnannotatedData( bHead.data.slice( sideB.offset, sideB.offset + length ) )
+				);
+			} else {
+				es.TransactionModel.syncAnnotating( result, started, getCombinedAnnotations() );
+				result.pushRetain( length );
+			}
+			advance( sideA, length );
+			advance( sideB, length );
+		}
+	}
+	es.TransactionModel.syncAnnotating( result, started, none );
+	return result;
+};
+
 /* Methods */
 
 /**
@@ -22,6 +850,96 @@ es.TransactionModel.prototype.getOperations = function() {
 	return this.operations;
 };
 
+/**
+ * Gets a plain object representation of the transaction, suitable for JSON serialization.
+ * 
+ * Data and annotations are copied, annotation hashes are left out and RegExp patterns are stored
+ * as objects with pattern and flags properties. This method is called by JSON.stringify, and the
+ * result can be turned back into a transaction using es.TransactionModel.newFromJSON.
+ * 
+ * @method
+ * @returns {Object} Plain object representation of the transaction
+ */
+es.TransactionModel.prototype.toJSON = function() {
+	function convertAnnotation( annotation ) {
+		if ( annotation instanceof RegExp ) {
+			return {
+				'pattern': annotation.source,
+				'flags': ( annotation.global ? 'g' : '' ) + ( annotation.ignoreCase ? 'i' : '' ) +
+					( annotation.multiline ? 'm' : '' )
+			};
+		}
+		var obj = { 'type': annotation.type };
+		if ( es.isPlainObject( annotation.data ) ) {
+			obj.data = es.copyObject( annotation.data );
+		}
+		return obj;
+	}
+
+	function convertValue( value ) {
+		return es.isArray( value ) ? es.copyArray( value ) :
+			( es.isPlainObject( value ) ? es.copyObject( value ) : value );
+	}
+
+	function convertData( data ) {
+		var result = [],
+			i,
+			j;
+		for ( i = 0; i < data.length; i++ ) {
+			if ( es.isArray( data[i] ) ) {
+				result.push( [data[i][0]] );
+				for ( j = 1; j < data[i].length; j++ ) {
+					result[i].push( convertAnnotation( data[i][j] ) );
+				}
+			} else if ( es.isPlainObject( data[i] ) ) {
+				result.push( es.copyObject( data[i] ) );
+			} else {
+				result.push( data[i] );
+			}
+		}
+		return result;
+	}
+
+	var operations = [],
+		op,
+		i;
+	for ( i = 0; i < this.operations.length; i++ ) {
+		op = this.operations[i];
+		switch ( op.type ) {
+			case 'retain':
+				operations.push( { 'type': 'retain', 'length': op.length } );
+				break;
+			case 'insert':
+			case 'remove':
+				operations.push( { 'type': op.type, 'data': convertData( op.data ) } );
+				break;
+			case 'attribute':
+				operations.push( {
+					'type': 'attribute',
+					'method': op.method,
+					'key': op.key,
+					'value': convertValue( op.value )
+				} );
+				if ( op.from !== undefined ) {
+					operations[operations.length - 1].from = convertValue( op.from );
+				}
+				break;
+			case 'annotate':
+				operations.push( {
+					'type': 'annotate',
+					'method': op.method,
+					'bias': op.bias,
+					'annotation': convertAnnotation( op.annotation )
+				} );
+				break;
+		}
+	}
+	return {
+		'version': es.TransactionModel.jsonVersion,
+		'operations': operations
+	};
+};
+
 /**
  * Gets the difference in content length this transaction will cause if applied.
  * 
@@ -32,6 +950,107 @@ es.TransactionModel.prototype.getLengthDifference = function() {
 	return this.lengthDifference;
 };
 
+/**
+ * Gets the offset an offset will be at after this transaction is applied.
+ * 
+ * Offsets inside removed data are moved to where the removal took place. Offsets where data is
+ * inserted are kept before the inserted data if bias is "left", or moved after it if bias is
+ * "right".
+ * 
+ * @method
+ * @param {Integer} offset Offset to translate
+ * @param {String} [bias='left'] Which side of data inserted at offset to end up at, either "left"
+ * or "right"
+ * @param {Boolean} [reverse=false] Translate from after to before this transaction is applied,
+ * which is the effect of rolling it back
+ * @returns {Integer} Translated offset
+ */
+es.TransactionModel.prototype.translateOffset = function( offset, bias, reverse ) {
+	var source = 0,
+		target = 0,
+		op,
+		type,
+		length;
+	for ( var i = 0; i < this.operations.length; i++ ) {
+		op = this.operations[i];
+		type = op.type;
+		if ( reverse && ( type === 'insert' || type === 'remove' ) ) {
+			type = type === 'insert' ? 'remove' : 'insert';
+		}
+		length = type === 'retain' ? op.length : ( op.data ? op.data.length : 0 );
+		if ( type === 'retain' ) {
+			if ( offset < source + length ) {
+				return target + offset - source;
+			}
+			source += length;
+			target += length;
+		} else if ( type === 'insert' ) {
+			if ( offset === source && bias !== 'right' ) {
+				return target;
+			}
+			target += length;
+		} else if ( type === 'remove' ) {
+			if ( offset < source + length ) {
+				return target;
+			}
+			source += length;
+		}
+	}
+	return target + offset - source;
+};
+
+/**
+ * Gets the range a range will cover after this transaction is applied.
+ * 
+ * Data inserted at either end of the range is not included in it, unless bias is given. The
+ * direction of the range is kept.
+ * 
+ * @method
+ * @param {es.Range} range Range to translate
+ * @param {String} [bias] Which side of inserted data to keep both ends of the range at, either
+ * "left" or "right", @see {es.TransactionModel.prototype.translateOffset}
+ * @param {Boolean} [reverse=false] Translate from after to before this transaction is applied
+ * @returns {es.Range} Translated range
+ */
+es.TransactionModel.prototype.translateRange = function( range, bias, reverse ) {
+	var start, end;
+	range.normalize();
+	if ( bias || range.start === range.end ) {
+		start = this.translateOffset( range.start, bias, reverse );
+		end = this.translateOffset( range.end, bias, reverse );
+	} else {
+		start = this.translateOffset( range.start, 'right', reverse );
+		end = Math.max( start, this.translateOffset( range.end, 'left', reverse ) );
+	}
+	return range.from <= range.to ? new es.Range( start, end ) : new es.Range( end, start );
+};
+
+/**
+ * Gets a transaction which reverses the effect of this transaction.
+ * 
+ * Committing the result has the same effect as rolling back this transaction.
+ * 
+ * @method
+ * @returns {es.TransactionModel} Inverse transaction
+ */
+es.TransactionModel.prototype.getInverse = function() {
+	var inverse = new es.TransactionModel(),
+		op;
+	for ( var i = 0; i < this.operations.length; i++ ) {
+		op = es.extendObject( {}, this.operations[i] );
+		if ( op.type === 'insert' || op.type === 'remove' ) {
+			op.type = op.type === 'insert' ? 'remove' : 'insert';
+		} else if ( op.type === 'attribute' ) {
+			op = es.TransactionModel.getInverseAttributeOperation( op );
+		} else if ( op.type === 'annotate' ) {
+			op.method = op.method === 'set' ? 'clear' : 'set';
+		}
+		inverse.operations.push( op );
+	}
+	inverse.lengthDifference = -this.lengthDifference;
+	return inverse;
+};
+
 /**
  * Adds a retain operation.
  * 
@@ -91,18 +1110,26 @@ es.TransactionModel.prototype.pushRemove = function( data ) {
 /**
  * Adds an element attribute change operation.
  * 
+ * The previous value of an attribute being set is needed to restore it when the change is rolled
+ * back, without it rolling back clears the attribute.
+ * 
  * @method
  * @param {String} method Method to use, either "set" or "clear"
  * @param {String} key Name of attribute to change
  * @param {Mixed} value Value to set attribute to, or value of attribute being cleared
+ * @param {Mixed} [from] Previous value of attribute being set, if it was set
  */
-es.TransactionModel.prototype.pushChangeElementAttribute = function( method, key, value ) {
-	this.operations.push( {
+es.TransactionModel.prototype.pushChangeElementAttribute = function( method, key, value, from ) {
+	var op = {
 		'type': 'attribute',
 		'method': method,
 		'key': key,
 		'value': value
-	} );
+	};
+	if ( method === 'set' && from !== undefined ) {
+		op.from = from;
+	}
+	this.operations.push( op );
 };
 
 /**
@@ -0,0 +1,46 @@
+/**
+ * Creates an es.TransclusionModel object.
+ * 
+ * Transclusions may have the following attributes:
+ *     namespace: Namespace of the transcluded page, such as "Template" or "Main"
+ *     title: Title of the transcluded page, without the namespace
+ *     parameters: List of parameters passed to the transcluded page
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentModelLeafNode}
+ * @param {Object} element Document data element of this node
+ * @param {Integer} length Length of document data element
+ */
+es.TransclusionModel = function( element, length ) {
+	// Inheritance
+	es.DocumentModelLeafNode.call( this, 'transclusion', element, length );
+};
+
+/* Methods */
+
+/**
+ * Creates a transclusion view for this model.
+ * 
+ * @method
+ * @returns {es.TransclusionView}
+ */
+es.TransclusionModel.prototype.createView = function() {
+	return new es.TransclusionView( this );
+};
+
+/* Registration */
+
+es.DocumentModel.nodeModels.transclusion = es.TransclusionModel;
+
+es.DocumentModel.nodeRules.transclusion = {
+	'parents': null,
+	'children': [],
+	'atomic': true
+};
+
+es.DocumentModel.nodeProperties.transclusion = ['namespace', 'title'];
+
+/* Inheritance */
+
+es.extendClass( es.TransclusionModel, es.DocumentModelLeafNode );
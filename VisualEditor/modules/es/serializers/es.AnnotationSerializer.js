@@ -7,6 +7,7 @@
  */
 es.AnnotationSerializer = function() {
 	this.annotations = {};
+	this.replacements = {};
 };
 
 /* Static Methods */
@@ -56,21 +57,45 @@ es.AnnotationSerializer.prototype.addTags = function( range, type, attributes )
 	this.add( range, es.Html.makeOpeningTag( type, attributes ), es.Html.makeClosingTag( type ) );
 };
 
+/**
+ * Adds text to be inserted in place of a range of text.
+ * 
+ * This is used for objects within content, which are represented by placeholder characters.
+ * 
+ * @method
+ * @param {es.Range} range Range of text to replace
+ * @param {String} replacement Text to insert instead
+ */
+es.AnnotationSerializer.prototype.replace = function( range, replacement ) {
+	// Normalize the range if it can be normalized
+	if ( typeof range.normalize === 'function' ) {
+		range.normalize();
+	}
+	this.replacements[range.start] = { 'end': range.end, 'text': replacement };
+};
+
 /**
  * Renders annotations into text.
  * 
  * @method
  * @param {String} text Text to apply annotations to
+ * @param {Function} [escape] Function which accepts text and an offset and returns the character
+ * at that offset as it should be written, used when characters of text have special meanings
  * @returns {String} Wrapped text
  */
-es.AnnotationSerializer.prototype.render = function( text ) {
-	var out = '';
+es.AnnotationSerializer.prototype.render = function( text, escape ) {
+	var out = '',
+		skip = 0;
 	for ( var i = 0, length = text.length; i <= length; i++ ) {
 		if ( i in this.annotations ) {
 			out += this.annotations[i].join( '' );
 		}
-		if ( i < length ) {
-			out += text[i];
+		if ( i in this.replacements ) {
+			out += this.replacements[i].text;
+			skip = Math.max( skip, this.replacements[i].end );
+		}
+		if ( i < length && i >= skip ) {
+			out += escape ? escape( text, i ) : text[i];
 		}
 	}
 	return out;
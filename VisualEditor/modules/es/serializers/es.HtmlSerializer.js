@@ -38,6 +38,33 @@ es.HtmlSerializer.getHtmlAttributes = function( attributes ) {
 	return count ? htmlAttributes : null;
 };
 
+/**
+ * Gets HTML attributes of an img element showing an image.
+ * 
+ * Images without a src attribute are shown from the wiki, using the file name in their title.
+ * Values are escaped, since text such as the alternative text is entered by users.
+ * 
+ * @static
+ * @method
+ * @param {Object} attributes Attributes of an image node, or data of an object/image annotation
+ * @returns {Object} HTML attributes
+ */
+es.HtmlSerializer.getImageAttributes = function( attributes ) {
+	var title = attributes.title || '',
+		htmlAttributes = {
+			'src': es.Html.escapeText( attributes.src ||
+				'/wiki/Special:FilePath/' + title.replace( /^(File|Image):/i, '' ) ),
+			'data-title': es.Html.escapeText( title )
+		},
+		keys = ['alt', 'width', 'height'];
+	for ( var i = 0; i < keys.length; i++ ) {
+		if ( attributes[keys[i]] ) {
+			htmlAttributes[keys[i]] = es.Html.escapeText( String( attributes[keys[i]] ) );
+		}
+	}
+	return htmlAttributes;
+};
+
 /* Methods */
 
 es.HtmlSerializer.prototype.document = function( node, rawFirstParagraph ) {
@@ -57,7 +84,19 @@ es.HtmlSerializer.prototype.document = function( node, rawFirstParagraph ) {
 };
 
 es.HtmlSerializer.prototype.comment = function( node ) {
-	return '<!--(' + node.text + ')-->';
+	return '<!--(' + ( es.DocumentModel.getNodeProperty( node, 'text' ) || '' ) + ')-->';
+};
+
+es.HtmlSerializer.prototype.blockquote = function( node ) {
+	return es.Html.makeTag(
+		'blockquote', es.HtmlSerializer.getHtmlAttributes( node.attributes ), this.document( node )
+	);
+};
+
+es.HtmlSerializer.prototype.div = function( node ) {
+	return es.Html.makeTag(
+		'div', es.HtmlSerializer.getHtmlAttributes( node.attributes ), this.document( node )
+	);
 };
 
 es.HtmlSerializer.prototype.pre = function( node ) {
@@ -90,17 +129,16 @@ es.HtmlSerializer.prototype.list = function( node ) {
 		bnext  = [], // Next element's listStyles
 		closeTags  = []; // Stack of close tags for currently active lists
 
+	function isDefinitionStyle( style ) {
+		return style === 'term' || style === 'definition' || style === 'description';
+	}
+
 	function commonPrefixLength( x, y ) {
 		var minLength = Math.min(x.length, y.length);
 		for(var i = 0; i < minLength; i++) {
-			if (x[i] !== y[i]) {
-				// Both description and term are
-				// inside dls, so consider them equivalent here.
-				var diffs =  [x[i], y[i]].sort();
-				if (diffs[0] !== 'description' &&
-						diffs[1] !== 'term' ) {
-							break;
-						}
+			// Both definitions and terms are inside dls, so consider them equivalent here
+			if ( x[i] !== y[i] && !( isDefinitionStyle( x[i] ) && isDefinitionStyle( y[i] ) ) ) {
+				break;
 			}
 		}
 		return i;
@@ -128,6 +166,7 @@ es.HtmlSerializer.prototype.list = function( node ) {
 					closeTags.push(es.Html.makeClosingTag('ol'));
 					break;
 				case 'term':
+				case 'definition':
 				case 'description':
 					out.push(es.Html.makeOpeningTag('dl', attribs));
 					closeTags.push(es.Html.makeClosingTag('dl'));
@@ -139,26 +178,45 @@ es.HtmlSerializer.prototype.list = function( node ) {
 	}
 
 	for (var i = 0, length = node.children.length; i < length; i++) {
-		var e = node.children[i];
-		bnext = e.attributes.styles;
-		delete e.attributes.styles;
-		openLists( bstack, bnext, e.attributes );
+		var e = node.children[i],
+			attributes = es.extendObject( {}, e.attributes );
+		// Styles are turned into lists, so they aren't attributes of the item
+		bnext = attributes.styles;
+		delete attributes.styles;
+		openLists( bstack, bnext, attributes );
 		var tag;
 		switch(bnext[bnext.length - 1]) {
 			case 'term':
 				tag = 'dt'; break;
+			case 'definition':
 			case 'description':
 				tag = 'dd'; break;
 			default:
 				tag = 'li'; break;
 		}
-		out.push( es.Html.makeTag(tag, e.attributes, this.document( e ) ) );
+		out.push( es.Html.makeTag(tag, attributes, this.document( e ) ) );
 		bstack = bnext;
 	}
 	popTags(closeTags.length);
 	return out.join("\n");
 };
 
+es.HtmlSerializer.prototype.image = function( node ) {
+	var attributes = node.attributes || {},
+		figureAttributes = es.HtmlSerializer.getHtmlAttributes( attributes ) || {},
+		keys = ['align', 'format'],
+		html = es.Html.makeTag( 'img', es.HtmlSerializer.getImageAttributes( attributes ), false );
+	for ( var i = 0; i < keys.length; i++ ) {
+		if ( attributes[keys[i]] ) {
+			figureAttributes['data-' + keys[i]] = attributes[keys[i]];
+		}
+	}
+	if ( node.content && node.content.text ) {
+		html += es.Html.makeTag( 'figcaption', {}, this.content( node.content ) );
+	}
+	return es.Html.makeTag( 'figure', figureAttributes, html );
+};
+
 es.HtmlSerializer.prototype.table = function( node ) {
 	var lines = [],
 		attributes = es.HtmlSerializer.getHtmlAttributes( node.attributes );
@@ -187,8 +245,9 @@ es.HtmlSerializer.prototype.tableCell = function( node ) {
 			'tableHeading': 'th',
 			'tableCell': 'td'
 		},
-		attributes = es.HtmlSerializer.getHtmlAttributes( node.attributes );
-	return es.Html.makeTag( symbolTable[node.type], attributes, this.document( node, true ) );
+		type = node.attributes && node.attributes.style === 'header' ? 'tableHeading' : node.type,
+		attributes = es.Html.getCellAttributes( node.attributes );
+	return es.Html.makeTag( symbolTable[type], attributes, this.document( node, true ) );
 };
 
 es.HtmlSerializer.prototype.tableCaption = function( node ) {
@@ -197,55 +256,25 @@ es.HtmlSerializer.prototype.tableCaption = function( node ) {
 };
 
 es.HtmlSerializer.prototype.transclusion = function( node ) {
-	var title = [];
-	if ( node.namespace !== 'Main' ) {
-		title.push( node.namespace );
+	var namespace = es.DocumentModel.getNodeProperty( node, 'namespace' ),
+		title = [];
+	if ( namespace !== 'Main' ) {
+		title.push( namespace );
 	}
-	title.push( node.title );
+	title.push( es.DocumentModel.getNodeProperty( node, 'title' ) );
 	title = title.join( ':' );
 	return es.Html.makeTag( 'a', { 'href': title }, title );
 };
 
 es.HtmlSerializer.prototype.parameter = function( node ) {
-	return '{{{' + node.name + '}}}';
+	return '{{{' + ( es.DocumentModel.getNodeProperty( node, 'name' ) || '' ) + '}}}';
 };
 
 es.HtmlSerializer.prototype.content = function( node ) {
 	if ( 'annotations' in node && node.annotations.length ) {
-		var annotationSerializer = new es.AnnotationSerializer(),
-			tagTable = {
-				'textStyle/bold': 'b',
-				'textStyle/italic': 'i',
-				'textStyle/strong': 'strong',
-				'textStyle/emphasize': 'em',
-				'textStyle/big': 'big',
-				'textStyle/small': 'small',
-				'textStyle/superScript': 'sup',
-				'textStyle/subScript': 'sub',
-                'textStyle/delete': 'del'
-			};
+		var annotationSerializer = new es.AnnotationSerializer();
 		for ( var i = 0, length = node.annotations.length; i < length; i++ ) {
-			var annotation = node.annotations[i];
-			if ( annotation.type in tagTable ) {
-				annotationSerializer.addTags( annotation.range, tagTable[annotation.type] );
-			} else {
-				switch ( annotation.type ) {
-					case 'link/external':
-						annotationSerializer.addTags(
-							annotation.range, 'a', { 'href': annotation.data.url }
-						);
-						break;
-					case 'link/internal':
-						annotationSerializer.addTags(
-							annotation.range, 'a', { 'href': '/wiki/' + annotation.data.title }
-						);
-						break;
-					case 'object/template':
-					case 'object/hook':
-						annotationSerializer.add( annotation.range, annotation.data.html, '' );
-						break;
-				}
-			}
+			es.AnnotationRegistry.serialize( annotationSerializer, node.annotations[i], 'html' );
 		}
 		return annotationSerializer.render( node.text );
 	} else {
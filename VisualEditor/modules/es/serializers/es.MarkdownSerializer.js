@@ -0,0 +1,287 @@
+/**
+ * Serializes a WikiDom plain object into a Markdown string.
+ * 
+ * Tables are written as GitHub Flavored Markdown pipe tables. Constructs which can't be expressed
+ * in Markdown, such as definition lists, images or tables with merged cells, are written as HTML.
+ * 
+ * @class
+ * @constructor
+ * @param options {Object} List of options for serialization
+ * @property htmlSerializer {es.HtmlSerializer} Serializer for constructs written as HTML
+ */
+es.MarkdownSerializer = function( options ) {
+	this.options = $.extend( {
+		// defaults
+	}, options || {} );
+	this.htmlSerializer = new es.HtmlSerializer();
+};
+
+/* Static Methods */
+
+/**
+ * Get a serialized version of data.
+ * 
+ * @static
+ * @method
+ * @param {Object} data Data to serialize
+ * @param {Object} options Options to use, @see {es.MarkdownSerializer} for details
+ * @returns {String} Serialized version of data
+ */
+es.MarkdownSerializer.stringify = function( data, options ) {
+	return ( new es.MarkdownSerializer( options ) ).document( data );
+};
+
+/**
+ * Gets a character of text, escaped if it would otherwise be read as Markdown syntax.
+ * 
+ * Some characters only have a meaning at the start of a line, such as heading and list markers,
+ * so they are only escaped there.
+ * 
+ * @static
+ * @method
+ * @param {String} text Text containing the character
+ * @param {Integer} offset Offset of the character in text
+ * @returns {String} Character, escaped with a backslash if needed
+ */
+es.MarkdownSerializer.escapeCharacter = function( text, offset ) {
+	var character = text.charAt( offset ),
+		lineStart = offset === 0 || text.charAt( offset - 1 ) === '\n',
+		i;
+	if ( /[\\`*_\[\]<|~]/.test( character ) ) {
+		return '\\' + character;
+	}
+	if ( lineStart && /[#>+\-=]/.test( character ) ) {
+		return '\\' + character;
+	}
+	if ( character === '&' && /^&(#\d+|#x[\da-f]+|[a-z][a-z\d]*);/i.test( text.substr( offset ) ) ) {
+		// Only text which would be read as an entity needs escaping
+		return '\\&';
+	}
+	if ( character === '.' || character === ')' ) {
+		// Numbers at the start of a line followed by these would be read as list markers
+		for ( i = offset - 1; i >= 0 && /\d/.test( text.charAt( i ) ); i-- ) {}
+		if ( i < offset - 1 && ( i < 0 || text.charAt( i ) === '\n' ) ) {
+			return '\\' + character;
+		}
+	}
+	return character;
+};
+
+/**
+ * Gets a URL which can be used as the destination of a Markdown link.
+ * 
+ * @static
+ * @method
+ * @param {String} url URL to link to
+ * @returns {String} URL with whitespace, parentheses and angle brackets percent-encoded
+ */
+es.MarkdownSerializer.getUrl = function( url ) {
+	return url.replace( /[\s()<>]/g, function( character ) {
+		return '%' + ( '0' + character.charCodeAt( 0 ).toString( 16 ).toUpperCase() ).substr( -2 );
+	} );
+};
+
+/**
+ * Gets a string of backticks which can fence a code block containing text.
+ * 
+ * @static
+ * @method
+ * @param {String} text Text of the code block
+ * @returns {String} Fence, at least three backticks long and longer than any run in text
+ */
+es.MarkdownSerializer.getFence = function( text ) {
+	var fence = '```';
+	while ( text.indexOf( fence ) !== -1 ) {
+		fence += '`';
+	}
+	return fence;
+};
+
+/* Methods */
+
+es.MarkdownSerializer.prototype.document = function( node ) {
+	var blocks = [];
+	for ( var i = 0, length = node.children.length; i < length; i++ ) {
+		var childNode = node.children[i];
+		if ( childNode.type in this ) {
+			blocks.push( this[childNode.type].call( this, childNode ) );
+		} else if ( childNode.type in this.htmlSerializer ) {
+			blocks.push( this.html( childNode ) );
+		}
+	}
+	return blocks.join( '\n\n' );
+};
+
+/**
+ * Gets an HTML block for a node which can't be expressed in Markdown.
+ * 
+ * @method
+ * @param {Object} node Node to serialize
+ * @returns {String} HTML of node
+ */
+es.MarkdownSerializer.prototype.html = function( node ) {
+	return this.htmlSerializer[node.type].call( this.htmlSerializer, node );
+};
+
+es.MarkdownSerializer.prototype.horizontalRule = function( node ) {
+	return '---';
+};
+
+es.MarkdownSerializer.prototype.heading = function( node ) {
+	return new Array( node.attributes.level + 1 ).join( '#' ) + ' ' + this.content( node.content );
+};
+
+es.MarkdownSerializer.prototype.paragraph = function( node ) {
+	return this.content( node.content );
+};
+
+es.MarkdownSerializer.prototype.blockquote = function( node ) {
+	return this.document( node ).replace( /^/gm, '> ' ).replace( /^> $/gm, '>' );
+};
+
+es.MarkdownSerializer.prototype.pre = function( node ) {
+	var text = node.content.text,
+		fence;
+	if ( node.content.annotations && node.content.annotations.length ) {
+		// Code blocks can't contain formatting
+		return this.html( node );
+	}
+	fence = es.MarkdownSerializer.getFence( text );
+	return fence + '\n' + text + '\n' + fence;
+};
+
+es.MarkdownSerializer.prototype.list = function( node ) {
+	var lines = [],
+		markers = [], // Markers of the current item at each level of nesting
+		counters = [], // Number of items so far at each level of nesting
+		previous = [], // Styles of the previous item
+		i,
+		j,
+		length;
+
+	function getIndent( depth ) {
+		var indent = '';
+		for ( var k = 0; k < depth; k++ ) {
+			indent += new Array( markers[k].length + 1 ).join( ' ' );
+		}
+		return indent;
+	}
+
+	function addMarker( depth, style ) {
+		counters[depth] = ( counters[depth] || 0 ) + 1;
+		markers[depth] = style === 'number' ? counters[depth] + '. ' : '- ';
+	}
+
+	for ( i = 0, length = node.children.length; i < length; i++ ) {
+		for ( j = 0; j < node.children[i].attributes.styles.length; j++ ) {
+			if ( !( node.children[i].attributes.styles[j] in { 'bullet': 1, 'number': 1 } ) ) {
+				// Definition lists have no Markdown syntax
+				return this.html( node );
+			}
+		}
+	}
+	for ( i = 0, length = node.children.length; i < length; i++ ) {
+		var item = node.children[i],
+			styles = item.attributes.styles,
+			depth = styles.length - 1,
+			prefix = 0;
+		while ( prefix < depth && styles[prefix] === previous[prefix] ) {
+			prefix++;
+		}
+		// Numbering starts again in lists which begin at this item
+		counters.length = styles[prefix] === previous[prefix] ? prefix + 1 : prefix;
+		// Items nested more than one level deeper than the previous one need empty parent items
+		for ( j = prefix; j < depth; j++ ) {
+			addMarker( j, styles[j] );
+			lines.push( getIndent( j ) + markers[j].replace( / $/, '' ) );
+		}
+		addMarker( depth, styles[depth] );
+		var indent = getIndent( depth ),
+			content = this.document( item ).replace(
+				/\n(?=.)/g, '\n' + indent + new Array( markers[depth].length + 1 ).join( ' ' )
+			);
+		lines.push( indent + markers[depth] + content );
+		previous = styles;
+	}
+	return lines.join( '\n' );
+};
+
+es.MarkdownSerializer.prototype.table = function( node ) {
+	var rows = [],
+		columns = 0,
+		lines = [],
+		separator = [],
+		i,
+		j;
+	// Pipe tables can only contain rows of single paragraphs, with the first row as the header
+	for ( i = 0; i < node.children.length; i++ ) {
+		var row = node.children[i],
+			cells = [];
+		if ( row.type !== 'tableRow' ) {
+			return this.html( node );
+		}
+		for ( j = 0; j < row.children.length; j++ ) {
+			var cell = row.children[j],
+				attributes = cell.attributes || {};
+			if (
+				attributes.colspan > 1 || attributes.rowspan > 1 ||
+				cell.children.length > 1 ||
+				( cell.children.length && cell.children[0].type !== 'paragraph' )
+			) {
+				return this.html( node );
+			}
+			cells.push( cell.children.length ?
+				this.paragraph( cell.children[0] ).replace( /\n/g, '<br>' ) : '' );
+		}
+		columns = Math.max( columns, cells.length );
+		rows.push( cells );
+	}
+	if ( !rows.length || !columns ) {
+		return this.html( node );
+	}
+	for ( i = 0; i < rows.length; i++ ) {
+		while ( rows[i].length < columns ) {
+			rows[i].push( '' );
+		}
+		lines.push( '| ' + rows[i].join( ' | ' ) + ' |' );
+	}
+	for ( j = 0; j < columns; j++ ) {
+		separator.push( '---' );
+	}
+	lines.splice( 1, 0, '| ' + separator.join( ' | ' ) + ' |' );
+	return lines.join( '\n' );
+};
+
+es.MarkdownSerializer.prototype.content = function( node ) {
+	var annotationSerializer = new es.AnnotationSerializer(),
+		code = [];
+	if ( 'annotations' in node ) {
+		for ( var i = 0, length = node.annotations.length; i < length; i++ ) {
+			var annotation = node.annotations[i],
+				range = annotation.range,
+				start = Math.min( range.start, range.end ),
+				end = Math.max( range.start, range.end ),
+				format = 'markdown';
+			if ( annotation.type === 'textStyle/code' ) {
+				// Backslash escapes don't work in code spans, which also can't contain backticks
+				if ( node.text.substring( start, end ).indexOf( '`' ) === -1 ) {
+					code.push( { 'start': start, 'end': end } );
+				} else {
+					format = 'html';
+				}
+			}
+			// Formatting without Markdown syntax is written as HTML
+			if ( !es.AnnotationRegistry.serialize( annotationSerializer, annotation, format ) ) {
+				es.AnnotationRegistry.serialize( annotationSerializer, annotation, 'html' );
+			}
+		}
+	}
+	return annotationSerializer.render( node.text, function( text, offset ) {
+		for ( var i = 0; i < code.length; i++ ) {
+			if ( offset >= code[i].start && offset < code[i].end ) {
+				return text.charAt( offset );
+			}
+		}
+		return es.MarkdownSerializer.escapeCharacter( text, offset );
+	} );
+};
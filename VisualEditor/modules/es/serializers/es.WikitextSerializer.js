@@ -38,6 +38,111 @@ es.WikitextSerializer.getHtmlAttributes = function( attributes ) {
 	return count ? htmlAttributes : null;
 };
 
+/**
+ * Gets a wikitext link showing an image.
+ * 
+ * @static
+ * @method
+ * @param {Object} attributes Attributes of an image node, or data of an object/image annotation
+ * @param {String} [caption] Serialized caption, @see {es.WikitextSerializer.escapeLinkCharacter}
+ * @returns {String} Wikitext link, such as "[[File:Example.jpg|thumb|left|100px|Caption]]"
+ */
+es.WikitextSerializer.getImageLink = function( attributes, caption ) {
+	var title = attributes.title || '',
+		parts = [/^(File|Image):/i.test( title ) ? title : 'File:' + title];
+	if ( attributes.format ) {
+		parts.push( attributes.format );
+	}
+	if ( attributes.align ) {
+		parts.push( attributes.align );
+	}
+	if ( attributes.width || attributes.height ) {
+		parts.push(
+			( attributes.width || '' ) + ( attributes.height ? 'x' + attributes.height : '' ) + 'px'
+		);
+	}
+	if ( attributes.alt ) {
+		parts.push( 'alt=' + attributes.alt.replace( /[|\]]/g, function( character, offset ) {
+			return es.WikitextSerializer.escapeLinkCharacter( attributes.alt, offset );
+		} ) );
+	}
+	if ( caption ) {
+		parts.push( caption );
+	}
+	return '[[' + parts.join( '|' ) + ']]';
+};
+
+/**
+ * Escapes a character of text used within a link, such as the caption of an image.
+ * 
+ * Pipes would start a new part of the link and double closing brackets would end it early, as
+ * would a closing bracket at the end of the text next to the brackets of the link, so they are
+ * wrapped in nowiki tags.
+ * 
+ * @static
+ * @method
+ * @param {String} text Text to escape character of
+ * @param {Integer} offset Offset of character in text
+ * @returns {String} Escaped character
+ */
+es.WikitextSerializer.escapeLinkCharacter = function( text, offset ) {
+	var character = text.charAt( offset );
+	if (
+		character === '|' ||
+		( character === ']' && ( offset === text.length - 1 || text.charAt( offset + 1 ) === ']' ) )
+	) {
+		return '<nowiki>' + character + '</nowiki>';
+	}
+	return character;
+};
+
+/**
+ * Escapes text used as the name or value of a template parameter.
+ * 
+ * Pipes and double braces would end the parameter or the template call early, as would a brace at
+ * the start or end of the text next to the braces of the call, so they are wrapped in nowiki tags.
+ * 
+ * @static
+ * @method
+ * @param {String} text Text to escape
+ * @returns {String} Escaped text, such as "a<nowiki>|</nowiki>b" for "a|b"
+ */
+es.WikitextSerializer.escapeTemplateText = function( text ) {
+	return text.replace( /\||\{\{|\}\}|^\{|\}$/g, '<nowiki>$&</nowiki>' );
+};
+
+/**
+ * Gets a wikitext template call.
+ * 
+ * Parameters without a name are positional. Positional parameters whose value contains "=" are
+ * written with their position as a name, so the value isn't mistaken for a named parameter. The
+ * title, names and values are escaped, @see {es.WikitextSerializer.escapeTemplateText}.
+ * 
+ * @static
+ * @method
+ * @param {Object} data Data of an object/template annotation
+ * @param {String} data.title Title of the template
+ * @param {Object[]} [data.parameters] List of parameters, each with a value and optionally a name
+ * @returns {String} Wikitext template call, such as "{{Example|a|b=c}}"
+ */
+es.WikitextSerializer.getTemplateCall = function( data ) {
+	var escape = es.WikitextSerializer.escapeTemplateText,
+		parts = [escape( data.title || '' )],
+		parameters = data.parameters || [],
+		position = 0,
+		value;
+	for ( var i = 0; i < parameters.length; i++ ) {
+		value = escape( parameters[i].value || '' );
+		if ( parameters[i].name ) {
+			parts.push( escape( parameters[i].name ) + '=' + value );
+		} else {
+			position++;
+			parts.push( value.indexOf( '=' ) === -1 ? value : position + '=' + value );
+		}
+	}
+	return '{{' + parts.join( '|' ) + '}}';
+};
+
 /* Methods */
 
 es.WikitextSerializer.prototype.document = function( node, rawFirstParagraph ) {
@@ -60,7 +165,7 @@ es.WikitextSerializer.prototype.document = function( node, rawFirstParagraph ) {
 };
 
 es.WikitextSerializer.prototype.comment = function( node ) {
-	return '<!--' + node.text + '-->';
+	return '<!--' + ( es.DocumentModel.getNodeProperty( node, 'text' ) || '' ) + '-->';
 };
 
 es.WikitextSerializer.prototype.horizontalRule = function( node ) {
@@ -76,6 +181,19 @@ es.WikitextSerializer.prototype.paragraph = function( node ) {
 	return this.content( node.content );
 };
 
+es.WikitextSerializer.prototype.blockquote = function( node ) {
+	// There's no wikitext markup for quotations, so the HTML tag is used
+	return es.Html.makeOpeningTag(
+			'blockquote', es.WikitextSerializer.getHtmlAttributes( node.attributes )
+		) + '\n' + this.document( node ) + '\n' + es.Html.makeClosingTag( 'blockquote' );
+};
+
+es.WikitextSerializer.prototype.div = function( node ) {
+	return es.Html.makeOpeningTag(
+			'div', es.WikitextSerializer.getHtmlAttributes( node.attributes )
+		) + '\n' + this.document( node ) + '\n' + es.Html.makeClosingTag( 'div' );
+};
+
 es.WikitextSerializer.prototype.pre = function( node ) {
 	return ' ' + this.content( node.content ).replace( '\n', '\n ' );
 };
@@ -85,6 +203,8 @@ es.WikitextSerializer.prototype.list = function( node ) {
 		'bullet': '*',
 		'number': '#',
 		'term': ';',
+		'definition': ':',
+		// Older name for definition
 		'description': ':'
 	};
 	function convertStyles( styles ) {
@@ -105,12 +225,17 @@ es.WikitextSerializer.prototype.list = function( node ) {
 	return lines.join( '\n' ) + '\n';
 };
 
+es.WikitextSerializer.prototype.image = function( node ) {
+	return es.WikitextSerializer.getImageLink(
+		node.attributes || {},
+		node.content ? this.content( node.content, es.WikitextSerializer.escapeLinkCharacter ) : ''
+	);
+};
+
 es.WikitextSerializer.prototype.table = function( node ) {
 	var lines = [],
 		attributes = es.WikitextSerializer.getHtmlAttributes( node.attributes );
-	if ( attributes ) {
-		attributes = es.Html.makeAttributeList( attributes );
-	}
+	attributes = attributes ? ' ' + es.Html.makeAttributeList( attributes ) : '';
 	lines.push( '{|' + attributes );
 	for ( var i = 0, length = node.children.length; i < length; i++ ) {
 		lines.push( this.tableRow( node.children[i], i === 0 ) );
@@ -122,9 +247,7 @@ es.WikitextSerializer.prototype.table = function( node ) {
 es.WikitextSerializer.prototype.tableRow = function( node, first ) {
 	var lines = [],
 		attributes = es.WikitextSerializer.getHtmlAttributes( node.attributes );
-	if ( attributes ) {
-		attributes = es.Html.makeAttributeList( attributes );
-	}
+	attributes = attributes ? ' ' + es.Html.makeAttributeList( attributes ) : '';
 	if ( !first || attributes ) {
 		lines.push( '|-' + attributes );
 	}
@@ -139,67 +262,35 @@ es.WikitextSerializer.prototype.tableCell = function( node ) {
 		'tableHeading': '!',
 		'tableCell': '|'
 	};
-	var attributes = es.WikitextSerializer.getHtmlAttributes( node.attributes );
-	if ( attributes ) {
-		attributes = es.Html.makeAttributeList( attributes ) + '|';
-	}
-	return symbolTable[node.type] + attributes + this.document( node, true );
+	var type = node.attributes && node.attributes.style === 'header' ? 'tableHeading' : node.type,
+		attributes = es.Html.getCellAttributes( node.attributes );
+	attributes = attributes ? ' ' + es.Html.makeAttributeList( attributes ) + ' |' : '';
+	return symbolTable[type] + attributes + this.document( node, true );
 };
 
 es.WikitextSerializer.prototype.transclusion = function( node ) {
-	var title = [];
-	if ( node.namespace === 'Main' ) {
+	var namespace = es.DocumentModel.getNodeProperty( node, 'namespace' ),
+		title = [];
+	if ( namespace === 'Main' ) {
 		title.push( '' );
-	} else if ( node.namespace !== 'Template' ) {
-		title.push( node.namespace );
+	} else if ( namespace !== 'Template' ) {
+		title.push( namespace );
 	}
-	title.push( node.title );
+	title.push( es.DocumentModel.getNodeProperty( node, 'title' ) );
 	return '{{' + title.join( ':' ) + '}}';
 };
 
 es.WikitextSerializer.prototype.parameter = function( node ) {
-	return '{{{' + node.name + '}}}';
-};
-
-es.WikitextSerializer.prototype.content = function( node ) {
-	if ( 'annotations' in node && node.annotations.length ) {
-		var annotationSerializer = new es.AnnotationSerializer(),
-			tagTable = {
-				'textStyle/strong': 'strong',
-				'textStyle/emphasize': 'em',
-				'textStyle/big': 'big',
-				'textStyle/small': 'small',
-				'textStyle/superScript': 'sup',
-				'textStyle/subScript': 'sub'
-			},
-			markupTable = {
-				'textStyle/bold': "'''",
-				'textStyle/italic': "''"
-			};
-		for ( var i = 0, length = node.annotations.length; i < length; i++ ) {
-			var annotation = node.annotations[i];
-			if ( annotation.type in tagTable ) {
-				annotationSerializer.addTags( annotation.range, tagTable[annotation.type] );
-			} else if ( annotation.type in markupTable ) {
-				annotationSerializer.add(
-					annotation.range, markupTable[annotation.type], markupTable[annotation.type]
-				);
-			} else {
-				switch ( annotation.type ) {
-					case 'link/external':
-						annotationSerializer.add(
-							annotation.range, '[' + annotation.data.href + ' ', ']'
-						);
-						break;
-					case 'link/internal':
-						annotationSerializer.add(
-							annotation.range, '[[' + annotation.data.title + '|', ']]'
-						);
-						break;
-				}
-			}
+	return '{{{' + ( es.DocumentModel.getNodeProperty( node, 'name' ) || '' ) + '}}}';
+};
+
+es.WikitextSerializer.prototype.content = function( node, escape ) {
+	if ( 'annotations' in node && node.annotations.length || escape ) {
+		var annotationSerializer = new es.AnnotationSerializer();
+		for ( var i = 0, length = ( node.annotations || [] ).length; i < length; i++ ) {
+			es.AnnotationRegistry.serialize( annotationSerializer, node.annotations[i], 'wikitext' );
 		}
-		return annotationSerializer.render( node.text );
+		return annotationSerializer.render( node.text, escape );
 	} else {
 		return node.text;
 	}
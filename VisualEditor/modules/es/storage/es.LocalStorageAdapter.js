@@ -0,0 +1,59 @@
+/**
+ * Creates an es.LocalStorageAdapter object.
+ * 
+ * Values are kept in the browser's localStorage, so they survive reloading the page. Browsers
+ * without localStorage, or which refuse to store more because the quota is used up, are treated as
+ * having nothing stored.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.StorageAdapter}
+ * @param {String} [prefix='es-'] Prefix added to keys, to keep them apart from those of other code
+ * @property {String} prefix Prefix added to keys
+ */
+es.LocalStorageAdapter = function( prefix ) {
+	// Inheritance
+	es.StorageAdapter.call( this );
+
+	// Properties
+	this.prefix = prefix === undefined ? 'es-' : prefix;
+};
+
+/* Methods */
+
+es.LocalStorageAdapter.prototype.get = function( key, callback ) {
+	var value = null;
+	try {
+		value = window.localStorage.getItem( this.prefix + key );
+	} catch ( e ) {
+		// Accessing localStorage throws in some browsers when it's disabled
+	}
+	callback( value );
+};
+
+es.LocalStorageAdapter.prototype.set = function( key, value, callback ) {
+	var stored = true;
+	try {
+		window.localStorage.setItem( this.prefix + key, String( value ) );
+	} catch ( e ) {
+		stored = false;
+	}
+	if ( callback ) {
+		callback( stored );
+	}
+};
+
+es.LocalStorageAdapter.prototype.remove = function( key, callback ) {
+	try {
+		window.localStorage.removeItem( this.prefix + key );
+	} catch ( e ) {
+		// Nothing can be stored, so there is nothing to remove either
+	}
+	if ( callback ) {
+		callback();
+	}
+};
+
+/* Inheritance */
+
+es.extendClass( es.LocalStorageAdapter, es.StorageAdapter );
@@ -0,0 +1,42 @@
+/**
+ * Creates an es.MemoryStorageAdapter object.
+ * 
+ * Values are kept in memory and are lost when the page is left, which makes this adapter useful for
+ * tests and for editors which don't need to survive a reload.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.StorageAdapter}
+ * @property {Object} values Stored values, keyed by key
+ */
+es.MemoryStorageAdapter = function() {
+	// Inheritance
+	es.StorageAdapter.call( this );
+
+	// Properties
+	this.values = {};
+};
+
+/* Methods */
+
+es.MemoryStorageAdapter.prototype.get = function( key, callback ) {
+	callback( this.values.hasOwnProperty( key ) ? this.values[key] : null );
+};
+
+es.MemoryStorageAdapter.prototype.set = function( key, value, callback ) {
+	this.values[key] = String( value );
+	if ( callback ) {
+		callback( true );
+	}
+};
+
+es.MemoryStorageAdapter.prototype.remove = function( key, callback ) {
+	delete this.values[key];
+	if ( callback ) {
+		callback();
+	}
+};
+
+/* Inheritance */
+
+es.extendClass( es.MemoryStorageAdapter, es.StorageAdapter );
@@ -16,6 +16,7 @@ es.AnnotationButtonTool = function( toolbar, name, title, data ) {
 	this.annotation = data.annotation;
 	this.inspector = data.inspector;
 	this.active = false;
+	this.current = null;
 };
 
 /* Methods */
@@ -35,75 +36,51 @@ es.AnnotationButtonTool.prototype.onClick = function() {
 				this.toolbar.getSurfaceView().getContextView().openInspector( this.inspector );
 			}
 		}
+	} else if ( this.active ) {
+		// Clear the annotation which is there, which may have other data, such as another color
+		surfaceView.annotate( 'clear', this.current );
 	} else {
-		surfaceView.annotate( this.active ? 'clear' : 'set', this.annotation );
+		surfaceView.annotate( 'set', this.annotation );
 	}
 };
 
 es.AnnotationButtonTool.prototype.updateState = function( annotations, nodes ) {
-	if ( es.DocumentModel.getIndexOfAnnotation( annotations.full, this.annotation, true ) !== -1 ) {
+	var index = es.DocumentModel.getIndexOfAnnotation( annotations.full, this.annotation, true );
+	if ( index !== -1 ) {
 		this.$.addClass( 'es-toolbarButtonTool-down' );
 		this.active = true;
+		this.current = annotations.full[index];
 		return;
 	}
 	this.$.removeClass( 'es-toolbarButtonTool-down' );
 	this.active = false;
+	this.current = null;
 };
 
 /* Registration */
 
-es.Tool.tools.bold = {
-	'constructor': es.AnnotationButtonTool,
-	'name': 'bold',
-	'title': 'Bold (ctrl/cmd + B)',
-	'data': {
-		'annotation': { 'type': 'textStyle/bold' }
-	}
-};
-
-es.Tool.tools.italic = {
-	'constructor': es.AnnotationButtonTool,
-	'name': 'italic',
-	'title': 'Italic (ctrl/cmd + I)',
-	'data': {
-		'annotation': { 'type': 'textStyle/italic' }
-	}
-};
-
-es.Tool.tools.link = {
-	'constructor': es.AnnotationButtonTool,
-	'name': 'link',
-	'title': 'Link (ctrl/cmd + K)',
-	'data': {
-		'annotation': { 'type': 'link/internal', 'data': { 'title': '' } },
-		'inspector': 'link'
-	}
-};
-
-es.Tool.tools.strong = {
-	'constructor': es.AnnotationButtonTool,
-	'name': 'strong',
-	'title': 'Strong (ctrl/cmd + B)',
-	'data': {
-		'annotation': { 'type': 'textStyle/strong' }
-	}
-};
-es.Tool.tools.em = {
-	'constructor': es.AnnotationButtonTool,
-	'name': 'em',
-	'title': 'Emphase (ctrl/cmd + I)',
-	'data': {
-		'annotation': { 'type': 'textStyle/emphasize' }
-	}
-};
-es.Tool.tools.del = {
-	'constructor': es.AnnotationButtonTool,
-	'name': 'del',
-	'title': 'Del (ctrl/cmd + D)',
-	'data': {
-		'annotation': { 'type': 'textStyle/delete' }
+// Annotation types with toolbar metadata each get a button
+( function() {
+	var types = es.AnnotationRegistry.getTypesWith( 'tool' ),
+		annotation,
+		tool;
+	for ( var i = 0; i < types.length; i++ ) {
+		tool = es.AnnotationRegistry.get( types[i] ).tool;
+		annotation = { 'type': types[i] };
+		if ( tool.data ) {
+			annotation.data = tool.data;
+		}
+		es.Tool.tools[tool.name] = {
+			'constructor': es.AnnotationButtonTool,
+			'name': tool.name,
+			'title': tool.title,
+			'data': {
+				'annotation': annotation,
+				'inspector': tool.inspector
+			}
+		};
 	}
-};
+} )();
 
 /* Inheritance */
 
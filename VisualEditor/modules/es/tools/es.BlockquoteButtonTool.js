@@ -0,0 +1,135 @@
+/**
+ * Creates an es.BlockquoteButtonTool object.
+ * 
+ * Wraps the selected nodes in a blockquote, or unwraps the blockquote the selection is in.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.ButtonTool}
+ * @param {es.ToolbarView} toolbar
+ * @param {String} name
+ */
+es.BlockquoteButtonTool = function( toolbar, name, title ) {
+	// Inheritance
+	es.ButtonTool.call( this, toolbar, name, title );
+
+	// Properties
+	this.nodes = [];
+};
+
+/* Static Methods */
+
+/**
+ * Gets the blockquote a node is in.
+ * 
+ * @static
+ * @method
+ * @param {es.DocumentModelNode} node Node to look from
+ * @returns {es.BlockquoteModel|null} Closest blockquote around node, or null if there isn't one
+ */
+es.BlockquoteButtonTool.getBlockquote = function( node ) {
+	while ( node ) {
+		if ( node.getElementType() === 'blockquote' ) {
+			return node;
+		}
+		node = node.getParent();
+	}
+	return null;
+};
+
+/**
+ * Gets the range of sibling nodes to wrap in a blockquote to get a list of nodes inside of it.
+ * 
+ * @static
+ * @method
+ * @param {es.DocumentModel} doc Document the nodes are in
+ * @param {es.DocumentModelNode[]} nodes Nodes to wrap, in document order
+ * @returns {es.Range} Range covering the children of the closest common ancestor of all nodes which
+ * contain them, or of the closest ancestor of that which can contain a blockquote
+ */
+es.BlockquoteButtonTool.getWrapRange = function( doc, nodes ) {
+	function getAncestors( node ) {
+		var ancestors = [];
+		while ( node ) {
+			ancestors.unshift( node );
+			node = node.getParent();
+		}
+		return ancestors;
+	}
+
+	var first = getAncestors( nodes[0] ),
+		last = getAncestors( nodes[nodes.length - 1] ),
+		depth = 0,
+		start,
+		end;
+	while (
+		depth + 1 < first.length &&
+		depth + 1 < last.length &&
+		first[depth + 1] === last[depth + 1]
+	) {
+		depth++;
+	}
+	start = first[depth + 1] || first[depth];
+	end = last[depth + 1] || last[depth];
+	// Blockquotes can't be put directly in lists or tables, so wrap those as a whole instead
+	while (
+		start.getParent() &&
+		!es.DocumentModel.isAllowedChild( start.getParent().getElementType(), 'blockquote' )
+	) {
+		start = end = start.getParent();
+	}
+	return new es.Range(
+		doc.getOffsetFromNode( start ), doc.getOffsetFromNode( end ) + end.getElementLength()
+	);
+};
+
+/* Methods */
+
+es.BlockquoteButtonTool.prototype.onClick = function() {
+	var surface = this.toolbar.surfaceView,
+		doc = surface.model.getDocument(),
+		selection = surface.currentSelection.clone(),
+		blockquote,
+		offset,
+		tx;
+	if ( !this.nodes.length ) {
+		return;
+	}
+	blockquote = es.BlockquoteButtonTool.getBlockquote( this.nodes[0] );
+	if ( blockquote ) {
+		offset = doc.getOffsetFromNode( blockquote );
+		tx = doc.prepareUnwrap(
+			new es.Range( offset + 1, offset + blockquote.getElementLength() - 1 ), ['blockquote']
+		);
+	} else {
+		tx = doc.prepareWrap(
+			es.BlockquoteButtonTool.getWrapRange( doc, this.nodes ), [{ 'type': 'blockquote' }]
+		);
+	}
+	surface.model.breakpoint();
+	surface.model.transact( tx );
+	surface.model.breakpoint();
+	surface.model.select( tx.translateRange( selection ) );
+	surface.emitCursor();
+};
+
+es.BlockquoteButtonTool.prototype.updateState = function( annotations, nodes ) {
+	this.nodes = nodes;
+	if ( nodes.length && es.BlockquoteButtonTool.getBlockquote( nodes[0] ) ) {
+		this.$.addClass( 'es-toolbarButtonTool-down' );
+	} else {
+		this.$.removeClass( 'es-toolbarButtonTool-down' );
+	}
+};
+
+/* Registration */
+
+es.Tool.tools.blockquote = {
+	'constructor': es.BlockquoteButtonTool,
+	'name': 'blockquote',
+	'title': 'Quotation'
+};
+
+/* Inheritance */
+
+es.extendClass( es.BlockquoteButtonTool, es.ButtonTool );
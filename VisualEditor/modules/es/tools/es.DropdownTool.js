@@ -17,7 +17,6 @@ es.DropdownTool = function( toolbar, name, title, items ) {
 	// Properties
 	var _this = this;
 	this.menuView = new es.MenuView( items, function( item ) {
-		_this.onSelect( item );
 		/**
 		 * START MODIF Yannick for trad
 		 */
@@ -27,6 +26,8 @@ es.DropdownTool = function( toolbar, name, title, items ) {
 		/**
 		 * END MODIF Yannick for trad
 		 */
+		// Tools can change the label again when an item is selected
+		_this.onSelect( item );
 	}, this.$ );
 	this.$label = $( '<div class="es-toolbarDropdownTool-label"></div>' ).appendTo( this.$ );
 
@@ -63,14 +63,12 @@ es.FormatDropdownTool = function( toolbar, name, title ) {
 /* Methods */
 
 es.FormatDropdownTool.prototype.onSelect = function( item ) {
-	var txs = this.toolbar.surfaceView.model.getDocument().prepareLeafConversion(
+	var tx = this.toolbar.surfaceView.model.getDocument().prepareLeafConversion(
 		this.toolbar.surfaceView.currentSelection,
 		item.type,
 		item.attributes
 	);
-	for ( var i = 0; i < txs.length; i++ ) {
-		this.toolbar.surfaceView.model.transact( txs[i] );
-	}
+	this.toolbar.surfaceView.model.transact( tx );
 };
 
 es.FormatDropdownTool.prototype.updateState = function( annotations, nodes ) {
@@ -0,0 +1,40 @@
+/**
+ * Creates an es.ImageButtonTool object.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.ButtonTool}
+ * @param {es.ToolbarView} toolbar
+ * @param {String} name
+ */
+es.ImageButtonTool = function( toolbar, name, title ) {
+	// Inheritance
+	es.ButtonTool.call( this, toolbar, name, title );
+};
+
+/* Methods */
+
+es.ImageButtonTool.prototype.onClick = function() {
+	this.toolbar.getSurfaceView().getContextView().openInspector( 'image' );
+};
+
+es.ImageButtonTool.prototype.updateState = function( annotations, nodes ) {
+	var inline = es.DocumentModel.getMatchingAnnotations( annotations.all, /object\/image/ );
+	if ( inline.length || ( nodes.length === 1 && nodes[0].getElementType() === 'image' ) ) {
+		this.$.addClass( 'es-toolbarButtonTool-down' );
+	} else {
+		this.$.removeClass( 'es-toolbarButtonTool-down' );
+	}
+};
+
+/* Registration */
+
+es.Tool.tools.image = {
+	'constructor': es.ImageButtonTool,
+	'name': 'image',
+	'title': 'Image'
+};
+
+/* Inheritance */
+
+es.extendClass( es.ImageButtonTool, es.ButtonTool );
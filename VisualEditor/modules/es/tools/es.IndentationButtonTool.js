@@ -21,6 +21,11 @@ es.IndentationButtonTool.prototype.onClick = function() {
 			i;
 		for ( i = 0; i < this.nodes.length; i++ ) {
 			listItem = this.nodes[i].getParent();
+			if ( listItem.getElementType() !== 'listItem' ) {
+				// Only nodes outside of lists can be indented, @see updateState
+				listItems = null;
+				break;
+			}
 			if ( listItems.length > 0 ) {
 				if (listItem != listItems[listItems.length - 1]) {
 					listItems.push( listItem );
@@ -29,68 +34,127 @@ es.IndentationButtonTool.prototype.onClick = function() {
 				listItems.push( listItem );
 			}
 		}
-		if ( this.name === 'indent' ) {
+		this.toolbar.surfaceView.model.breakpoint();
+		if ( !listItems ) {
+			this.wrap( this.nodes );
+		} else if ( this.name === 'indent' ) {
 			this.indent( listItems );
 		} else if ( this.name === 'outdent' ) {
 			this.outdent( listItems );
 		}
+		this.toolbar.surfaceView.model.breakpoint();
 	}
 };
 
-es.IndentationButtonTool.prototype.indent = function( listItems ) {
+/**
+ * Indents nodes which aren't in a list the way a leading ":" does in wikitext, by putting them in
+ * definition list items.
+ * 
+ * @method
+ * @param {es.DocumentModelNode[]} nodes Nodes to indent
+ */
+es.IndentationButtonTool.prototype.wrap = function( nodes ) {
 	var	surface = this.toolbar.surfaceView,
-		styles,
+		doc = surface.model.getDocument(),
+		selection = surface.currentSelection.clone(),
+		ranges = [],
+		offset,
+		range,
+		tx,
 		i;
 
-	for ( i = 0; i < listItems.length; i++ ) {
-		styles = listItems[i].getElementAttribute( 'styles' );
+	// Consecutive nodes go into the same list
+	for ( i = 0; i < nodes.length; i++ ) {
+		offset = doc.getOffsetFromNode( nodes[i], false );
+		range = new es.Range( offset, offset + nodes[i].getElementLength() );
+		if ( ranges.length && ranges[ranges.length - 1].end === offset ) {
+			range = new es.Range( ranges.pop().start, range.end );
+		}
+		ranges.push( range );
+	}
+	// Wrap the last range first, so the offsets of the others don't change
+	for ( i = ranges.length - 1; i >= 0; i-- ) {
+		tx = doc.prepareWrap(
+			ranges[i],
+			[{ 'type': 'list' }],
+			[{ 'type': 'listItem', 'attributes': { 'styles': ['definition'] } }]
+		);
+		surface.model.transact( tx, true );
+		selection = tx.translateRange( selection );
+	}
+	surface.model.select( selection );
+	surface.emitCursor();
+};
+
+es.IndentationButtonTool.prototype.indent = function( listItems ) {
+	var	surface = this.toolbar.surfaceView;
+
+	this.restyle( listItems, function( styles ) {
 		if ( styles.length < 6 ) {
 			styles.push( styles[styles.length - 1] );
-			tx = surface.model.getDocument().prepareElementAttributeChange(
-				surface.documentView.model.getOffsetFromNode( listItems[i], false ),
-				'set',
-				'styles',
-				styles
-			);
-			surface.model.transact( tx );
 		}
-	}
+	} );
 	surface.emitCursor();
 };
 
 es.IndentationButtonTool.prototype.outdent = function( listItems ) {
+	var	surface = this.toolbar.surfaceView;
+
+	this.restyle( listItems, function( styles ) {
+		if ( styles.length > 1 ) {
+			styles.splice( styles.length - 1, 1 );
+		}
+	} );
+	surface.emitCursor();
+};
+
+/**
+ * Changes the styles of list items.
+ * 
+ * @method
+ * @param {es.ListItemModel[]} listItems List items to change
+ * @param {Function} callback Function to call with a copy of the styles of each list item, which
+ * it can change in place
+ */
+es.IndentationButtonTool.prototype.restyle = function( listItems, callback ) {
 	var	surface = this.toolbar.surfaceView,
+		doc = surface.model.getDocument(),
 		styles,
+		length,
 		i;
 
 	for ( i = 0; i < listItems.length; i++ ) {
-		styles = listItems[i].getElementAttribute( 'styles' );
-		if ( styles.length > 1 ) {
-			styles.splice( styles.length - 1, 1);
-			tx = surface.model.getDocument().prepareElementAttributeChange(
-				surface.documentView.model.getOffsetFromNode( listItems[i], false ),
-				'set',
-				'styles',
-				styles
-			);
-			surface.model.transact( tx );
+		styles = listItems[i].getElementAttribute( 'styles' ).slice( 0 );
+		length = styles.length;
+		callback( styles );
+		if ( styles.length !== length ) {
+			surface.model.transact( doc.prepareElementAttributeChange(
+				doc.getOffsetFromNode( listItems[i], false ), 'set', 'styles', styles
+			), true );
 		}
 	}
-	surface.emitCursor();
 };
 
 es.IndentationButtonTool.prototype.updateState = function( annotations, nodes ) {
-	function areListItems( nodes ) {
+	function countListItems( nodes ) {
+		var count = 0;
 		for( var i = 0; i < nodes.length; i++ ) {
-			if ( nodes[i].getParent().getElementType() !== 'listItem' ) {
-				return false;
+			if ( nodes[i].getParent().getElementType() === 'listItem' ) {
+				count++;
 			}
 		}
-		return true;
+		return count;
 	}
 
+	var count = countListItems( nodes );
 	this.nodes = nodes;
-	if ( areListItems( this.nodes ) ) {
+	// Nodes outside of lists can be indented, but not outdented
+	if (
+		nodes.length && (
+			count === nodes.length ||
+			( count === 0 && this.name === 'indent' )
+		)
+	) {
 		this.$.removeClass( 'es-toolbarButtonTool-disabled' );
 	} else {
 		this.$.addClass( 'es-toolbarButtonTool-disabled' );
@@ -99,7 +163,7 @@ es.IndentationButtonTool.prototype.updateState = function( annotations, nodes )
 
 /* Registration */
 
-/*es.Tool.tools.indent = {
+es.Tool.tools.indent = {
 	'constructor': es.IndentationButtonTool,
 	'name': 'indent',
 	'title': 'Increase indentation'
@@ -109,7 +173,7 @@ es.Tool.tools.outdent = {
 	'constructor': es.IndentationButtonTool,
 	'name': 'outdent',
 	'title': 'Reduce indentation'
-};*/ // Disabled because it doen't work
+};
 
 /* Inheritance */
 
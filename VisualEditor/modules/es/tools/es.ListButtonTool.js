@@ -18,253 +18,122 @@
 
 /* Methods */
 
+/**
+ * Puts nodes in lists of a style, or changes the style of the list items they are already in.
+ * 
+ * @method
+ * @param {es.DocumentModelNode[]} nodes Nodes to put in lists
+ * @param {String} style Style of list items, such as "bullet"
+ */
 es.ListButtonTool.prototype.list = function( nodes, style ) {
 	var	surface = this.toolbar.surfaceView,
+		doc = surface.model.getDocument(),
 		selection = surface.currentSelection.clone(),
-		stack = [],
-		stacks = [],
+		ranges = [],
 		listItems = [],
 		parent,
 		styles,
-		insertAt,
-		removeLength,
-		data,
+		offset,
+		range,
 		tx,
-		i,
-		j;
+		i;
 
 	for( i = 0; i < nodes.length; i++ ) {
 		parent = nodes[i].getParent();
 		if ( parent.getElementType() === 'listItem' ) {
-			if ( stack.length > 0 ) {
-				stacks.push( stack );
-				stack = [];
-			}
 			listItems.push( parent );
 		} else {
-			if( stack.length > 0 ) {
-				if ( parent === stack[stack.length - 1].getParent() ) {
-					stack.push( nodes[i] );
-				} else {
-					stacks.push( stack );
-					stack = [ nodes[i] ];
-				}
-			} else {
-				stack.push( nodes[i] );
-			}
-		}
-	}
-	if( stack.length > 0 ) {
-		stacks.push( stack );
-	}
-
-	if ( stacks.length > 0 ) {
-		if ( selection.from === selection.to ) {
-			selection.from += 2;
-			selection.to += 2;
-		} else {
-			if ( nodes[0].getParent().getElementType() != 'listItem' ) {
-				if ( selection.from < selection.to ) {
-					selection.from += 2;
-				} else {
-					selection.to += 2;
-				}
-			}
-			if ( selection.from < selection.to ) {
-				selection.to += (stacks.length * 2) + (nodes.length - listItems.length - 1) * 2;
-			} else {
-				selection.from += (stacks.length * 2) + (nodes.length - listItems.length - 1) * 2;
+			// Consecutive nodes go into the same list
+			offset = doc.getOffsetFromNode( nodes[i], false );
+			range = new es.Range( offset, offset + nodes[i].getElementLength() );
+			if ( ranges.length && ranges[ranges.length - 1].end === offset ) {
+				range = new es.Range( ranges.pop().start, range.end );
 			}
+			ranges.push( range );
 		}
 	}
 
+	// Changing attributes doesn't move any offsets, so list items are restyled first
 	for( i = 0; i < listItems.length; i++ ) {
-		styles = listItems[i].getElementAttribute( 'styles' );
+		// Copy the styles, so the transaction can keep the current ones to restore them on undo
+		styles = listItems[i].getElementAttribute( 'styles' ).slice( 0 );
 		if ( styles[styles.length - 1] !== style ) {
 			styles.splice( styles.length - 1, 1, style );
-			tx = surface.model.getDocument().prepareElementAttributeChange(
-				surface.documentView.model.getOffsetFromNode( listItems[i], false ),
-				'set',
-				'styles',
-				styles
+			tx = doc.prepareElementAttributeChange(
+				doc.getOffsetFromNode( listItems[i], false ), 'set', 'styles', styles
 			);
-			surface.model.transact( tx );
+			surface.model.transact( tx, true );
 		}
 	}
 
-	for( i = 0; i < stacks.length; i++ ) {
-		removeLength = 0;
-		insertAt = surface.documentView.model.getOffsetFromNode( stacks[i][0], false );
-
-		data = [ { 'type': 'list' } ];
-		for( j = 0; j < stacks[i].length; j++ ) {
-			removeLength += stacks[i][j].getElementLength();
-
-			data = data
-				.concat( [ {
-					'type': 'listItem',
-					'attributes' : { 'styles': [ this.name ] }
-				} ] )
-				//.concat( stacks[i][j].getElementData() )
-				.concat( [ { 'type': 'paragraph' } ] )
-				.concat( stacks[i][j].getContentData() )
-				.concat( [ { 'type': '/paragraph' } ] )
-				.concat( [ { 'type': '/listItem' } ] );
-		}
-		data = data.concat( [ { 'type': '/list' } ] );
-
-		tx = surface.model.getDocument().prepareInsertion( insertAt, data );
-		surface.model.transact( tx );
-
-		tx = surface.model.getDocument().prepareRemoval(
-			new es.Range( insertAt + data.length, insertAt + removeLength + data.length )
+	// Wrap the last range first, so the offsets of the others don't change
+	for ( i = ranges.length - 1; i >= 0; i-- ) {
+		tx = doc.prepareWrap(
+			ranges[i],
+			[{ 'type': 'list' }],
+			[{ 'type': 'listItem', 'attributes': { 'styles': [style] } }]
 		);
-		surface.model.transact( tx );
-
+		surface.model.transact( tx, true );
+		selection = tx.translateRange( selection );
 	}
 
 	surface.model.select( selection, true );
 	surface.emitCursor();
 };
 
+/**
+ * Takes nodes out of the list items they are in, splitting lists if needed.
+ * 
+ * @method
+ * @param {es.DocumentModelNode[]} nodes Nodes in list items
+ */
 es.ListButtonTool.prototype.unlist = function( nodes ) {
-	var	listItems = [],
+	var	surface = this.toolbar.surfaceView,
+		doc = surface.model.getDocument(),
+		selection = surface.currentSelection.clone(),
+		ranges = [],
 		listItem,
+		previous,
+		offset,
+		range,
+		tx,
 		i;
 
+	// Consecutive list items are taken out of their list together
 	for( i = 0; i < nodes.length; i++ ) {
 		listItem = nodes[i].getParent();
-		if ( listItems.length > 0 ) {
-			if (listItem != listItems[listItems.length - 1]) {
-				listItems.push( listItem );
-			}
-		} else {
-			listItems.push( listItem );
+		if ( listItem === previous ) {
+			continue;
 		}
-	}
-
-	var	stacks = [],
-		stack = {
-			first: false,
-			last: false,
-			nodes: [],
-			offset: 0,
-			length: 0
-		},
-		surface = this.toolbar.surfaceView,
-		selection = surface.currentSelection.clone(),
-		from = 0,
-		to = 0;
-
-	for( i = 0; i < listItems.length; i++ ) {
-		if( stack.nodes.length > 0 ) {
-			if ( stack.nodes[stack.nodes.length - 1].getParent() != listItems[i].getParent() ) {
-				stacks.push( stack );
-				stack = {
-					first: false,
-					last: false,
-					nodes: [],
-					offset: 0,
-					length: 0
-				};
-			}
-		}
-		if ( listItems[i].getParent().indexOf( listItems[i] ) === 0 ) {
-			stack.first = true;
-		}
-		if ( listItems[i].getParent().indexOf( listItems[i] ) === listItems[i].getParent().children.length - 1 ) {
-			stack.last = true;
+		previous = listItem;
+		offset = doc.getOffsetFromNode( listItem, false );
+		range = new es.Range( offset, offset + listItem.getElementLength() );
+		if ( ranges.length && ranges[ranges.length - 1].end === offset ) {
+			range = new es.Range( ranges.pop().start, range.end );
 		}
-		if( stack.nodes.length === 0 ){
-			stack.offset = surface.documentView.model.getOffsetFromNode(listItems[i], false);
-		}
-		stack.length += listItems[i].getElementLength();
-		stack.nodes.push( listItems[i] );
-	}
-	if( stack.nodes.length > 0 ) {
-		stacks.push(stack);
+		ranges.push( range );
 	}
 
-	var	tx,
-		j,
-		extra,
-		data;
-
-	for( i = stacks.length - 1; i >= 0; i-- ) {
-		stack = stacks[i];
-
-		data = [];
-		for( j = 0; j < stack.nodes.length; j++ ) {
-			data = data.concat( stack.nodes[j].getContentData() );
+	// Take the last range out first, so the offsets of the others don't change
+	for( i = ranges.length - 1; i >= 0; i-- ) {
+		range = ranges[i];
+		// Split the list around the list items, so they can be unwrapped together with it
+		if ( doc.data[range.end].type !== '/list' ) {
+			tx = doc.prepareSplit( range.end );
+			surface.model.transact( tx, true );
+			selection = tx.translateRange( selection );
 		}
-
-		if ( stack.first === true && stack.last === true ) {
-			tx = surface.model.getDocument().prepareRemoval(
-				new es.Range( stack.offset - 1 /* list */, stack.offset + stack.length + 1 /* /list */ )
-			);
-			surface.model.transact( tx );
-			tx = surface.model.getDocument().prepareInsertion( stack.offset - 1, data );
-			surface.model.transact( tx );
-			from = -2;
-			to += -(stack.nodes.length * 2);
-		} else  if ( stack.first === true && stack.last === false ) {
-			tx = surface.model.getDocument().prepareRemoval(
-				new es.Range( stack.offset, stack.offset + stack.length )
-			);
-			surface.model.transact( tx );
-			tx = surface.model.getDocument().prepareInsertion( stack.offset - 1, data );
-			surface.model.transact( tx );
-			from = -2;
-			to += -(stack.nodes.length * 2);
-		} else  if ( stack.first === false && stack.last === true ) {
-			tx = surface.model.getDocument().prepareRemoval(
-				new es.Range( stack.offset, stack.offset + stack.length )
-			);
-			surface.model.transact( tx );
-			tx = surface.model.getDocument().prepareInsertion( stack.offset + 1, data );
-			surface.model.transact( tx );
-			to += -(stack.nodes.length * 2);
-			to += 2;
-		} else  if ( stack.first === false && stack.last === false ) {
-			var parent = stack.nodes[0].getParent();
-			var parentOffset = surface.documentView.model.getOffsetFromNode( parent, false );
-			var parentLength = parent.getElementLength();
-			
-			tx = surface.model.getDocument().prepareRemoval(
-				new es.Range( stack.offset, stack.offset + stack.length )
-			);
-			surface.model.transact( tx );
-
-			var remainingRange = new es.Range( stack.offset, parentOffset + parentLength - stack.length - 1 );
-			var remainingData = surface.model.getDocument().getData( remainingRange );
-
-			tx = surface.model.getDocument().prepareRemoval( remainingRange );
-			surface.model.transact( tx );
-
-			tx = surface.model.getDocument().prepareInsertion(
-				stack.offset + 1,
-				[ { 'type': 'list' } ].concat( remainingData ).concat( [ { 'type': '/list' } ] )
-			);
-			surface.model.transact( tx );
-
-			tx = surface.model.getDocument().prepareInsertion( stack.offset + 1, data );
-			surface.model.transact( tx );
-			to += -(stack.nodes.length * 2);
-			to += 2;
-		}
-	}
-	if ( selection.from === selection.to ) {
-		selection.from += from;
-		selection.to += from;
-	} else {
-		if ( selection.to > selection.from ) {
-			selection.from += from;
-			selection.to += to;
-		} else {
-			selection.to += from;
-			selection.from += to;
+		if ( doc.data[range.start - 1].type !== 'list' ) {
+			tx = doc.prepareSplit( range.start );
+			surface.model.transact( tx, true );
+			selection = tx.translateRange( selection );
+			range = tx.translateRange( range );
 		}
+		tx = doc.prepareUnwrap( range, ['list'], ['listItem'] );
+		surface.model.transact( tx, true );
+		selection = tx.translateRange( selection );
 	}
+
 	surface.model.select( selection, true );
 	surface.emitCursor();
 };
@@ -317,6 +186,18 @@ es.Tool.tools.bullet = {
 	'title': 'Bulleted list'
 };
 
+es.Tool.tools.term = {
+	'constructor': es.ListButtonTool,
+	'name': 'term',
+	'title': 'Definition list term'
+};
+
+es.Tool.tools.definition = {
+	'constructor': es.ListButtonTool,
+	'name': 'definition',
+	'title': 'Definition list description'
+};
+
 /* Inheritance */
 
 es.extendClass( es.ListButtonTool, es.ButtonTool );
@@ -0,0 +1,199 @@
+/**
+ * Creates an es.TableDropdownTool object.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DropdownTool}
+ * @param {es.ToolbarView} toolbar
+ * @param {String} name
+ * @param {String} title
+ */
+es.TableDropdownTool = function( toolbar, name, title ) {
+	// Inheritance
+	es.DropdownTool.call( this, toolbar, name, title, [
+		es.TableDropdownTool.newSizeItem(),
+		'-',
+		{ 'name': 'row-before', 'label': 'Insert row above' },
+		{ 'name': 'row-after', 'label': 'Insert row below' },
+		{ 'name': 'row-remove', 'label': 'Delete row' },
+		'-',
+		{ 'name': 'column-before', 'label': 'Insert column before' },
+		{ 'name': 'column-after', 'label': 'Insert column after' },
+		{ 'name': 'column-remove', 'label': 'Delete column' },
+		'-',
+		{ 'name': 'cell-merge', 'label': 'Merge cells' },
+		{ 'name': 'cell-split', 'label': 'Split cell' },
+		{ 'name': 'cell-header', 'label': 'Toggle header cell' }
+	] );
+
+	// Properties
+	this.nodes = [];
+};
+
+/* Static Members */
+
+/**
+ * Largest number of rows and columns which can be chosen for a new table.
+ */
+es.TableDropdownTool.maxSize = { 'rows': 10, 'columns': 10 };
+
+/* Static Methods */
+
+/**
+ * Creates a menu item for inserting a table of any size up to es.TableDropdownTool.maxSize.
+ * 
+ * The item shows a grid, and hovering over a square of it chooses a table with as many rows and
+ * columns as there are squares up to and including it.
+ * 
+ * @static
+ * @method
+ * @returns {Object} Menu item, with rows and columns properties that follow the chosen size
+ */
+es.TableDropdownTool.newSizeItem = function() {
+	var item = { 'name': 'insert' },
+		$label = $( '<span></span>' ),
+		$grid = $( '<div class="es-tableDropdownTool-grid"></div>' ),
+		$row,
+		i,
+		j;
+
+	function choose( rows, columns ) {
+		item.rows = rows;
+		item.columns = columns;
+		$label.text( 'Insert ' + rows + ' x ' + columns + ' table' );
+		$grid.find( '.es-tableDropdownTool-square' ).each( function() {
+			var $square = $( this );
+			$square.toggleClass(
+				'es-tableDropdownTool-square-chosen',
+				$square.data( 'row' ) < rows && $square.data( 'column' ) < columns
+			);
+		} );
+	}
+
+	for ( i = 0; i < es.TableDropdownTool.maxSize.rows; i++ ) {
+		$row = $( '<div class="es-tableDropdownTool-gridRow"></div>' ).appendTo( $grid );
+		for ( j = 0; j < es.TableDropdownTool.maxSize.columns; j++ ) {
+			$( '<div class="es-tableDropdownTool-square"></div>' )
+				.data( { 'row': i, 'column': j } )
+				.appendTo( $row );
+		}
+	}
+	$grid.mouseover( function( e ) {
+		var $square = $( e.target ).closest( '.es-tableDropdownTool-square' );
+		if ( $square.length ) {
+			choose( $square.data( 'row' ) + 1, $square.data( 'column' ) + 1 );
+		}
+	} );
+	item.$ = $( '<div class="es-menuView-item"></div>' )
+		.attr( 'rel', item.name )
+		.append( $label, $grid );
+	choose( 2, 2 );
+	return item;
+};
+
+/* Methods */
+
+es.TableDropdownTool.prototype.onSelect = function( item ) {
+	var surfaceModel = this.toolbar.surfaceView.model,
+		doc = surfaceModel.getDocument(),
+		first = this.getCell( this.nodes[0] ),
+		last = this.getCell( this.nodes[this.nodes.length - 1] ),
+		table = first && first.getParent().getParent(),
+		start,
+		end,
+		tx;
+	if ( item.rows && this.nodes.length ) {
+		// Insert a new table after the node the selection ends in
+		var node = this.nodes[this.nodes.length - 1];
+		while ( node.getParent() !== doc ) {
+			node = node.getParent();
+		}
+		tx = doc.prepareInsertion(
+			doc.getOffsetFromNode( node ) + node.getElementLength(),
+			es.TableModel.getNewData( item.rows, item.columns )
+		);
+	} else if ( first ) {
+		start = table.getCellPosition( first );
+		end = last && last.getParent().getParent() === table ?
+			table.getCellPosition( last ) : start;
+		try {
+			switch ( item.name ) {
+				case 'row-before':
+					tx = table.prepareRowInsertion( start.row );
+					break;
+				case 'row-after':
+					tx = table.prepareRowInsertion( start.row + 1 );
+					break;
+				case 'row-remove':
+					tx = table.prepareRowRemoval( start.row );
+					break;
+				case 'column-before':
+					tx = table.prepareColumnInsertion( start.column );
+					break;
+				case 'column-after':
+					tx = table.prepareColumnInsertion( start.column + 1 );
+					break;
+				case 'column-remove':
+					tx = table.prepareColumnRemoval( start.column );
+					break;
+				case 'cell-merge':
+					tx = table.prepareCellMerge(
+						Math.min( start.row, end.row ),
+						Math.min( start.column, end.column ),
+						Math.abs( end.row - start.row ) + 1,
+						Math.abs( end.column - start.column ) + 1
+					);
+					break;
+				case 'cell-split':
+					tx = table.prepareCellSplit( start.row, start.column );
+					break;
+				case 'cell-header':
+					tx = table.prepareHeaderToggle( start.row, start.column );
+					break;
+			}
+		} catch ( e ) {
+			// Operations which don't apply to the selected cells, such as removing the only row
+			// of a table, are ignored, but anything else is a bug
+			if ( typeof e !== 'string' || !/^Invalid (index|area) error\./.test( e ) ) {
+				throw e;
+			}
+			tx = null;
+		}
+	}
+	if ( tx ) {
+		surfaceModel.transact( tx );
+		surfaceModel.breakpoint();
+	}
+	this.$label.text( 'Table' );
+};
+
+/**
+ * Gets the table cell a node is in.
+ * 
+ * @method
+ * @param {es.DocumentModelNode} node Node to start from
+ * @returns {es.TableCellModel|null} Closest table cell containing the node, or null if none
+ */
+es.TableDropdownTool.prototype.getCell = function( node ) {
+	while ( node && node.getElementType() !== 'tableCell' ) {
+		node = node.getParent();
+	}
+	return node || null;
+};
+
+es.TableDropdownTool.prototype.updateState = function( annotations, nodes ) {
+	this.nodes = nodes;
+	this.$label.text( 'Table' );
+};
+
+/* Registration */
+
+es.Tool.tools.table = {
+	'constructor': es.TableDropdownTool,
+	'name': 'table',
+	'title': 'Table'
+};
+
+/* Inheritance */
+
+es.extendClass( es.TableDropdownTool, es.DropdownTool );
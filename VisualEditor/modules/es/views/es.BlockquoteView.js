@@ -0,0 +1,26 @@
+/**
+ * Creates an es.BlockquoteView object.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentViewBranchNode}
+ * @param {es.BlockquoteModel} model Blockquote model to view
+ */
+es.BlockquoteView = function( model ) {
+	// Inheritance
+	es.DocumentViewBranchNode.call( this, model, $( '<blockquote>' ) );
+
+	// DOM Changes
+	this.$.addClass( 'es-blockquoteView' );
+};
+
+/* Registration */
+
+es.DocumentView.splitRules.blockquote = {
+	'self': false,
+	'children': true
+};
+
+/* Inheritance */
+
+es.extendClass( es.BlockquoteView, es.DocumentViewBranchNode );
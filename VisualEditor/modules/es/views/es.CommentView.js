@@ -0,0 +1,52 @@
+/**
+ * Creates an es.CommentView object.
+ * 
+ * Comments aren't rendered, so a placeholder showing their text is used instead.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentViewLeafNode}
+ * @param {es.CommentModel} model Comment model to view
+ */
+es.CommentView = function( model ) {
+	// Inheritance
+	es.DocumentViewLeafNode.call( this, model );
+
+	// Properties
+	this.$placeholder = $( '<div class="es-commentView-placeholder"></div>' ).prependTo( this.$ );
+
+	// DOM Changes
+	this.$.addClass( 'es-commentView es-atomicView' );
+
+	// Events
+	var _this = this;
+	this.model.on( 'update', function() {
+		_this.setPlaceholder();
+	} );
+
+	// Initialization
+	this.setPlaceholder();
+};
+
+/* Methods */
+
+/**
+ * Updates the placeholder to match the attributes of the comment.
+ * 
+ * @method
+ */
+es.CommentView.prototype.setPlaceholder = function() {
+	var text = this.model.getElementAttribute( 'text' ) || '';
+	this.$placeholder.text( text ).attr( 'title', text );
+};
+
+/* Registration */
+
+es.DocumentView.splitRules.comment = {
+	'self': false,
+	'children': null
+};
+
+/* Inheritance */
+
+es.extendClass( es.CommentView, es.DocumentViewLeafNode );
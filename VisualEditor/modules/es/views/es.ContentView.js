@@ -22,6 +22,7 @@
  * @property {Object} widthCache
  * @property {Object} renderState
  * @property {Object} contentCache
+ * @property {Object} markers
  */
 es.ContentView = function( $container, model ) {
 	// Inheritance
@@ -37,6 +38,7 @@ es.ContentView = function( $container, model ) {
 	this.widthCache = {};
 	this.renderState = {};
 	this.contentCache = null;
+	this.markers = {};
 
 	if ( model ) {
 		// Events
@@ -60,78 +62,6 @@ es.ContentView = function( $container, model ) {
 
 /* Static Members */
 
-/**
- * List of annotation rendering implementations.
- * 
- * Each supported annotation renderer must have an open and close property, each either a string or
- * a function which accepts a data argument.
- * 
- * @static
- * @member
- */
-es.ContentView.annotationRenderers = {
-	'object/template': {
-		'open': function( data ) {
-			return '<span class="es-contentView-format-object">' + data.html;
-		},
-		'close': '</span>'
-	},
-	'object/hook': {
-		'open': function( data ) {
-			return '<span class="es-contentView-format-object">' + data.html;
-		},
-		'close': '</span>'
-	},
-	'textStyle/bold': {
-		'open': '<span class="es-contentView-format-textStyle-bold">',
-		'close': '</span>'
-	},
-	'textStyle/italic': {
-		'open': '<span class="es-contentView-format-textStyle-italic">',
-		'close': '</span>'
-	},
-	'textStyle/strong': {
-		'open': '<span class="es-contentView-format-textStyle-strong">',
-		'close': '</span>'
-	},
-	'textStyle/emphasize': {
-		'open': '<span class="es-contentView-format-textStyle-emphasize">',
-		'close': '</span>'
-	},
-	'textStyle/delete': {
-		'open': '<span class="es-contentView-format-textStyle-delete">',
-		'close': '</span>'
-	},
-	'textStyle/big': {
-		'open': '<span class="es-contentView-format-textStyle-big">',
-		'close': '</span>'
-	},
-	'textStyle/small': {
-		'open': '<span class="es-contentView-format-textStyle-small">',
-		'close': '</span>'
-	},
-	'textStyle/superScript': {
-		'open': '<span class="es-contentView-format-textStyle-superScript">',
-		'close': '</span>'
-	},
-	'textStyle/subScript': {
-		'open': '<span class="es-contentView-format-textStyle-subScript">',
-		'close': '</span>'
-	},
-	'link/external': {
-		'open': function( data ) {
-			return '<span class="es-contentView-format-link" data-href="' + data.href + '">';
-		},
-		'close': '</span>'
-	},
-	'link/internal': {
-		'open': function( data ) {
-			return '<span class="es-contentView-format-link" data-title="wiki/' + data.title + '">';
-		},
-		'close': '</span>'
-	}
-};
-
 /**
  * Mapping of character and HTML entities or renderings.
  * 
@@ -154,6 +84,9 @@ es.ContentView.htmlCharacters = {
 /**
  * Gets a rendered opening or closing of an annotation.
  * 
+ * Annotations are rendered using the view property of their es.AnnotationRegistry definitions,
+ * annotations of types without one are not rendered.
+ * 
  * Tag nesting is handled using a stack, which keeps track of what is currently open. A common stack
  * argument should be used while rendering content.
  * 
@@ -165,23 +98,25 @@ es.ContentView.htmlCharacters = {
  * @returns {String} Rendered annotation
  */
 es.ContentView.renderAnnotation = function( bias, annotation, stack ) {
-	var renderers = es.ContentView.annotationRenderers,
-		type = annotation.type,
+	var definition = es.AnnotationRegistry.get( annotation.type ),
 		out = '';
-	if ( type in renderers ) {
+	function render( bias, annotation ) {
+		var renderer = es.AnnotationRegistry.get( annotation.type ).view;
+		return typeof renderer[bias] === 'function' ?
+			renderer[bias]( annotation.data ) : renderer[bias];
+	}
+	if ( definition && definition.view ) {
 		if ( bias === 'open' ) {
 			// Add annotation to the top of the stack
 			stack.push( annotation );
 			// Open annotation
-			out += typeof renderers[type].open === 'function' ?
-				renderers[type].open( annotation.data ) : renderers[type].open;
+			out += render( 'open', annotation );
 		} else {
 			if ( stack[stack.length - 1] === annotation ) {
 				// Remove annotation from top of the stack
 				stack.pop();
 				// Close annotation
-				out += typeof renderers[type].close === 'function' ?
-					renderers[type].close( annotation.data ) : renderers[type].close;
+				out += render( 'close', annotation );
 			} else {
 				// Find the annotation in the stack
 				var depth = es.inArray( annotation, stack ),
@@ -191,18 +126,13 @@ es.ContentView.renderAnnotation = function( bias, annotation, stack ) {
 				}
 				// Close each already opened annotation
 				for ( i = stack.length - 1; i >= depth + 1; i-- ) {
-					out += typeof renderers[stack[i].type].close === 'function' ?
-						renderers[stack[i].type].close( stack[i].data ) :
-							renderers[stack[i].type].close;
+					out += render( 'close', stack[i] );
 				}
 				// Close the buried annotation
-				out += typeof renderers[type].close === 'function' ?
-					renderers[type].close( annotation.data ) : renderers[type].close;
+				out += render( 'close', annotation );
 				// Re-open each previously opened annotation
 				for ( i = depth + 1; i < stack.length; i++ ) {
-					out += typeof renderers[stack[i].type].open === 'function' ?
-						renderers[stack[i].type].open( stack[i].data ) :
-							renderers[stack[i].type].open;
+					out += render( 'open', stack[i] );
 				}
 				// Remove the annotation from the middle of the stack
 				stack.splice( depth, 1 );
@@ -221,6 +151,72 @@ es.ContentView.renderAnnotation = function( bias, annotation, stack ) {
  * @param {es.Range} range Range to draw selection around
  */
 es.ContentView.prototype.drawSelection = function( range ) {
+	this.drawRange( range, this.$rangeStart, this.$rangeFill, this.$rangeEnd );
+};
+
+/**
+ * Clears selection if any was drawn.
+ * 
+ * @method
+ */
+es.ContentView.prototype.clearSelection = function() {
+	this.$rangeStart.hide();
+	this.$rangeFill.hide();
+	this.$rangeEnd.hide();
+};
+
+/**
+ * Draws a highlight around the part of a marker's range which is within this content.
+ * 
+ * Each marker is drawn in its own layer, with an es-contentView-marker-{type} class for styling.
+ * Empty ranges are not drawn.
+ * 
+ * @method
+ * @param {String} name Symbolic name of marker
+ * @param {es.Range} range Range of content to draw highlight around
+ * @param {String} [type] Symbolic name of the kind of marker
+ */
+es.ContentView.prototype.drawMarker = function( name, range, type ) {
+	var layer = this.markers[name];
+	if ( !layer ) {
+		layer = this.markers[name] = {
+			'$': $( '<div class="es-contentView-markers"></div>' ),
+			'$start': $( '<div class="es-contentView-marker"></div>' ),
+			'$fill': $( '<div class="es-contentView-marker"></div>' ),
+			'$end': $( '<div class="es-contentView-marker"></div>' )
+		};
+		this.$ranges.after( layer.$.append( layer.$start, layer.$fill, layer.$end ) );
+	}
+	layer.$.attr( 'class', 'es-contentView-markers es-contentView-marker-' + ( type || 'default' ) );
+	this.drawRange( range, layer.$start, layer.$fill, layer.$end );
+};
+
+/**
+ * Clears a marker's highlight if it was drawn.
+ * 
+ * @method
+ * @param {String} name Symbolic name of marker
+ */
+es.ContentView.prototype.clearMarker = function( name ) {
+	if ( name in this.markers ) {
+		this.markers[name].$.remove();
+		delete this.markers[name];
+	}
+};
+
+/**
+ * Positions a set of highlight elements around a given range of content.
+ * 
+ * Highlights are drawn with up to three elements; one for the partial first line, one filling all
+ * of the lines between and one for the partial last line.
+ * 
+ * @method
+ * @param {es.Range} [range] Range to draw around, defaults to all content
+ * @param {jQuery} $start Element to draw the first line with
+ * @param {jQuery} $fill Element to draw the lines between the first and last lines with
+ * @param {jQuery} $end Element to draw the last line with
+ */
+es.ContentView.prototype.drawRange = function( range, $start, $fill, $end ) {
 	if ( typeof range === 'undefined' ) {
 		range = new es.Range( 0, this.model.getContentLength() );
 	} else {
@@ -232,64 +228,55 @@ es.ContentView.prototype.drawSelection = function( range ) {
 		toPosition = this.getRenderedPositionFromOffset( range.end );
 
 	if ( fromLineIndex === toLineIndex ) {
-		// Single line selection
+		// Single line range
 		if ( toPosition.left - fromPosition.left ) {
-			this.$rangeStart.css( {
+			$start.css( {
 				'top': fromPosition.top,
 				'left': fromPosition.left,
 				'width': toPosition.left - fromPosition.left,
 				'height': fromPosition.bottom - fromPosition.top
 			} ).show();
+		} else {
+			$start.hide();
 		}
-		this.$rangeFill.hide();
-		this.$rangeEnd.hide();
+		$fill.hide();
+		$end.hide();
 	} else {
-		// Multiple line selection
+		// Multiple line range
 		var contentWidth = this.$.width();
 		if ( contentWidth - fromPosition.left ) {
-			this.$rangeStart.css( {
+			$start.css( {
 				'top': fromPosition.top,
 				'left': fromPosition.left,
 				'width': contentWidth - fromPosition.left,
 				'height': fromPosition.bottom - fromPosition.top
 			} ).show();
 		} else {
-			this.$rangeStart.hide();
+			$start.hide();
 		}
 		if ( toPosition.left ) {
-			this.$rangeEnd.css( {
+			$end.css( {
 				'top': toPosition.top,
 				'left': 0,
 				'width': toPosition.left,
 				'height': toPosition.bottom - toPosition.top
 			} ).show();
 		} else {
-			this.$rangeEnd.hide();
+			$end.hide();
 		}
 		if ( fromLineIndex + 1 < toLineIndex ) {
-			this.$rangeFill.css( {
+			$fill.css( {
 				'top': fromPosition.bottom,
 				'left': 0,
 				'width': contentWidth,
 				'height': toPosition.top - fromPosition.bottom
 			} ).show();
 		} else {
-			this.$rangeFill.hide();
+			$fill.hide();
 		}
 	}
 };
 
-/**
- * Clears selection if any was drawn.
- * 
- * @method
- */
-es.ContentView.prototype.clearSelection = function() {
-	this.$rangeStart.hide();
-	this.$rangeFill.hide();
-	this.$rangeEnd.hide();
-};
-
 /**
  * Gets the index of the rendered line a given offset is within.
  * 
@@ -24,7 +24,10 @@ es.ContextView = function( surfaceView, $overlay ) {
 	this.toolbarView = new es.ToolbarView(
 		this.$toolbar,
 		this.surfaceView,
-		[{ 'name': 'textStyle', 'items' : [ 'strong', 'em', 'del', 'link', 'clear' ] }]
+		[
+			{ 'name': 'textStyle', 'items' : [ 'strong', 'em', 'del', 'link', 'clear' ] },
+			{ 'name': 'object', 'items' : [ 'template' ] }
+		]
 	);
 	this.menuView = new es.MenuView( [
 			// Example menu items
@@ -60,6 +63,8 @@ es.ContextView = function( surfaceView, $overlay ) {
 
 	// Intitialization
 	this.addInspector( 'link', new es.LinkInspector( this.toolbarView, this ) );
+	this.addInspector( 'image', new es.ImageInspector( this.toolbarView, this ) );
+	this.addInspector( 'template', new es.TemplateInspector( this.toolbarView, this ) );
 };
 
 /* Methods */
@@ -160,6 +165,14 @@ es.ContextView.prototype.openInspector = function( name ) {
 	if ( !( name in this.inspectors ) ) {
 		throw 'Missing inspector error. Can not open nonexistent inspector: ' + name;
 	}
+	if ( !this.position ) {
+		// Collapsed selections have no icon, so position the inspector at the cursor instead
+		var offset = this.surfaceView.$cursor.offset();
+		this.position = new es.Position(
+			offset.left, offset.top + this.surfaceView.$cursor.height()
+		);
+		this.$.css( { 'left': this.position.left, 'top': this.position.top } );
+	}
 	this.inspectors[name].open();
 	this.$inspectors.show();
 	this.positionOverlay( this.inspectors[name].$ );
@@ -0,0 +1,28 @@
+/**
+ * Creates an es.DivView object.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentViewBranchNode}
+ * @param {es.DivModel} model Div model to view
+ */
+es.DivView = function( model ) {
+	// Inheritance
+	es.DocumentViewBranchNode.call( this, model );
+
+	// DOM Changes
+	this.$
+		.attr( 'style', model.getElementAttribute( 'html/style' ) )
+		.addClass( 'es-divView' );
+};
+
+/* Registration */
+
+es.DocumentView.splitRules.div = {
+	'self': false,
+	'children': true
+};
+
+/* Inheritance */
+
+es.extendClass( es.DivView, es.DocumentViewBranchNode );
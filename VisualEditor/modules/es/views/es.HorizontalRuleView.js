@@ -0,0 +1,31 @@
+/**
+ * Creates an es.HorizontalRuleView object.
+ * 
+ * Horizontal rules are drawn as a line in place of their empty content.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentViewLeafNode}
+ * @param {es.HorizontalRuleModel} model Horizontal rule model to view
+ */
+es.HorizontalRuleView = function( model ) {
+	// Inheritance
+	es.DocumentViewLeafNode.call( this, model );
+
+	// Properties
+	this.$rule = $( '<hr class="es-horizontalRuleView-rule">' ).prependTo( this.$ );
+
+	// DOM Changes
+	this.$.addClass( 'es-horizontalRuleView es-atomicView' );
+};
+
+/* Registration */
+
+es.DocumentView.splitRules.horizontalRule = {
+	'self': false,
+	'children': null
+};
+
+/* Inheritance */
+
+es.extendClass( es.HorizontalRuleView, es.DocumentViewLeafNode );
@@ -0,0 +1,169 @@
+/**
+ * Creates an es.ImageView object.
+ * 
+ * Images are shown from their src attribute if they have one, otherwise a placeholder showing their
+ * title is used. Dragging the handle in the corner of the image resizes it.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentViewLeafNode}
+ * @param {es.ImageModel} model Image model to view
+ */
+es.ImageView = function( model ) {
+	// Inheritance
+	es.DocumentViewLeafNode.call( this, model );
+
+	// Properties
+	this.$frame = $( '<div class="es-imageView-frame"></div>' ).prependTo( this.$ );
+	this.$image = $( '<img class="es-imageView-image">' ).appendTo( this.$frame );
+	this.$placeholder = $( '<div class="es-imageView-placeholder"></div>' ).appendTo( this.$frame );
+	this.$handle = $( '<div class="es-imageView-handle"></div>' ).appendTo( this.$frame );
+	this.resizing = null;
+
+	// DOM Changes
+	this.$.addClass( 'es-imageView' );
+
+	// Events
+	var _this = this;
+	this.model.on( 'update', function() {
+		_this.setAttributes();
+	} );
+	this.$handle.mousedown( function( e ) {
+		if ( e.which === 1 ) {
+			_this.onResizeStart( e );
+			e.preventDefault();
+			return false;
+		}
+	} );
+
+	// Initialization
+	this.setAttributes();
+};
+
+/* Methods */
+
+/**
+ * Applies the attributes of the image to the view.
+ * 
+ * @method
+ */
+es.ImageView.prototype.setAttributes = function() {
+	var src = this.model.getElementAttribute( 'src' ),
+		width = this.model.getElementAttribute( 'width' ),
+		height = this.model.getElementAttribute( 'height' ),
+		align = this.model.getElementAttribute( 'align' ) || 'none';
+	this.$
+		.attr( 'class', this.$.attr( 'class' ).replace( / ?es-imageView-align-\w+/, '' ) )
+		.addClass( 'es-imageView-align-' + align );
+	this.$image
+		.attr( {
+			'src': src || '',
+			'alt': this.model.getElementAttribute( 'alt' ) || ''
+		} )
+		.toggle( !!src );
+	this.$placeholder
+		.text( this.model.getElementAttribute( 'title' ) || '' )
+		.toggle( !src );
+	this.setSize( width, height );
+};
+
+/**
+ * Changes the size the image is shown at.
+ * 
+ * @method
+ * @param {Integer} [width] Width in pixels, or undefined to use the natural width
+ * @param {Integer} [height] Height in pixels, or undefined to use the natural height
+ */
+es.ImageView.prototype.setSize = function( width, height ) {
+	this.$image.add( this.$placeholder ).css( {
+		'width': width ? width + 'px' : '',
+		'height': height ? height + 'px' : ''
+	} );
+};
+
+/**
+ * Gets the surface view this image is shown in.
+ * 
+ * @method
+ * @returns {es.SurfaceView|null} Surface view, or null if the image isn't attached to one
+ */
+es.ImageView.prototype.getSurfaceView = function() {
+	var node = this;
+	while ( node.getParent() ) {
+		node = node.getParent();
+	}
+	return node.surfaceView || null;
+};
+
+/**
+ * Begins resizing the image.
+ * 
+ * @method
+ * @param {jQuery.Event} e Mouse down event on the resize handle
+ */
+es.ImageView.prototype.onResizeStart = function( e ) {
+	var $visible = this.$image.is( ':visible' ) ? this.$image : this.$placeholder,
+		_this = this;
+	this.resizing = {
+		'x': e.pageX,
+		'width': $visible.width(),
+		'ratio': $visible.height() / Math.max( $visible.width(), 1 )
+	};
+	$( document ).bind( {
+		'mousemove.es-imageView': function( e ) {
+			_this.onResize( e );
+		},
+		'mouseup.es-imageView': function( e ) {
+			_this.onResizeEnd( e );
+		}
+	} );
+};
+
+/**
+ * Shows the image at the size it's being resized to.
+ * 
+ * @method
+ * @param {jQuery.Event} e Mouse move event
+ */
+es.ImageView.prototype.onResize = function( e ) {
+	var width = Math.max( this.resizing.width + e.pageX - this.resizing.x, 16 );
+	this.resizing.to = {
+		'width': Math.round( width ),
+		'height': Math.round( width * this.resizing.ratio )
+	};
+	this.setSize( this.resizing.to.width, this.resizing.to.height );
+};
+
+/**
+ * Finishes resizing the image, changing its width and height attributes in a single transaction.
+ * 
+ * @method
+ * @param {jQuery.Event} e Mouse up event
+ */
+es.ImageView.prototype.onResizeEnd = function( e ) {
+	var surfaceView = this.getSurfaceView(),
+		to = this.resizing.to,
+		surfaceModel;
+	$( document ).unbind( '.es-imageView' );
+	this.resizing = null;
+	if ( !to || !surfaceView ) {
+		this.setAttributes();
+		return;
+	}
+	surfaceModel = surfaceView.getModel();
+	surfaceModel.transact( this.model.prepareChange(
+		es.extendObject( {}, this.model.getElement().attributes || {}, to )
+	) );
+	surfaceModel.breakpoint();
+};
+
+/* Registration */
+
+es.DocumentView.splitRules.image = {
+	'self': false,
+	'children': null
+};
+
+/* Inheritance */
+
+es.extendClass( es.ImageView, es.DocumentViewLeafNode );
@@ -0,0 +1,51 @@
+/**
+ * Creates an es.ParameterView object.
+ * 
+ * Shows a placeholder with the name of the parameter.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentViewLeafNode}
+ * @param {es.ParameterModel} model Template parameter model to view
+ */
+es.ParameterView = function( model ) {
+	// Inheritance
+	es.DocumentViewLeafNode.call( this, model );
+
+	// Properties
+	this.$placeholder = $( '<div class="es-parameterView-placeholder"></div>' ).prependTo( this.$ );
+
+	// DOM Changes
+	this.$.addClass( 'es-parameterView es-atomicView' );
+
+	// Events
+	var _this = this;
+	this.model.on( 'update', function() {
+		_this.setPlaceholder();
+	} );
+
+	// Initialization
+	this.setPlaceholder();
+};
+
+/* Methods */
+
+/**
+ * Updates the placeholder to match the attributes of the template parameter.
+ * 
+ * @method
+ */
+es.ParameterView.prototype.setPlaceholder = function() {
+	this.$placeholder.text( '{{{' + ( this.model.getElementAttribute( 'name' ) || '' ) + '}}}' );
+};
+
+/* Registration */
+
+es.DocumentView.splitRules.parameter = {
+	'self': false,
+	'children': null
+};
+
+/* Inheritance */
+
+es.extendClass( es.ParameterView, es.DocumentViewLeafNode );
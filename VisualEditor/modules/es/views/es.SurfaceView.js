@@ -99,8 +99,15 @@ es.SurfaceView = function( $container, model ) {
 	this.model.getDocument().on( 'update', function() {
 		_this.emitUpdate( 25 );
 	} );
+	this.model.getDocument().on( 'markerUpdate', function() {
+		_this.updateMarkers( 25 );
+	} );
+	this.model.getDocument().on( 'markerRemove', function( name ) {
+		_this.documentView.clearMarker( name );
+	} );
 	this.on( 'update', function() {
 		_this.updateSelection( 25 );
+		_this.updateMarkers( 25 );
 	} );
 	this.$.mousedown( function(e) {
 		return _this.onMouseDown( e );
@@ -359,6 +366,31 @@ es.SurfaceView.prototype.updateSelection = function( delay ) {
 	}
 };
 
+/**
+ * Draws the highlights of all markers on the document.
+ * 
+ * @method
+ * @param {Integer} [delay] Milliseconds to wait before drawing, combining calls made meanwhile
+ */
+es.SurfaceView.prototype.updateMarkers = function( delay ) {
+	var _this = this;
+	function update() {
+		var markers = _this.model.getDocument().getMarkers();
+		for ( var name in markers ) {
+			_this.documentView.drawMarker( name, markers[name].range, markers[name].type );
+		}
+		_this.updateMarkersTimeout = undefined;
+	}
+	if ( delay ) {
+		if ( this.updateMarkersTimeout !== undefined ) {
+			return;
+		}
+		this.updateMarkersTimeout = setTimeout( update, delay );
+	} else {
+		update();
+	}
+};
+
 es.SurfaceView.prototype.emitUpdate = function( delay ) {
 	if ( delay ) {
 		if ( this.emitUpdateTimeout !== undefined ) {
@@ -530,8 +562,10 @@ es.SurfaceView.prototype.onKeyDown = function( e ) {
 		// Tab
 		case 9:
 			if ( !e.metaKey && !e.ctrlKey && !e.altKey ) {
-				this.$input.val( '\t' );
-				this.handleInsert();
+				if ( !this.handleTab( this.keyboard.keys.shift ) ) {
+					this.$input.val( '\t' );
+					this.handleInsert();
+				}
 				e.preventDefault();
 				return false;
 			}
@@ -572,6 +606,9 @@ es.SurfaceView.prototype.onKeyDown = function( e ) {
 			break;
 		// Up arrow
 		case 38:
+			if ( !e.ctrlKey && !e.altKey && this.moveCursorBetweenRows( 'up' ) ) {
+				break;
+			}
 			if ( !this.mac ) {
 				if ( e.ctrlKey ) {
 					this.moveCursor( 'up', 'unit' );
@@ -606,6 +643,9 @@ es.SurfaceView.prototype.onKeyDown = function( e ) {
 			break;
 		// Down arrow
 		case 40:
+			if ( !e.ctrlKey && !e.altKey && this.moveCursorBetweenRows( 'down' ) ) {
+				break;
+			}
 			if ( !this.mac ) {
 				if ( e.ctrlKey ) {
 					this.moveCursor( 'down', 'unit' );
@@ -674,6 +714,44 @@ es.SurfaceView.prototype.onKeyDown = function( e ) {
 					case 73:
 						this.annotate( 'toggle', {'type': 'textStyle/emphasize' } );
 						return false;
+					// u (underline)
+					case 85:
+						this.annotate( 'toggle', { 'type': 'textStyle/underline' } );
+						return false;
+					// shift + x (strikethrough)
+					case 88:
+						if ( this.keyboard.keys.shift ) {
+							this.annotate( 'toggle', { 'type': 'textStyle/strikethrough' } );
+							return false;
+						}
+						break;
+					// shift + m (code)
+					case 77:
+						if ( this.keyboard.keys.shift ) {
+							this.annotate( 'toggle', { 'type': 'textStyle/code' } );
+							return false;
+						}
+						break;
+					// shift + h (highlight)
+					case 72:
+						if ( this.keyboard.keys.shift ) {
+							// Clear a highlight of any color, like the highlight button
+							var highlights = this.getAnnotations().full,
+								index = es.DocumentModel.getIndexOfAnnotation(
+									highlights, { 'type': 'textStyle/highlight' }, true
+								),
+								tool = es.AnnotationRegistry.get( 'textStyle/highlight' ).tool;
+							if ( index !== -1 ) {
+								this.annotate( 'clear', highlights[index] );
+							} else {
+								this.annotate( 'set', {
+									'type': 'textStyle/highlight',
+									'data': tool.data
+								} );
+							}
+							return false;
+						}
+						break;
 					// k (hyperlink)
 					case 75:
 						if ( this.currentSelection.getLength() ) {
@@ -819,7 +897,15 @@ es.SurfaceView.prototype.handleEnter = function() {
 	var selection = this.currentSelection.clone(),
 		tx;
 	if ( selection.from !== selection.to ) {
-		this.handleDelete( false, true );
+		if (
+			es.TableModel.getCellFromOffset( this.model.getDocument(), selection.from ) !==
+				es.TableModel.getCellFromOffset( this.model.getDocument(), selection.to )
+		) {
+			// Removing content across table cells would break the table apart
+			selection.from = selection.to;
+		} else {
+			this.handleDelete( false, true );
+		}
 	}
 	var	node = this.documentView.getNodeFromOffset( selection.to, false ),
 		nodeOffset = this.documentView.getOffsetFromNode( node, false );
@@ -866,6 +952,90 @@ es.SurfaceView.prototype.handleEnter = function() {
 	this.model.select( selection );
 };
 
+/**
+ * Moves the cursor into a table cell.
+ * 
+ * @method
+ * @param {es.TableCellModel} cell Cell to move the cursor into
+ * @param {Boolean} atEnd Move the cursor to the end of the cell rather than the start
+ */
+es.SurfaceView.prototype.moveCursorToCell = function( cell, atEnd ) {
+	this.cursor.initialLeft = null;
+	this.model.select(
+		new es.Range( cell.getParent().getParent().getCellCursorOffset( cell, atEnd ) ), true
+	);
+};
+
+/**
+ * Moves the cursor to the next or previous table cell.
+ * 
+ * Moving past the last cell of a table adds a new row to the end of the table first.
+ * 
+ * @method
+ * @param {Boolean} backwards Move to the previous cell rather than the next one
+ * @returns {Boolean} Whether the cursor was in a table cell, and has been moved
+ */
+es.SurfaceView.prototype.handleTab = function( backwards ) {
+	var doc = this.model.getDocument(),
+		cell = es.TableModel.getCellFromOffset( doc, this.currentSelection.to ),
+		table,
+		target,
+		end;
+	if ( !cell ) {
+		return false;
+	}
+	table = cell.getParent().getParent();
+	target = table.getAdjacentCell( cell, backwards ? 'previous' : 'next' );
+	if ( target ) {
+		this.moveCursorToCell( target, false );
+	} else if ( !backwards ) {
+		// The new row will start where the table currently ends
+		end = doc.getOffsetFromNode( table ) + table.getElementLength() - 1;
+		this.model.breakpoint();
+		this.model.transact( table.prepareRowInsertion( table.getChildren().length ) );
+		this.cursor.initialLeft = null;
+		this.model.select( new es.Range( doc.getRelativeContentOffset( end, 1 ) ), true );
+	}
+	return true;
+};
+
+/**
+ * Moves the cursor to the cell in the same column of the row above or below.
+ * 
+ * The cursor is only moved if it's in a table cell and on the first or last rendered line of
+ * that cell, otherwise it should move between lines as usual.
+ * 
+ * @method
+ * @param {String} direction Direction to move in, either "up" or "down"
+ * @returns {Boolean} Whether the cursor was moved
+ */
+es.SurfaceView.prototype.moveCursorBetweenRows = function( direction ) {
+	var doc = this.model.getDocument(),
+		to = this.currentSelection.to,
+		cell = es.TableModel.getCellFromOffset( doc, to ),
+		table,
+		line,
+		target;
+	if ( !cell || this.keyboard.keys.shift ) {
+		return false;
+	}
+	table = cell.getParent().getParent();
+	line = this.documentView.getRenderedLineRangeFromOffset( to );
+	if (
+		!line || ( direction === 'up' ?
+			line.start > table.getCellCursorOffset( cell, false ) :
+			line.end < table.getCellCursorOffset( cell, true ) )
+	) {
+		return false;
+	}
+	target = table.getAdjacentCell( cell, direction );
+	if ( !target ) {
+		return false;
+	}
+	this.moveCursorToCell( target, direction === 'up' );
+	return true;
+};
+
 es.SurfaceView.prototype.insertFromInput = function() {
 	var selection = this.currentSelection.clone(),
 		val = this.$input.val();
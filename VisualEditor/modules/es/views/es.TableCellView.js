@@ -14,6 +14,33 @@ es.TableCellView = function( model ) {
 	this.$
 		.attr( 'style', model.getElementAttribute( 'html/style' ) )
 		.addClass( 'es-tableCellView' );
+
+	// Events
+	var _this = this;
+	this.model.on( 'update', function() {
+		_this.setSpans();
+	} );
+
+	// Initialization
+	this.setSpans();
+};
+
+/* Methods */
+
+/**
+ * Applies the number of rows and columns the cell spans, and whether it's a header cell.
+ * 
+ * @method
+ */
+es.TableCellView.prototype.setSpans = function() {
+	var colspan = this.model.getElementAttribute( 'colspan' ),
+		rowspan = this.model.getElementAttribute( 'rowspan' );
+	this.$
+		.attr( 'colspan', colspan > 1 ? colspan : 1 )
+		.attr( 'rowspan', rowspan > 1 ? rowspan : 1 )
+		.toggleClass(
+			'es-tableCellView-header', this.model.getElementAttribute( 'style' ) === 'header'
+		);
 };
 
 /* Registration */
@@ -25,8 +25,20 @@ es.ToolbarView = function( $container, surfaceView, config ) {
 	this.config = config || [
 		{ 'name': 'history', 'items' : ['undo', 'redo'] },
 		{ 'name': 'textStyle', 'items' : ['format'] },
-		{ 'name': 'textStyle', 'items' : ['strong', 'em', 'del', 'link', 'clear'] },
-		{ 'name': 'list', 'items' : ['number', 'bullet', 'outdent', 'indent'] }
+		{
+			'name': 'textStyle',
+			'items' : [
+				'strong', 'em', 'underline', 'strikethrough', 'del', 'code', 'highlight', 'link',
+				'clear'
+			]
+		},
+		{
+			'name': 'list',
+			'items' : ['number', 'bullet', 'term', 'definition', 'outdent', 'indent']
+		},
+		{ 'name': 'structure', 'items' : ['blockquote'] },
+		{ 'name': 'table', 'items' : ['table'] },
+		{ 'name': 'media', 'items' : ['image'] }
 	];
 	this.setup();
 };
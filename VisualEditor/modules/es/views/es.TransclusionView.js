@@ -0,0 +1,57 @@
+/**
+ * Creates an es.TransclusionView object.
+ * 
+ * The transcluded page isn't rendered, instead a placeholder showing its title is used.
+ * 
+ * @class
+ * @constructor
+ * @extends {es.DocumentViewLeafNode}
+ * @param {es.TransclusionModel} model Transclusion model to view
+ */
+es.TransclusionView = function( model ) {
+	// Inheritance
+	es.DocumentViewLeafNode.call( this, model );
+
+	// Properties
+	this.$placeholder = $( '<div class="es-transclusionView-placeholder"></div>' )
+		.prependTo( this.$ );
+
+	// DOM Changes
+	this.$.addClass( 'es-transclusionView es-atomicView' );
+
+	// Events
+	var _this = this;
+	this.model.on( 'update', function() {
+		_this.setPlaceholder();
+	} );
+
+	// Initialization
+	this.setPlaceholder();
+};
+
+/* Methods */
+
+/**
+ * Updates the placeholder to match the attributes of the transclusion.
+ * 
+ * @method
+ */
+es.TransclusionView.prototype.setPlaceholder = function() {
+	var namespace = this.model.getElementAttribute( 'namespace' ),
+		title = this.model.getElementAttribute( 'title' ) || '';
+	if ( namespace && namespace !== 'Template' ) {
+		title = ( namespace === 'Main' ? '' : namespace ) + ':' + title;
+	}
+	this.$placeholder.text( '{{' + title + '}}' );
+};
+
+/* Registration */
+
+es.DocumentView.splitRules.transclusion = {
+	'self': false,
+	'children': null
+};
+
+/* Inheritance */
+
+es.extendClass( es.TransclusionView, es.DocumentViewLeafNode );
@@ -3,8 +3,17 @@
  * 
  * @class
  * @constructor
+ * @param {Object} [options], with an optional annotationRegistry property, the
+ * registry of annotation types to import HTML elements as, es.AnnotationRegistry
+ * by default if it's loaded
  */
-function DOMConverter () {
+function DOMConverter ( options ) {
+	this.annotationRegistry = ( options && options.annotationRegistry ) ||
+		( typeof es !== 'undefined' && es.AnnotationRegistry ) || null;
+	if ( !this.annotationRegistry ) {
+		throw 'Missing annotation registry error. DOMConverter needs an annotationRegistry ' +
+			'option when es.AnnotationRegistry is not loaded.';
+	}
 }
 
 /**
@@ -96,6 +105,11 @@ DOMConverter.prototype._getHTMLtoWikiDomHandlerInfo = function ( nodeName ) {
 				handler: this._convertHTMLBranch, 
 				type: 'caption'
 			};
+		case 'figure':
+			return {
+				handler: this._convertHTMLImage, 
+				type: 'image'
+			};
 		case 'hr':
 			return {
 				handler: this._convertHTMLLeaf, 
@@ -105,7 +119,7 @@ DOMConverter.prototype._getHTMLtoWikiDomHandlerInfo = function ( nodeName ) {
 		case 'ol':
 		case 'dl':
 			return {
-				handler: this._convertHTMLBranch, 
+				handler: this._convertHTMLList, 
 				type: 'list'
 			};
 		case 'center':
@@ -116,12 +130,16 @@ DOMConverter.prototype._getHTMLtoWikiDomHandlerInfo = function ( nodeName ) {
 				type: 'center'
 			};
 		case 'blockquote':
-			//XXX: blockquote is block-level in HTML, not sure what it should be
-			//in WikiDOM..
 			return {
 				handler: this._convertHTMLBranch, 
 				type: 'blockquote'
 			};
+		case 'div':
+			// Generic container, its HTML attributes are kept as html/* attributes
+			return {
+				handler: this._convertHTMLBranch, 
+				type: 'div'
+			};
 		default:
 			console.log( 'HTML to Wiki DOM conversion warning: Unknown node name ' +
 					nodeName );
@@ -133,44 +151,26 @@ DOMConverter.prototype._getHTMLtoWikiDomHandlerInfo = function ( nodeName ) {
 };
 
 /**
- * Map HTML element names to WikiDom annotation types or undefined.
+ * Map HTML elements to WikiDom annotation types or undefined, using the
+ * import matchers of the annotation registry. Links with a data-type the
+ * registry doesn't know are given the type link/<data-type>.
  *
- * @param {String} nodeName, the HTML element name
+ * @param {Object} node, the HTML element
  * @param {Boolean} warn (optional), enable warnings for non-annotation
  * element types
- * @returns {String} WikiDom annotation type or undefined if element name does
+ * @returns {String} WikiDom annotation type or undefined if element does
  * not map to an annotation.
  */
 DOMConverter.prototype._getWikiDomAnnotationType = function ( node, warn ) {
-	var name = node.nodeName.toLowerCase();
-	switch ( name ) {
-		case 'i':
-			return 'textStyle/italic';
-		case 'b':
-			return 'textStyle/bold';
-		case 'span':
-			return 'textStyle/span';
-		case 'a':
-			var atype = node.getAttribute( 'data-type' );
-			if ( atype ) {
-				return 'link/' + atype;
-			} else {
-				return 'link/unknown';
-			}
-			break; // make JSHint happy
-		case 'template':
-			return 'object/template';
-		case 'ref':
-			return 'object/hook';
-		case 'includeonly':
-			return 'object/includeonly'; // XXX
-		default:
-			if ( warn ) {
-				console.log( 'HTML to Wiki DOM conversion warning: Unsupported html annotation ' +
-						nodeName );
-			}
-			return undefined;
+	var type = this.annotationRegistry.getTypeFromHtml( node );
+	if ( type === 'link/unknown' && node.getAttribute( 'data-type' ) ) {
+		type = 'link/' + node.getAttribute( 'data-type' );
+	}
+	if ( type === undefined && warn ) {
+		console.log( 'HTML to Wiki DOM conversion warning: Unsupported html annotation ' +
+				node.nodeName.toLowerCase() );
 	}
+	return type;
 };
 
 
@@ -243,7 +243,12 @@ DOMConverter.prototype._convertHTMLBranch = function ( node, type ) {
 				offset += cnode.data.length;
 				break;
 			case Node.COMMENT_NODE:
-				// add a comment node.
+				// Close last paragraph, if still open.
+				parNode = null;
+				wnode.children.push( {
+					type: 'comment',
+					attributes: { text: cnode.data }
+				} );
 				break;
 			default:
 				console.log( "HTML to Wiki DOM conversion error. Unhandled node " + 
@@ -257,6 +262,86 @@ DOMConverter.prototype._convertHTMLBranch = function ( node, type ) {
 	};
 };
 
+/**
+ * Private HTML list handler
+ *
+ * WikiDom lists are flat, each list item having a stack of styles instead of
+ * containing nested lists. Nested lists are converted to the items following
+ * the item they are in, with the styles of that item added to their own.
+ *
+ * @param {Object} HTML DOM element
+ * @param {String} WikiDom node type
+ * @returns {Object} WikiDom object
+ */
+DOMConverter.prototype._convertHTMLList = function ( node, type ) {
+	var wnode = {
+		type: type,
+		attributes: this._HTMLPropertiesToWikiAttributes( node ),
+		children: []
+	};
+	this._convertHTMLListItems( node, [], wnode.children );
+	return {
+		offset: 0,
+		node: wnode
+	};
+};
+
+/**
+ * Private HTML list item handler, appends the items of a list and of the
+ * lists nested in them.
+ *
+ * @param {Object} HTML DOM element of a ul, ol or dl list
+ * @param {Array} Styles of the item the list is nested in
+ * @param {Array} WikiDom list items to append to
+ */
+DOMConverter.prototype._convertHTMLListItems = function ( node, styles, items ) {
+	var listStyles = { ul: 'bullet', ol: 'number', dt: 'term', dd: 'definition' },
+		children = node.childNodes;
+	for ( var i = 0, l = children.length; i < l; i++ ) {
+		var cnode = children[i],
+			name = cnode.nodeName.toLowerCase();
+		if ( cnode.nodeType !== Node.ELEMENT_NODE ) {
+			continue;
+		}
+		if ( name === 'ul' || name === 'ol' || name === 'dl' ) {
+			// A list directly inside another one, without an item around it
+			this._convertHTMLListItems(
+				cnode,
+				styles.concat( [listStyles[node.nodeName.toLowerCase()] || 'definition'] ),
+				items
+			);
+			continue;
+		}
+		var itemStyles = styles.concat( [
+				listStyles[name === 'li' ? node.nodeName.toLowerCase() : name] || 'bullet'
+			] ),
+			// Convert a copy of the item without the lists nested in it
+			item = cnode.cloneNode( true ),
+			nested = [];
+		for ( var j = item.childNodes.length - 1; j >= 0; j-- ) {
+			if ( /^(ul|ol|dl)$/i.test( item.childNodes[j].nodeName ) ) {
+				nested.unshift( item.childNodes[j] );
+				item.removeChild( item.childNodes[j] );
+			}
+		}
+		var res = this._convertHTMLBranch( item, 'listItem' );
+		res.node.attributes.styles = itemStyles;
+		if ( !res.node.children.length ) {
+			res.node.children.push( {
+				type: 'paragraph',
+				content: {
+					text: '',
+					annotations: []
+				}
+			} );
+		}
+		items.push( res.node );
+		for ( j = 0; j < nested.length; j++ ) {
+			this._convertHTMLListItems( nested[j], itemStyles, items );
+		}
+	}
+};
+
 /**
  * Private HTML leaf node handler
  *
@@ -313,6 +398,51 @@ DOMConverter.prototype._convertHTMLLeaf = function ( node, type ) {
 	};
 };
 
+/**
+ * Private HTML image handler, for figure elements containing an img element and
+ * optionally a figcaption element
+ *
+ * @param {Object} HTML DOM element
+ * @param {String} WikiDom node type
+ * @returns {Object} WikiDom object
+ */
+DOMConverter.prototype._convertHTMLImage = function ( node, type ) {
+	var children = node.childNodes,
+		wnode = {
+			type: type,
+			attributes: this._HTMLPropertiesToWikiAttributes( node ),
+			content: {
+				text: '',
+				annotations: []
+			}
+		};
+	for ( var i = 0, l = children.length; i < l; i++ ) {
+		var cnode = children[i];
+		if ( cnode.nodeType !== Node.ELEMENT_NODE ) {
+			continue;
+		}
+		switch ( cnode.nodeName.toLowerCase() ) {
+			case 'img':
+				var data = this._HTMLPropertiesToWikiData( cnode );
+				for ( var key in data ) {
+					if ( key === 'width' || key === 'height' ) {
+						wnode.attributes[key] = parseInt( data[key], 10 );
+					} else {
+						wnode.attributes[key] = data[key];
+					}
+				}
+				break;
+			case 'figcaption':
+				wnode.content = this._convertHTMLLeaf( cnode, type ).node.content;
+				break;
+		}
+	}
+	return {
+		offset: wnode.content.text.length,
+		node: wnode
+	};
+};
+
 /**
  * Private: Convert an HTML element to an annotation
  *
@@ -371,6 +501,7 @@ DOMConverter.prototype._convertHTMLAnnotation = function ( node, offset, type )
 		offset++;
 	}
 	annotations[0].range.end = offset;
+	annotations[0].data = this.annotationRegistry.importData( type, annotations[0].data );
 	return	{
 		text: text,
 		annotations: annotations
@@ -439,6 +570,12 @@ DOMConverter.prototype._HTMLPropertiesToWikiData = function ( elem ) {
 DOMConverter.prototype._HTMLPropertiesToWikiAttributesMap = {
 	a: { 
 		href: 'title'
+	},
+	img: {
+		src: 'src',
+		alt: 'alt',
+		width: 'width',
+		height: 'height'
 	}
 };
 
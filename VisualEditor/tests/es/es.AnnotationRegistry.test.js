@@ -0,0 +1,234 @@
+module( 'es' );
+
+test( 'es.AnnotationRegistry.register', 1, function() {
+	raises(
+		function() {
+			es.AnnotationRegistry.register( 'textStyle/bold', {} );
+		},
+		/^Invalid annotation type error/,
+		'registering a type twice throws an exception'
+	);
+} );
+
+test( 'es.AnnotationRegistry.getTypeFromHtml', 9, function() {
+	var cases = [
+		{
+			'html': '<b></b>',
+			'type': 'textStyle/bold',
+			'msg': 'element names are matched'
+		},
+		{
+			'html': '<strike></strike>',
+			'type': 'textStyle/strikethrough',
+			'msg': 'types can be imported from more than one element name'
+		},
+		{
+			'html': '<span style="background-color: red"></span>',
+			'type': 'textStyle/highlight',
+			'msg': 'types with import tests are matched before more general ones'
+		},
+		{
+			'html': '<span></span>',
+			'type': 'textStyle/span',
+			'msg': 'elements failing an import test fall through to later types'
+		},
+		{
+			'html': '<span style="background-color: red; font-size: 2em"></span>',
+			'type': 'textStyle/span',
+			'msg': 'spans styled in other ways than a background color are not highlights'
+		},
+		{
+			'html': '<mark></mark>',
+			'type': 'textStyle/highlight',
+			'msg': 'mark elements are highlights without needing a style'
+		},
+		{
+			'html': '<a href="http://example.org" data-type="external"></a>',
+			'type': 'link/external',
+			'msg': 'external links are matched by their data-type'
+		},
+		{
+			'html': '<a href="http://example.org"></a>',
+			'type': 'link/unknown',
+			'msg': 'links without a known data-type are matched by the catch-all type'
+		},
+		{
+			'html': '<blink></blink>',
+			'type': undefined,
+			'msg': 'unsupported elements are not annotations'
+		}
+	];
+	for ( var i = 0; i < cases.length; i++ ) {
+		equal(
+			es.AnnotationRegistry.getTypeFromHtml( $( cases[i].html )[0] ),
+			cases[i].type,
+			cases[i].msg
+		);
+	}
+} );
+
+test( 'es.AnnotationRegistry.importData', 7, function() {
+	var token = { 'type': 'TAG', 'name': 'b' };
+
+	// Test 1
+	deepEqual(
+		es.AnnotationRegistry.importData(
+			'link/external', { 'title': 'http://example.org', 'type': 'external' }
+		),
+		{ 'href': 'http://example.org' },
+		'external links take their href from the imported title'
+	);
+
+	// Test 2
+	deepEqual(
+		es.AnnotationRegistry.importData(
+			'textStyle/highlight', { 'html/style': 'background: red;' }
+		),
+		{ 'color': 'red' },
+		'highlights take their color from the imported style'
+	);
+
+	// Test 3
+	deepEqual(
+		es.AnnotationRegistry.importData( 'textStyle/bold', { 'html/class': 'foo' } ),
+		{ 'html/class': 'foo' },
+		'data of types without an import data handler is left alone'
+	);
+
+	// Test 4
+	deepEqual(
+		es.AnnotationRegistry.importData( 'object/template', {
+			'target': 'Example',
+			'args': { '1': 'a', 'b': ['c', 'd'] }
+		} ),
+		{
+			'title': 'Example',
+			'parameters': [{ 'value': 'a' }, { 'name': 'b', 'value': 'cd' }]
+		},
+		'templates with plain text arguments get a title and a list of parameters'
+	);
+
+	// Test 5
+	deepEqual(
+		es.AnnotationRegistry.importData( 'object/template', {
+			'target': 'Example',
+			'args': { '1': 'a', 'b': ['c', token] }
+		} ),
+		{
+			'title': 'Example',
+			'target': 'Example',
+			'args': { '1': 'a', 'b': ['c', token] }
+		},
+		'templates with arguments containing other tokens keep the arguments as they are'
+	);
+
+	// Test 6
+	deepEqual(
+		es.AnnotationRegistry.importData(
+			'textStyle/highlight', { 'html/style': 'background-color: red', 'html/class': 'foo' }
+		),
+		{ 'color': 'red', 'html/class': 'foo' },
+		'highlights keep attributes other than the style their color was taken from'
+	);
+
+	// Test 7
+	deepEqual(
+		es.AnnotationRegistry.importData(
+			'textStyle/highlight', { 'html/style': 'background: red; color: blue' }
+		),
+		{ 'html/style': 'background: red; color: blue' },
+		'highlights keep styles which set more than a background color'
+	);
+} );
+
+test( 'es.AnnotationRegistry highlights', 4, function() {
+	var highlight = es.AnnotationRegistry.get( 'textStyle/highlight' ),
+		serializer;
+
+	// Test 1
+	equal(
+		highlight.view.open( { 'color': 'red' } ),
+		'<span class="es-contentView-format-textStyle-highlight" style="background-color: red">',
+		'highlights are rendered in their color'
+	);
+
+	// Test 2
+	serializer = new es.AnnotationSerializer();
+	es.AnnotationRegistry.serialize( serializer, {
+		'type': 'textStyle/highlight',
+		'data': { 'color': 'red' },
+		'range': { 'start': 0, 'end': 3 }
+	}, 'html' );
+	equal(
+		serializer.render( 'foo' ),
+		'<mark style="background-color: red">foo</mark>',
+		'highlights are written to HTML as mark elements'
+	);
+
+	// Test 3
+	serializer = new es.AnnotationSerializer();
+	es.AnnotationRegistry.serialize(
+		serializer, { 'type': 'textStyle/highlight', 'range': { 'start': 0, 'end': 3 } }, 'html'
+	);
+	equal(
+		serializer.render( 'foo' ),
+		'<mark>foo</mark>',
+		'highlights without a color are written to HTML without a style'
+	);
+
+	// Test 4
+	serializer = new es.AnnotationSerializer();
+	es.AnnotationRegistry.serialize(
+		serializer, { 'type': 'textStyle/highlight', 'range': { 'start': 0, 'end': 3 } }, 'wikitext'
+	);
+	equal(
+		serializer.render( 'foo' ),
+		'<span style="background-color: yellow">foo</span>',
+		'highlights are written to wikitext as spans with a background color'
+	);
+} );
+
+test( 'es.AnnotationRegistry.serialize', 4, function() {
+	var link = {
+			'type': 'link/external',
+			'data': { 'href': 'http://example.org' },
+			'range': { 'start': 0, 'end': 3 }
+		},
+		serializer;
+
+	// Test 1
+	serializer = new es.AnnotationSerializer();
+	es.AnnotationRegistry.serialize( serializer, link, 'html' );
+	equal(
+		serializer.render( 'foo' ),
+		'<a href="http://example.org">foo</a>',
+		'external links are written to HTML using their href'
+	);
+
+	// Test 2
+	serializer = new es.AnnotationSerializer();
+	es.AnnotationRegistry.serialize( serializer, link, 'wikitext' );
+	equal(
+		serializer.render( 'foo' ),
+		'[http://example.org foo]',
+		'external links are written to wikitext using their href'
+	);
+
+	// Test 3
+	serializer = new es.AnnotationSerializer();
+	es.AnnotationRegistry.serialize(
+		serializer, { 'type': 'textStyle/bold', 'range': { 'start': 1, 'end': 2 } }, 'wikitext'
+	);
+	equal( serializer.render( 'foo' ), "f'''o'''o", 'markup is inserted around the range' );
+
+	// Test 4
+	strictEqual(
+		es.AnnotationRegistry.serialize(
+			new es.AnnotationSerializer(),
+			{ 'type': 'textStyle/delete', 'range': { 'start': 0, 'end': 1 } },
+			'wikitext'
+		),
+		false,
+		'types without a serialization for a format are skipped'
+	);
+} );
@@ -4,7 +4,11 @@ test( 'es.DocumentModel.getData', 1, function() {
 	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj );
 	
 	// Test 1
-	deepEqual( documentModel.getData(), esTest.data, 'Flattening plain objects results in correct data' );
+	deepEqual(
+		esTest.removeIds( documentModel.getData() ),
+		esTest.data,
+		'Flattening plain objects results in correct data'
+	);
 } );
 
 test( 'es.DocumentModel.getChildren', 1, function() {
@@ -85,6 +89,121 @@ test( 'es.DocumentModel.getRelativeContentOffset', 7, function() {
 	);
 } );
 
+test( 'es.DocumentModel atomic elements', 8, function() {
+	var data = [
+			{ 'type': 'paragraph' },
+			'a',
+			{ 'type': '/paragraph' },
+			{ 'type': 'comment', 'attributes': { 'text': 'Note' } },
+			{ 'type': '/comment' },
+			{ 'type': 'paragraph' },
+			'b',
+			{ 'type': '/paragraph' },
+			{ 'type': 'comment', 'attributes': { 'text': 'Another note' } },
+			{ 'type': '/comment' }
+		],
+		documentModel = new es.DocumentModel( data );
+
+	// Test 1
+	ok( es.DocumentModel.isAtomicOffset( data, 4 ), 'offset inside a comment is atomic' );
+
+	// Test 2
+	ok( !es.DocumentModel.isAtomicOffset( data, 1 ), 'offset inside a paragraph is not atomic' );
+
+	// Test 3
+	equal(
+		documentModel.getRelativeContentOffset( 2, 1 ),
+		6,
+		'getRelativeContentOffset skips over atomic elements forwards'
+	);
+
+	// Test 4
+	equal(
+		documentModel.getRelativeContentOffset( 6, -1 ),
+		2,
+		'getRelativeContentOffset skips over atomic elements backwards'
+	);
+
+	// Test 5
+	equal(
+		documentModel.getNonAtomicOffset( 4 ),
+		6,
+		'getNonAtomicOffset moves offsets inside atomic elements to the next content offset'
+	);
+
+	// Test 6
+	equal(
+		documentModel.getNonAtomicOffset( 9 ),
+		7,
+		'getNonAtomicOffset moves backwards if there is no content after the atomic element'
+	);
+
+	// Test 7
+	equal( documentModel.getNonAtomicOffset( 1 ), 1, 'getNonAtomicOffset keeps other offsets' );
+
+	// Test 8
+	deepEqual(
+		es.DocumentModel.newFromPlainObject( documentModel.getPlainObject() ).getPlainObject(),
+		documentModel.getPlainObject(),
+		'attributes of atomic elements are kept when converting to and from plain objects'
+	);
+} );
+
+test( 'es.DocumentModel container elements', 5, function() {
+	var data = [
+			{ 'type': 'paragraph' },
+			'a',
+			{ 'type': '/paragraph' },
+			{ 'type': 'paragraph' },
+			'b',
+			{ 'type': '/paragraph' },
+			{ 'type': 'div', 'attributes': { 'html/class': 'note' } },
+			{ 'type': 'paragraph' },
+			'c',
+			{ 'type': '/paragraph' },
+			{ 'type': '/div' }
+		],
+		documentModel = new es.DocumentModel( es.copyArray( data ) ),
+		tx = documentModel.prepareWrap( new es.Range( 0, 6 ), [{ 'type': 'blockquote' }] );
+
+	// Test 1
+	ok(
+		es.DocumentModel.isAllowedChild( 'blockquote', 'list' ) &&
+			es.DocumentModel.isAllowedChild( 'listItem', 'blockquote' ) &&
+			es.DocumentModel.isAllowedChild( 'div', 'blockquote' ),
+		'blockquotes and divs can contain and be contained by other block elements'
+	);
+
+	// Test 2
+	ok(
+		!es.DocumentModel.isAllowedChild( 'list', 'blockquote' ),
+		'blockquotes can not be put directly in lists'
+	);
+
+	// Test 3
+	documentModel.commit( tx );
+	equal(
+		documentModel.getChildren()[0].getChildren().length,
+		2,
+		'wrapping paragraphs in a blockquote puts them in a blockquote node'
+	);
+
+	// Test 4
+	documentModel.rollback( tx );
+	deepEqual(
+		esTest.removeIds( documentModel.getData() ),
+		data,
+		'rolling back the wrap restores the paragraphs'
+	);
+
+	// Test 5
+	deepEqual(
+		documentModel.getChildren()[2].getElement().attributes,
+		{ 'html/class': 'note' },
+		'divs keep their html attributes'
+	);
+} );
+
 test( 'es.DocumentModel.getContentData', 6, function() {
 	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
 		childNodes = documentModel.getChildren();
@@ -213,6 +332,46 @@ test( 'es.DocumentModel.getAnnotationsFromOffset', 4, function() {
 	);
 } );
 
+test( 'es.DocumentModel.prepareAnnotationReplacement', 2, function() {
+	var bold = { 'type': 'textStyle/bold', 'hash': '{"type":"textStyle/bold"}' },
+		template = { 'type': 'object/template', 'data': { 'title': 'A' } },
+		replacement = { 'type': 'object/template', 'data': { 'title': 'B' } },
+		documentModel,
+		tx;
+	template.hash = es.DocumentModel.getHash( template );
+	documentModel = new es.DocumentModel( [
+		{ 'type': 'paragraph' },
+		'a',
+		[' ', bold, template],
+		['b', bold],
+		{ 'type': '/paragraph' }
+	] );
+	tx = documentModel.prepareAnnotationReplacement( new es.Range( 1, 4 ), template, replacement );
+	replacement.hash = es.DocumentModel.getHash( replacement );
+
+	// Test 1
+	documentModel.commit( tx );
+	deepEqual(
+		esTest.removeIds( documentModel.getData() ),
+		[
+			{ 'type': 'paragraph' },
+			'a',
+			[' ', bold, replacement],
+			['b', bold],
+			{ 'type': '/paragraph' }
+		],
+		'replaces the annotation, keeping other annotations and content without it'
+	);
+
+	// Test 2
+	documentModel.rollback( tx );
+	deepEqual(
+		documentModel.getData( new es.Range( 2, 3 ) ),
+		[[' ', bold, template]],
+		'rolling back restores the original annotation'
+	);
+} );
+
 test( 'es.DocumentModel.prepareElementAttributeChange', 4, function() {
 	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj );
 
@@ -388,7 +547,7 @@ test( 'es.DocumentModel.prepareRemoval', 11, function() {
 	
 	// Test 2
 	deepEqual(
-		documentModel.prepareRemoval( new es.Range( 17, 22 ) ).getOperations(),
+		esTest.removeIds( documentModel.prepareRemoval( new es.Range( 17, 22 ) ).getOperations() ),
 		[
 			{ 'type': 'retain', 'length': 17 },
 			{
@@ -424,7 +583,7 @@ test( 'es.DocumentModel.prepareRemoval', 11, function() {
 
 	// Test 4
 	deepEqual(
-		documentModel.prepareRemoval( new es.Range( 3, 24 ) ).getOperations(),
+		esTest.removeIds( documentModel.prepareRemoval( new es.Range( 3, 24 ) ).getOperations() ),
 		[
 			{ 'type': 'retain', 'length': 3 },
 			{
@@ -459,7 +618,7 @@ test( 'es.DocumentModel.prepareRemoval', 11, function() {
 	
 	// Test 5
 	deepEqual(
-		documentModel.prepareRemoval( new es.Range( 3, 25 ) ).getOperations(),
+		esTest.removeIds( documentModel.prepareRemoval( new es.Range( 3, 25 ) ).getOperations() ),
 		[
 			{ 'type': 'retain', 'length': 3 },
 			{
@@ -499,7 +658,7 @@ test( 'es.DocumentModel.prepareRemoval', 11, function() {
 	
 	// Test 6
 	deepEqual(
-		documentModel.prepareRemoval( new es.Range( 9, 17 ) ).getOperations(),
+		esTest.removeIds( documentModel.prepareRemoval( new es.Range( 9, 17 ) ).getOperations() ),
 		[
 			{ 'type': 'retain', 'length': 9 },
 			{
@@ -524,7 +683,7 @@ test( 'es.DocumentModel.prepareRemoval', 11, function() {
 	
 	// Test 7
 	deepEqual(
-		documentModel.prepareRemoval( new es.Range( 9, 27 ) ).getOperations(),
+		esTest.removeIds( documentModel.prepareRemoval( new es.Range( 9, 27 ) ).getOperations() ),
 		[
 			{ 'type': 'retain', 'length': 9 },
 			{
@@ -559,7 +718,7 @@ test( 'es.DocumentModel.prepareRemoval', 11, function() {
 	
 	// Test 8
 	deepEqual(
-		documentModel.prepareRemoval( new es.Range( 21, 23 ) ).getOperations(),
+		esTest.removeIds( documentModel.prepareRemoval( new es.Range( 21, 23 ) ).getOperations() ),
 		[
 			{ 'type': 'retain', 'length': 21 },
 			{
@@ -576,7 +735,7 @@ test( 'es.DocumentModel.prepareRemoval', 11, function() {
 	
 	// Test 9
 	deepEqual(
-		documentModel.prepareRemoval( new es.Range( 20, 24 ) ).getOperations(),
+		esTest.removeIds( documentModel.prepareRemoval( new es.Range( 20, 24 ) ).getOperations() ),
 		[
 			{ 'type': 'retain', 'length': 20 },
 			{
@@ -604,7 +763,7 @@ test( 'es.DocumentModel.prepareRemoval', 11, function() {
 	
 	// Test 11
 	deepEqual(
-		documentModel.prepareRemoval( new es.Range( 15, 24 ) ).getOperations(),
+		esTest.removeIds( documentModel.prepareRemoval( new es.Range( 15, 24 ) ).getOperations() ),
 		[
 			{ 'type': 'retain', 'length': 15 },
 			{
@@ -800,3 +959,753 @@ test( 'es.DocumentModel.prepareInsertion', 11, function() {
 		'prepareInsertion throws exception for malformed input'
 	);
 } );
+
+test( 'es.DocumentModel.getDiff', 6, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		from = documentModel.getData( undefined, true ),
+		to = documentModel.getData( undefined, true ),
+		diff;
+
+	// Insert a character, change an annotation, change an attribute and remove the first list item
+	to.splice( 12, 5 );
+	to.splice( 2, 0, 'x' );
+	to[12].attributes = { 'styles': ['number'] };
+	to[3] = ['b', { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' }];
+
+	diff = es.DocumentModel.getDiff( from, to );
+
+	// Test 1
+	deepEqual(
+		esTest.removeIds( diff.getOperations() ),
+		[
+			{ 'type': 'retain', 'length': 2 },
+			{ 'type': 'insert', 'data': ['x'] },
+			{
+				'type': 'annotate',
+				'method': 'set',
+				'bias': 'start',
+				'annotation': { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' }
+			},
+			{
+				'type': 'annotate',
+				'method': 'clear',
+				'bias': 'start',
+				'annotation': { 'type': 'textStyle/bold', 'hash': '{"type":"textStyle/bold"}' }
+			},
+			{ 'type': 'retain', 'length': 1 },
+			{
+				'type': 'annotate',
+				'method': 'set',
+				'bias': 'stop',
+				'annotation': { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' }
+			},
+			{
+				'type': 'annotate',
+				'method': 'clear',
+				'bias': 'stop',
+				'annotation': { 'type': 'textStyle/bold', 'hash': '{"type":"textStyle/bold"}' }
+			},
+			{ 'type': 'retain', 'length': 8 },
+			{ 'type': 'attribute', 'method': 'set', 'key': 'styles', 'value': ['number'] },
+			{ 'type': 'retain', 'length': 1 },
+			{
+				'type': 'remove',
+				'data': [
+					{ 'type': 'listItem', 'attributes': { 'styles': ['bullet'] } },
+					{ 'type': 'paragraph' },
+					'e',
+					{ 'type': '/paragraph' },
+					{ 'type': '/listItem' }
+				]
+			},
+			{ 'type': 'retain', 'length': 17 }
+		],
+		'getDiff retains unchanged data and removes whole nodes'
+	);
+
+	// Test 2
+	equal( diff.getLengthDifference(), -4, 'getDiff sets the length difference' );
+
+	// Test 3
+	documentModel.commit( diff );
+	deepEqual( documentModel.getData(), to, 'committing the diff results in the new data' );
+
+	// Test 4
+	documentModel.rollback( diff );
+	deepEqual( documentModel.getData(), from, 'rolling back the diff restores the old data' );
+
+	// Test 5
+	deepEqual(
+		es.DocumentModel.getDiff( from, from ).getOperations(),
+		[{ 'type': 'retain', 'length': 34 }],
+		'getDiff of equal data only retains'
+	);
+
+	// Test 6
+	deepEqual(
+		documentModel.prepareDiff( [] ).getOperations(),
+		[{ 'type': 'remove', 'data': documentModel.getData() }],
+		'prepareDiff diffs the content data'
+	);
+} );
+
+test( 'es.DocumentModel.getDiff attribute changes', 3, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		from = documentModel.getData( undefined, true ),
+		to = documentModel.getData( undefined, true ),
+		diff;
+
+	to[12].attributes = { 'styles': ['number'] };
+	diff = es.DocumentModel.getDiff( from, to );
+
+	// Test 1
+	deepEqual(
+		diff.getOperations()[1],
+		{
+			'type': 'attribute',
+			'method': 'set',
+			'key': 'styles',
+			'value': ['number'],
+			'from': ['bullet']
+		},
+		'changing the value of an attribute stores the previous value'
+	);
+
+	// Test 2
+	documentModel.commit( diff );
+	documentModel.rollback( diff );
+	deepEqual(
+		documentModel.getData(), from, 'rolling back the diff restores the previous value'
+	);
+
+	// Test 3
+	documentModel.commit( diff );
+	documentModel.commit( diff.getInverse() );
+	deepEqual(
+		documentModel.getData(), from, 'committing the inverse restores the previous value'
+	);
+} );
+
+test( 'es.DocumentModel.getDiff of nodes of different types', 6, function() {
+	var paragraphAndHeading = [
+			{ 'type': 'paragraph' }, 'a', { 'type': '/paragraph' },
+			{ 'type': 'heading', 'attributes': { 'level': 1 } }, 'b', { 'type': '/heading' }
+		],
+		paragraph = [{ 'type': 'paragraph' }, 'a', 'b', { 'type': '/paragraph' }],
+		documentModel,
+		diff;
+
+	function getTree( node ) {
+		var children = node.getChildren ? node.getChildren() : [],
+			tree = [node.getElementType(), node.getElementLength()];
+		for ( var i = 0; i < children.length; i++ ) {
+			tree.push( getTree( children[i] ) );
+		}
+		return tree;
+	}
+
+	function getExpectedTree( data ) {
+		return getTree( new es.DocumentModel( esTest.removeIds( data ) ) );
+	}
+
+	// Test 1
+	deepEqual(
+		es.DocumentModel.getDataEdits( paragraphAndHeading, paragraph ),
+		[
+			'remove', 'remove', 'remove', 'remove', 'remove', 'remove',
+			'insert', 'insert', 'insert', 'insert'
+		],
+		'edits which would join a paragraph and a heading are widened to whole nodes'
+	);
+
+	// Test 2
+	documentModel = new es.DocumentModel( esTest.removeIds( paragraphAndHeading ) );
+	diff = es.DocumentModel.getDiff( documentModel.getData(), paragraph );
+	documentModel.commit( diff );
+	deepEqual(
+		esTest.removeIds( documentModel.getData() ),
+		paragraph,
+		'committing the diff joining a paragraph and a heading results in the new data'
+	);
+
+	// Test 3
+	deepEqual(
+		getTree( documentModel ),
+		getExpectedTree( paragraph ),
+		'committing the diff joining a paragraph and a heading updates the model tree'
+	);
+
+	// Test 4
+	documentModel.rollback( diff );
+	deepEqual(
+		[esTest.removeIds( documentModel.getData() ), getTree( documentModel )],
+		[paragraphAndHeading, getExpectedTree( paragraphAndHeading )],
+		'rolling back the diff restores the old data and model tree'
+	);
+
+	// Test 5
+	documentModel = new es.DocumentModel( esTest.removeIds( paragraph ) );
+	diff = es.DocumentModel.getDiff( documentModel.getData(), paragraphAndHeading );
+	documentModel.commit( diff );
+	deepEqual(
+		[esTest.removeIds( documentModel.getData() ), getTree( documentModel )],
+		[paragraphAndHeading, getExpectedTree( paragraphAndHeading )],
+		'committing the diff splitting a paragraph into a heading updates the data and model tree'
+	);
+
+	// Test 6
+	deepEqual(
+		es.DocumentModel.getDataEdits( paragraph, [
+			{ 'type': 'paragraph' }, 'a', { 'type': '/paragraph' },
+			{ 'type': 'paragraph' }, 'b', { 'type': '/paragraph' }
+		] ),
+		[
+			'remove', 'remove', 'remove', 'remove',
+			'insert', 'insert', 'insert', 'insert', 'insert', 'insert'
+		],
+		'edits which would split a paragraph are widened to whole nodes'
+	);
+} );
+
+test( 'es.DocumentModel.validateData', 5, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj );
+
+	// Test 1
+	deepEqual( es.DocumentModel.validateData( esTest.data ), [], 'valid data has no errors' );
+
+	// Test 2
+	deepEqual(
+		es.DocumentModel.validateData( [
+			{ 'type': 'paragraph' }, 'a', { 'type': '/list' }, { 'type': 'foo' }, { 'type': '/foo' }
+		] ),
+		[
+			{
+				'type': 'unexpectedClosing',
+				'offset': 2,
+				'message': 'Closing /list has no matching opening'
+			},
+			{ 'type': 'unknownElement', 'offset': 3, 'message': 'Element type foo is not registered' },
+			{ 'type': 'unclosedElement', 'offset': 0, 'message': 'Element paragraph is not closed' }
+		],
+		'unbalanced and unknown elements are reported with offsets'
+	);
+
+	// Test 3
+	deepEqual(
+		es.DocumentModel.validateData( [
+			'a', { 'type': 'listItem' }, { 'type': 'paragraph' }, { 'type': '/paragraph' },
+			{ 'type': '/listItem' }
+		] ),
+		[
+			{
+				'type': 'invalidContent',
+				'offset': 0,
+				'message': 'Content is not allowed in document without being wrapped in paragraph'
+			},
+			{
+				'type': 'invalidNesting',
+				'offset': 1,
+				'message': 'Element listItem is not allowed in document without being wrapped in list'
+			}
+		],
+		'content and elements which are not allowed where they are are reported'
+	);
+
+	// Test 4
+	deepEqual(
+		es.DocumentModel.validateData( [{ 'type': 'tableCell' }, { 'type': '/tableCell' }], 'tableRow' ),
+		[],
+		'data is validated as a child of a given element type'
+	);
+
+	// Test 5
+	raises(
+		function() {
+			documentModel.prepareInsertion( 12, [{ 'type': 'paragraph' }, { 'type': '/paragraph' }] );
+		},
+		/^Invalid data error\. Element paragraph is not allowed in list without being wrapped in/,
+		'prepareInsertion throws an exception when inserting structure where it is not allowed'
+	);
+} );
+
+test( 'es.DocumentModel.repairData', 4, function() {
+	// Test 1
+	deepEqual(
+		es.DocumentModel.repairData( [
+			{ 'type': 'paragraph' }, 'a', { 'type': '/list' }, { 'type': 'foo' }, 'b', { 'type': '/foo' }
+		] ),
+		[{ 'type': 'paragraph' }, 'a', 'b', { 'type': '/paragraph' }],
+		'unexpected closings are removed, unknown elements are unwrapped and elements are closed'
+	);
+
+	// Test 2
+	deepEqual(
+		es.DocumentModel.repairData( [
+			'a', { 'type': 'listItem' }, { 'type': 'paragraph' }, 'b', { 'type': '/paragraph' },
+			{ 'type': '/listItem' }, { 'type': 'listItem' }, { 'type': '/listItem' }
+		] ),
+		[
+			{ 'type': 'paragraph' }, 'a', { 'type': '/paragraph' },
+			{ 'type': 'list' },
+			{ 'type': 'listItem' }, { 'type': 'paragraph' }, 'b', { 'type': '/paragraph' },
+			{ 'type': '/listItem' },
+			{ 'type': 'listItem' }, { 'type': '/listItem' },
+			{ 'type': '/list' }
+		],
+		'content and consecutive elements are wrapped to make them allowed'
+	);
+
+	// Test 3
+	deepEqual(
+		es.DocumentModel.repairData( [
+			{ 'type': 'paragraph' }, 'a', { 'type': 'list' }, { 'type': 'listItem' },
+			{ 'type': 'paragraph' }, 'b', { 'type': '/paragraph' }, { 'type': '/listItem' },
+			{ 'type': '/list' }, { 'type': '/paragraph' }
+		] ),
+		[{ 'type': 'paragraph' }, 'a', 'b', { 'type': '/paragraph' }],
+		'elements which can not be made allowed are unwrapped'
+	);
+
+	// Test 4
+	deepEqual(
+		es.DocumentModel.repairData( ['a', { 'type': 'tableCell' }, { 'type': '/tableCell' }], 'table' ),
+		[
+			{ 'type': 'tableRow' }, { 'type': 'tableCell' }, { 'type': 'paragraph' }, 'a',
+			{ 'type': '/paragraph' }, { 'type': '/tableCell' }, { 'type': '/tableRow' },
+			{ 'type': 'tableRow' }, { 'type': 'tableCell' }, { 'type': '/tableCell' },
+			{ 'type': '/tableRow' }
+		],
+		'data is repaired as a child of a given element type'
+	);
+} );
+
+test( 'es.DocumentModel loading invalid data', 4, function() {
+	var data = [{ 'type': 'paragraph' }, 'a', { 'type': '/list' }, 'b'],
+		documentModel = new es.DocumentModel( data ),
+		valid = [{ 'type': 'paragraph' }, 'a', { 'type': '/paragraph' }];
+
+	// Test 1
+	deepEqual(
+		esTest.removeIds( documentModel.getData() ),
+		[{ 'type': 'paragraph' }, 'a', 'b', { 'type': '/paragraph' }],
+		'invalid data is repaired when it is loaded'
+	);
+
+	// Test 2
+	deepEqual(
+		[documentModel.getChildren().length, documentModel.getContentLength()],
+		[1, 4],
+		'model tree is built from repaired data'
+	);
+
+	// Test 3
+	strictEqual(
+		new es.DocumentModel( valid ).data,
+		valid,
+		'valid data is used as is'
+	);
+
+	// Test 4
+	documentModel = es.DocumentModel.newFromPlainObject( {
+		'type': 'document',
+		'children': [{
+			'type': 'listItem',
+			'attributes': { 'styles': ['bullet'] },
+			'children': [{ 'type': 'paragraph', 'content': { 'text': 'a' } }]
+		}]
+	} );
+	equal(
+		documentModel.getChildren()[0].getElementType(),
+		'list',
+		'elements of plain objects are wrapped to make them allowed'
+	);
+} );
+
+test( 'es.DocumentModel markers', 7, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		events = [],
+		insertion,
+		removal;
+	documentModel.on( 'markerCollapse', function( name ) {
+		events.push( ['markerCollapse', name] );
+	} );
+	documentModel.on( 'markerRemove', function( name ) {
+		events.push( ['markerRemove', name] );
+	} );
+	documentModel.setMarker( 'comment', new es.Range( 1, 3 ), 'comment' );
+	documentModel.setMarker( 'cursor', new es.Range( 4 ) );
+
+	// Test 1
+	insertion = documentModel.prepareInsertion( 1, ['x'] );
+	documentModel.commit( insertion );
+	deepEqual(
+		[documentModel.getMarker( 'comment' ), documentModel.getMarker( 'cursor' )],
+		[new es.Range( 2, 4 ), new es.Range( 5 )],
+		'markers are moved by commit'
+	);
+
+	// Test 2
+	documentModel.rollback( insertion );
+	deepEqual(
+		[documentModel.getMarker( 'comment' ), documentModel.getMarker( 'cursor' )],
+		[new es.Range( 1, 3 ), new es.Range( 4 )],
+		'markers are moved back by rollback'
+	);
+
+	// Test 3
+	removal = documentModel.prepareRemoval( new es.Range( 1, 3 ) );
+	documentModel.commit( removal );
+	deepEqual(
+		[documentModel.getMarker( 'comment' ), events],
+		[new es.Range( 1 ), [['markerCollapse', 'comment']]],
+		'markers whose content is removed are collapsed'
+	);
+
+	// Test 4
+	documentModel.rollback( removal );
+	deepEqual(
+		documentModel.getMarkers(),
+		{
+			'comment': { 'range': new es.Range( 1, 3 ), 'type': 'comment' },
+			'cursor': { 'range': new es.Range( 4 ), 'type': 'default' }
+		},
+		'collapsed markers are restored when the change is rolled back'
+	);
+
+	// Test 5
+	documentModel.commit( removal );
+	insertion = documentModel.prepareInsertion( 2, ['x'] );
+	documentModel.commit( insertion );
+	documentModel.rollback( insertion );
+	documentModel.rollback( removal );
+	deepEqual(
+		documentModel.getMarker( 'comment' ),
+		new es.Range( 1, 3 ),
+		'collapsed markers are restored after unrelated changes are rolled back'
+	);
+
+	// Test 6
+	documentModel.commit( removal );
+	insertion = documentModel.prepareInsertion(
+		0, [{ 'type': 'paragraph' }, 'y', { 'type': '/paragraph' }]
+	);
+	documentModel.commit( insertion );
+	documentModel.rollback( insertion );
+	documentModel.rollback( removal );
+	deepEqual(
+		documentModel.getMarker( 'comment' ),
+		new es.Range( 1 ),
+		'collapsed markers which have been moved since are not restored'
+	);
+
+	// Test 7
+	documentModel.removeMarker( 'comment' );
+	deepEqual(
+		[documentModel.getMarker( 'comment' ), events[events.length - 1]],
+		[null, ['markerRemove', 'comment']],
+		'removeMarker removes the marker and emits markerRemove'
+	);
+} );
+
+test( 'es.DocumentModel ids', 8, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		paragraph = documentModel.getChildren()[0],
+		data = documentModel.getData(),
+		ids = {},
+		unique = true,
+		split,
+		move,
+		removal,
+		id;
+
+	// Test 1
+	for ( var i = 0; i < data.length; i++ ) {
+		if ( data[i].type !== undefined && data[i].type.charAt( 0 ) !== '/' ) {
+			unique = unique && typeof data[i].id === 'string' && !( data[i].id in ids );
+			ids[data[i].id] = true;
+		}
+	}
+	deepEqual(
+		[unique, paragraph.getId(), data[0].id],
+		[true, 'n1', 'n1'],
+		'elements are given unique ids when the document is created'
+	);
+
+	// Test 2
+	strictEqual(
+		documentModel.getNodeFromId( documentModel.getChildren()[1].getChildren()[0].getId() ),
+		documentModel.getChildren()[1].getChildren()[0],
+		'getNodeFromId finds nested nodes'
+	);
+
+	// Test 3
+	split = documentModel.prepareInsertion(
+		2, [{ 'type': '/paragraph' }, { 'type': 'paragraph', 'id': 'n1' }]
+	);
+	documentModel.commit( split );
+	id = documentModel.getChildren()[1].getId();
+	documentModel.rollback( split );
+	documentModel.commit( split );
+	deepEqual(
+		[
+			documentModel.getChildren()[0].getId(),
+			id !== 'n1' && !( id in ids ),
+			documentModel.getChildren()[1].getId(),
+			split.getOperations()[1].data[1].id
+		],
+		['n1', true, id, id],
+		'copied elements are given new ids in the transaction, which are kept when it is redone'
+	);
+	documentModel.rollback( split );
+
+	// Test 4
+	move = documentModel.prepareMove( new es.Range( 0, 5 ), 34 );
+	documentModel.commit( move );
+	strictEqual(
+		documentModel.getChildren()[2].getId(),
+		'n1',
+		'moved elements keep their ids'
+	);
+	documentModel.rollback( move );
+
+	// Test 5
+	removal = documentModel.prepareRemoval( new es.Range( 0, 5 ) );
+	documentModel.commit( removal );
+	documentModel.rollback( removal );
+	strictEqual(
+		documentModel.getChildren()[0].getId(),
+		'n1',
+		'ids are restored when removals are rolled back'
+	);
+
+	// Test 6
+	equal(
+		documentModel.getPlainObject().children[0].id,
+		'n1',
+		'getPlainObject includes ids'
+	);
+
+	// Test 7
+	deepEqual(
+		es.DocumentModel.newFromPlainObject( documentModel.getPlainObject() ).getData(),
+		documentModel.getData(),
+		'newFromPlainObject keeps ids'
+	);
+
+	// Test 8
+	documentModel.commit(
+		documentModel.prepareInsertion( 5, [{ 'type': 'paragraph' }, { 'type': '/paragraph' }] )
+	);
+	strictEqual(
+		typeof documentModel.getChildren()[1].getId(),
+		'string',
+		'inserted elements are given ids'
+	);
+} );
+
+test( 'es.DocumentModel structural transactions', 9, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		transaction;
+
+	// Test 1
+	transaction = documentModel.prepareWrap(
+		new es.Range( 0, 5 ),
+		[{ 'type': 'list' }],
+		[{ 'type': 'listItem', 'attributes': { 'styles': ['bullet'] } }]
+	);
+	documentModel.commit( transaction );
+	deepEqual(
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 10 ) ) ),
+		[
+			{ 'type': 'list' },
+			{ 'type': 'listItem', 'attributes': { 'styles': ['bullet'] } },
+			{ 'type': 'paragraph' },
+			'a',
+			['b', { 'type': 'textStyle/bold', 'hash': '{"type":"textStyle/bold"}' }],
+			['c', { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' }],
+			{ 'type': '/paragraph' },
+			{ 'type': '/listItem' },
+			{ 'type': '/list' },
+			{ 'type': 'table' }
+		],
+		'prepareWrap wraps nodes in a single transaction'
+	);
+	documentModel.rollback( transaction );
+
+	// Test 2
+	transaction = documentModel.prepareUnwrap( new es.Range( 12, 27 ), ['list'], ['listItem'] );
+	documentModel.commit( transaction );
+	deepEqual(
+		esTest.removeIds( documentModel.getData( new es.Range( 7, 21 ) ) ),
+		[
+			{ 'type': 'tableCell' },
+			{ 'type': 'paragraph' },
+			'd',
+			{ 'type': '/paragraph' },
+			{ 'type': 'paragraph' },
+			'e',
+			{ 'type': '/paragraph' },
+			{ 'type': 'paragraph' },
+			'f',
+			{ 'type': '/paragraph' },
+			{ 'type': 'paragraph' },
+			'g',
+			{ 'type': '/paragraph' },
+			{ 'type': '/tableCell' }
+		],
+		'prepareUnwrap removes elements around and within nodes'
+	);
+	documentModel.rollback( transaction );
+
+	// Test 3
+	deepEqual(
+		esTest.removeIds( documentModel.getData() ),
+		esTest.data,
+		'rolling back restores the document'
+	);
+
+	// Test 4
+	transaction = documentModel.prepareMove( new es.Range( 17, 22 ), 12 );
+	documentModel.commit( transaction );
+	deepEqual(
+		esTest.removeIds( [
+			documentModel.getData( new es.Range( 12, 13 ) ),
+			documentModel.getData( new es.Range( 17, 18 ) ),
+			documentModel.getData( new es.Range( 19, 20 ) )
+		] ),
+		[
+			[{ 'type': 'listItem', 'attributes': { 'styles': ['bullet', 'bullet'] } }],
+			[{ 'type': 'listItem', 'attributes': { 'styles': ['bullet'] } }],
+			['e']
+		],
+		'prepareMove moves nodes backwards'
+	);
+	documentModel.rollback( transaction );
+
+	// Test 5
+	transaction = documentModel.prepareMove( new es.Range( 0, 5 ), 34 );
+	documentModel.commit( transaction );
+	deepEqual(
+		esTest.removeIds( documentModel.getData( new es.Range( 26, 34 ) ) ),
+		[{ 'type': 'paragraph' }, 'h', { 'type': '/paragraph' }].concat( esTest.data.slice( 0, 5 ) ),
+		'prepareMove moves nodes forwards'
+	);
+	documentModel.rollback( transaction );
+
+	// Test 6
+	transaction = documentModel.prepareSplit( 15, 2 );
+	documentModel.commit( transaction );
+	deepEqual(
+		esTest.removeIds( documentModel.getData( new es.Range( 12, 22 ) ) ),
+		[
+			{ 'type': 'listItem', 'attributes': { 'styles': ['bullet'] } },
+			{ 'type': 'paragraph' },
+			'e',
+			{ 'type': '/paragraph' },
+			{ 'type': '/listItem' },
+			{ 'type': 'listItem', 'attributes': { 'styles': ['bullet'] } },
+			{ 'type': 'paragraph' },
+			{ 'type': '/paragraph' },
+			{ 'type': '/listItem' },
+			{ 'type': 'listItem', 'attributes': { 'styles': ['bullet', 'bullet'] } }
+		],
+		'prepareSplit splits nested elements, copying their attributes'
+	);
+
+	// Test 7
+	documentModel.commit( documentModel.prepareMerge( 17, 2 ) );
+	deepEqual(
+		esTest.removeIds( documentModel.getData() ),
+		esTest.data,
+		'prepareMerge merges nested elements'
+	);
+
+	// Test 8
+	raises(
+		function() {
+			documentModel.prepareWrap( new es.Range( 1, 3 ), [{ 'type': 'list' }] );
+		},
+		/^Invalid range error/,
+		'prepareWrap throws an exception when the range does not cover whole nodes'
+	);
+
+	// Test 9
+	raises(
+		function() {
+			documentModel.prepareMerge( 5 );
+		},
+		/^Invalid offset error/,
+		'prepareMerge throws an exception when elements are of different types'
+	);
+} );
+
+test( 'es.DocumentModel.prepareLeafConversion', 4, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		transaction;
+
+	function getTree( node ) {
+		var children = node.getChildren ? node.getChildren() : [],
+			tree = [node.getElementType(), node.getElementLength()];
+		for ( var i = 0; i < children.length; i++ ) {
+			tree.push( getTree( children[i] ) );
+		}
+		return tree;
+	}
+
+	function getOperationTypes( transaction ) {
+		var operations = transaction.getOperations(),
+			types = [];
+		for ( var i = 0; i < operations.length; i++ ) {
+			types.push( operations[i].type );
+		}
+		return types;
+	}
+
+	// Test 1
+	transaction = documentModel.prepareLeafConversion(
+		new es.Range( 1, 9 ), 'heading', { 'level': 2 }
+	);
+	deepEqual(
+		getOperationTypes( transaction ),
+		[
+			'remove', 'insert', 'retain', 'remove', 'insert', 'retain',
+			'remove', 'insert', 'retain', 'remove', 'insert', 'retain'
+		],
+		'only the elements of the nodes are replaced'
+	);
+
+	// Test 2
+	documentModel.commit( transaction );
+	deepEqual(
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 11 ) ) ),
+		[
+			{ 'type': 'heading', 'attributes': { 'level': 2 } },
+			'a',
+			['b', { 'type': 'textStyle/bold', 'hash': '{"type":"textStyle/bold"}' }],
+			['c', { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' }],
+			{ 'type': '/heading' },
+			{ 'type': 'table' },
+			{ 'type': 'tableRow' },
+			{ 'type': 'tableCell' },
+			{ 'type': 'heading', 'attributes': { 'level': 2 } },
+			'd',
+			{ 'type': '/heading' }
+		],
+		'converts nodes keeping their annotated content'
+	);
+
+	// Test 3
+	deepEqual(
+		getTree( documentModel ),
+		getTree( new es.DocumentModel( esTest.removeIds( documentModel.getData() ) ) ),
+		'updates the model tree'
+	);
+
+	// Test 4
+	documentModel.rollback( transaction );
+	deepEqual(
+		esTest.removeIds( documentModel.getData() ),
+		esTest.data,
+		'rolling back restores the document'
+	);
+} );
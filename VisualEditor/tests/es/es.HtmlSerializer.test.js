@@ -0,0 +1,118 @@
+module( 'es/serializers' );
+
+test( 'es.HtmlSerializer round trips', 5, function() {
+	function stringifyLoaded( children ) {
+		var doc = es.DocumentModel.newFromPlainObject( {
+			'type': 'document',
+			'children': children
+		} );
+		return es.HtmlSerializer.stringify( doc.getPlainObject() );
+	}
+
+	// Test 1
+	equal(
+		stringifyLoaded( [ { 'type': 'horizontalRule' } ] ),
+		'<hr />',
+		'horizontal rules survive loading'
+	);
+
+	// Test 2
+	equal(
+		stringifyLoaded( [
+			{ 'type': 'comment', 'attributes': { 'text': ' a ' } },
+			{ 'type': 'comment', 'text': ' b ' }
+		] ),
+		'<!--( a )-->\n<!--( b )-->',
+		'comments with text in attributes or on the node survive loading'
+	);
+
+	// Test 3
+	equal(
+		stringifyLoaded( [
+			{ 'type': 'transclusion', 'attributes': { 'namespace': 'Template', 'title': 'Foo' } },
+			{ 'type': 'transclusion', 'namespace': 'Main', 'title': 'Bar' }
+		] ),
+		'<a href="Template:Foo">Template:Foo</a>\n<a href="Bar">Bar</a>',
+		'transclusions with title in attributes or on the node survive loading'
+	);
+
+	// Test 4
+	equal(
+		stringifyLoaded( [
+			{ 'type': 'parameter', 'attributes': { 'name': 'a' } },
+			{ 'type': 'parameter', 'name': 'b' }
+		] ),
+		'{{{a}}}\n{{{b}}}',
+		'parameters with name in attributes or on the node survive loading'
+	);
+
+	// Test 5
+	equal(
+		es.HtmlSerializer.stringify( { 'type': 'document', 'children': [
+			{ 'type': 'comment', 'text': ' c ' },
+			{ 'type': 'parameter', 'name': 'd', 'attributes': {} }
+		] } ),
+		'<!--( c )-->\n{{{d}}}',
+		'older WikiDom can be serialized without loading it'
+	);
+} );
+
+test( 'es.HtmlSerializer definition lists', 2, function() {
+	function item( styles, text ) {
+		return {
+			'type': 'listItem',
+			'attributes': { 'styles': styles },
+			'children': [{ 'type': 'paragraph', 'content': { 'text': text } }]
+		};
+	}
+
+	function stringifyLoaded( items ) {
+		var doc = es.DocumentModel.newFromPlainObject( {
+			'type': 'document',
+			'children': [{ 'type': 'list', 'children': items }]
+		} );
+		return es.HtmlSerializer.stringify( doc.getPlainObject() );
+	}
+
+	// Test 1
+	equal(
+		stringifyLoaded( [ item( ['term'], 'a' ), item( ['definition'], 'b' ) ] ),
+		'<dl>\n<dt><p>a</p></dt>\n<dd><p>b</p></dd>\n</dl>',
+		'terms and definitions are written in a single definition list'
+	);
+
+	// Test 2
+	equal(
+		stringifyLoaded( [ item( ['definition'], 'a' ), item( ['description'], 'b' ) ] ),
+		'<dl>\n<dd><p>a</p></dd>\n<dd><p>b</p></dd>\n</dl>',
+		'indented paragraphs and items with the older description style are written as definitions'
+	);
+} );
+
+test( 'es.HtmlSerializer images', 2, function() {
+	// Test 1
+	equal(
+		es.HtmlSerializer.stringify( {
+			'type': 'document',
+			'children': [{
+				'type': 'image',
+				'attributes': { 'title': 'File:A&B.jpg', 'alt': 'say "hi" <b>' },
+				'content': { 'text': 'a' }
+			}]
+		} ),
+		'<figure><img src="/wiki/Special:FilePath/A&amp;B.jpg" data-title="File:A&amp;B.jpg" ' +
+			'alt="say &quot;hi&quot; &lt;b&gt;" /><figcaption>a</figcaption></figure>',
+		'titles and alternative texts of image nodes are escaped'
+	);
+
+	// Test 2
+	equal(
+		es.Html.makeTag(
+			'img',
+			es.HtmlSerializer.getImageAttributes( { 'title': 'A.jpg', 'alt': '"><b>' } ),
+			false
+		),
+		'<img src="/wiki/Special:FilePath/A.jpg" data-title="A.jpg" alt="&quot;&gt;&lt;b&gt;" />',
+		'alternative texts of image objects are escaped'
+	);
+} );
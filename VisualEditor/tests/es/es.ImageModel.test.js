@@ -0,0 +1,98 @@
+module( 'es/models' );
+
+test( 'es.ImageModel.getNewData', 2, function() {
+	var attributes = { 'title': 'File:Example.jpg', 'width': 100 };
+
+	// Test 1
+	deepEqual(
+		es.ImageModel.getNewData( attributes, 'Ab' ),
+		[
+			{ 'type': 'image', 'attributes': { 'title': 'File:Example.jpg', 'width': 100 } },
+			'A',
+			'b',
+			{ 'type': '/image' }
+		],
+		'creates an image element around the caption'
+	);
+
+	// Test 2
+	deepEqual(
+		es.ImageModel.getNewData( attributes ),
+		[
+			{ 'type': 'image', 'attributes': { 'title': 'File:Example.jpg', 'width': 100 } },
+			{ 'type': '/image' }
+		],
+		'creates an empty image element when no caption is given'
+	);
+} );
+
+test( 'es.ImageModel', 4, function() {
+	var doc = new es.DocumentModel( [
+			{ 'type': 'paragraph' },
+			'a',
+			{ 'type': '/paragraph' }
+		].concat( es.ImageModel.getNewData( { 'title': 'File:Example.jpg' }, 'Ab' ) ) ),
+		image = doc.getChildren()[1];
+
+	// Test 1
+	ok( image instanceof es.ImageModel, 'image elements are built into image nodes' );
+
+	// Test 2
+	equal( image.getContentText(), 'Ab', 'content of an image is its caption' );
+
+	// Test 3
+	doc.commit( doc.prepareDiff(
+		[{ 'type': 'image', 'attributes': { 'title': 'File:Example.jpg', 'width': 50 } }],
+		new es.Range( 3, 4 )
+	) );
+	equal(
+		doc.getChildren()[1].getElementAttribute( 'width' ),
+		50,
+		'attributes of an image can be changed without changing its caption'
+	);
+
+	// Test 4
+	equal(
+		doc.getChildren()[1].getContentText(),
+		'Ab',
+		'caption is kept when attributes are changed'
+	);
+} );
+
+test( 'es.ImageModel.prepareChange', 4, function() {
+	var doc = new es.DocumentModel( es.ImageModel.getNewData(
+			{ 'title': 'File:Example.jpg', 'alt': 'Example', 'width': 100, 'height': 80 }, 'Ab'
+		) ),
+		original = JSON.parse( JSON.stringify( doc.getData() ) ),
+		tx;
+
+	// Test 1
+	tx = doc.getChildren()[0].prepareChange(
+		{ 'title': 'File:Example.jpg', 'width': 50, 'height': 40, 'format': 'thumb' }
+	);
+	doc.commit( tx );
+	deepEqual(
+		[doc.getChildren()[0].getElement().attributes, doc.getChildren()[0].getContentText()],
+		[{ 'title': 'File:Example.jpg', 'width': 50, 'height': 40, 'format': 'thumb' }, 'Ab'],
+		'attributes are replaced and the caption is kept'
+	);
+
+	// Test 2
+	doc.rollback( tx );
+	deepEqual( doc.getData(), original, 'rolling back restores the previous attribute values' );
+
+	// Test 3
+	doc.commit( tx );
+	doc.commit( tx.getInverse() );
+	deepEqual( doc.getData(), original, 'committing the inverse restores them as well' );
+
+	// Test 4
+	tx = doc.getChildren()[0].prepareChange( { 'title': 'File:Other.jpg' }, 'Cd' );
+	doc.commit( tx );
+	doc.rollback( tx );
+	deepEqual(
+		doc.getData(),
+		original,
+		'changes to the caption are rolled back with the attributes'
+	);
+} );
@@ -0,0 +1,93 @@
+module( 'es/storage' );
+
+test( 'es.LocalStorageAdapter', 6, function() {
+	var descriptor = Object.getOwnPropertyDescriptor( window, 'localStorage' ),
+		adapter = new es.LocalStorageAdapter( 'test-' ),
+		values = [],
+		items = {},
+		full = false,
+		storage = {
+			'getItem': function( key ) {
+				return key in items ? items[key] : null;
+			},
+			'setItem': function( key, value ) {
+				if ( full ) {
+					throw 'QuotaExceededError';
+				}
+				items[key] = value;
+			},
+			'removeItem': function( key ) {
+				delete items[key];
+			}
+		};
+
+	function collect( value ) {
+		values.push( value );
+	}
+
+	// Replaces localStorage, undefined making accessing it throw as when it's disabled
+	function setStorage( value ) {
+		Object.defineProperty( window, 'localStorage', value === undefined ? {
+			'get': function() {
+				throw 'SecurityError';
+			},
+			'configurable': true
+		} : { 'value': value, 'configurable': true, 'writable': true } );
+	}
+
+	try {
+		setStorage( storage );
+		adapter.set( 'foo', 'bar', collect );
+		adapter.get( 'foo', collect );
+
+		// Test 1
+		deepEqual(
+			[values, items],
+			[[true, 'bar'], { 'test-foo': 'bar' }],
+			'values are stored in localStorage under prefixed keys'
+		);
+
+		values = [];
+		full = true;
+		adapter.set( 'foo', 'baz', collect );
+		adapter.get( 'foo', collect );
+
+		// Test 2
+		deepEqual(
+			values,
+			[false, 'bar'],
+			'storing fails when the quota is used up, leaving the stored value as it was'
+		);
+
+		values = [];
+		adapter.remove( 'foo', collect );
+		adapter.get( 'foo', collect );
+
+		// Test 3
+		deepEqual( values, [undefined, null], 'removed values are gone' );
+
+		values = [];
+		setStorage( undefined );
+		adapter.get( 'foo', collect );
+
+		// Test 4
+		deepEqual( values, [null], 'nothing is stored when localStorage is disabled' );
+
+		values = [];
+		adapter.set( 'foo', 'bar', collect );
+
+		// Test 5
+		deepEqual( values, [false], 'storing fails when localStorage is disabled' );
+
+		values = [];
+		adapter.remove( 'foo', collect );
+
+		// Test 6
+		equal( values.length, 1, 'removing still calls back when localStorage is disabled' );
+	} finally {
+		delete window.localStorage;
+		if ( descriptor ) {
+			Object.defineProperty( window, 'localStorage', descriptor );
+		}
+	}
+} );
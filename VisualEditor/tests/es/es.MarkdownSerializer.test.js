@@ -0,0 +1,136 @@
+module( 'es/serializers' );
+
+test( 'es.MarkdownSerializer.escapeCharacter', 1, function() {
+	var text = '# 1. a*b [c] 2) & &amp;\n- 3.5',
+		out = '';
+	for ( var i = 0; i < text.length; i++ ) {
+		out += es.MarkdownSerializer.escapeCharacter( text, i );
+	}
+
+	// Test 1
+	equal(
+		out,
+		'\\# 1. a\\*b \\[c\\] 2) & \\&amp;\n\\- 3.5',
+		'metacharacters are escaped, line start markers only at the start of a line'
+	);
+} );
+
+test( 'es.MarkdownSerializer.stringify', 7, function() {
+	function paragraph( text, annotations ) {
+		return {
+			'type': 'paragraph',
+			'content': { 'text': text, 'annotations': annotations || [] }
+		};
+	}
+
+	function item( styles, text ) {
+		return {
+			'type': 'listItem',
+			'attributes': { 'styles': styles },
+			'children': [paragraph( text )]
+		};
+	}
+
+	function cell( text, attributes ) {
+		return {
+			'type': 'tableCell',
+			'attributes': attributes || {},
+			'children': [paragraph( text )]
+		};
+	}
+
+	function stringify( children ) {
+		return es.MarkdownSerializer.stringify( { 'type': 'document', 'children': children } );
+	}
+
+	// Test 1
+	equal(
+		stringify( [
+			{ 'type': 'heading', 'attributes': { 'level': 2 }, 'content': { 'text': 'Title' } },
+			paragraph( 'First' ),
+			{ 'type': 'pre', 'content': { 'text': 'a ``` b' } }
+		] ),
+		'## Title\n\nFirst\n\n````\na ``` b\n````',
+		'headings, paragraphs and pre blocks are separated by blank lines'
+	);
+
+	// Test 2
+	equal(
+		stringify( [ paragraph( 'bold, *italic*, a_b() and [link]', [
+			{ 'type': 'textStyle/bold', 'range': { 'start': 0, 'end': 4 } },
+			{ 'type': 'textStyle/italic', 'range': { 'start': 6, 'end': 14 } },
+			{ 'type': 'textStyle/code', 'range': { 'start': 16, 'end': 21 } },
+			{
+				'type': 'link/external',
+				'data': { 'href': 'http://example.org/a (b)' },
+				'range': { 'start': 26, 'end': 32 }
+			}
+		] ) ] ),
+		'**bold**, *\\*italic\\**, `a_b()` and [\\[link\\]](http://example.org/a%20%28b%29)',
+		'annotations are written as Markdown, text outside code is escaped'
+	);
+
+	// Test 3
+	equal(
+		stringify( [ paragraph( 'a`b and under', [
+			{ 'type': 'textStyle/code', 'range': { 'start': 0, 'end': 3 } },
+			{ 'type': 'textStyle/underline', 'range': { 'start': 8, 'end': 13 } }
+		] ) ] ),
+		'<code>a\\`b</code> and <u>under</u>',
+		'annotations without Markdown syntax are written as HTML'
+	);
+
+	// Test 4
+	equal(
+		stringify( [ {
+			'type': 'list',
+			'children': [
+				item( ['bullet'], 'a' ),
+				item( ['bullet', 'number'], 'b' ),
+				item( ['bullet', 'number'], 'c' ),
+				item( ['bullet'], 'd' ),
+				item( ['number', 'bullet'], 'e' )
+			]
+		} ] ),
+		'- a\n  1. b\n  2. c\n- d\n1.\n   - e',
+		'nested lists are indented under their parent items'
+	);
+
+	// Test 5
+	equal(
+		stringify( [ {
+			'type': 'list',
+			'children': [ item( ['term'], 'a' ), item( ['definition'], 'b' ) ]
+		} ] ),
+		'<dl>\n<dt><p>a</p></dt>\n<dd><p>b</p></dd>\n</dl>',
+		'definition lists are written as HTML'
+	);
+
+	// Test 6
+	equal(
+		stringify( [ {
+			'type': 'table',
+			'children': [
+				{
+					'type': 'tableRow',
+					'children': [ cell( 'a', { 'style': 'header' } ), cell( 'b' ) ]
+				},
+				{ 'type': 'tableRow', 'children': [ cell( 'c|d' ) ] }
+			]
+		} ] ),
+		'| a | b |\n| --- | --- |\n| c\\|d |  |',
+		'tables are written as pipe tables, padding short rows'
+	);
+
+	// Test 7
+	equal(
+		stringify( [ {
+			'type': 'table',
+			'children': [
+				{ 'type': 'tableRow', 'children': [ cell( 'a', { 'colspan': 2 } ) ] }
+			]
+		} ] ),
+		'<table>\n<tr>\n<td colspan="2">a</td>\n</tr>\n</table>',
+		'tables with merged cells are written as HTML'
+	);
+} );
@@ -0,0 +1,25 @@
+module( 'es/storage' );
+
+test( 'es.MemoryStorageAdapter', 3, function() {
+	var adapter = new es.MemoryStorageAdapter(),
+		values = [];
+
+	function collect( value ) {
+		values.push( value );
+	}
+
+	adapter.get( 'foo', collect );
+	adapter.set( 'foo', 'bar', collect );
+	adapter.get( 'foo', collect );
+	adapter.remove( 'foo' );
+	adapter.get( 'foo', collect );
+
+	// Test 1
+	deepEqual( values.slice( 0, 2 ), [null, true], 'values are stored under new keys' );
+
+	// Test 2
+	equal( values[2], 'bar', 'stored values can be read back' );
+
+	// Test 3
+	strictEqual( values[3], null, 'removed values are gone' );
+} );
@@ -0,0 +1,706 @@
+module( 'es/models' );
+
+test( 'es.SurfaceModel.breakpoint', 4, function() {
+	var doc = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		surface = new es.SurfaceModel( doc ),
+		squashingSurface = new es.SurfaceModel(
+			es.DocumentModel.newFromPlainObject( esTest.obj ), { 'squash': true }
+		),
+		squashingDoc = squashingSurface.getDocument(),
+		history;
+
+	surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+	surface.transact( doc.prepareInsertion( 2, ['y'] ) );
+	surface.breakpoint( new es.Range( 3 ) );
+	history = surface.getHistory();
+
+	// Test 1
+	equal( history[0].stack.length, 2, 'transactions are kept apart by default' );
+
+	squashingSurface.transact( squashingDoc.prepareInsertion( 1, ['x'] ) );
+	squashingSurface.transact( squashingDoc.prepareInsertion( 2, ['y'] ) );
+	squashingSurface.breakpoint( new es.Range( 3 ) );
+	history = squashingSurface.getHistory();
+
+	// Test 2
+	deepEqual(
+		history[0].stack[0].getOperations(),
+		[
+			{ 'type': 'retain', 'length': 1 },
+			{ 'type': 'insert', 'data': ['x', 'y'] },
+			{ 'type': 'retain', 'length': 33 }
+		],
+		'transactions are composed into one when squashing'
+	);
+
+	// Test 3
+	squashingSurface.undo();
+	deepEqual(
+		esTest.removeIds( squashingDoc.getData() ),
+		esTest.data,
+		'undoing a squashed history item rolls back all of its transactions'
+	);
+
+	// Test 4
+	squashingSurface.redo();
+	deepEqual( squashingDoc.getData(), doc.getData(), 'redoing a squashed history item' );
+} );
+
+test( 'es.SurfaceModel.squash', 2, function() {
+	var doc = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		surface = new es.SurfaceModel( doc, { 'squash': true } ),
+		clear = doc.prepareContentAnnotation( new es.Range( 1, 4 ), 'clear', /textStyle\/.*/ ),
+		set = doc.prepareContentAnnotation(
+			new es.Range( 1, 4 ), 'set', { 'type': 'textStyle/bold' }
+		),
+		broken = new es.TransactionModel( [ {
+			'type': 'annotate',
+			'method': 'set',
+			'bias': 'stop',
+			'annotation': { 'type': 'textStyle/bold' }
+		} ] );
+
+	// Test 1
+	equal(
+		surface.squash( [clear, set] ).length,
+		2,
+		'transactions which can not be composed are kept apart'
+	);
+
+	// Test 2
+	raises(
+		function() {
+			surface.squash( [set, broken] );
+		},
+		/^Annotation stack error/,
+		'other errors thrown while composing are not caught'
+	);
+} );
+
+test( 'es.SurfaceModel.getJournal, es.SurfaceModel.replay', 4, function() {
+	var surface = new es.SurfaceModel(
+			es.DocumentModel.newFromPlainObject( esTest.obj ), { 'journal': true }
+		),
+		doc = surface.getDocument(),
+		replayingSurface = new es.SurfaceModel( es.DocumentModel.newFromPlainObject( esTest.obj ) ),
+		journal;
+
+	// Test 1
+	equal( replayingSurface.getJournal(), null, 'journal is not recorded by default' );
+
+	surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+	surface.transact(
+		doc.prepareContentAnnotation( new es.Range( 1, 3 ), 'set', { 'type': 'textStyle/bold' } )
+	);
+	surface.breakpoint( new es.Range( 3 ) );
+	surface.select( new es.Range( 2, 4 ) );
+	surface.transact( doc.prepareRemoval( new es.Range( 2, 4 ) ) );
+	surface.undo();
+	journal = JSON.parse( JSON.stringify( surface.getJournal() ) );
+
+	// Test 2
+	deepEqual(
+		[journal.length, journal[0].method, journal[3].method],
+		[4, 'commit', 'rollback'],
+		'transactions and the rollbacks caused by undo are recorded'
+	);
+
+	// Test 3
+	replayingSurface.replay( journal );
+	deepEqual(
+		replayingSurface.getDocument().getData(),
+		doc.getData(),
+		'replaying the journal against the starting document reproduces the document'
+	);
+
+	// Test 4
+	raises(
+		function() {
+			replayingSurface.replay( [{ 'method': 'foo', 'transaction': journal[0].transaction }] );
+		},
+		/^Invalid journal error/,
+		'replay throws an exception when given an unknown method'
+	);
+} );
+
+test( 'es.SurfaceModel.undo, es.SurfaceModel.receive', 5, function() {
+	var surface = new es.SurfaceModel( es.DocumentModel.newFromPlainObject( esTest.obj ) ),
+		doc = surface.getDocument(),
+		expected;
+
+	surface.select( new es.Range( 32 ) );
+	surface.transact( doc.prepareInsertion( 32, ['x'] ) );
+	surface.transact( doc.prepareInsertion( 1, ['y', 'z'] ) );
+
+	// Test 1
+	deepEqual(
+		surface.getSelection(),
+		new es.Range( 34 ),
+		'selection is moved by transactions before it'
+	);
+
+	surface.breakpoint( new es.Range( 35 ) );
+	surface.undo();
+
+	// Test 2
+	deepEqual(
+		surface.getSelection(),
+		new es.Range( 32 ),
+		'undo moves the selection back through each transaction'
+	);
+
+	surface.redo();
+	expected = doc.getData();
+	surface.receive( doc.prepareInsertion( 3, ['w'] ) );
+
+	// Test 3
+	deepEqual(
+		surface.getSelection(),
+		new es.Range( 36 ),
+		'received transactions move the selection'
+	);
+
+	// Test 4
+	expected.splice( 3, 0, 'w' );
+	deepEqual( doc.getData(), expected, 'received transactions are applied' );
+
+	// Test 5
+	surface.undo();
+	expected.splice( 1, 2 );
+	expected.splice( 33, 1 );
+	deepEqual(
+		[doc.getData(), surface.getSelection()],
+		[expected, new es.Range( 33 )],
+		'undo reverts changes made before a received transaction'
+	);
+} );
+
+test( 'es.SurfaceModel.getEditKind', 4, function() {
+	var doc = es.DocumentModel.newFromPlainObject( esTest.obj );
+
+	// Test 1
+	equal(
+		es.SurfaceModel.getEditKind( doc.prepareInsertion( 1, ['x', ['y', { 'type': 'foo' }]] ) ),
+		'insert',
+		'inserting content is typing'
+	);
+
+	// Test 2
+	equal(
+		es.SurfaceModel.getEditKind( doc.prepareRemoval( new es.Range( 1, 3 ) ) ),
+		'remove',
+		'removing content is deleting'
+	);
+
+	// Test 3
+	equal(
+		es.SurfaceModel.getEditKind(
+			doc.prepareInsertion( 5, [{ 'type': 'paragraph' }, { 'type': '/paragraph' }] )
+		),
+		'other',
+		'inserting elements is a structural change'
+	);
+
+	// Test 4
+	equal(
+		es.SurfaceModel.getEditKind(
+			doc.prepareContentAnnotation( new es.Range( 1, 3 ), 'set', { 'type': 'textStyle/bold' } )
+		),
+		'other',
+		'annotating content is a formatting change'
+	);
+} );
+
+test( 'es.SurfaceModel.transact', 6, function() {
+	var surface = new es.SurfaceModel(
+			es.DocumentModel.newFromPlainObject( esTest.obj ), { 'undoTimeout': 0 }
+		),
+		doc = surface.getDocument(),
+		limitedSurface = new es.SurfaceModel(
+			es.DocumentModel.newFromPlainObject( esTest.obj ),
+			{ 'undoTimeout': 0, 'historyLimit': 2 }
+		),
+		limitedDoc = limitedSurface.getDocument();
+
+	function getStackLengths() {
+		var history = surface.getHistory(),
+			lengths = [];
+		for ( var i = 0; i < history.length; i++ ) {
+			lengths.push( history[i].stack.length );
+		}
+		return lengths;
+	}
+
+	surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+	surface.transact( doc.prepareInsertion( 2, ['y'] ) );
+	surface.transact( doc.prepareInsertion( 3, [' '] ) );
+
+	// Test 1
+	deepEqual( getStackLengths(), [3], 'typing a word and the space after it is grouped' );
+
+	surface.transact( doc.prepareInsertion( 4, ['z'] ) );
+
+	// Test 2
+	deepEqual( getStackLengths(), [3, 1], 'typing after whitespace starts a new history item' );
+
+	surface.transact( doc.prepareRemoval( new es.Range( 4, 5 ) ) );
+	surface.transact( doc.prepareRemoval( new es.Range( 3, 4 ) ) );
+
+	// Test 3
+	deepEqual( getStackLengths(), [3, 1, 2], 'switching to deleting starts a new history item' );
+
+	surface.breakpoint();
+	surface.transact( doc.prepareRemoval( new es.Range( 1, 3 ) ), true );
+	surface.transact( doc.prepareInsertion( 1, ['w'] ) );
+
+	// Test 4
+	deepEqual(
+		getStackLengths(),
+		[3, 1, 2, 2],
+		'partial transactions are grouped with the transaction after them'
+	);
+
+	surface.transact(
+		doc.prepareContentAnnotation( new es.Range( 1, 2 ), 'set', { 'type': 'textStyle/bold' } )
+	);
+	surface.transact( doc.prepareInsertion( 2, ['v'] ) );
+
+	// Test 5
+	deepEqual(
+		getStackLengths(),
+		[3, 1, 2, 2, 1, 1],
+		'formatting is kept in a history item of its own'
+	);
+
+	limitedSurface.transact( limitedDoc.prepareInsertion( 1, ['x'] ) );
+	limitedSurface.breakpoint();
+	limitedSurface.transact( limitedDoc.prepareInsertion( 2, ['y'] ) );
+	limitedSurface.breakpoint();
+	limitedSurface.transact( limitedDoc.prepareInsertion( 3, ['z'] ) );
+	limitedSurface.breakpoint();
+
+	// Test 6
+	deepEqual(
+		limitedSurface.getHistory()[0].stack[0].getOperations()[1],
+		{ 'type': 'insert', 'data': ['y'] },
+		'the oldest history items are dropped when the history limit is reached'
+	);
+} );
+
+test( 'es.SurfaceModel idle timeout', 5, function() {
+	var realSetTimeout = window.setTimeout,
+		realClearTimeout = window.clearTimeout,
+		timeouts = [],
+		cleared = [],
+		surface,
+		doc;
+
+	function getStackLengths() {
+		var history = surface.getHistory(),
+			lengths = [];
+		for ( var i = 0; i < history.length; i++ ) {
+			lengths.push( history[i].stack.length );
+		}
+		return lengths;
+	}
+
+	// Timeouts are only run when the test says so
+	window.setTimeout = function( callback, delay ) {
+		timeouts.push( { 'callback': callback, 'delay': delay } );
+		return timeouts.length;
+	};
+	window.clearTimeout = function( id ) {
+		cleared.push( id );
+	};
+	try {
+		surface = new es.SurfaceModel(
+			es.DocumentModel.newFromPlainObject( esTest.obj ), { 'undoTimeout': 500 }
+		);
+		doc = surface.getDocument();
+		surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+		surface.transact( doc.prepareInsertion( 2, ['y'] ) );
+
+		// Test 1
+		deepEqual(
+			[timeouts.length, timeouts[1].delay, cleared[cleared.length - 1]],
+			[2, 500, 1],
+			'each transaction starts the timeout again'
+		);
+
+		surface.transact( doc.prepareInsertion( 3, ['z'] ) );
+
+		// Test 2
+		deepEqual( getStackLengths(), [3], 'typing before the timeout is grouped' );
+
+		timeouts[timeouts.length - 1].callback();
+
+		// Test 3
+		strictEqual( surface.undoTimeout, null, 'the timeout adds a breakpoint' );
+
+		surface.transact( doc.prepareInsertion( 4, ['w'] ) );
+
+		// Test 4
+		deepEqual( getStackLengths(), [3, 1], 'typing after the timeout starts a new history item' );
+
+		surface.undo();
+
+		// Test 5
+		deepEqual(
+			esTest.removeIds( doc.getData( new es.Range( 0, 5 ) ) ),
+			[{ 'type': 'paragraph' }, 'x', 'y', 'z', 'a'],
+			'undoing after the timeout only rolls back the typing after it'
+		);
+	} finally {
+		window.setTimeout = realSetTimeout;
+		window.clearTimeout = realClearTimeout;
+	}
+} );
+
+test( 'es.SurfaceModel.destroy', 2, function() {
+	var surface = new es.SurfaceModel( es.DocumentModel.newFromPlainObject( esTest.obj ) ),
+		doc = surface.getDocument();
+
+	surface.addListener( 'transact', function() {} );
+	surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+	surface.destroy();
+
+	// Test 1
+	strictEqual( surface.undoTimeout, null, 'the undo timeout is cleared' );
+
+	// Test 2
+	deepEqual( surface.listeners( 'transact' ), [], 'event listeners are removed' );
+} );
+
+test( 'es.SurfaceModel checkpoints', 9, function() {
+	var surface = new es.SurfaceModel(
+			es.DocumentModel.newFromPlainObject( esTest.obj ), { 'undoTimeout': 0 }
+		),
+		doc = surface.getDocument(),
+		saved,
+		edited;
+
+	// Test 1
+	equal( surface.isDirty(), false, 'a new document is not dirty' );
+
+	surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+
+	// Test 2
+	equal( surface.isDirty(), true, 'changes make the document dirty' );
+
+	surface.createCheckpoint( 'save', true );
+	saved = esTest.removeIds( doc.getData() );
+
+	// Test 3
+	equal( surface.isDirty(), false, 'saving makes the document clean' );
+
+	surface.transact( doc.prepareInsertion( 2, ['y'] ) );
+	surface.createCheckpoint( 'edited' );
+	edited = esTest.removeIds( doc.getData() );
+	surface.transact( doc.prepareRemoval( new es.Range( 1, 4 ) ) );
+
+	// Test 4
+	deepEqual( surface.getCheckpoints(), ['save', 'edited'], 'checkpoints are listed in order' );
+
+	surface.restoreCheckpoint( 'save' );
+
+	// Test 5
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		saved,
+		'restoring a checkpoint brings back its state'
+	);
+
+	// Test 6
+	equal( surface.isDirty(), false, 'restoring the saved checkpoint makes the document clean' );
+
+	surface.undo();
+	surface.undo();
+	surface.undo();
+	surface.restoreCheckpoint( 'edited' );
+
+	// Test 7
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		edited,
+		'checkpoints in undone history can be restored'
+	);
+
+	surface.undo();
+	surface.transact( doc.prepareInsertion( 1, ['z'] ) );
+
+	// Test 8
+	deepEqual(
+		surface.getCheckpoints(),
+		['save'],
+		'checkpoints in history which was dropped can no longer be restored'
+	);
+
+	// Test 9
+	raises(
+		function() {
+			surface.restoreCheckpoint( 'edited' );
+		},
+		/^Invalid checkpoint error/,
+		'restoring a checkpoint which can not be restored throws an exception'
+	);
+} );
+
+test( 'es.SurfaceModel checkpoints of tables', 7, function() {
+	var surface = new es.SurfaceModel( new es.DocumentModel( [
+			{ 'type': 'paragraph' }, 'a', { 'type': '/paragraph' },
+			{ 'type': 'table' },
+			{ 'type': 'tableRow' },
+			{ 'type': 'tableCell', 'attributes': { 'rowspan': 2 } },
+			{ 'type': 'paragraph' }, 'b', { 'type': '/paragraph' },
+			{ 'type': '/tableCell' },
+			{ 'type': 'tableCell' },
+			{ 'type': 'paragraph' }, 'c', { 'type': '/paragraph' },
+			{ 'type': '/tableCell' },
+			{ 'type': '/tableRow' },
+			{ 'type': 'tableRow' },
+			{ 'type': 'tableCell' },
+			{ 'type': 'paragraph' }, 'd', { 'type': '/paragraph' },
+			{ 'type': '/tableCell' },
+			{ 'type': '/tableRow' },
+			{ 'type': '/table' }
+		] ), { 'undoTimeout': 0 } ),
+		doc = surface.getDocument(),
+		saved,
+		edited;
+
+	// Copies data, so changes made in place later don't show up in it
+	function getData() {
+		return esTest.removeIds( doc.getData() );
+	}
+
+	surface.createCheckpoint( 'save', true );
+	saved = getData();
+	surface.transact( doc.getChildren()[1].prepareRowInsertion( 1 ) );
+	surface.breakpoint();
+	surface.createCheckpoint( 'edited' );
+	edited = getData();
+	surface.transact( doc.getChildren()[1].prepareHeaderToggle( 0, 1 ) );
+	surface.breakpoint();
+	surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+	surface.restoreCheckpoint( 'save' );
+
+	// Test 1
+	deepEqual(
+		getData(),
+		saved,
+		'restoring a checkpoint takes back rows inserted through a span and the span they grew'
+	);
+
+	// Test 2
+	equal( surface.isDirty(), false, 'restoring the saved checkpoint makes the document clean' );
+
+	surface.restoreCheckpoint( 'edited' );
+
+	// Test 3
+	deepEqual( getData(), edited, 'restoring a later checkpoint redoes the row insertion' );
+
+	// Test 4
+	equal( surface.isDirty(), true, 'restoring another checkpoint makes the document dirty' );
+
+	surface.undo();
+
+	// Test 5
+	deepEqual(
+		[getData(), surface.isDirty()],
+		[saved, false],
+		'undoing restoring a checkpoint goes back to the state it was restored from'
+	);
+
+	surface.undo();
+
+	// Test 6
+	equal(
+		surface.isDirty(),
+		true,
+		'undoing back to the changes before restoring the saved checkpoint makes the document dirty'
+	);
+
+	surface.redo();
+
+	// Test 7
+	equal(
+		surface.isDirty(),
+		false,
+		'redoing restoring the saved checkpoint makes the document clean'
+	);
+} );
+
+test( 'es.SurfaceModel.revert', 5, function() {
+	var surface = new es.SurfaceModel(
+			es.DocumentModel.newFromPlainObject( esTest.obj ), { 'undoTimeout': 0 }
+		),
+		doc = surface.getDocument(),
+		expected = doc.getData( undefined, true );
+
+	surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+	surface.breakpoint();
+	surface.transact( doc.prepareInsertion( 3, ['y'] ) );
+	surface.breakpoint();
+
+	// Test 1
+	equal( surface.revert( 0 ), true, 'reverting an earlier history item succeeds' );
+
+	// Test 2
+	expected.splice( 2, 0, 'y' );
+	deepEqual( doc.getData(), expected, 'only the reverted history item is taken back' );
+
+	// Test 3
+	surface.undo();
+	expected.splice( 1, 0, 'x' );
+	deepEqual( doc.getData(), expected, 'reverting can be undone' );
+
+	surface.transact(
+		doc.prepareInsertion( 5, [{ 'type': 'paragraph' }, 'z', { 'type': '/paragraph' }] )
+	);
+	surface.breakpoint();
+	surface.transact( doc.prepareInsertion( 7, ['w'] ) );
+	surface.breakpoint();
+	expected = doc.getData( undefined, true );
+
+	// Test 4
+	equal(
+		surface.revert( 2 ),
+		false,
+		'reverting fails if it would remove content inserted later'
+	);
+
+	// Test 5
+	deepEqual( doc.getData(), expected, 'a failed revert leaves the document untouched' );
+} );
+
+test( 'es.SurfaceModel.revert of table changes', 3, function() {
+	var surface = new es.SurfaceModel( new es.DocumentModel( [
+			{ 'type': 'paragraph' }, 'a', { 'type': '/paragraph' },
+			{ 'type': 'table' },
+			{ 'type': 'tableRow' },
+			{ 'type': 'tableCell', 'attributes': { 'rowspan': 2 } },
+			{ 'type': 'paragraph' }, 'b', { 'type': '/paragraph' },
+			{ 'type': '/tableCell' },
+			{ 'type': 'tableCell' },
+			{ 'type': 'paragraph' }, 'c', { 'type': '/paragraph' },
+			{ 'type': '/tableCell' },
+			{ 'type': '/tableRow' },
+			{ 'type': 'tableRow' },
+			{ 'type': 'tableCell' },
+			{ 'type': 'paragraph' }, 'd', { 'type': '/paragraph' },
+			{ 'type': '/tableCell' },
+			{ 'type': '/tableRow' },
+			{ 'type': '/table' }
+		] ), { 'undoTimeout': 0 } ),
+		doc = surface.getDocument(),
+		expected = esTest.removeIds( doc.getData() );
+
+	surface.transact( doc.getChildren()[1].prepareRowInsertion( 1 ) );
+	surface.breakpoint();
+
+	// Test 1
+	equal(
+		doc.getChildren()[1].getChildren()[0].getChildren()[0].getElementAttribute( 'rowspan' ),
+		3,
+		'inserting a row through a span makes the span grow'
+	);
+
+	surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+	surface.breakpoint();
+
+	// Test 2
+	equal( surface.revert( 0 ), true, 'reverting the row insertion succeeds' );
+
+	// Test 3
+	expected.splice( 1, 0, 'x' );
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		expected,
+		'reverting the row insertion removes the row and shrinks the span, keeping later changes'
+	);
+} );
+
+test( 'es.SurfaceModel.toJSON, es.SurfaceModel.newFromJSON', 5, function() {
+	var surface = new es.SurfaceModel(
+			es.DocumentModel.newFromPlainObject( esTest.obj ), { 'undoTimeout': 0 }
+		),
+		doc = surface.getDocument(),
+		adapter = new es.MemoryStorageAdapter(),
+		restored,
+		start = doc.getData( undefined, true ),
+		edited;
+
+	surface.select( new es.Range( 1 ) );
+	surface.transact( doc.prepareInsertion( 1, ['x'] ) );
+	surface.createCheckpoint( 'save', true );
+	surface.transact(
+		doc.prepareContentAnnotation( new es.Range( 1, 3 ), 'set', { 'type': 'textStyle/bold' } )
+	);
+	surface.breakpoint();
+	edited = doc.getData( undefined, true );
+	surface.undo();
+	surface.store( adapter, 'surface' );
+	es.SurfaceModel.newFromStorage( adapter, 'surface', function( surface ) {
+		restored = surface;
+	}, { 'undoTimeout': 0 } );
+
+	// Test 1
+	deepEqual(
+		restored.getDocument().getData(),
+		doc.getData(),
+		'the document is restored'
+	);
+
+	// Test 2
+	equal( restored.isDirty(), false, 'checkpoints are restored' );
+
+	// Test 3
+	restored.redo();
+	deepEqual( restored.getDocument().getData(), edited, 'changes which were undone can be redone' );
+
+	// Test 4
+	restored.undo();
+	restored.undo();
+	deepEqual( restored.getDocument().getData(), start, 'earlier changes can be undone' );
+
+	// Test 5
+	raises(
+		function() {
+			es.SurfaceModel.newFromJSON( { 'version': 0, 'data': [], 'history': [] } );
+		},
+		/^Invalid object error/,
+		'objects of an unsupported version throw an exception'
+	);
+} );
+
+test( 'es.SurfaceModel.newFromStorage', 3, function() {
+	var adapter = new es.MemoryStorageAdapter(),
+		results = [];
+
+	function collect() {
+		results.push( Array.prototype.slice.call( arguments ) );
+	}
+
+	adapter.set( 'broken', '{' );
+	adapter.set( 'old', JSON.stringify( { 'version': 0, 'data': [], 'history': [] } ) );
+	es.SurfaceModel.newFromStorage( adapter, 'missing', collect );
+	es.SurfaceModel.newFromStorage( adapter, 'broken', collect );
+	es.SurfaceModel.newFromStorage( adapter, 'old', collect );
+
+	// Test 1
+	deepEqual( results[0], [null], 'gives null if nothing was stored' );
+
+	// Test 2
+	deepEqual(
+		[results[1][0], results[1][1] instanceof SyntaxError],
+		[null, true],
+		'gives null and the error if the stored value is not JSON'
+	);
+
+	// Test 3
+	deepEqual(
+		[results[2][0], /^Invalid object error/.test( results[2][1] )],
+		[null, true],
+		'gives null and the error if the stored value is not a supported surface'
+	);
+} );
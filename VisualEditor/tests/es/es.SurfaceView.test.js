@@ -0,0 +1,41 @@
+module( 'es/views' );
+
+test( 'es.SurfaceView highlight shortcut', 2, function() {
+	var calls = [],
+		surfaceView = {
+			'keyboard': { 'keys': { 'shift': true } },
+			'annotations': [],
+			'getAnnotations': function() {
+				return { 'full': this.annotations, 'partial': [], 'all': this.annotations };
+			},
+			'annotate': function( method, annotation ) {
+				calls.push( [method, annotation] );
+			}
+		},
+		red = { 'type': 'textStyle/highlight', 'data': { 'color': 'red' } };
+
+	function pressShortcut() {
+		calls = [];
+		// Control + shift + H
+		es.SurfaceView.prototype.onKeyDown.call(
+			surfaceView, { 'keyCode': 72, 'ctrlKey': true, 'preventDefault': function() {} }
+		);
+		return calls;
+	}
+
+	// Test 1
+	surfaceView.annotations = [red];
+	deepEqual(
+		pressShortcut(),
+		[['clear', red]],
+		'clears the highlight there is, whatever its color'
+	);
+
+	// Test 2
+	surfaceView.annotations = [];
+	deepEqual(
+		pressShortcut(),
+		[['set', { 'type': 'textStyle/highlight', 'data': { 'color': 'yellow' } }]],
+		'sets a highlight in the color of the highlight button'
+	);
+} );
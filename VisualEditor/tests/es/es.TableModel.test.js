@@ -0,0 +1,360 @@
+module( 'es/models' );
+
+/**
+ * Gets data for a table with a paragraph containing a single character in each cell.
+ *
+ * @param {Array[]} rows List of rows, each a list of characters or cell elements followed by a
+ * character
+ */
+function getTableData( rows ) {
+	var data = [{ 'type': 'table' }];
+	for ( var i = 0; i < rows.length; i++ ) {
+		data.push( { 'type': 'tableRow' } );
+		for ( var j = 0; j < rows[i].length; j++ ) {
+			if ( typeof rows[i][j] === 'string' ) {
+				data.push( { 'type': 'tableCell' } );
+			} else {
+				data.push( rows[i][j] );
+				j++;
+			}
+			if ( rows[i][j] ) {
+				data.push( { 'type': 'paragraph' }, rows[i][j], { 'type': '/paragraph' } );
+			} else {
+				data.push( { 'type': 'paragraph' }, { 'type': '/paragraph' } );
+			}
+			data.push( { 'type': '/tableCell' } );
+		}
+		data.push( { 'type': '/tableRow' } );
+	}
+	data.push( { 'type': '/table' } );
+	return data;
+}
+
+test( 'es.TableModel.getNewData', 1, function() {
+	// Test 1
+	deepEqual(
+		es.TableModel.getNewData( 2, 2 ),
+		getTableData( [['', ''], ['', '']] ),
+		'creates rows of cells with empty paragraphs'
+	);
+} );
+
+test( 'es.TableModel.getLayout', 4, function() {
+	var doc = new es.DocumentModel( getTableData( [
+			[{ 'type': 'tableCell', 'attributes': { 'colspan': 2 } }, 'a', 'b'],
+			['c', { 'type': 'tableCell', 'attributes': { 'style': 'header' } }, 'd', 'e']
+		] ) ),
+		table = doc.getChildren()[0],
+		layout = table.getLayout();
+
+	// Test 1
+	equal( layout.columns, 3, 'columns are counted with colspan' );
+	// Test 2
+	deepEqual(
+		[layout.cells[0].colspan, layout.cells[1].column, layout.cells[3].header],
+		[2, 2, true],
+		'cells have spans, columns and header flags'
+	);
+	// Test 3
+	deepEqual(
+		esTest.removeIds( layout.cells[1].content ),
+		[{ 'type': 'paragraph' }, 'b', { 'type': '/paragraph' }],
+		'cells have their content'
+	);
+	// Test 4
+	deepEqual(
+		table.getCellPosition( table.getChildren()[1].getChildren()[1] ),
+		{ 'row': 1, 'column': 1 },
+		'getCellPosition finds the position of a cell'
+	);
+} );
+
+test( 'es.TableModel rows and columns', 6, function() {
+	var doc = new es.DocumentModel( getTableData( [['a', 'b'], ['c', 'd']] ) ),
+		tx;
+
+	// Test 1
+	tx = doc.getChildren()[0].prepareRowInsertion( 1 );
+	doc.commit( tx );
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		getTableData( [['a', 'b'], ['', ''], ['c', 'd']] ),
+		'prepareRowInsertion inserts a row of empty cells'
+	);
+
+	// Test 2
+	doc.rollback( tx );
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		getTableData( [['a', 'b'], ['c', 'd']] ),
+		'rolling back a row insertion restores the table'
+	);
+
+	// Test 3
+	doc.commit( doc.getChildren()[0].prepareColumnInsertion( 2 ) );
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		getTableData( [['a', 'b', ''], ['c', 'd', '']] ),
+		'prepareColumnInsertion inserts a column of empty cells'
+	);
+
+	// Test 4
+	doc.commit( doc.getChildren()[0].prepareColumnRemoval( 0 ) );
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		getTableData( [['b', ''], ['d', '']] ),
+		'prepareColumnRemoval removes a column'
+	);
+
+	// Test 5
+	doc.commit( doc.getChildren()[0].prepareRowRemoval( 0 ) );
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		getTableData( [['d', '']] ),
+		'prepareRowRemoval removes a row'
+	);
+
+	// Test 6
+	raises(
+		function() {
+			doc.getChildren()[0].prepareRowRemoval( 0 );
+		},
+		/^Invalid index error/,
+		'removing the only row throws an exception'
+	);
+} );
+
+test( 'es.TableModel cells', 6, function() {
+	var doc = new es.DocumentModel( getTableData( [['a', 'b'], ['c', 'd']] ) );
+
+	// Test 1
+	doc.commit( doc.getChildren()[0].prepareCellMerge( 0, 0, 1, 2 ) );
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		[
+			{ 'type': 'table' },
+			{ 'type': 'tableRow' },
+			{ 'type': 'tableCell', 'attributes': { 'colspan': 2 } },
+			{ 'type': 'paragraph' }, 'a', { 'type': '/paragraph' },
+			{ 'type': 'paragraph' }, 'b', { 'type': '/paragraph' },
+			{ 'type': '/tableCell' },
+			{ 'type': '/tableRow' }
+		].concat( getTableData( [['c', 'd']] ).slice( 1 ) ),
+		'prepareCellMerge moves content into the first cell and spans it over the area'
+	);
+
+	// Test 2
+	doc.commit( doc.getChildren()[0].prepareRowInsertion( 1 ) );
+	deepEqual(
+		doc.getChildren()[0].getLayout().cells.length,
+		5,
+		'inserting a row adds a cell for each column'
+	);
+
+	// Test 3
+	raises(
+		function() {
+			doc.getChildren()[0].prepareCellMerge( 0, 1, 2, 1 );
+		},
+		/^Invalid area error/,
+		'merging part of a cell throws an exception'
+	);
+
+	// Test 4
+	doc.commit( doc.getChildren()[0].prepareRowRemoval( 1 ) );
+	doc.commit( doc.getChildren()[0].prepareCellSplit( 0, 1 ) );
+	deepEqual(
+		esTest.removeIds( doc.getData() ),
+		getTableData( [['', ''], ['c', 'd']] ).slice( 0, 3 ).concat(
+			[
+				{ 'type': 'paragraph' }, 'a', { 'type': '/paragraph' },
+				{ 'type': 'paragraph' }, 'b', { 'type': '/paragraph' }
+			],
+			getTableData( [['', ''], ['c', 'd']] ).slice( 5 )
+		),
+		'prepareCellSplit adds empty cells for the area the cell covered'
+	);
+
+	// Test 5
+	doc.commit( doc.getChildren()[0].prepareHeaderToggle( 1, 0 ) );
+	deepEqual(
+		esTest.removeIds( doc.getData()[16] ),
+		{ 'type': 'tableCell', 'attributes': { 'style': 'header' } },
+		'prepareHeaderToggle turns a cell into a header cell'
+	);
+
+	// Test 6
+	doc.commit( doc.getChildren()[0].prepareHeaderToggle( 1, 0 ) );
+	deepEqual(
+		esTest.removeIds( doc.getData()[16] ),
+		{ 'type': 'tableCell' },
+		'prepareHeaderToggle turns a header cell back into a normal cell'
+	);
+} );
+
+test( 'es.TableModel undoing changes', 11, function() {
+	var doc = new es.DocumentModel( getTableData( [
+			[{ 'type': 'tableCell', 'attributes': { 'rowspan': 2 } }, 'a', 'b'],
+			['c'],
+			[{ 'type': 'tableCell', 'attributes': { 'style': 'header' } }, 'd', 'e']
+		] ) ),
+		cases = [
+			{ 'method': 'prepareRowInsertion', 'args': [1], 'msg': 'row insertion through a span' },
+			{ 'method': 'prepareRowInsertion', 'args': [3], 'msg': 'row insertion at the end' },
+			{ 'method': 'prepareRowRemoval', 'args': [1], 'msg': 'row removal through a span' },
+			{ 'method': 'prepareColumnInsertion', 'args': [1], 'msg': 'column insertion' },
+			{ 'method': 'prepareColumnRemoval', 'args': [1], 'msg': 'column removal' },
+			{ 'method': 'prepareCellMerge', 'args': [1, 1, 2, 1], 'msg': 'cell merge' },
+			{ 'method': 'prepareCellSplit', 'args': [0, 0], 'msg': 'cell split' },
+			{ 'method': 'prepareHeaderToggle', 'args': [0, 1], 'msg': 'header toggle on' },
+			{ 'method': 'prepareHeaderToggle', 'args': [2, 0], 'msg': 'header toggle off' }
+		],
+		original = JSON.parse( JSON.stringify( doc.getData() ) ),
+		table,
+		tx,
+		rolledBack,
+		committedTree,
+		expectedTree,
+		trees;
+
+	// Gets the length of the table and the number of cells in each row from the model tree
+	function getTree( doc ) {
+		var table = doc.getChildren()[0],
+			tree = [table.getElementLength()];
+		for ( var i = 0; i < table.getChildren().length; i++ ) {
+			tree.push( table.getChildren()[i].getChildren().length );
+		}
+		return tree;
+	}
+
+	// Gets the same from a model tree built from scratch from the data
+	function getExpectedTree( doc ) {
+		return getTree( new es.DocumentModel( esTest.removeIds( doc.getData() ) ) );
+	}
+
+	// Tests 1 - 9
+	for ( var i = 0; i < cases.length; i++ ) {
+		table = doc.getChildren()[0];
+		tx = table[cases[i].method].apply( table, cases[i].args );
+		doc.commit( tx );
+		committedTree = getTree( doc );
+		expectedTree = getExpectedTree( doc );
+		doc.rollback( tx );
+		rolledBack = JSON.parse( JSON.stringify( doc.getData() ) );
+		doc.commit( tx );
+		doc.commit( tx.getInverse() );
+		deepEqual(
+			[rolledBack, doc.getData(), committedTree, getTree( doc )],
+			[original, original, expectedTree, getExpectedTree( doc )],
+			'rolling back and committing the inverse restore the table and the model tree is in ' +
+				'step with the data after ' + cases[i].msg
+		);
+	}
+
+	doc = new es.DocumentModel( getTableData( [
+		['a', 'b'],
+		[{ 'type': 'tableCell', 'attributes': { 'rowspan': 2 } }, 'c', 'd'],
+		['f']
+	] ) );
+	trees = [];
+
+	// Test 10
+	doc.commit( doc.getChildren()[0].prepareRowRemoval( 1 ) );
+	trees.push( getTree( doc ), getExpectedTree( doc ) );
+	doc.commit( doc.getChildren()[0].prepareRowRemoval( 1 ) );
+	trees.push( getTree( doc ), getExpectedTree( doc ) );
+	deepEqual(
+		trees,
+		[[26, 2, 2], [26, 2, 2], [14, 2], [14, 2]],
+		'the model tree is in step with the data after removing rows through a span'
+	);
+
+	// Test 11
+	equal(
+		doc.getChildren()[0].getElementLength(),
+		doc.getData().length,
+		'the length of the table in the model tree is the length of the data'
+	);
+} );
+
+test( 'es.TableModel moving between cells', 5, function() {
+	var doc = new es.DocumentModel(
+			[{ 'type': 'paragraph' }, 'x', { 'type': '/paragraph' }].concat( getTableData( [
+				[{ 'type': 'tableCell', 'attributes': { 'colspan': 2 } }, 'a'],
+				[{ 'type': 'tableCell', 'attributes': { 'rowspan': 2 } }, 'b', 'c'],
+				['d']
+			] ) )
+		),
+		table = doc.getChildren()[1],
+		cells = [],
+		layout = table.getLayout(),
+		end,
+		offset,
+		row,
+		i;
+
+	for ( i = 0; i < layout.cells.length; i++ ) {
+		cells.push( layout.cells[i].node );
+	}
+
+	function getAdjacentCells( direction ) {
+		var names = [];
+		for ( var i = 0; i < cells.length; i++ ) {
+			var target = table.getAdjacentCell( cells[i], direction );
+			names.push( target ? 'abcd'.charAt( es.inArray( target, cells ) ) : null );
+		}
+		return names;
+	}
+
+	// Test 1
+	deepEqual(
+		[
+			es.TableModel.getCellFromOffset( doc, 7 ) === cells[0],
+			es.TableModel.getCellFromOffset( doc, 19 ) === cells[2],
+			es.TableModel.getCellFromOffset( doc, 1 )
+		],
+		[true, true, null],
+		'getCellFromOffset finds the cell an offset is in, or null outside of tables'
+	);
+
+	// Test 2
+	deepEqual(
+		[getAdjacentCells( 'next' ), getAdjacentCells( 'previous' )],
+		[['b', 'c', 'd', null], [null, 'a', 'b', 'c']],
+		'getAdjacentCell moves through cells in order, with nothing after the last cell'
+	);
+
+	// Test 3
+	deepEqual(
+		[getAdjacentCells( 'up' ), getAdjacentCells( 'down' )],
+		[[null, 'a', 'a', 'c'], ['b', null, 'd', null]],
+		'getAdjacentCell moves up and down over cells spanning several rows or columns'
+	);
+
+	// Test 4
+	deepEqual(
+		[
+			table.getCellCursorOffset( cells[0], false ),
+			table.getCellCursorOffset( cells[0], true ),
+			table.getCellCursorOffset( cells[3], false ),
+			table.getCellCursorOffset( cells[3], true )
+		],
+		[7, 8, 26, 27],
+		'getCellCursorOffset gets the start or end of the content of a cell'
+	);
+
+	// Test 5
+	end = doc.getOffsetFromNode( table ) + table.getElementLength() - 1;
+	doc.commit( table.prepareRowInsertion( 3 ) );
+	table = doc.getChildren()[1];
+	row = table.getChildren()[3];
+	offset = doc.getRelativeContentOffset( end, 1 );
+	deepEqual(
+		[
+			es.TableModel.getCellFromOffset( doc, offset ) === row.getChildren()[0],
+			table.getCellCursorOffset( row.getChildren()[0], false )
+		],
+		[true, offset],
+		'after adding a row at the end, the first content offset after the old end is in it'
+	);
+} );
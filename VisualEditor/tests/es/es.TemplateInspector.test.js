@@ -0,0 +1,273 @@
+module( 'es/inspectors' );
+
+/**
+ * Template provider which answers from local data, instead of asking a server.
+ * 
+ * @param {Object} parameters Lists of parameter descriptions, keyed by template title
+ */
+function StubTemplateProvider( parameters ) {
+	this.parameters = parameters;
+}
+
+StubTemplateProvider.prototype.getParameters = function( title, callback ) {
+	callback( this.parameters[title] || [] );
+};
+
+StubTemplateProvider.prototype.getPreview = function( data, callback ) {
+	callback( '<b>' + data.title + '</b>' );
+};
+
+test( 'es.TemplateInspector.getParameterList', 3, function() {
+	var descriptions = [
+		{ 'name': '1', 'label': 'Subject' },
+		{ 'name': 'date', 'label': 'Date', 'description': 'When it happened', 'required': true },
+		{ 'name': 'reason', 'label': 'Reason' }
+	];
+
+	// Test 1
+	deepEqual(
+		es.TemplateInspector.getParameterList( [], descriptions ),
+		[
+			{
+				'name': '1', 'value': '', 'label': 'Subject', 'description': '',
+				'required': false, 'documented': true
+			},
+			{
+				'name': 'date', 'value': '', 'label': 'Date', 'description': 'When it happened',
+				'required': true, 'documented': true
+			},
+			{
+				'name': 'reason', 'value': '', 'label': 'Reason', 'description': '',
+				'required': false, 'documented': true
+			}
+		],
+		'lists described parameters when the template has none'
+	);
+
+	// Test 2
+	deepEqual(
+		es.TemplateInspector.getParameterList(
+			[{ 'value': 'Foo' }, { 'name': 'reason', 'value': 'Bar' }], descriptions
+		),
+		[
+			{
+				'name': '', 'value': 'Foo', 'label': 'Subject', 'description': '',
+				'required': false, 'documented': false
+			},
+			{
+				'name': 'reason', 'value': 'Bar', 'label': 'Reason', 'description': '',
+				'required': false, 'documented': false
+			},
+			{
+				'name': 'date', 'value': '', 'label': 'Date', 'description': 'When it happened',
+				'required': true, 'documented': true
+			}
+		],
+		'lists parameters of the template first, describing positional ones by position'
+	);
+
+	// Test 3
+	deepEqual(
+		es.TemplateInspector.getParameterList( [{ 'name': 'other', 'value': 'Baz' }], [] ),
+		[
+			{
+				'name': 'other', 'value': 'Baz', 'label': '', 'description': '',
+				'required': false, 'documented': false
+			}
+		],
+		'lists parameters which are not described'
+	);
+} );
+
+test( 'es.TemplateInspector.getAnnotation', 3, function() {
+	var provider = new StubTemplateProvider( {} ),
+		data = {
+			'title': 'Example',
+			'parameters': [{ 'value': 'a' }, { 'name': 'b', 'value': 'c' }]
+		},
+		template = { 'type': 'object/template', 'data': { 'title': 'Old', 'html': 'Old' } },
+		annotation = null,
+		documentModel;
+	template.hash = es.DocumentModel.getHash( template );
+	es.TemplateInspector.getAnnotation( data, provider, function( result ) {
+		annotation = result;
+	} );
+
+	// Test 1
+	deepEqual(
+		annotation,
+		{
+			'type': 'object/template',
+			'data': {
+				'title': 'Example',
+				'parameters': [{ 'value': 'a' }, { 'name': 'b', 'value': 'c' }],
+				'html': '<b>Example</b>'
+			},
+			'hash': es.DocumentModel.getHash( {
+				'type': 'object/template',
+				'data': {
+					'title': 'Example',
+					'parameters': [{ 'value': 'a' }, { 'name': 'b', 'value': 'c' }],
+					'html': '<b>Example</b>'
+				}
+			} )
+		},
+		'creates an annotation with the preview from the provider'
+	);
+
+	// Test 2
+	notStrictEqual(
+		annotation.data.parameters,
+		data.parameters,
+		'parameters of the annotation are a copy'
+	);
+
+	// Test 3
+	documentModel = new es.DocumentModel( [
+		{ 'type': 'paragraph' }, 'a', [' ', template], { 'type': '/paragraph' }
+	] );
+	documentModel.commit(
+		documentModel.prepareAnnotationReplacement( new es.Range( 2, 3 ), template, annotation )
+	);
+	deepEqual(
+		documentModel.getData( new es.Range( 2, 3 ) ),
+		[[' ', annotation]],
+		'annotation can replace the template in a single transaction'
+	);
+} );
+
+test( 'es.TemplateInspector.isEditable', 2, function() {
+	// Test 1
+	ok(
+		es.TemplateInspector.isEditable( { 'title': 'Example', 'parameters': [] } ),
+		'templates with a list of parameters can be edited'
+	);
+
+	// Test 2
+	ok(
+		!es.TemplateInspector.isEditable( { 'title': 'Example', 'args': {} } ),
+		'templates which kept the arguments from the tokenizer can not be edited'
+	);
+} );
+
+test( 'es.TemplateInspector.onClose', 6, function() {
+	var previews = [],
+		provider = {
+			'getParameters': function( title, callback ) {
+				callback( [] );
+			},
+			'getPreview': function( data, callback ) {
+				// Answer later, as a server would
+				previews.push( function() {
+					callback( '<b>' + data.title + '</b>' );
+				} );
+			}
+		},
+		template = { 'type': 'object/template', 'data': { 'title': 'Old', 'html': 'Old' } },
+		imported = {
+			'type': 'object/template',
+			'data': { 'title': 'Old', 'target': 'Old', 'args': { '1': [{ 'type': 'TAG' }] } }
+		},
+		documentModel,
+		surfaceModel,
+		surfaceView = {
+			'getModel': function() {
+				return surfaceModel;
+			}
+		},
+		inspector = new es.TemplateInspector( {}, {
+			'getSurfaceView': function() {
+				return surfaceView;
+			}
+		} ),
+		annotation = null;
+	template.hash = es.DocumentModel.getHash( template );
+	imported.hash = es.DocumentModel.getHash( imported );
+	inspector.provider = provider;
+	es.TemplateInspector.getAnnotation(
+		{ 'title': 'New', 'parameters': [] },
+		new StubTemplateProvider( {} ),
+		function( result ) {
+			annotation = result;
+		}
+	);
+
+	function edit( data, selection, change ) {
+		documentModel = new es.DocumentModel( data );
+		surfaceModel = new es.SurfaceModel( documentModel, { 'undoTimeout': 0 } );
+		surfaceView.currentSelection = selection;
+		inspector.onOpen();
+		inspector.$titleInput.val( 'New' );
+		inspector.onClose( true );
+		surfaceModel.transact( change() );
+		while ( previews.length ) {
+			previews.shift()();
+		}
+		return esTest.removeIds( documentModel.getData() );
+	}
+
+	// Test 1
+	deepEqual(
+		edit(
+			[{ 'type': 'paragraph' }, 'a', [' ', template], { 'type': '/paragraph' }],
+			new es.Range( 2, 3 ),
+			function() {
+				return documentModel.prepareInsertion( 1, ['x', 'y'] );
+			}
+		),
+		[{ 'type': 'paragraph' }, 'x', 'y', 'a', [' ', annotation], { 'type': '/paragraph' }],
+		'template is replaced where it was moved to while the preview was loading'
+	);
+
+	// Test 2
+	deepEqual(
+		documentModel.getMarkers(),
+		{},
+		'marker following the template is removed'
+	);
+
+	// Test 3
+	deepEqual(
+		edit(
+			[{ 'type': 'paragraph' }, 'a', [' ', template], { 'type': '/paragraph' }],
+			new es.Range( 2, 3 ),
+			function() {
+				return documentModel.prepareRemoval( new es.Range( 2, 3 ) );
+			}
+		),
+		[{ 'type': 'paragraph' }, 'a', { 'type': '/paragraph' }],
+		'nothing is written when the template was removed while the preview was loading'
+	);
+
+	// Test 4
+	deepEqual(
+		edit(
+			[{ 'type': 'paragraph' }, 'a', 'b', { 'type': '/paragraph' }],
+			new es.Range( 2, 2 ),
+			function() {
+				return documentModel.prepareInsertion( 1, ['x', 'y'] );
+			}
+		),
+		[{ 'type': 'paragraph' }, 'x', 'y', 'a', [' ', annotation], 'b', { 'type': '/paragraph' }],
+		'new template is inserted where the selection was moved to while the preview was loading'
+	);
+
+	// Test 5
+	deepEqual(
+		edit(
+			[{ 'type': 'paragraph' }, 'a', [' ', imported], { 'type': '/paragraph' }],
+			new es.Range( 2, 3 ),
+			function() {
+				return documentModel.prepareInsertion( 1, ['x'] );
+			}
+		),
+		[{ 'type': 'paragraph' }, 'x', 'a', [' ', imported], { 'type': '/paragraph' }],
+		'templates which can not be edited are left alone'
+	);
+
+	// Test 6
+	ok(
+		inspector.$acceptButton.hasClass( 'es-inspector-button-disabled' ),
+		'accept button is disabled for templates which can not be edited'
+	);
+} );
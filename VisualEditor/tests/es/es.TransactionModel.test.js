@@ -0,0 +1,462 @@
+module( 'es/models' );
+
+test( 'es.TransactionModel.transform', 14, function() {
+	/**
+	 * Commits a then b' to one document and b then a' to another, returning the data of both
+	 */
+	function converge( prepareA, prepareB ) {
+		var docA = es.DocumentModel.newFromPlainObject( esTest.obj ),
+			docB = es.DocumentModel.newFromPlainObject( esTest.obj ),
+			a = prepareA( docA ),
+			b = prepareB( docB ),
+			transformed = es.TransactionModel.transform( a, b );
+		docA.commit( a );
+		docA.commit( transformed[1] );
+		docB.commit( b );
+		docB.commit( transformed[0] );
+		return [docA.getData(), docB.getData()];
+	}
+
+	var result;
+
+	// Tests 1 .. 2
+	result = converge(
+		function( doc ) {
+			return doc.prepareInsertion( 1, ['x'] );
+		},
+		function( doc ) {
+			return doc.prepareInsertion( 32, ['y'] );
+		}
+	);
+	deepEqual( result[0], result[1], 'insertions at different offsets converge' );
+	deepEqual(
+		[result[0][1], result[0][33]],
+		['x', 'y'],
+		'insertions at different offsets are both applied at the right offsets'
+	);
+
+	// Tests 3 .. 4
+	result = converge(
+		function( doc ) {
+			return doc.prepareInsertion( 1, ['x'] );
+		},
+		function( doc ) {
+			return doc.prepareInsertion( 1, ['y'] );
+		}
+	);
+	deepEqual( result[0], result[1], 'insertions at the same offset converge' );
+	deepEqual(
+		esTest.removeIds( result[0].slice( 0, 3 ) ),
+		[{ 'type': 'paragraph' }, 'x', 'y'],
+		'insertion of the first transaction is placed before insertion of the second'
+	);
+
+	// Tests 5 .. 6
+	result = converge(
+		function( doc ) {
+			return doc.prepareRemoval( new es.Range( 1, 4 ) );
+		},
+		function( doc ) {
+			return doc.prepareInsertion( 2, ['x'] );
+		}
+	);
+	deepEqual( result[0], result[1], 'removal and insertion inside of it converge' );
+	deepEqual(
+		esTest.removeIds( result[0].slice( 0, 3 ) ),
+		[{ 'type': 'paragraph' }, { 'type': '/paragraph' }, { 'type': 'table' }],
+		'data inserted inside a removed range is removed as well'
+	);
+
+	// Tests 7 .. 8
+	result = converge(
+		function( doc ) {
+			return doc.prepareRemoval( new es.Range( 1, 3 ) );
+		},
+		function( doc ) {
+			return doc.prepareRemoval( new es.Range( 2, 4 ) );
+		}
+	);
+	deepEqual( result[0], result[1], 'overlapping removals converge' );
+	deepEqual(
+		esTest.removeIds( result[0].slice( 0, 3 ) ),
+		[{ 'type': 'paragraph' }, { 'type': '/paragraph' }, { 'type': 'table' }],
+		'overlapping removals remove the union of both ranges'
+	);
+
+	// Tests 9 .. 10
+	result = converge(
+		function( doc ) {
+			return doc.prepareContentAnnotation(
+				new es.Range( 1, 2 ), 'set', { 'type': 'textStyle/italic' }
+			);
+		},
+		function( doc ) {
+			return doc.prepareInsertion( 2, ['x'] );
+		}
+	);
+	deepEqual( result[0], result[1], 'annotation and insertion after it converge' );
+	deepEqual(
+		result[0].slice( 1, 3 ),
+		[
+			['a', { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' }],
+			'x'
+		],
+		'data inserted at the end of an annotated range is not annotated'
+	);
+
+	// Tests 11 .. 12
+	result = converge(
+		function( doc ) {
+			return doc.prepareContentAnnotation(
+				new es.Range( 1, 3 ), 'set', { 'type': 'textStyle/underline' }
+			);
+		},
+		function( doc ) {
+			return doc.prepareContentAnnotation(
+				new es.Range( 1, 2 ), 'set', { 'type': 'textStyle/underline' }
+			);
+		}
+	);
+	deepEqual( result[0], result[1], 'overlapping identical annotations converge' );
+	deepEqual(
+		result[0].slice( 1, 3 ),
+		[
+			['a', { 'type': 'textStyle/underline', 'hash': '{"type":"textStyle/underline"}' }],
+			[
+				'b',
+				{ 'type': 'textStyle/bold', 'hash': '{"type":"textStyle/bold"}' },
+				{ 'type': 'textStyle/underline', 'hash': '{"type":"textStyle/underline"}' }
+			]
+		],
+		'overlapping identical annotations are only applied once'
+	);
+
+	// Test 13
+	result = converge(
+		function( doc ) {
+			return doc.prepareElementAttributeChange( 12, 'set', 'styles', ['number'] );
+		},
+		function( doc ) {
+			return doc.prepareElementAttributeChange( 12, 'set', 'styles', ['bullet', 'number'] );
+		}
+	);
+	deepEqual(
+		esTest.removeIds( [result[0][12], result[1][12]] ),
+		[
+			{ 'type': 'listItem', 'attributes': { 'styles': ['number'] } },
+			{ 'type': 'listItem', 'attributes': { 'styles': ['number'] } }
+		],
+		'attribute change of the first transaction wins over a conflicting one'
+	);
+
+	// Test 14
+	var doc = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		attributeChange = doc.prepareElementAttributeChange( 12, 'set', 'styles', ['number'] ),
+		removal = doc.prepareRemoval( new es.Range( 12, 17 ) ),
+		transformed = es.TransactionModel.transform( attributeChange, removal ),
+		expected;
+	doc.commit( attributeChange );
+	expected = doc.getData( undefined, true );
+	doc.commit( transformed[1] );
+	doc.rollback( transformed[1] );
+	deepEqual(
+		doc.getData(),
+		expected,
+		'rebased removal of a changed element can be rolled back'
+	);
+} );
+
+test( 'es.TransactionModel.compose', 5, function() {
+	var doc = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		composedDoc = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		transactions = [],
+		composed,
+		i;
+
+	transactions.push( doc.prepareInsertion( 1, ['x', 'y'] ) );
+	doc.commit( transactions[0] );
+	transactions.push( doc.prepareRemoval( new es.Range( 2, 3 ) ) );
+	doc.commit( transactions[1] );
+	transactions.push(
+		doc.prepareContentAnnotation( new es.Range( 1, 3 ), 'set', { 'type': 'textStyle/italic' } )
+	);
+	doc.commit( transactions[2] );
+	transactions.push( doc.prepareElementAttributeChange( 12, 'set', 'styles', ['number'] ) );
+	doc.commit( transactions[3] );
+
+	composed = transactions[0];
+	for ( i = 1; i < transactions.length; i++ ) {
+		composed = es.TransactionModel.compose( composed, transactions[i] );
+	}
+
+	// Test 1
+	deepEqual(
+		composed.getOperations(),
+		[
+			{ 'type': 'retain', 'length': 1 },
+			{
+				'type': 'insert',
+				'data': [['x', { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' }]]
+			},
+			{
+				'type': 'annotate',
+				'method': 'set',
+				'bias': 'start',
+				'annotation': { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' }
+			},
+			{ 'type': 'retain', 'length': 1 },
+			{
+				'type': 'annotate',
+				'method': 'set',
+				'bias': 'stop',
+				'annotation': { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' }
+			},
+			{ 'type': 'retain', 'length': 9 },
+			{ 'type': 'attribute', 'method': 'set', 'key': 'styles', 'value': ['number'] },
+			{ 'type': 'retain', 'length': 23 }
+		],
+		'composing leaves out data that was inserted and removed again and annotates inserted data'
+	);
+
+	// Test 2
+	equal(
+		composed.getLengthDifference(),
+		1,
+		'composed transaction has the combined length difference'
+	);
+
+	// Test 3
+	composedDoc.commit( composed );
+	deepEqual(
+		composedDoc.getData(),
+		doc.getData(),
+		'committing the composed transaction has the same effect as committing each transaction'
+	);
+
+	// Test 4
+	transactions = [
+		composedDoc.prepareContentAnnotation(
+			new es.Range( 1, 3 ), 'clear', { 'type': 'textStyle/italic' }
+		)
+	];
+	composedDoc.commit( transactions[0] );
+	transactions.push( composedDoc.prepareRemoval( new es.Range( 1, 3 ) ) );
+	composedDoc.rollback( transactions[0] );
+	composed = es.TransactionModel.compose( transactions[0], transactions[1] );
+	composedDoc.commit( composed );
+	composedDoc.rollback( composed );
+	deepEqual(
+		composedDoc.getData(),
+		doc.getData(),
+		'rolling back a composed removal restores annotations the removed data had before'
+	);
+
+	// Test 5
+	raises(
+		function() {
+			es.TransactionModel.compose(
+				doc.prepareContentAnnotation( new es.Range( 1, 3 ), 'clear', /textStyle\/.*/ ),
+				doc.prepareContentAnnotation(
+					new es.Range( 1, 3 ), 'set', { 'type': 'textStyle/bold' }
+				)
+			);
+		},
+		/^Composition error/,
+		'annotations set over content cleared with a matching pattern can not be composed'
+	);
+} );
+
+test( 'es.TransactionModel attribute changes', 4, function() {
+	var doc = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		data = doc.getData( undefined, true ),
+		a = doc.prepareElementAttributeChange( 12, 'set', 'styles', ['number'] ),
+		b,
+		composed;
+
+	// Test 1
+	deepEqual(
+		a.getInverse().getOperations()[1],
+		{
+			'type': 'attribute',
+			'method': 'set',
+			'key': 'styles',
+			'value': ['bullet'],
+			'from': ['number']
+		},
+		'the inverse of changing an attribute sets the previous value'
+	);
+
+	// Test 2
+	deepEqual(
+		es.TransactionModel.newFromJSON( JSON.parse( JSON.stringify( a ) ) ).getOperations(),
+		a.getOperations(),
+		'previous values of attributes are kept in JSON'
+	);
+
+	doc.commit( a );
+	b = doc.prepareElementAttributeChange( 12, 'clear', 'styles' );
+	composed = es.TransactionModel.compose( a, b );
+	doc.rollback( a );
+
+	// Test 3
+	deepEqual(
+		composed.getOperations()[1],
+		{ 'type': 'attribute', 'method': 'clear', 'key': 'styles', 'value': ['bullet'] },
+		'changes of the same attribute are composed into one, keeping the original value'
+	);
+
+	// Test 4
+	doc.commit( composed );
+	doc.rollback( composed );
+	deepEqual( doc.getData(), data, 'rolling back composed attribute changes restores the data' );
+} );
+
+test( 'es.TransactionModel.toJSON, es.TransactionModel.newFromJSON', 6, function() {
+	var doc = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		transactions = [
+			doc.prepareRemoval( new es.Range( 1, 4 ) ),
+			doc.prepareContentAnnotation( new es.Range( 1, 4 ), 'clear', /textStyle\/.*/ ),
+			doc.prepareElementAttributeChange( 12, 'set', 'styles', ['number'] )
+		],
+		json,
+		restored,
+		i;
+
+	// Test 1
+	deepEqual(
+		transactions[0].toJSON(),
+		{
+			'version': 1,
+			'operations': [
+				{ 'type': 'retain', 'length': 1 },
+				{
+					'type': 'remove',
+					'data': ['a', ['b', { 'type': 'textStyle/bold' }], ['c', { 'type': 'textStyle/italic' }]]
+				},
+				{ 'type': 'retain', 'length': 30 }
+			]
+		},
+		'toJSON leaves out annotation hashes'
+	);
+
+	// Tests 2 .. 4
+	for ( i = 0; i < transactions.length; i++ ) {
+		json = JSON.stringify( transactions[i] );
+		restored = es.TransactionModel.newFromJSON( JSON.parse( json ) );
+		deepEqual(
+			[restored.getOperations(), restored.getLengthDifference()],
+			[transactions[i].getOperations(), transactions[i].getLengthDifference()],
+			'newFromJSON restores a transaction serialized with JSON.stringify'
+		);
+	}
+
+	// Test 5
+	raises(
+		function() {
+			es.TransactionModel.newFromJSON( { 'version': 2, 'operations': [] } );
+		},
+		/^Invalid object error/,
+		'newFromJSON throws an exception when given an unsupported version'
+	);
+
+	// Test 6
+	raises(
+		function() {
+			es.TransactionModel.newFromJSON( { 'version': 1, 'operations': [{ 'type': 'foo' }] } );
+		},
+		/^Invalid operation error/,
+		'newFromJSON throws an exception when given an unsupported operation'
+	);
+} );
+
+test( 'es.TransactionModel.translateOffset, es.TransactionModel.translateRange', 9, function() {
+	var transaction = new es.TransactionModel( [
+		{ 'type': 'retain', 'length': 2 },
+		{ 'type': 'insert', 'data': ['x', 'y'] },
+		{ 'type': 'retain', 'length': 2 },
+		{ 'type': 'remove', 'data': ['a', 'b', 'c'] },
+		{ 'type': 'retain', 'length': 3 }
+	] );
+	transaction.lengthDifference = -1;
+
+	// Test 1
+	deepEqual(
+		[
+			transaction.translateOffset( 1 ),
+			transaction.translateOffset( 3 ),
+			transaction.translateOffset( 5 ),
+			transaction.translateOffset( 7 ),
+			transaction.translateOffset( 10 )
+		],
+		[1, 5, 6, 6, 9],
+		'offsets are moved by insertions and removals before them'
+	);
+
+	// Test 2
+	deepEqual(
+		[transaction.translateOffset( 2 ), transaction.translateOffset( 2, 'right' )],
+		[2, 4],
+		'bias decides which side of inserted data an offset ends up at'
+	);
+
+	// Test 3
+	deepEqual(
+		[
+			transaction.translateOffset( 1, 'left', true ),
+			transaction.translateOffset( 3, 'left', true ),
+			transaction.translateOffset( 6, 'left', true ),
+			transaction.translateOffset( 6, 'right', true ),
+			transaction.translateOffset( 9, 'left', true )
+		],
+		[1, 2, 4, 7, 10],
+		'offsets are translated in reverse'
+	);
+
+	// Test 4
+	deepEqual(
+		transaction.translateRange( new es.Range( 2, 5 ) ),
+		new es.Range( 4, 6 ),
+		'data inserted at the start of a range is not included'
+	);
+
+	// Test 5
+	deepEqual(
+		transaction.translateRange( new es.Range( 7, 1 ) ),
+		new es.Range( 6, 1 ),
+		'direction of a range is kept'
+	);
+
+	// Test 6
+	deepEqual(
+		transaction.translateRange( new es.Range( 2, 2 ), 'right' ),
+		new es.Range( 4, 4 ),
+		'collapsed ranges are translated using bias'
+	);
+
+	// Test 7
+	deepEqual(
+		transaction.translateRange( new es.Range( 4, 7 ) ),
+		new es.Range( 6, 6 ),
+		'removed ranges collapse'
+	);
+
+	// Test 8
+	deepEqual(
+		transaction.getInverse().getOperations(),
+		[
+			{ 'type': 'retain', 'length': 2 },
+			{ 'type': 'remove', 'data': ['x', 'y'] },
+			{ 'type': 'retain', 'length': 2 },
+			{ 'type': 'insert', 'data': ['a', 'b', 'c'] },
+			{ 'type': 'retain', 'length': 3 }
+		],
+		'getInverse swaps insertions and removals'
+	);
+
+	// Test 9
+	equal(
+		transaction.getInverse().translateOffset( 9 ),
+		transaction.translateOffset( 9, 'left', true ),
+		'translating through the inverse is the same as translating in reverse'
+	);
+} );
@@ -14,7 +14,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 1
 	es.TransactionProcessor.commit( documentModel, elementAttributeChange );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 5 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 5 ) ) ),
 		[
 			{ 'type': 'paragraph', 'attributes': { 'test': 1 } },
 			'a',
@@ -28,7 +28,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 2
 	es.TransactionProcessor.rollback( documentModel, elementAttributeChange );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 5 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 5 ) ) ),
 		[
 			{ 'type': 'paragraph' },
 			'a',
@@ -46,7 +46,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 3
 	es.TransactionProcessor.commit( documentModel, contentAnnotation );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 5 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 5 ) ) ),
 		[
 			{ 'type': 'paragraph' },
 			['a', { 'type': 'textStyle/bold', 'hash': '{"type":"textStyle/bold"}' }],
@@ -64,7 +64,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 4
 	es.TransactionProcessor.rollback( documentModel, contentAnnotation );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 5 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 5 ) ) ),
 		[
 			{ 'type': 'paragraph' },
 			'a',
@@ -80,7 +80,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 5
 	es.TransactionProcessor.commit( documentModel, insertion );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 6 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 6 ) ) ),
 		[
 			{ 'type': 'paragraph' },
 			'a',
@@ -107,7 +107,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 7
 	es.TransactionProcessor.rollback( documentModel, insertion );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 5 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 5 ) ) ),
 		[
 			{ 'type': 'paragraph' },
 			'a',
@@ -134,7 +134,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 9
 	es.TransactionProcessor.commit( documentModel, removal );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 3 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 3 ) ) ),
 		[
 			{ 'type': 'paragraph' },
 			'a',
@@ -153,7 +153,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 11
 	es.TransactionProcessor.rollback( documentModel, removal );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 5 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 5 ) ) ),
 		[
 			{ 'type': 'paragraph' },
 			'a',
@@ -182,7 +182,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 13
 	es.TransactionProcessor.commit( documentModel, paragraphBreak );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 7 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 7 ) ) ),
 		[
 			{ 'type': 'paragraph' },
 			'a',
@@ -215,7 +215,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 16
 	es.TransactionProcessor.rollback( documentModel, paragraphBreak );
 	deepEqual(
-		documentModel.getData( new es.Range( 0, 5 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 0, 5 ) ) ),
 		[
 			{ 'type': 'paragraph' },
 			'a',
@@ -249,7 +249,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 19
 	es.TransactionProcessor.commit( documentModel, listItemMerge );
 	deepEqual(
-		documentModel.getData( new es.Range( 12, 22 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 12, 22 ) ) ),
 		[
 			{ 'type': 'listItem', 'attributes': { 'styles': ['bullet'] } },
 			{ 'type': 'paragraph' },
@@ -294,7 +294,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 24
 	es.TransactionProcessor.rollback( documentModel, listItemMerge );
 	deepEqual(
-		documentModel.getData( new es.Range( 12, 27 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 12, 27 ) ) ),
 		[
 			{ 'type': 'listItem', 'attributes': { 'styles': ['bullet'] } },
 			{ 'type': 'paragraph' },
@@ -353,7 +353,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 30
 	es.TransactionProcessor.commit( documentModel, listSplit );
 	deepEqual(
-		documentModel.getData( new es.Range( 15, 21 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 15, 21 ) ) ),
 		[
 			{ 'type': '/paragraph' },
 			{ 'type': '/listItem' },
@@ -368,7 +368,7 @@ test( 'es.TransactionProcessor', 31, function() {
 	// Test 31
 	es.TransactionProcessor.rollback( documentModel, listSplit );
 	deepEqual(
-		documentModel.getData( new es.Range( 15, 19 ) ),
+		esTest.removeIds( documentModel.getData( new es.Range( 15, 19 ) ) ),
 		[
 			{ 'type': '/paragraph' },
 			{ 'type': '/listItem' },
@@ -378,3 +378,220 @@ test( 'es.TransactionProcessor', 31, function() {
 		'rollback reverses list split'
 	);
 } );
+
+test( 'es.TransactionProcessor.verify', 7, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		error;
+
+	// Test 1
+	equal(
+		es.TransactionProcessor.verify(
+			documentModel, documentModel.prepareRemoval( new es.Range( 1, 3 ) )
+		),
+		null,
+		'verify returns null for a valid transaction'
+	);
+
+	// Test 2
+	error = es.TransactionProcessor.verify(
+		documentModel, new es.TransactionModel( [{ 'type': 'retain', 'length': 35 }] )
+	);
+	deepEqual(
+		[error.type, error.operation, error.offset],
+		['outOfBounds', 0, 0],
+		'verify rejects retaining past the end of the document'
+	);
+
+	// Test 3
+	error = es.TransactionProcessor.verify(
+		documentModel,
+		new es.TransactionModel( [
+			{ 'type': 'retain', 'length': 1 },
+			{ 'type': 'remove', 'data': ['a', 'x'] },
+			{ 'type': 'retain', 'length': 31 }
+		] )
+	);
+	deepEqual(
+		[error.type, error.operation, error.offset],
+		['dataMismatch', 1, 2],
+		'verify rejects removing data which does not match the document'
+	);
+
+	// Test 4
+	error = es.TransactionProcessor.verify(
+		documentModel,
+		new es.TransactionModel( [
+			{ 'type': 'retain', 'length': 1 },
+			{ 'type': 'attribute', 'method': 'set', 'key': 'test', 'value': 1 },
+			{ 'type': 'retain', 'length': 33 }
+		] )
+	);
+	equal( error.type, 'invalidElement', 'verify rejects changing attributes of content' );
+
+	// Test 5
+	error = es.TransactionProcessor.verify(
+		documentModel,
+		new es.TransactionModel( [
+			{ 'type': 'retain', 'length': 12 },
+			{ 'type': 'insert', 'data': [{ 'type': 'paragraph' }, 'x', { 'type': '/paragraph' }] },
+			{ 'type': 'retain', 'length': 22 }
+		] )
+	);
+	deepEqual(
+		[error.type, error.errors[0].type, String( error )],
+		[
+			'invalidStructure',
+			'invalidNesting',
+			'Invalid transaction error. Result would not follow node rules. Element paragraph is ' +
+				'not allowed in list without being wrapped in listItem at index 12'
+		],
+		'verify rejects transactions which would break node rules'
+	);
+
+	// Test 6
+	raises(
+		function() {
+			es.TransactionProcessor.rollback(
+				documentModel, documentModel.prepareInsertion( 1, ['x'] )
+			);
+		},
+		function( error ) {
+			return error.type === 'dataMismatch' && error.method === 'rollback';
+		},
+		'rollback verifies the transaction in reverse'
+	);
+
+	// Test 7
+	var removal = documentModel.prepareRemoval( new es.Range( 5, 31 ) );
+	documentModel.selectNodes = function() {
+		throw 'Failure';
+	};
+	raises(
+		function() {
+			es.TransactionProcessor.commit( documentModel, removal );
+		},
+		function( error ) {
+			return error.type === 'processingFailed' && error.cause === 'Failure' &&
+				QUnit.equiv( esTest.removeIds( documentModel.getData() ), esTest.data );
+		},
+		'commit restores the document when processing fails'
+	);
+} );
+
+test( 'es.TransactionProcessor.getAffectedRange', 3, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		insertion = documentModel.prepareInsertion( 1, ['x'] );
+
+	// Test 1
+	deepEqual(
+		new es.TransactionProcessor( documentModel, insertion ).getAffectedRange( 'commit' ),
+		new es.Range( 1, 1 ),
+		'insertions affect the offset they are inserted at'
+	);
+
+	// Test 2
+	deepEqual(
+		new es.TransactionProcessor( documentModel, insertion ).getAffectedRange( 'rollback' ),
+		new es.Range( 1, 2 ),
+		'rolling back an insertion affects the inserted data'
+	);
+
+	// Test 3
+	deepEqual(
+		new es.TransactionProcessor(
+			documentModel, documentModel.prepareElementAttributeChange( 12, 'set', 'test', 1 )
+		).getAffectedRange( 'commit' ),
+		new es.Range( 12, 13 ),
+		'attribute changes affect the element they change'
+	);
+} );
+
+test( 'es.TransactionProcessor restoring data', 1, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		data,
+		transaction;
+
+	documentModel.commit(
+		documentModel.prepareElementAttributeChange( 12, 'set', 'flags', [true, null, false] )
+	);
+	data = JSON.parse( JSON.stringify( documentModel.getData() ) );
+	transaction = documentModel.prepareRemoval( new es.Range( 5, 31 ) );
+	documentModel.selectNodes = function() {
+		throw 'Failure';
+	};
+
+	// Test 1
+	raises(
+		function() {
+			es.TransactionProcessor.commit( documentModel, transaction );
+		},
+		function( error ) {
+			return error.type === 'processingFailed' &&
+				QUnit.equiv( documentModel.getData(), data );
+		},
+		'restoring keeps booleans and nulls in the data'
+	);
+} );
+
+test( 'es.TransactionProcessor change events', 4, function() {
+	var documentModel = es.DocumentModel.newFromPlainObject( esTest.obj ),
+		events = [],
+		transaction;
+	documentModel.on( 'change', function( changes, method ) {
+		events.push( [changes, method] );
+	} );
+
+	// Test 1
+	transaction = documentModel.prepareInsertion( 1, ['x'] );
+	es.TransactionProcessor.commit( documentModel, transaction );
+	es.TransactionProcessor.rollback( documentModel, transaction );
+	deepEqual(
+		events.splice( 0, events.length ),
+		[
+			[[{ 'type': 'insert', 'offset': 1, 'data': ['x'] }], 'commit'],
+			[[{ 'type': 'remove', 'offset': 1, 'data': ['x'] }], 'rollback']
+		],
+		'insertions and removals are described with their offsets'
+	);
+
+	// Test 2
+	transaction = documentModel.prepareRemoval( new es.Range( 5, 31 ) );
+	es.TransactionProcessor.commit( documentModel, transaction );
+	deepEqual(
+		[events[0][0][0].type, events[0][0][0].offset, esTest.removeIds( events[0][0][0].data )],
+		['remove', 5, esTest.data.slice( 5, 31 )],
+		'removed nodes are described with their data'
+	);
+	es.TransactionProcessor.rollback( documentModel, transaction );
+	events = [];
+
+	// Test 3
+	transaction = documentModel.prepareElementAttributeChange( 0, 'set', 'test', 1 );
+	es.TransactionProcessor.commit( documentModel, transaction );
+	es.TransactionProcessor.rollback( documentModel, transaction );
+	deepEqual(
+		[events[0][0], events[1][0]],
+		[
+			[{ 'type': 'attribute', 'offset': 0, 'key': 'test', 'from': undefined, 'to': 1 }],
+			[{ 'type': 'attribute', 'offset': 0, 'key': 'test', 'from': 1, 'to': undefined }]
+		],
+		'attribute changes are described with their previous and new values'
+	);
+	events = [];
+
+	// Test 4
+	transaction = documentModel.prepareContentAnnotation(
+		new es.Range( 1, 2 ), 'set', { 'type': 'textStyle/italic' }
+	);
+	es.TransactionProcessor.commit( documentModel, transaction );
+	deepEqual(
+		events[0][0],
+		[{
+			'type': 'annotation',
+			'method': 'set',
+			'annotation': { 'type': 'textStyle/italic', 'hash': '{"type":"textStyle/italic"}' },
+			'range': new es.Range( 1, 2 )
+		}],
+		'annotation changes are described with their ranges'
+	);
+} );
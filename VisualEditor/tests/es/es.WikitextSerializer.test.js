@@ -0,0 +1,180 @@
+module( 'es/serializers' );
+
+test( 'es.WikitextSerializer round trips', 5, function() {
+	function stringifyLoaded( children ) {
+		var doc = es.DocumentModel.newFromPlainObject( {
+			'type': 'document',
+			'children': children
+		} );
+		return es.WikitextSerializer.stringify( doc.getPlainObject() );
+	}
+
+	// Test 1
+	equal(
+		stringifyLoaded( [ { 'type': 'horizontalRule' } ] ),
+		'----',
+		'horizontal rules survive loading'
+	);
+
+	// Test 2
+	equal(
+		stringifyLoaded( [
+			{ 'type': 'comment', 'attributes': { 'text': ' a ' } },
+			{ 'type': 'comment', 'text': ' b ' }
+		] ),
+		'<!-- a -->\n<!-- b -->',
+		'comments with text in attributes or on the node survive loading'
+	);
+
+	// Test 3
+	equal(
+		stringifyLoaded( [
+			{ 'type': 'transclusion', 'attributes': { 'namespace': 'Template', 'title': 'Foo' } },
+			{ 'type': 'transclusion', 'namespace': 'Main', 'title': 'Bar' }
+		] ),
+		'{{Foo}}\n{{:Bar}}',
+		'transclusions with title in attributes or on the node survive loading'
+	);
+
+	// Test 4
+	equal(
+		stringifyLoaded( [
+			{ 'type': 'parameter', 'attributes': { 'name': 'a' } },
+			{ 'type': 'parameter', 'name': 'b' }
+		] ),
+		'{{{a}}}\n{{{b}}}',
+		'parameters with name in attributes or on the node survive loading'
+	);
+
+	// Test 5
+	equal(
+		es.WikitextSerializer.stringify( { 'type': 'document', 'children': [
+			{ 'type': 'comment', 'text': ' c ' },
+			{ 'type': 'parameter', 'name': 'd', 'attributes': {} }
+		] } ),
+		'<!-- c -->\n{{{d}}}',
+		'older WikiDom can be serialized without loading it'
+	);
+} );
+
+test( 'es.WikitextSerializer.getTemplateCall', 4, function() {
+	// Test 1
+	equal(
+		es.WikitextSerializer.getTemplateCall( {
+			'title': 'Example',
+			'parameters': [{ 'value': 'a=b' }, { 'name': 'c', 'value': 'd' }]
+		} ),
+		'{{Example|1=a=b|c=d}}',
+		'positional parameters containing "=" are given their position as a name'
+	);
+
+	// Test 2
+	equal(
+		es.WikitextSerializer.getTemplateCall( {
+			'title': 'Example',
+			'parameters': [{ 'value': 'a|b' }, { 'name': 'c|d', 'value': '{{e}}' }]
+		} ),
+		'{{Example|a<nowiki>|</nowiki>b|c<nowiki>|</nowiki>d=' +
+			'<nowiki>{{</nowiki>e<nowiki>}}</nowiki>}}',
+		'pipes and double braces in names and values are escaped'
+	);
+
+	// Test 3
+	equal(
+		es.WikitextSerializer.getTemplateCall( {
+			'title': 'Example',
+			'parameters': [{ 'value': '{a}' }, { 'value': 'b}c' }]
+		} ),
+		'{{Example|<nowiki>{</nowiki>a<nowiki>}</nowiki>|b}c}}',
+		'single braces next to the braces of the call are escaped'
+	);
+
+	// Test 4
+	equal(
+		es.WikitextSerializer.getTemplateCall( {
+			'title': 'Ex|ample}}',
+			'parameters': [{ 'value': 'a' }]
+		} ),
+		'{{Ex<nowiki>|</nowiki>ample<nowiki>}}</nowiki>|a}}',
+		'pipes and braces in the title are escaped'
+	);
+} );
+
+test( 'es.WikitextSerializer definition lists', 3, function() {
+	function item( styles, text ) {
+		return {
+			'type': 'listItem',
+			'attributes': { 'styles': styles },
+			'children': [{ 'type': 'paragraph', 'content': { 'text': text } }]
+		};
+	}
+
+	function stringifyLoaded( items ) {
+		var doc = es.DocumentModel.newFromPlainObject( {
+			'type': 'document',
+			'children': [{ 'type': 'list', 'children': items }]
+		} );
+		return es.WikitextSerializer.stringify( doc.getPlainObject() );
+	}
+
+	// Test 1
+	equal(
+		stringifyLoaded( [ item( ['term'], 'a' ), item( ['definition'], 'b' ) ] ),
+		'; a\n: b\n',
+		'terms and definitions are written with ";" and ":"'
+	);
+
+	// Test 2
+	equal(
+		stringifyLoaded( [
+			item( ['definition'], 'a' ),
+			item( ['definition', 'definition'], 'b' ),
+			item( ['description'], 'c' )
+		] ),
+		': a\n:: b\n: c\n',
+		'indented paragraphs are written with a ":" for each level of indentation'
+	);
+
+	// Test 3
+	equal(
+		stringifyLoaded( [ item( ['bullet'], 'a' ), item( ['bullet', 'definition'], 'b' ) ] ),
+		'* a\n*: b\n',
+		'indentation is kept inside other lists'
+	);
+} );
+
+test( 'es.WikitextSerializer images', 3, function() {
+	function stringifyImage( attributes, content ) {
+		return es.WikitextSerializer.stringify( {
+			'type': 'document',
+			'children': [{ 'type': 'image', 'attributes': attributes, 'content': content }]
+		} );
+	}
+
+	// Test 1
+	equal(
+		stringifyImage( { 'title': 'File:A.jpg' }, { 'text': 'a|b]]c' } ),
+		'[[File:A.jpg|a<nowiki>|</nowiki>b<nowiki>]</nowiki>]c]]',
+		'pipes and double closing brackets in captions are escaped'
+	);
+
+	// Test 2
+	equal(
+		stringifyImage(
+			{ 'title': 'File:A.jpg' },
+			{
+				'text': 'a|b]',
+				'annotations': [{ 'type': 'textStyle/bold', 'range': { 'start': 0, 'end': 4 } }]
+			}
+		),
+		'[[File:A.jpg|\'\'\'a<nowiki>|</nowiki>b<nowiki>]</nowiki>\'\'\']]',
+		'annotated captions are escaped, including a closing bracket at the end'
+	);
+
+	// Test 3
+	equal(
+		stringifyImage( { 'title': 'File:A.jpg', 'alt': 'x|y]' } ),
+		'[[File:A.jpg|alt=x<nowiki>|</nowiki>y<nowiki>]</nowiki>]]',
+		'alternative texts are escaped'
+	);
+} );
@@ -1,5 +1,27 @@
 esTest = {};
 
+/**
+ * Gets a copy of a value, such as a list of data or operations, with element ids left out.
+ * 
+ * Documents give all of their elements ids, which most tests don't need to compare.
+ * 
+ * @param {Mixed} value Value to copy
+ * @returns {Mixed} Copy of value without element ids
+ */
+esTest.removeIds = function( value ) {
+	var copy;
+	if ( value === null || typeof value !== 'object' ) {
+		return value;
+	}
+	copy = es.isArray( value ) ? [] : {};
+	for ( var key in value ) {
+		if ( key !== 'id' || typeof value.type !== 'string' ) {
+			copy[key] = esTest.removeIds( value[key] );
+		}
+	}
+	return copy;
+};
+
 /*
  * Sample plain object (WikiDom).
  * 
@@ -16,6 +16,7 @@ console.log( "Starting up JS parser tests" );
 
 var fs = require('fs'),
 	path = require('path'),
+	vm = require('vm'),
 	jsDiff = require('diff'),
 	colors = require('colors'),
 	util = require( 'util' ),
@@ -70,8 +71,19 @@ _import(pj('parser', 'ext.core.QuoteTransformer.js'), ['QuoteTransformer']);
 _import(pj('parser', 'ext.Cite.js'), ['Cite']);
 
 // WikiDom and serializers
-//_require(pj('es', 'es.js'));
-//_require(pj('es', 'es.Html.js'));
+// The es modules define the es namespace on window, so they are run in a
+// context of their own, which only the DOMConverter's annotation registry is
+// taken from.
+var esContext = vm.createContext( { $: global.$, console: console } );
+esContext.window = esContext;
+function _importEs(filename) {
+	var fullpath = path.join( basePath, filename );
+	fileDependencies.push( fullpath );
+	vm.runInContext( fs.readFileSync( fullpath, 'utf8' ), esContext, fullpath );
+}
+_importEs(pj('es', 'es.js'));
+_importEs(pj('es', 'es.Html.js'));
+_importEs(pj('es', 'es.AnnotationRegistry.js'));
 //_require(pj('es', 'serializers', 'es.AnnotationSerializer.js'));
 //_require(pj('es', 'serializers', 'es.HtmlSerializer.js'));
 //_require(pj('es', 'serializers', 'es.WikitextSerializer.js'));
@@ -188,7 +200,9 @@ function ParserTests () {
 
 	this.postProcessor = new DOMPostProcessor();
 
-	this.DOMConverter = new DOMConverter();
+	this.DOMConverter = new DOMConverter( {
+		annotationRegistry: esContext.es.AnnotationRegistry
+	} );
 
 	var pt = this;
 
@@ -9,6 +9,7 @@ YUICOMPRESSORPATH = __dirname+'/../yuicompressor/build/yuicompressor-2.4.8pre.ja
 
 jquery = 'jquery',
 modules = ['es/es.js',
+'es/es.AnnotationRegistry.js',
 'es/es.Html.js',
 'es/es.Position.js',
 'es/es.Range.js',
@@ -17,6 +18,7 @@ modules = ['es/es.js',
 'es/serializers/es.AnnotationSerializer.js',
 'es/serializers/es.HtmlSerializer.js',
 'es/serializers/es.JsonSerializer.js',
+'es/serializers/es.MarkdownSerializer.js',
 'es/serializers/es.WikitextSerializer.js',
 
 'es/bases/es.EventEmitter.js',
@@ -31,6 +33,11 @@ modules = ['es/es.js',
 'es/bases/es.DocumentViewLeafNode.js',
 'es/bases/es.Inspector.js',
 'es/bases/es.Tool.js',
+'es/bases/es.TemplateProvider.js',
+'es/bases/es.StorageAdapter.js',
+
+'es/storage/es.MemoryStorageAdapter.js',
+'es/storage/es.LocalStorageAdapter.js',
 
 'es/models/es.SurfaceModel.js',
 'es/models/es.DocumentModel.js',
@@ -42,9 +49,18 @@ modules = ['es/es.js',
 'es/models/es.TableRowModel.js',
 'es/models/es.TableCellModel.js',
 'es/models/es.HeadingModel.js',
+'es/models/es.ImageModel.js',
+'es/models/es.HorizontalRuleModel.js',
+'es/models/es.CommentModel.js',
+'es/models/es.TransclusionModel.js',
+'es/models/es.ParameterModel.js',
+'es/models/es.BlockquoteModel.js',
+'es/models/es.DivModel.js',
 'es/models/es.TransactionModel.js',
 
 'es/inspectors/es.LinkInspector.js',
+'es/inspectors/es.ImageInspector.js',
+'es/inspectors/es.TemplateInspector.js',
 
 'es/tools/es.ButtonTool.js',
 'es/tools/es.AnnotationButtonTool.js',
@@ -54,6 +70,9 @@ modules = ['es/es.js',
 'es/tools/es.IndentationButtonTool.js',
 'es/tools/es.DropdownTool.js',
 'es/tools/es.FormatDropdownTool.js',
+'es/tools/es.TableDropdownTool.js',
+'es/tools/es.ImageButtonTool.js',
+'es/tools/es.BlockquoteButtonTool.js',
 
 'es/views/es.SurfaceView.js',
 'es/views/es.ToolbarView.js',
@@ -68,7 +87,14 @@ modules = ['es/es.js',
 'es/views/es.TableView.js',
 'es/views/es.TableRowView.js',
 'es/views/es.TableCellView.js',
-'es/views/es.HeadingView.js'],
+'es/views/es.HeadingView.js',
+'es/views/es.ImageView.js',
+'es/views/es.HorizontalRuleView.js',
+'es/views/es.CommentView.js',
+'es/views/es.TransclusionView.js',
+'es/views/es.ParameterView.js',
+'es/views/es.BlockquoteView.js',
+'es/views/es.DivView.js'],
 
 images = ['es/images'],
 styles = ['es/styles'],